@@ -1,4 +1,5 @@
 require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const os = require('os');
 const path = require('path');
 
 /**
@@ -24,7 +25,7 @@ const earlyLogger = pino({
 });
 
 // REF-008: Import validation functions from dedicated validators module
-const { parseAdminIPs } = require('./validators/config-validators');
+const { parseAdminIPs, parseTypeTemplates } = require('./validators/config-validators');
 
 /**
  * REF-015: Get extension version from manifest.json
@@ -74,11 +75,26 @@ const config = {
 
     // Paths Configuration
     registryPath: process.env.REGISTRY_PATH || '/opt/registry/projects.json',
+    // Ordered registry sources (files or directories of *.json fragments); later sources
+    // override earlier ones. Empty means REGISTRY_PATH is the only source.
+    registryPaths: (process.env.REGISTRY_PATHS || '')
+        .split(',')
+        .map((p) => p.trim())
+        .filter((p) => p.length > 0),
+    // Skip registry entries that fail schema validation instead of indexing them
+    registryStrict: process.env.REGISTRY_STRICT === 'true',
+    // Registry file versions kept in DATA_DIR/registry-history for rollback (0 disables)
+    registryHistorySize: parseInt(process.env.REGISTRY_HISTORY_SIZE || '20', 10),
+    // Infer name/type/port from package.json, pyproject.toml, Cargo.toml, git remote and .env
+    // for folders the registry does not describe
+    projectDiscovery: process.env.PROJECT_DISCOVERY === 'true',
     allowedPaths: (process.env.ALLOWED_PATHS || '/opt/dev,/opt/prod,/opt/research')
         .split(',')
         .map((p) => p.trim())
         .filter((p) => p.length > 0),
     dataDir: process.env.DATA_DIR || '/opt/data/vscode-favicon',
+    // VS Code Server data directory; workspace import may read sources here besides ALLOWED_PATHS
+    vscodeServerDataDir: process.env.VSCODE_SERVER_DATA_DIR || path.join(os.homedir(), '.vscode-server'),
     extensionZipPath: getExtensionZipPath(),
 
     // CORS Configuration
@@ -124,11 +140,22 @@ const config = {
         process.env.NOTIFICATION_CLEANUP_INTERVAL_MS || '3600000',
         10
     ), // 1 hour
+    // Per-project notification history (GET /api/notifications/history); 0 disables
+    notificationHistoryMaxPerProject: parseInt(process.env.NOTIFICATION_HISTORY_MAX_PER_PROJECT || '100', 10),
+    notificationHistoryTtlMs: parseInt(process.env.NOTIFICATION_HISTORY_TTL_MS || '604800000', 10), // 7 days
+
+    // Outbound Webhooks Configuration (JSON file of subscriptions; unset disables webhooks)
+    webhooksConfigPath: process.env.WEBHOOKS_CONFIG || null,
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+    webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000', 10),
+    webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
 
     // SSE Configuration
     sseMaxConnectionsPerIP: parseInt(process.env.SSE_MAX_CONNECTIONS_PER_IP || '5', 10),
     sseGlobalLimit: parseInt(process.env.SSE_GLOBAL_LIMIT || '100', 10),
     sseKeepaliveInterval: parseInt(process.env.SSE_KEEPALIVE_INTERVAL || '30000', 10),
+    // Events kept for Last-Event-ID replay on /notifications/stream/all
+    sseReplayBufferSize: parseInt(process.env.SSE_REPLAY_BUFFER_SIZE || '500', 10),
 
     // Upload Storage Configuration (CENT-001)
     uploadTtlDays: parseInt(process.env.UPLOAD_TTL_DAYS || '7', 10),
@@ -177,6 +204,26 @@ const config = {
     )
         .split(',')
         .map((c) => c.trim()),
+
+    // Favicon Templates (see lib/services/favicon-templates)
+    // Global template, optionally overridden per type ("prod:hexagon,staging:outlined")
+    // and per project via the registry entry or .favicon.json "template" key
+    faviconTemplate: (process.env.FAVICON_TEMPLATE || 'classic').trim(),
+    typeTemplates: parseTypeTemplates(process.env.FAVICON_TYPE_TEMPLATES),
+
+    // Minimum WCAG contrast ratio between generated favicon text and background
+    // 4.5 = WCAG AA normal text, 3 = AA large text, 7 = AAA
+    faviconMinContrastRatio: parseFloat(process.env.FAVICON_MIN_CONTRAST_RATIO || '4.5'),
+
+    // Animated "working" badge (badge=working / badge=auto while Claude is working)
+    // Style: spinner, pulse or none (static dot); animation stops after the idle timeout
+    faviconAnimationStyle: (process.env.FAVICON_ANIMATION_STYLE || 'spinner').trim(),
+    faviconAnimationFps: parseInt(process.env.FAVICON_ANIMATION_FPS || '8', 10),
+    faviconAnimationIdleTimeoutMs: parseInt(process.env.FAVICON_ANIMATION_IDLE_TIMEOUT_MS || '300000', 10),
+
+    // Type/port overlay composited onto projects' own favicon files (opt-in)
+    // none (serve files unchanged), stripe or ribbon; per project via .favicon.json "customOverlay"
+    faviconCustomOverlay: (process.env.FAVICON_CUSTOM_OVERLAY || 'none').trim(),
 };
 
 // REF-008: Import validation functions from validators module
@@ -186,6 +233,10 @@ const {
     validateSecurityConfig,
     validateCacheConfig,
     validateNotificationConfig,
+    validateFaviconTemplateConfig,
+    validateColorContrastConfig,
+    validateFaviconAnimationConfig,
+    validateFaviconCustomOverlayConfig,
 } = require('./validators/config-validators');
 
 /**
@@ -202,6 +253,23 @@ function validateFaviconWarmingConfig(config, errors) {
     }
 }
 
+/**
+ * Validate outbound webhook configuration
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} errors - Array to collect validation errors
+ */
+function validateWebhookConfig(config, errors) {
+    if (config.webhookMaxAttempts < 1 || config.webhookMaxAttempts > 20) {
+        errors.push('WEBHOOK_MAX_ATTEMPTS must be between 1 and 20');
+    }
+    if (config.webhookRetryBaseMs < 100) {
+        errors.push('WEBHOOK_RETRY_BASE_MS must be at least 100ms');
+    }
+    if (config.webhookTimeoutMs < 100) {
+        errors.push('WEBHOOK_TIMEOUT_MS must be at least 100ms');
+    }
+}
+
 /**
  * Validate configuration values
  * Throws error if critical configuration is invalid
@@ -218,6 +286,11 @@ function validateConfig() {
     validateCacheConfig(config, errors);
     validateNotificationConfig(config, errors);
     validateFaviconWarmingConfig(config, errors);
+    validateWebhookConfig(config, errors);
+    validateFaviconTemplateConfig(config, errors);
+    validateColorContrastConfig(config, errors, earlyLogger);
+    validateFaviconAnimationConfig(config, errors);
+    validateFaviconCustomOverlayConfig(config, errors);
 
     if (errors.length > 0) {
         throw new Error(
@@ -238,6 +311,10 @@ function logConfigSummary() {
                 servicePort: config.servicePort,
                 trustProxy: config.trustProxy,
                 registryPath: config.registryPath,
+                registryPaths: config.registryPaths,
+                registryStrict: config.registryStrict,
+                registryHistorySize: config.registryHistorySize,
+                projectDiscovery: config.projectDiscovery,
                 allowedPaths: config.allowedPaths,
                 corsOrigins: config.corsOrigins,
                 adminAuth: {
@@ -252,6 +329,12 @@ function logConfigSummary() {
                     maxCount: config.notificationMaxCount,
                     ttlHours: config.notificationTtlMs / 1000 / 60 / 60,
                     cleanupIntervalMinutes: config.notificationCleanupIntervalMs / 1000 / 60,
+                    historyMaxPerProject: config.notificationHistoryMaxPerProject,
+                    historyTtlHours: config.notificationHistoryTtlMs / 1000 / 60 / 60,
+                },
+                webhooks: {
+                    configPath: config.webhooksConfigPath,
+                    maxAttempts: config.webhookMaxAttempts,
                 },
                 logLevel: config.logLevel,
             },
@@ -6,6 +6,8 @@
  * - FileNotFoundError: 404 Not Found
  * - PermissionError: 403 Forbidden
  * - ValidationError: 400 Bad Request
+ * - ConflictError: 409 Conflict
+ * - PreconditionFailedError: 412 Precondition Failed
  */
 
 /**
@@ -50,8 +52,38 @@ class ValidationError extends Error {
     }
 }
 
+/**
+ * ConflictError - Resource already exists (409)
+ * Used when a create/update would duplicate a unique key
+ */
+class ConflictError extends Error {
+    constructor(message = 'Conflict', details = {}) {
+        super(message);
+        this.name = 'ConflictError';
+        this.statusCode = 409;
+        this.details = details;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * PreconditionFailedError - Stale revision (412)
+ * Used for optimistic concurrency when If-Match does not match the current revision
+ */
+class PreconditionFailedError extends Error {
+    constructor(message = 'Precondition failed', details = {}) {
+        super(message);
+        this.name = 'PreconditionFailedError';
+        this.statusCode = 412;
+        this.details = details;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
 module.exports = {
     FileNotFoundError,
     PermissionError,
     ValidationError,
+    ConflictError,
+    PreconditionFailedError,
 };
@@ -2,12 +2,13 @@ const fs = require('fs');
 const { execSync } = require('child_process');
 const config = require('./config');
 const logger = require('./logger');
+const { getRegistrySources, getSourceStatus } = require('./registry-cache');
 
 /**
  * Enhanced Health Check System
  *
  * Features:
- * - Registry file accessibility checks
+ * - Registry file accessibility checks (per source with REGISTRY_PATHS)
  * - Data directory write permission checks
  * - Memory usage reporting
  * - Service uptime tracking
@@ -17,17 +18,25 @@ const logger = require('./logger');
  */
 
 /**
- * Check registry file accessibility and metadata
+ * Check one registry source (file or fragment directory)
+ * Accessibility comes from the filesystem; parse results come from the most
+ * recent registry load, so a fragment with invalid JSON shows up here.
+ *
+ * @param {string} sourcePath - Source path
+ * @param {Array<Object>} loadStatus - Result of getSourceStatus()
  * @returns {Promise<Object>} Status object with file info or error
  */
-async function checkRegistry() {
+async function checkRegistrySource(sourcePath, loadStatus) {
+    let check;
+    let isDirectory = false;
     try {
-        await fs.promises.access(config.registryPath, fs.constants.R_OK);
-        const stats = await fs.promises.stat(config.registryPath);
+        await fs.promises.access(sourcePath, fs.constants.R_OK);
+        const stats = await fs.promises.stat(sourcePath);
+        isDirectory = stats.isDirectory();
 
-        return {
+        check = {
             status: 'ok',
-            path: config.registryPath,
+            path: sourcePath,
             size: stats.size,
             modified: stats.mtime.toISOString(),
             readable: true,
@@ -36,11 +45,50 @@ async function checkRegistry() {
         logger.error({ err }, 'Registry file check failed');
         return {
             status: 'error',
-            path: config.registryPath,
+            path: sourcePath,
             error: err.message,
             readable: false,
         };
     }
+
+    const files = loadStatus.filter((file) => file.source === sourcePath);
+    const failed = files.filter((file) => file.status === 'error');
+    if (failed.length > 0) {
+        // Whole source unusable -> error; some fragments failed -> warning
+        check.status = failed.length === files.length ? 'error' : 'warning';
+    }
+    if (isDirectory) {
+        check.isDirectory = true;
+        check.files = files.map(({ path, status, projects, error, stale }) => ({ path, status, projects, error, stale }));
+    } else if (failed.length > 0) {
+        check.error = failed[0].error;
+        check.stale = failed[0].stale;
+    }
+    return check;
+}
+
+/**
+ * Check registry file accessibility and metadata
+ * With REGISTRY_PATHS, reports each source under `sources`; the overall
+ * status is 'error' when no source is usable and 'warning' when some are not.
+ *
+ * @returns {Promise<Object>} Status object with file info or error
+ */
+async function checkRegistry() {
+    const sources = getRegistrySources();
+    const loadStatus = getSourceStatus();
+    const checks = await Promise.all(sources.map((sourcePath) => checkRegistrySource(sourcePath, loadStatus)));
+
+    if (checks.length === 1) {
+        return checks[0];
+    }
+
+    const failedCount = checks.filter((check) => check.status !== 'ok').length;
+    return {
+        status: failedCount === 0 ? 'ok' : checks.every((check) => check.status === 'error') ? 'error' : 'warning',
+        readable: checks.some((check) => check.readable),
+        sources: checks,
+    };
 }
 
 /**
@@ -267,7 +315,7 @@ async function getFullHealth(serviceName, extraChecks = {}) {
         // If registry is broken, service is degraded
         if (registryCheck.status === 'error') {
             health.status = 'degraded';
-            health.message = 'Registry file is not accessible';
+            health.message = registryCheck.readable ? 'Registry failed to load' : 'Registry file is not accessible';
         } else if (criticalCount > 0) {
             health.status = 'degraded';
             health.message = `${criticalCount} critical issue(s) detected`;
@@ -307,8 +355,13 @@ function getLivenessProbe() {
  */
 async function getReadinessProbe() {
     try {
-        // Check registry accessibility (critical for operation)
-        await fs.promises.access(config.registryPath, fs.constants.R_OK);
+        // Check registry accessibility (critical for operation): at least one source must be readable
+        const sourceAccess = await Promise.allSettled(
+            getRegistrySources().map((sourcePath) => fs.promises.access(sourcePath, fs.constants.R_OK))
+        );
+        if (!sourceAccess.some((result) => result.status === 'fulfilled')) {
+            throw sourceAccess[0].reason;
+        }
 
         // Check file descriptor usage
         const fdUsage = getFileDescriptorUsage();
@@ -330,7 +383,7 @@ async function getReadinessProbe() {
             message: 'Service is ready to accept traffic',
         };
     } catch (err) {
-        logger.error({ err, path: config.registryPath }, 'Readiness probe failed');
+        logger.error({ err, paths: getRegistrySources() }, 'Readiness probe failed');
         return {
             status: 'not_ready',
             timestamp: new Date().toISOString(),
@@ -345,6 +398,7 @@ module.exports = {
     getLivenessProbe,
     getReadinessProbe,
     checkRegistry,
+    checkRegistrySource,
     checkDataDir,
     getMemoryUsage,
     getUptime,
@@ -6,6 +6,8 @@
  * - HTTP server connection draining
  * - Notification persistence to disk
  * - Registry file watcher cleanup
+ * - Per-project favicon override/discovery watcher cleanup
+ * - Webhook dead-letter persistence
  * - Path validation cache cleanup (PERF-013)
  * - Cleanup interval management
  * - Force exit timeout to prevent hanging
@@ -77,6 +79,30 @@ function closeRegistryWatcher() {
     logger.info('Registry watcher closed');
 }
 
+/**
+ * Closes the favicon service's per-project override and discovery watchers
+ * and their pending debounce timers
+ *
+ * @param {Object} [faviconService] - FaviconService instance
+ */
+function closeFaviconService(faviconService) {
+    if (faviconService) {
+        faviconService.close();
+        logger.info('Favicon service watchers closed');
+    }
+}
+
+/**
+ * Stops webhook retries and persists unfinished deliveries as dead letters
+ *
+ * @returns {Promise<void>} Resolves when the dead-letter queue is saved
+ */
+async function stopWebhooks() {
+    const webhooks = require('../webhooks');
+    await webhooks.stop();
+    logger.info('Webhooks stopped');
+}
+
 /**
  * Sets up forced exit timeout to prevent hanging during shutdown
  *
@@ -104,6 +130,7 @@ function setupForceExitTimeout(timeout) {
  * @param {Object} server - HTTP server instance
  * @param {NodeJS.Timeout} cleanupInterval - Notification cleanup interval ID
  * @param {NodeJS.Timeout} uploadCleanupInterval - Upload storage cleanup interval ID
+ * @param {Object} [faviconService] - FaviconService whose project watchers are closed
  *
  * @description
  * Performs graceful shutdown in the following order:
@@ -112,7 +139,9 @@ function setupForceExitTimeout(timeout) {
  * 3. Stop path validation cache cleanup interval
  * 4. Save pending notifications to disk
  * 5. Close registry file watcher
- * 6. Exit with appropriate code (0 for success, 1 for errors)
+ * 6. Close favicon service project watchers
+ * 7. Stop webhooks (unfinished deliveries become dead letters)
+ * 8. Exit with appropriate code (0 for success, 1 for errors)
  *
  * Uses Promise.allSettled() to run independent cleanup tasks in parallel where safe.
  * Uses a single timeout (default: 10 seconds) to force exit if shutdown hangs.
@@ -127,7 +156,7 @@ function setupForceExitTimeout(timeout) {
  * @see {@link config.gracefulShutdownTimeout} for timeout configuration
  * @see {@link notificationStore.saveImmediate} for notification persistence
  */
-async function gracefulShutdown(signal, server, cleanupInterval, uploadCleanupInterval) {
+async function gracefulShutdown(signal, server, cleanupInterval, uploadCleanupInterval, faviconService) {
     logger.info({ signal }, 'Shutdown signal received, starting graceful shutdown');
 
     // FIX QUA-018: Single timeout pattern to prevent race conditions
@@ -144,19 +173,24 @@ async function gracefulShutdown(signal, server, cleanupInterval, uploadCleanupIn
         }
         stopPathValidatorCleanup();
 
-        // Step 3 & 4: Run independent cleanup tasks in parallel
+        // Step 3-7: Run independent cleanup tasks in parallel
         // - Save notifications to disk (I/O operation)
         // - Close registry watcher (file system operation)
-        // Using Promise.allSettled to ensure both run even if one fails
+        // - Close favicon service project watchers (file system operation)
+        // - Stop webhooks and save the dead-letter queue (I/O operation)
+        // Using Promise.allSettled to ensure all run even if one fails
+        const taskNames = ['saveNotifications', 'closeRegistryWatcher', 'closeFaviconService', 'stopWebhooks'];
         const results = await Promise.allSettled([
             saveNotificationsOnShutdown(),
             Promise.resolve(closeRegistryWatcher()), // Wrap sync function in Promise
+            Promise.resolve(closeFaviconService(faviconService)),
+            stopWebhooks(),
         ]);
 
         // Log any failures (graceful degradation)
         results.forEach((result, index) => {
             if (result.status === 'rejected') {
-                const taskName = index === 0 ? 'saveNotifications' : 'closeRegistryWatcher';
+                const taskName = taskNames[index]; // eslint-disable-line security/detect-object-injection
                 logger.error({ err: result.reason }, `Shutdown task failed: ${taskName}`);
             }
         });
@@ -180,16 +214,17 @@ async function gracefulShutdown(signal, server, cleanupInterval, uploadCleanupIn
  * @param {Object} server - HTTP server instance
  * @param {NodeJS.Timeout} cleanupInterval - Notification cleanup interval ID
  * @param {NodeJS.Timeout} uploadCleanupInterval - Upload storage cleanup interval ID
+ * @param {Object} [faviconService] - FaviconService whose project watchers are closed
  */
-function registerShutdownHandlers(server, cleanupInterval, uploadCleanupInterval) {
+function registerShutdownHandlers(server, cleanupInterval, uploadCleanupInterval, faviconService) {
     // Register signal handlers for graceful shutdown
-    process.on('SIGTERM', () => gracefulShutdown('SIGTERM', server, cleanupInterval, uploadCleanupInterval));
-    process.on('SIGINT', () => gracefulShutdown('SIGINT', server, cleanupInterval, uploadCleanupInterval));
+    process.on('SIGTERM', () => gracefulShutdown('SIGTERM', server, cleanupInterval, uploadCleanupInterval, faviconService));
+    process.on('SIGINT', () => gracefulShutdown('SIGINT', server, cleanupInterval, uploadCleanupInterval, faviconService));
 
     // Handle uncaught errors
     process.on('uncaughtException', (err) => {
         logger.fatal({ err }, 'Uncaught exception');
-        gracefulShutdown('uncaughtException', server, cleanupInterval, uploadCleanupInterval);
+        gracefulShutdown('uncaughtException', server, cleanupInterval, uploadCleanupInterval, faviconService);
     });
 
     process.on('unhandledRejection', (reason, promise) => {
@@ -205,5 +240,7 @@ module.exports = {
     stopPathValidatorCleanup,
     saveNotificationsOnShutdown,
     closeRegistryWatcher,
+    closeFaviconService,
+    stopWebhooks,
     setupForceExitTimeout,
 };
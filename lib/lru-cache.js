@@ -7,6 +7,7 @@
  * - Comprehensive statistics tracking (hits, misses, evictions, hit rate)
  * - O(1) get/set operations using JavaScript Map (insertion-ordered)
  * - Optimized to avoid unnecessary delete/set when item is already most recent
+ * - Optional onEvict callback to release resources tied to evicted items
  *
  * Usage:
  *   const cache = new LRUCache(100);
@@ -19,13 +20,16 @@ class LRUCache {
     /**
      * Create a new LRU cache
      * @param {number} maxSize - Maximum number of items to store (default: 100)
+     * @param {Object} [options] - Cache options
+     * @param {Function} [options.onEvict] - Called with (key, value) when an item is evicted for space
      */
-    constructor(maxSize = 100) {
+    constructor(maxSize = 100, options = {}) {
         if (maxSize < 1) {
             throw new Error('LRUCache maxSize must be at least 1');
         }
 
         this.maxSize = maxSize;
+        this.onEvict = options.onEvict || null;
         this.cache = new Map();
         this.lastKey = null; // Track most recently used key for optimization
         this.stats = {
@@ -78,7 +82,7 @@ class LRUCache {
         } else if (this.cache.size >= this.maxSize) {
             // Cache is full and this is a new key - evict LRU item
             // First item in Map is the least recently used (oldest)
-            const firstKey = this.cache.keys().next().value;
+            const [firstKey, firstValue] = this.cache.entries().next().value;
             this.cache.delete(firstKey);
             this.stats.evictions++;
 
@@ -86,6 +90,10 @@ class LRUCache {
             if (this.lastKey === firstKey) {
                 this.lastKey = null;
             }
+
+            if (this.onEvict) {
+                this.onEvict(firstKey, firstValue);
+            }
         }
 
         // Add to end (most recently used position)
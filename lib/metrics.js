@@ -6,6 +6,7 @@
  * - HTTP request performance (histogram)
  * - HTTP request counts by status code (counter)
  * - Favicon cache efficiency (counters)
+ * - Favicon conditional GET revalidations (counter)
  * - SSE connection tracking (gauge)
  *
  * Usage:
@@ -79,6 +80,16 @@ const faviconCacheMissesTotal = new client.Counter({
     registers: [register],
 });
 
+/**
+ * Favicon Not Modified Counter
+ * Tracks conditional requests (If-None-Match / If-Modified-Since) answered with 304
+ */
+const faviconNotModifiedTotal = new client.Counter({
+    name: 'favicon_not_modified_total',
+    help: 'Total number of favicon requests answered with 304 Not Modified',
+    registers: [register],
+});
+
 /**
  * SSE Connections Active Gauge
  * Tracks current number of active Server-Sent Events connections
@@ -122,6 +133,7 @@ module.exports = {
     httpRequestsTotal,
     faviconCacheHitsTotal,
     faviconCacheMissesTotal,
+    faviconNotModifiedTotal,
     sseConnectionsActive,
     normalizeRoute,
 };
@@ -1,7 +1,10 @@
 const { EventEmitter } = require('events');
 const config = require('./config');
+const { describeSessions } = require('./notification-sessions');
 
 // Constants
+// Event types that carry a pending notification (hasNotification: true in the SSE payload)
+const NOTIFICATION_EVENT_TYPES = new Set(['created', 'completed', 'working', 'needs-input', 'error']);
 const SSE_LISTENER_BUFFER = 20; // Extra buffer beyond global SSE limit for event processing
 const SSE_LISTENER_FALLBACK = 120; // Fallback max listeners if config unavailable
 
@@ -17,13 +20,13 @@ eventEmitter.setMaxListeners(
  * PERF-006: Pre-serialize SSE payload to avoid repeated JSON.stringify per client
  * Builds the SSE payload structure and returns both the object and pre-serialized string
  *
- * @param {string} eventType - Event type (created, completed, working, read, removed)
+ * @param {string} eventType - Event type (created, completed, working, needs-input, error, read, removed)
  * @param {Object} notification - Notification object (optional for 'removed' type)
  * @returns {Object} { payload, serialized } - Payload object and pre-serialized JSON string
  */
 function buildSSEPayload(eventType, notification) {
     const payload = {
-        hasNotification: eventType === 'created' || eventType === 'completed' || eventType === 'working',
+        hasNotification: NOTIFICATION_EVENT_TYPES.has(eventType),
         type: eventType,
     };
 
@@ -33,6 +36,7 @@ function buildSSEPayload(eventType, notification) {
         if (notification.metadata) {
             payload.metadata = notification.metadata;
         }
+        Object.assign(payload, describeSessions(notification));
     }
 
     return {
@@ -44,7 +48,7 @@ function buildSSEPayload(eventType, notification) {
 /**
  * Emit a notification event
  * @param {string} folder - Folder path
- * @param {string} type - Event type (created, completed, working, read, removed)
+ * @param {string} type - Event type (created, completed, working, needs-input, error, read, removed)
  * @param {Object} [notification] - Notification object (optional for 'removed' type)
  */
 function emit(folder, type, notification) {
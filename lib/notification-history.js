@@ -0,0 +1,174 @@
+/**
+ * Per-project notification history
+ *
+ * The notification store keeps only the latest notification per folder; every
+ * notification is also appended here so clients can page back through earlier
+ * ones. Entries are bounded per project (MAX_PER_PROJECT) and by age (TTL_MS,
+ * pruned on cleanup and skipped by queries in between), and are persisted next
+ * to notifications.json by notification-storage.
+ */
+
+const config = require('./config');
+
+// Constants (fall back to the defaults when a config object omits them)
+const MAX_PER_PROJECT = config.notificationHistoryMaxPerProject ?? 100;
+const TTL_MS = config.notificationHistoryTtlMs ?? 7 * 24 * 60 * 60 * 1000;
+const MAX_PROJECTS = config.notificationMaxCount ?? 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Append-only entries per notification key (origin:folder), oldest first
+const history = new Map();
+
+// Entry ids increase monotonically and double as pagination cursors
+let lastId = 0;
+
+/**
+ * Replace the history with loaded data
+ * Malformed keys and entries are dropped.
+ * @param {Object} data - Persisted history ({ [key]: Array<entry> })
+ */
+function loadHistory(data) {
+    history.clear();
+    lastId = 0;
+    for (const [key, entries] of Object.entries(data || {})) {
+        if (!Array.isArray(entries)) continue;
+        const valid = entries.filter((entry) => entry && Number.isInteger(entry.id) && typeof entry.timestamp === 'number');
+        if (valid.length === 0) continue;
+        valid.sort((a, b) => a.id - b.id);
+        history.set(key, valid);
+        lastId = Math.max(lastId, valid[valid.length - 1].id);
+    }
+}
+
+/**
+ * Get the history for persistence
+ * @returns {Object} History ({ [key]: Array<entry> })
+ */
+function getHistory() {
+    return Object.fromEntries(history);
+}
+
+/**
+ * Drop the project whose newest entry is the oldest when over MAX_PROJECTS
+ */
+function enforceProjectLimit() {
+    if (history.size <= MAX_PROJECTS) return;
+
+    let oldestKey = null;
+    let oldestTimestamp = Infinity;
+    for (const [key, entries] of history) {
+        const newest = entries[entries.length - 1].timestamp;
+        if (newest < oldestTimestamp) {
+            oldestKey = key;
+            oldestTimestamp = newest;
+        }
+    }
+    history.delete(oldestKey);
+}
+
+/**
+ * Append a notification to a project's history
+ * Keeps at most MAX_PER_PROJECT entries per key (oldest dropped first).
+ * @param {string} key - Notification key (see notification-store getNotificationKey)
+ * @param {Object} notification - Notification (folder, status, message, timestamp, metadata)
+ * @param {string|null} origin - VS Code server origin
+ * @param {string|null} [sessionId] - Claude session that reported it
+ * @returns {Object|null} Appended entry, or null when history is disabled
+ */
+function append(key, notification, origin, sessionId = null) {
+    if (MAX_PER_PROJECT <= 0) return null;
+
+    const entry = {
+        id: ++lastId,
+        folder: notification.folder,
+        origin: origin || null,
+        ...(sessionId && { sessionId }),
+        status: notification.status,
+        message: notification.message,
+        timestamp: notification.timestamp,
+        ...(notification.metadata && { metadata: notification.metadata }),
+    };
+
+    if (!history.has(key)) history.set(key, []);
+    const entries = history.get(key);
+    entries.push(entry);
+    if (entries.length > MAX_PER_PROJECT) {
+        entries.splice(0, entries.length - MAX_PER_PROJECT);
+    }
+    enforceProjectLimit();
+    return entry;
+}
+
+/**
+ * Remove entries older than TTL_MS
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number} Number of entries removed
+ */
+function prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, entries] of history) {
+        const kept = entries.filter((entry) => now - entry.timestamp <= TTL_MS);
+        removed += entries.length - kept.length;
+        if (kept.length === 0) {
+            history.delete(key);
+        } else if (kept.length !== entries.length) {
+            history.set(key, kept);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Query a project's history, newest first, with cursor pagination
+ * Entries older than TTL_MS are skipped even before the next prune.
+ * @param {string} key - Notification key
+ * @param {Object} [options] - Query options
+ * @param {number} [options.since] - Only entries with timestamp >= since (ms)
+ * @param {number} [options.limit=50] - Page size (1-200)
+ * @param {number} [options.cursor] - Continue after this entry id (nextCursor of the previous page)
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {{entries: Array<Object>, nextCursor: string|null}} Page and the cursor of the next page
+ */
+function query(key, { since, limit = DEFAULT_PAGE_SIZE, cursor } = {}, now = Date.now()) {
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const oldest = Math.max(since ?? -Infinity, now - TTL_MS);
+    const page = [];
+    let hasMore = false;
+
+    const entries = history.get(key) || [];
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i]; // eslint-disable-line security/detect-object-injection
+        if (cursor !== undefined && entry.id >= cursor) continue;
+        // Entries are in time order, so every remaining one is older still
+        if (entry.timestamp < oldest) break;
+        if (page.length === pageSize) {
+            hasMore = true;
+            break;
+        }
+        page.push(entry);
+    }
+
+    return {
+        entries: page,
+        nextCursor: hasMore ? String(page[page.length - 1].id) : null,
+    };
+}
+
+/**
+ * Clear all history (internal use and tests)
+ */
+function clearHistory() {
+    history.clear();
+}
+
+module.exports = {
+    loadHistory,
+    getHistory,
+    append,
+    prune,
+    query,
+    clearHistory,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+};
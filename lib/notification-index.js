@@ -1,15 +1,33 @@
 const config = require('./config');
+const { describeSessions } = require('./notification-sessions');
 
 // Constants
 const TTL_MS = config.notificationTtlMs;
 const MAX_NOTIFICATIONS = config.notificationMaxCount;
 
+// Statuses that wait for the user (listed as unread); 'working' only drives the badge
+const ATTENTION_STATUSES = new Set(['completed', 'needs-input', 'error']);
+
 // PERF-006: Maintain separate index of unread completed notifications for O(1) lookup
+// (completed, needs-input and error, or any session in one of them - see needsAttention)
 const unreadCompletedIndex = new Map();
 
 // PERF-003: Cache minimum timestamp for O(1) maxAge computation
 let cachedMinTimestamp = Infinity;
 
+/**
+ * Check whether an unread notification waits for the user
+ * With several sessions the folder status can stay 'working' (e.g. "2 working, 1 done"),
+ * so any session in an attention status counts too.
+ * @param {Object} notification - Folder notification
+ * @returns {boolean} True if the notification belongs in the unread index
+ */
+function needsAttention(notification) {
+    if (!notification.unread) return false;
+    if (ATTENTION_STATUSES.has(notification.status)) return true;
+    return Array.isArray(notification.sessions) && notification.sessions.some((session) => ATTENTION_STATUSES.has(session.status));
+}
+
 /**
  * Update unreadCompletedIndex when notification changes
  * @param {string} folder - Folder path
@@ -17,7 +35,7 @@ let cachedMinTimestamp = Infinity;
  */
 function updateUnreadIndex(folder, notifications) {
     const notification = notifications[folder];
-    if (notification && notification.unread && notification.status === 'completed') {
+    if (notification && needsAttention(notification)) {
         unreadCompletedIndex.set(folder, notification);
     } else {
         unreadCompletedIndex.delete(folder);
@@ -41,7 +59,7 @@ function rebuildIndex(notifications) {
     }
 
     for (const [folder, notification] of Object.entries(notifications)) {
-        if (notification.unread && notification.status === 'completed') {
+        if (needsAttention(notification)) {
             unreadCompletedIndex.set(folder, notification);
         }
     }
@@ -94,6 +112,7 @@ function updateMinTimestamp(notifications, newTimestamp) {
  * PERF-006: Get unread completed notifications using optimized index
  * @param {string} [folder] - Optional folder filter
  * @returns {Array} Array of notification objects with folder, message, timestamp, status
+ *   (plus sessions and summary for notifications posted with a sessionId)
  */
 function getUnread(folder) {
     const now = Date.now();
@@ -109,6 +128,7 @@ function getUnread(folder) {
                 message: notification.message,
                 timestamp: notification.timestamp,
                 status: notification.status,
+                ...describeSessions(notification),
             });
         }
     } else {
@@ -120,6 +140,7 @@ function getUnread(folder) {
                     message: notification.message,
                     timestamp: notification.timestamp,
                     status: notification.status,
+                    ...describeSessions(notification),
                 });
             }
         }
@@ -158,6 +179,8 @@ function getStats(notifications, listenerCount = 0) {
 }
 
 module.exports = {
+    ATTENTION_STATUSES,
+    needsAttention,
     updateUnreadIndex,
     rebuildIndex,
     clearIndex,
@@ -0,0 +1,112 @@
+/**
+ * Per-session notification state
+ *
+ * A folder can run several Claude sessions at once (subagents, parallel
+ * worktrees). Notifications posted with a sessionId keep one entry per session
+ * on the folder's notification; the folder status is aggregated from them, so
+ * one session finishing does not mark the whole folder completed.
+ */
+
+// Constants
+const MAX_SESSIONS_PER_FOLDER = 20;
+
+// Aggregation order: the first status any session has wins
+const STATUS_PRIORITY = ['needs-input', 'error', 'working', 'completed'];
+
+// Summary labels ("2 working, 1 done")
+const STATUS_LABELS = {
+    'needs-input': 'needs input',
+    error: 'failed',
+    working: 'working',
+    completed: 'done',
+};
+
+/**
+ * Insert or replace a session entry
+ * Keeps at most MAX_SESSIONS_PER_FOLDER entries (least recently updated dropped first).
+ *
+ * @param {Array<Object>|undefined} sessions - Current sessions of the folder
+ * @param {string} sessionId - Session ID
+ * @param {{status: string, message: string, timestamp: number}} data - Session state
+ * @returns {Array<Object>} New sessions array, ordered by first appearance
+ */
+function updateSession(sessions, sessionId, { status, message, timestamp }) {
+    const entry = { sessionId, status, message, timestamp };
+    const current = sessions || [];
+    const next = current.some((session) => session.sessionId === sessionId)
+        ? current.map((session) => (session.sessionId === sessionId ? entry : session))
+        : [...current, entry];
+
+    while (next.length > MAX_SESSIONS_PER_FOLDER) {
+        let oldest = 0;
+        next.forEach((session, i) => {
+            // eslint-disable-next-line security/detect-object-injection
+            if (session.timestamp < next[oldest].timestamp) oldest = i;
+        });
+        next.splice(oldest, 1);
+    }
+    return next;
+}
+
+/**
+ * Drop sessions that have finished (anything but working)
+ * Used when the folder notification is read.
+ *
+ * @param {Array<Object>|undefined} sessions - Sessions of the folder
+ * @returns {Array<Object>} Sessions still working
+ */
+function pruneFinished(sessions) {
+    return (sessions || []).filter((session) => session.status === 'working');
+}
+
+/**
+ * Aggregate the folder status from its sessions
+ *
+ * @param {Array<Object>} sessions - Sessions of the folder (non-empty)
+ * @returns {string} Highest-priority status (needs-input > error > working > completed)
+ */
+function aggregateStatus(sessions) {
+    const statuses = new Set(sessions.map((session) => session.status));
+    return STATUS_PRIORITY.find((status) => statuses.has(status)) || 'completed';
+}
+
+/**
+ * Count sessions per status
+ *
+ * @param {Array<Object>} sessions - Sessions of the folder
+ * @returns {string} Summary such as "2 working, 1 done" (priority order, zero counts omitted)
+ */
+function summarize(sessions) {
+    return STATUS_PRIORITY.map((status) => {
+        const count = sessions.filter((session) => session.status === status).length;
+        // eslint-disable-next-line security/detect-object-injection
+        return count > 0 ? `${count} ${STATUS_LABELS[status]}` : null;
+    })
+        .filter(Boolean)
+        .join(', ');
+}
+
+/**
+ * Session fields for API responses
+ *
+ * @param {Object} notification - Folder notification
+ * @returns {{sessions: Array<Object>, summary: string}|{}} Sessions and summary, or {} without sessions
+ */
+function describeSessions(notification) {
+    if (!notification || !Array.isArray(notification.sessions) || notification.sessions.length === 0) {
+        return {};
+    }
+    return {
+        sessions: notification.sessions,
+        summary: summarize(notification.sessions),
+    };
+}
+
+module.exports = {
+    updateSession,
+    pruneFinished,
+    aggregateStatus,
+    summarize,
+    describeSessions,
+    MAX_SESSIONS_PER_FOLDER,
+};
@@ -5,6 +5,8 @@ const logger = require('./logger');
 
 // Constants
 const NOTIFICATIONS_FILE = path.join(config.dataDir, 'notifications.json');
+// Per-project notification history (notification-history.js), saved with the latest notifications
+const HISTORY_FILE = path.join(config.dataDir, 'notification-history.json');
 const SAVE_DEBOUNCE_MS = 1000; // Debounce saves by 1 second to reduce disk writes
 
 // Save state
@@ -72,33 +74,61 @@ async function load() {
 }
 
 /**
- * Internal save function (extracted for reuse)
+ * Load the notification history from disk
+ * A missing or unreadable file starts an empty history.
+ * @returns {Promise<Object>} Loaded history ({ [key]: Array<entry> })
+ */
+async function loadHistory() {
+    try {
+        const data = await fs.promises.readFile(HISTORY_FILE, 'utf8');
+        const history = JSON.parse(data);
+        logger.info({ projects: Object.keys(history).length, file: HISTORY_FILE }, 'Notification history loaded from file');
+        return history;
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.error({ err, file: HISTORY_FILE }, 'Failed to load notification history');
+        }
+        return {};
+    }
+}
+
+/**
+ * Write a JSON data file with strict permissions
  * SECURITY FIX SEC-005: Sets strict file permissions after writing
  * OPTIMIZATION QUA-029: Use compact JSON in production, pretty JSON in development
+ * @param {string} file - Target file
+ * @param {Object} data - Data to write
+ */
+async function writeDataFile(file, data) {
+    // Use compact JSON in production for better performance and smaller file size
+    // Use pretty JSON in development for readability
+    const jsonData = process.env.NODE_ENV === 'production'
+        ? JSON.stringify(data)
+        : JSON.stringify(data, null, 2);
+
+    await fs.promises.writeFile(file, jsonData, 'utf8');
+
+    // SECURITY FIX SEC-005: Set strict file permissions (0600)
+    // Only the service user can read/write the notification file
+    try {
+        await fs.promises.chmod(file, 0o600);
+    } catch (chmodErr) {
+        logger.warn({ err: chmodErr, file }, 'Failed to set file permissions');
+    }
+}
+
+/**
+ * Internal save function (extracted for reuse)
  * @param {Object} notifications - Notifications object to save
+ * @param {Object} [history] - Notification history to save alongside (skipped when omitted)
  */
-async function doSave(notifications) {
+async function doSave(notifications, history) {
     try {
         await ensureDataDir();
 
-        // Use compact JSON in production for better performance and smaller file size
-        // Use pretty JSON in development for readability
-        const jsonData = process.env.NODE_ENV === 'production'
-            ? JSON.stringify(notifications)
-            : JSON.stringify(notifications, null, 2);
-
-        await fs.promises.writeFile(
-            NOTIFICATIONS_FILE,
-            jsonData,
-            'utf8'
-        );
-
-        // SECURITY FIX SEC-005: Set strict file permissions (0600)
-        // Only the service user can read/write the notification file
-        try {
-            await fs.promises.chmod(NOTIFICATIONS_FILE, 0o600);
-        } catch (chmodErr) {
-            logger.warn({ err: chmodErr, file: NOTIFICATIONS_FILE }, 'Failed to set file permissions');
+        await writeDataFile(NOTIFICATIONS_FILE, notifications);
+        if (history !== undefined) {
+            await writeDataFile(HISTORY_FILE, history);
         }
 
         dirty = false; // Clear dirty flag after successful save
@@ -147,9 +177,10 @@ async function doSave(notifications) {
  * ```
  *
  * @param {Object} notifications - Notifications object to save
+ * @param {Object} [history] - Notification history to save alongside
  * @returns {Promise<void>} Promise that resolves when save completes
  */
-function save(notifications) {
+function save(notifications, history) {
     dirty = true; // Mark as dirty when save is requested
 
     // Create promise if needed - all calls during debounce window share this promise
@@ -165,7 +196,7 @@ function save(notifications) {
     }
 
     saveTimeout = setTimeout(async () => {
-        await doSave(notifications);
+        await doSave(notifications, history);
 
         // Capture resolve function before clearing state
         const resolve = saveResolve;
@@ -189,8 +220,9 @@ function save(notifications) {
  * Save immediately (for graceful shutdown)
  * Clears any pending debounced saves and saves immediately
  * @param {Object} notifications - Notifications object to save
+ * @param {Object} [history] - Notification history to save alongside
  */
-async function saveImmediate(notifications) {
+async function saveImmediate(notifications, history) {
     if (saveTimeout) {
         clearTimeout(saveTimeout);
         saveTimeout = null;
@@ -203,7 +235,7 @@ async function saveImmediate(notifications) {
 
     // Only save if there are dirty changes
     if (dirty) {
-        await doSave(notifications);
+        await doSave(notifications, history);
     }
 
     // Resolve any pending promise
@@ -222,6 +254,7 @@ function isDirty() {
 
 module.exports = {
     load,
+    loadHistory,
     save,
     saveImmediate,
     isDirty,
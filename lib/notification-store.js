@@ -2,12 +2,16 @@ const config = require('./config');
 const logger = require('./logger');
 const storage = require('./notification-storage');
 const index = require('./notification-index');
+const notificationHistory = require('./notification-history');
+const notificationSessions = require('./notification-sessions');
 const events = require('./notification-events');
 
 // Constants
 const MAX_NOTIFICATIONS = config.notificationMaxCount;
 const TTL_MS = config.notificationTtlMs;
 const CLEANUP_INTERVAL = config.notificationCleanupIntervalMs;
+// Keys with an origin: "<scheme>://<host>:<absolute folder>"
+const ORIGIN_KEY_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/[^/]+):(\/.*)$/i;
 
 // In-memory storage
 let notifications = {};
@@ -25,6 +29,21 @@ function getNotificationKey(folder, origin) {
     return origin ? `${origin}:${folder}` : folder;
 }
 
+/**
+ * Split a notification key (as carried by events and getUnread) into folder and origin
+ * @param {string} key - Notification key
+ * @param {Object} [notification] - Notification for the key (its folder is used when present)
+ * @returns {{folder: string, origin: string|null}} Folder path and origin
+ */
+function parseNotificationKey(key, notification) {
+    if (notification && notification.folder) {
+        const folder = notification.folder;
+        return { folder, origin: key === folder ? null : key.slice(0, -(folder.length + 1)) };
+    }
+    const match = ORIGIN_KEY_PATTERN.exec(key);
+    return match ? { folder: match[2], origin: match[1] } : { folder: key, origin: null };
+}
+
 /**
  * Pure function: Sort notifications by timestamp (oldest first)
  * @param {Array<[string, Object]>} entries - Array of [folder, data] entries
@@ -51,6 +70,7 @@ function selectOldestN(entries, n) {
  */
 async function load() {
     notifications = await storage.load();
+    notificationHistory.loadHistory(await storage.loadHistory());
 
     // Rebuild unreadCompletedIndex from loaded data
     index.rebuildIndex(notifications);
@@ -60,12 +80,12 @@ async function load() {
 }
 
 /**
- * Save notifications to disk (debounced)
+ * Save notifications and their history to disk (debounced)
  * Delegates to storage module
  * @returns {Promise<void>} Promise that resolves when save completes
  */
 function save() {
-    return storage.save(notifications);
+    return storage.save(notifications, notificationHistory.getHistory());
 }
 
 /**
@@ -73,13 +93,14 @@ function save() {
  * Delegates to storage module
  */
 async function saveImmediate() {
-    return storage.saveImmediate(notifications);
+    return storage.saveImmediate(notifications, notificationHistory.getHistory());
 }
 
 /**
  * PERF-001: Cleanup expired and excess notifications with race condition protection
  * - Removes notifications older than TTL_MS (24 hours)
  * - Enforces MAX_NOTIFICATIONS limit (keeps most recent)
+ * - Prunes history entries older than the history TTL
  * - Uses mutex to prevent concurrent cleanup corruption
  * @returns {Promise<number>} Number of notifications removed
  */
@@ -125,6 +146,7 @@ async function cleanup() {
         }
 
         const removed = before - Object.keys(notifications).length;
+        const historyRemoved = notificationHistory.prune(now);
         const duration = Date.now() - startTime;
 
         // Debug logging for every cleanup run (even when removed=0)
@@ -150,6 +172,8 @@ async function cleanup() {
                 },
                 'Cleaned up expired/excess notifications'
             );
+        }
+        if (removed > 0 || historyRemoved > 0) {
             await save();
         }
 
@@ -171,6 +195,19 @@ function get(folder, origin = null) {
     return notifications[key] || null;
 }
 
+/**
+ * Get the notification history of a project (newest first)
+ * Unlike get(), which returns only the latest notification, every
+ * set/setWorking/setCompleted call is kept, bounded by count and age.
+ * @param {string} folder - Validated folder path
+ * @param {string} [origin] - VS Code server origin
+ * @param {Object} [options] - Query options (since, limit, cursor; see notification-history query)
+ * @returns {{entries: Array<Object>, nextCursor: string|null}} Page of entries and the next page cursor
+ */
+function getHistory(folder, origin = null, options = {}) {
+    return notificationHistory.query(getNotificationKey(folder, origin), options);
+}
+
 /**
  * FIX QUA-026: Enforce size limit immediately to prevent unbounded growth
  * Removes oldest notification if we exceed MAX_NOTIFICATIONS
@@ -211,7 +248,7 @@ function enforceSizeLimit() {
  * Set/create a notification
  * @param {string} folder - Validated folder path
  * @param {Object} data - Notification data (message, timestamp, unread, status)
- * @param {string} data.status - 'working' or 'completed'
+ * @param {string} data.status - 'working', 'completed', 'needs-input' or 'error'
  * @param {string} [origin] - VS Code server origin
  */
 function set(folder, data, origin = null) {
@@ -222,9 +259,10 @@ function set(folder, data, origin = null) {
         message: data.message || 'Task completed',
         timestamp,
         unread: data.unread !== undefined ? data.unread : true,
-        status: data.status || 'completed', // 'working' or 'completed'
+        status: data.status || 'completed', // 'working', 'completed', 'needs-input' or 'error'
     };
     index.updateUnreadIndex(key, notifications);
+    notificationHistory.append(key, notifications[key], origin); // eslint-disable-line security/detect-object-injection
 
     // FIX QUA-026: Enforce size limit immediately
     enforceSizeLimit();
@@ -239,22 +277,38 @@ function set(folder, data, origin = null) {
 }
 
 /**
- * Set working status (Claude started)
+ * Store a status notification in the latest slot for a project
+ * Shared by setWorking/setCompleted/setNeedsInput/setError; the SSE event type is the folder status.
+ * With a sessionId only that session's entry is replaced and the folder status is
+ * aggregated over all sessions (see notification-sessions).
  * @param {string} folder - Validated folder path
- * @param {string} message - Optional message
- * @param {string} [origin] - VS Code server origin
+ * @param {string} status - 'working', 'completed', 'needs-input' or 'error'
+ * @param {string} message - Notification message
+ * @param {Object|null} metadata - Optional metadata
+ * @param {string|null} origin - VS Code server origin
+ * @param {string|null} sessionId - Claude session ID
  */
-function setWorking(folder, message = 'Working...', origin = null) {
+function setStatus(folder, status, message, metadata, origin, sessionId) {
     const key = getNotificationKey(folder, origin);
     const timestamp = Date.now();
-    notifications[key] = {
+    const previous = notifications[key]; // eslint-disable-line security/detect-object-injection
+    const sessions = sessionId
+        ? notificationSessions.updateSession(previous && previous.sessions, sessionId, { status, message, timestamp })
+        : null;
+
+    const notification = {
         folder,
         message,
         timestamp,
         unread: true,
-        status: 'working',
+        status: sessions ? notificationSessions.aggregateStatus(sessions) : status,
+        ...(metadata && { metadata }),
+        ...(sessions && { sessions }),
     };
+    notifications[key] = notification;
     index.updateUnreadIndex(key, notifications);
+    // History records what this session reported, not the aggregated folder status
+    notificationHistory.append(key, { folder, message, timestamp, status, metadata }, origin, sessionId);
 
     // FIX QUA-026: Enforce size limit immediately
     enforceSizeLimit();
@@ -264,7 +318,18 @@ function setWorking(folder, message = 'Working...', origin = null) {
 
     save();
 
-    events.emit(key, 'working', notifications[key]);
+    events.emit(key, notification.status, notification);
+}
+
+/**
+ * Set working status (Claude started)
+ * @param {string} folder - Validated folder path
+ * @param {string} message - Optional message
+ * @param {string} [origin] - VS Code server origin
+ * @param {string} [sessionId] - Claude session ID
+ */
+function setWorking(folder, message = 'Working...', origin = null, sessionId = null) {
+    setStatus(folder, 'working', message, null, origin, sessionId);
 }
 
 /**
@@ -273,29 +338,50 @@ function setWorking(folder, message = 'Working...', origin = null) {
  * @param {string} message - Optional message
  * @param {Object} metadata - Optional metadata (files_changed, tools_used, etc.)
  * @param {string} [origin] - VS Code server origin
+ * @param {string} [sessionId] - Claude session ID
  */
-function setCompleted(folder, message = 'Task completed', metadata = null, origin = null) {
-    const key = getNotificationKey(folder, origin);
-    const timestamp = Date.now();
-    notifications[key] = {
-        folder,
-        message,
-        timestamp,
-        unread: true,
-        status: 'completed',
-        ...(metadata && { metadata }),
-    };
-    index.updateUnreadIndex(key, notifications);
-
-    // FIX QUA-026: Enforce size limit immediately
-    enforceSizeLimit();
+function setCompleted(folder, message = 'Task completed', metadata = null, origin = null, sessionId = null) {
+    setStatus(folder, 'completed', message, metadata, origin, sessionId);
+}
 
-    // PERF-003: Update minTimestamp cache after adding notification
-    index.updateMinTimestamp(notifications, timestamp);
+/**
+ * Set needs-input status (Claude is blocked on a permission prompt or question)
+ * @param {string} folder - Validated folder path
+ * @param {string} message - Optional message
+ * @param {Object} metadata - Optional metadata
+ * @param {string} [origin] - VS Code server origin
+ * @param {string} [sessionId] - Claude session ID
+ */
+function setNeedsInput(folder, message = 'Waiting for input', metadata = null, origin = null, sessionId = null) {
+    setStatus(folder, 'needs-input', message, metadata, origin, sessionId);
+}
 
-    save();
+/**
+ * Set error status (a tool or the session failed)
+ * @param {string} folder - Validated folder path
+ * @param {string} message - Optional message
+ * @param {Object} metadata - Optional metadata
+ * @param {string} [origin] - VS Code server origin
+ * @param {string} [sessionId] - Claude session ID
+ */
+function setError(folder, message = 'Task failed', metadata = null, origin = null, sessionId = null) {
+    setStatus(folder, 'error', message, metadata, origin, sessionId);
+}
 
-    events.emit(key, 'completed', notifications[key]);
+/**
+ * Drop finished sessions of a notification that was read
+ * Sessions still working stay listed and the folder status is re-aggregated from them.
+ * @param {Object} notification - Folder notification
+ */
+function pruneReadSessions(notification) {
+    if (!notification.sessions) return;
+    const sessions = notificationSessions.pruneFinished(notification.sessions);
+    if (sessions.length > 0) {
+        notification.sessions = sessions;
+        notification.status = notificationSessions.aggregateStatus(sessions);
+    } else {
+        delete notification.sessions;
+    }
 }
 
 /**
@@ -308,6 +394,7 @@ function markRead(folder, origin = null) {
     const key = getNotificationKey(folder, origin);
     if (notifications[key]) {
         notifications[key].unread = false;
+        pruneReadSessions(notifications[key]); // eslint-disable-line security/detect-object-injection
         index.updateUnreadIndex(key, notifications);
         save();
 
@@ -432,9 +519,12 @@ module.exports = {
     saveImmediate,
     cleanup,
     get,
+    getHistory,
     set,
     setWorking,
     setCompleted,
+    setNeedsInput,
+    setError,
     markRead,
     remove,
     removeAll,
@@ -443,4 +533,5 @@ module.exports = {
     getStats,
     startCleanupInterval,
     subscribe,
+    parseNotificationKey,
 };
@@ -0,0 +1,129 @@
+/**
+ * Project Search
+ *
+ * Filtering and fuzzy ranking of registry projects for GET /api/projects.
+ *
+ * - Filters (type, tags, group) must all match; tags and groups compare
+ *   case-insensitively, and every requested tag must be present
+ * - The query is matched against the name and the path: exact, then prefix,
+ *   then substring, then in-order characters (fewer gaps rank higher).
+ *   Path matches rank below name matches
+ * - Without a query, projects are sorted by name
+ */
+
+// Base scores per match kind (higher is better)
+const MATCH_SCORES = {
+    EXACT: 1000,
+    PREFIX: 800,
+    SUBSTRING: 600,
+    SUBSEQUENCE: 400,
+};
+
+// Path matches count half as much as name matches
+const PATH_WEIGHT = 0.5;
+
+/**
+ * Split a comma-separated filter value
+ *
+ * @param {string} [value] - e.g. 'backend,api'
+ * @returns {Array<string>} Trimmed, lowercased, non-empty items
+ */
+function parseList(value) {
+    if (!value) return [];
+    return value
+        .split(',')
+        .map((item) => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Fuzzy-match a query against a text
+ *
+ * @param {string} query - Lowercased query
+ * @param {string} text - Text to match
+ * @returns {number|null} Score (higher is better), or null when the text does not match
+ *
+ * @example
+ * fuzzyScore('vsf', 'vscode-favicon') // subsequence match
+ */
+function fuzzyScore(query, text) {
+    const haystack = String(text || '').toLowerCase();
+    if (!query || !haystack) return null;
+
+    if (haystack === query) return MATCH_SCORES.EXACT;
+    if (haystack.startsWith(query)) return MATCH_SCORES.PREFIX - (haystack.length - query.length);
+
+    const index = haystack.indexOf(query);
+    if (index !== -1) return MATCH_SCORES.SUBSTRING - index;
+
+    // Characters in order: penalize the characters skipped between matches
+    let position = -1;
+    let gaps = 0;
+    for (const char of query) {
+        const next = haystack.indexOf(char, position + 1);
+        if (next === -1) return null;
+        if (position !== -1) gaps += next - position - 1;
+        position = next;
+    }
+    return Math.max(MATCH_SCORES.SUBSEQUENCE - gaps, 1);
+}
+
+/**
+ * Unique projects of a flattened registry (indexed by both name and path)
+ * Projects without a path are skipped: they cannot be opened or get a favicon.
+ *
+ * @param {Object} registryProjects - registry.projects from registry-cache
+ * @returns {Array<Object>} Projects
+ */
+function getUniqueProjects(registryProjects) {
+    const unique = new Set(Object.values(registryProjects || {}));
+    return [...unique].filter((project) => typeof project.path === 'string');
+}
+
+/**
+ * Filter and rank projects
+ *
+ * @param {Array<Object>} projects - Candidate projects
+ * @param {Object} [criteria={}] - Search criteria
+ * @param {string} [criteria.q] - Fuzzy query (name and path)
+ * @param {string} [criteria.type] - Exact project type
+ * @param {string} [criteria.tag] - Comma-separated tags, all required
+ * @param {string} [criteria.group] - Group name
+ * @returns {Array<{project: Object, score: number|null}>} Matches, best first
+ *
+ * @example
+ * searchProjects(projects, { type: 'prod', tag: 'backend', q: 'api' })
+ */
+function searchProjects(projects, { q, type, tag, group } = {}) {
+    const query = q ? q.trim().toLowerCase() : '';
+    const tags = parseList(tag);
+    const groupName = group ? group.trim().toLowerCase() : '';
+
+    const matches = [];
+    for (const project of projects) {
+        if (type && project.type !== type) continue;
+        if (groupName && String(project.group || '').toLowerCase() !== groupName) continue;
+        if (tags.length > 0) {
+            const projectTags = (Array.isArray(project.tags) ? project.tags : []).map((item) => String(item).toLowerCase());
+            if (!tags.every((item) => projectTags.includes(item))) continue;
+        }
+
+        let score = null;
+        if (query) {
+            const nameScore = fuzzyScore(query, project.name);
+            const pathScore = fuzzyScore(query, project.path);
+            score = Math.max(nameScore ?? 0, pathScore === null ? 0 : pathScore * PATH_WEIGHT);
+            if (nameScore === null && pathScore === null) continue;
+        }
+        matches.push({ project, score });
+    }
+
+    return matches.sort((a, b) => (b.score ?? 0) - (a.score ?? 0) || String(a.project.name).localeCompare(String(b.project.name)));
+}
+
+module.exports = {
+    MATCH_SCORES,
+    fuzzyScore,
+    getUniqueProjects,
+    searchProjects,
+};
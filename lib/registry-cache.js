@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 const logger = require('./logger');
+const { isRegistryFragment, parseRegistry } = require('./registry-formats');
+const { PROJECT_SCHEMA, getKnownTypes, readRegistryTypes, readRegistryEntries, checkRegistryEntry } = require('./registry-schema');
+const registryEvents = require('./registry-events');
+const registryHistory = require('./registry-history');
 
 /**
  * Centralized Registry Cache with TTL and File Watch Invalidation
@@ -14,6 +18,46 @@ const logger = require('./logger');
  * - Thread-safe (single cache instance per process)
  * - Optimized single-pass registry parsing
  * - FIX QUA-028: Cache warming on startup for reduced first-request latency
+ * - Multiple sources (REGISTRY_PATHS): files and directories of registry
+ *   fragments, merged in order and watched independently
+ * - JSON, YAML (.yaml/.yml) and TOML (.toml) registry files, detected by
+ *   extension (see registry-formats.js); directories pick up all three
+ *
+ * Merge precedence:
+ * - Sources are applied in REGISTRY_PATHS order; fragments in a directory
+ *   are applied in file name order
+ * - Entries are matched by `path` (by `name` when they have no path); a
+ *   later entry's fields override the earlier entry's, including the type
+ *   given by its section. So a per-user fragment only needs the fields it
+ *   changes, e.g. {"development": [{"path": "/opt/dev/app", "port": 3001}]}
+ * - A fragment that fails to parse keeps its last good contents (status
+ *   'error' in getSourceStatus) while the other sources still load
+ *
+ * Schema validation:
+ * - Every load checks entries against registry-schema.js and collects each
+ *   problem with its file and JSON pointer (getValidationReport)
+ * - Merged entries must have a name and a path, and names must be unique
+ * - REGISTRY_STRICT=true skips invalid entries instead of indexing them, so a
+ *   broken or duplicate entry cannot take over lookups by name
+ *
+ * Project types:
+ * - Besides development/production, files may hold a section per known type
+ *   (COLOR_* types and types declared in a top-level `types` block), and
+ *   entries may set `type` directly
+ * - `types` blocks are merged across files like entries (later fields win)
+ *   and returned as `registry.types`; their color, label and showPort take
+ *   precedence over the COLOR_* settings when favicons are generated
+ *
+ * Change events:
+ * - Each load is diffed against the previous one and the paths of changed,
+ *   added or removed projects are emitted as 'registry-updated'
+ *   (registry-events.js, forwarded to SSE clients)
+ * - While anyone listens, invalidations reload right away so the event is
+ *   pushed without waiting for the next request
+ *
+ * Version history:
+ * - Valid changes of file sources seen by the watcher (or polling) are
+ *   recorded by registry-history.js for diffs and rollback
  */
 
 // Cache state
@@ -25,64 +69,217 @@ const cacheStats = {
     invalidations: 0,
 };
 
-// File watcher with debouncing
-let watcher = null;
-let debounceTimeout = null;
-let pollingInterval = null;
-let lastModifiedTime = 0;
-let isPollingMode = false;
+// Per-file load status and last successfully parsed file (file path -> {rawRegistry, text})
+let sourceStatus = [];
+const lastGoodFiles = new Map();
+
+// Flattened projects from the previous successful load (diffed for registry-updated events)
+let lastLoadedProjects = null;
+
+// Schema validation report from the most recent registry load
+let validationReport = null;
+
+// Fields every merged project must have
+const REQUIRED_FIELDS = Object.keys(PROJECT_SCHEMA).filter((field) => PROJECT_SCHEMA[field].required); // eslint-disable-line security/detect-object-injection
+
+// Watch state per configured source (source path -> {watcher, debounceTimeout, rearmPending, pollingInterval, lastModifiedTime})
+const sourceWatchers = new Map();
+
+/**
+ * Configured registry sources in precedence order (lowest first)
+ * Falls back to REGISTRY_PATH when REGISTRY_PATHS is not set.
+ *
+ * @returns {Array<string>} Absolute file or directory paths
+ */
+function getRegistrySources() {
+    return config.registryPaths && config.registryPaths.length > 0 ? config.registryPaths : [config.registryPath];
+}
+
+/**
+ * Get (or create) the watch state for a source
+ *
+ * @param {string} sourcePath - Source path
+ * @returns {Object} Watch state
+ */
+function getWatchState(sourcePath) {
+    if (!sourceWatchers.has(sourcePath)) {
+        sourceWatchers.set(sourcePath, {
+            watcher: null,
+            debounceTimeout: null,
+            rearmPending: false,
+            pollingInterval: null,
+            lastModifiedTime: 0,
+        });
+    }
+    return sourceWatchers.get(sourcePath);
+}
+
+/**
+ * Drop the cached registry so the next getRegistry() reloads all sources
+ */
+function resetCache() {
+    registryCache = null;
+    cacheTimestamp = 0;
+    cacheStats.invalidations++;
+    scheduleReload();
+}
+
+/**
+ * Reload the registry after an invalidation when registry-updated has listeners
+ * Without listeners the next getRegistry() call reloads lazily as before.
+ */
+function scheduleReload() {
+    if (registryEvents.getListenerCount() === 0) {
+        return;
+    }
+    setImmediate(() => {
+        getRegistry().catch((err) => logger.error({ err }, 'Registry reload after invalidation failed'));
+    });
+}
+
+/**
+ * Paths of projects that differ between two flattened project maps
+ * Entries without a path are reported by name.
+ *
+ * @param {Object} previous - Previously loaded projects (path/name -> project)
+ * @param {Object} current - Newly loaded projects
+ * @returns {Array<string>} Affected project paths, sorted
+ */
+function getChangedProjectPaths(previous, current) {
+    const changed = new Set();
+    for (const key of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+        // eslint-disable-next-line security/detect-object-injection
+        const before = previous[key];
+        // eslint-disable-next-line security/detect-object-injection
+        const after = current[key];
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+        for (const project of [before, after]) {
+            if (project) changed.add(project.path || project.name || key);
+        }
+    }
+    return [...changed].sort();
+}
+
+/**
+ * Emit registry-updated for projects changed since the previous load
+ * Projects are compared together with the style of their type, so editing
+ * the `types` block refreshes every project of that type.
+ *
+ * @param {{projects: Object, types: Object}} registry - Newly loaded registry
+ */
+function notifyRegistryChanges(registry) {
+    const projects = {};
+    for (const [key, project] of Object.entries(registry.projects)) {
+        // eslint-disable-next-line security/detect-object-injection
+        projects[key] = { ...project, typeStyle: registry.types?.[project.type] };
+    }
+
+    const previous = lastLoadedProjects;
+    lastLoadedProjects = projects;
+    if (!previous) {
+        return;
+    }
+
+    const paths = getChangedProjectPaths(previous, projects);
+    if (paths.length > 0) {
+        logger.info({ affected: paths.length }, 'Registry projects changed, emitting registry-updated');
+        registryEvents.emitRegistryUpdated(paths);
+    }
+}
+
+/**
+ * Record a validated change of a file source in the version history
+ * The contents loaded before the change are passed along so the first
+ * recorded change can be rolled back too.
+ *
+ * @param {string} sourcePath - Registry file path
+ * @param {string} data - New file contents (parsed successfully)
+ */
+function recordHistory(sourcePath, data) {
+    const lastGood = lastGoodFiles.get(sourcePath);
+    registryHistory
+        .recordChange(sourcePath, data, lastGood ? lastGood.text : undefined)
+        .catch((err) => logger.warn({ err, registryPath: sourcePath }, 'Failed to record registry version'));
+}
+
+/**
+ * Modification signature of a source for polling
+ * Directories use the newest mtime of the directory and its registry fragments,
+ * so added, removed and edited fragments are all detected.
+ *
+ * @param {string} sourcePath - Source path
+ * @returns {Promise<{mtime: number, isDirectory: boolean}>} Signature
+ */
+async function getSourceSignature(sourcePath) {
+    const stats = await fs.promises.stat(sourcePath);
+    if (!stats.isDirectory()) {
+        return { mtime: stats.mtimeMs, isDirectory: false };
+    }
+
+    let mtime = stats.mtimeMs;
+    const names = (await fs.promises.readdir(sourcePath)).filter(isRegistryFragment);
+    for (const name of names) {
+        const fragmentStats = await fs.promises.stat(path.join(sourcePath, name)).catch(() => null);
+        if (fragmentStats) mtime = Math.max(mtime, fragmentStats.mtimeMs);
+    }
+    return { mtime, isDirectory: true };
+}
 
 /**
  * Polling-based cache invalidation fallback when fs.watch is unavailable
- * Checks file modification time every 30 seconds and invalidates cache on changes
+ * Checks source modification time every 30 seconds and invalidates cache on changes
+ *
+ * @param {string} sourcePath - Source path
  */
-async function pollForChanges() {
+async function pollForChanges(sourcePath) {
+    const state = getWatchState(sourcePath);
     try {
-        const stats = await fs.promises.stat(config.registryPath);
-        const currentModTime = stats.mtimeMs;
+        const { mtime: currentModTime, isDirectory } = await getSourceSignature(sourcePath);
 
         // Initialize on first poll
-        if (lastModifiedTime === 0) {
-            lastModifiedTime = currentModTime;
+        if (state.lastModifiedTime === 0) {
+            state.lastModifiedTime = currentModTime;
             return;
         }
 
-        // Check if file was modified
-        if (currentModTime > lastModifiedTime) {
-            // Validate JSON before invalidating cache (same as watcher)
+        // Check if source was modified
+        if (currentModTime > state.lastModifiedTime) {
+            // Validate syntax before invalidating cache (same as watcher)
+            // Directory fragments are validated on load and reported per file instead
             try {
-                const data = await fs.promises.readFile(config.registryPath, 'utf8');
-                JSON.parse(data); // Validate JSON syntax
+                if (!isDirectory) {
+                    const data = await fs.promises.readFile(sourcePath, 'utf8');
+                    parseRegistry(data, sourcePath); // Validate syntax (JSON, YAML or TOML)
+                    recordHistory(sourcePath, data);
+                }
 
                 logger.info(
                     {
-                        registryPath: config.registryPath,
+                        registryPath: sourcePath,
                         cacheAge: registryCache ? Date.now() - cacheTimestamp : null,
                         mode: 'polling',
                     },
                     'Registry file changed (polling detected), invalidating cache'
                 );
 
-                registryCache = null;
-                cacheTimestamp = 0;
-                cacheStats.invalidations++;
-                lastModifiedTime = currentModTime;
+                resetCache();
+                state.lastModifiedTime = currentModTime;
             } catch (err) {
-                // Keep stale cache on invalid JSON
+                // Keep stale cache on invalid JSON/YAML/TOML
                 logger.error(
                     {
                         err,
-                        registryPath: config.registryPath,
+                        registryPath: sourcePath,
                         mode: 'polling',
                     },
-                    'Registry file changed but contains invalid JSON (polling), keeping stale cache'
+                    'Registry file changed but failed to parse (polling), keeping stale cache'
                 );
             }
         }
     } catch (err) {
-        // File may have been deleted or is temporarily inaccessible
+        // Source may have been deleted or is temporarily inaccessible
         logger.debug(
-            { err, registryPath: config.registryPath },
+            { err, registryPath: sourcePath },
             'Polling check failed (file may be temporarily unavailable)'
         );
     }
@@ -91,130 +288,376 @@ async function pollForChanges() {
 /**
  * Setup polling-based cache invalidation as fallback
  * Used when fs.watch is not available or fails
+ *
+ * @param {string} sourcePath - Source path
  */
-function setupPolling() {
-    if (pollingInterval) return;
+function setupPolling(sourcePath) {
+    const state = getWatchState(sourcePath);
+    if (state.pollingInterval) return;
 
     const POLLING_INTERVAL_MS = 30000; // 30 seconds
 
     logger.warn(
         {
-            registryPath: config.registryPath,
+            registryPath: sourcePath,
             intervalMs: POLLING_INTERVAL_MS,
         },
         'Using polling mode for cache invalidation (fs.watch unavailable)'
     );
 
-    isPollingMode = true;
-
     // Poll immediately to set baseline
-    pollForChanges().catch((err) => {
+    pollForChanges(sourcePath).catch((err) => {
         logger.debug({ err }, 'Initial polling check failed');
     });
 
     // Start periodic polling
-    pollingInterval = setInterval(() => {
-        pollForChanges().catch((err) => {
+    state.pollingInterval = setInterval(() => {
+        pollForChanges(sourcePath).catch((err) => {
             logger.debug({ err }, 'Periodic polling check failed');
         });
     }, POLLING_INTERVAL_MS);
 
     // Prevent interval from keeping process alive
-    if (pollingInterval.unref) {
-        pollingInterval.unref();
+    if (state.pollingInterval.unref) {
+        state.pollingInterval.unref();
+    }
+}
+
+/**
+ * Check whether a source is a directory (synchronously, at watch setup)
+ *
+ * @param {string} sourcePath - Source path
+ * @returns {boolean} True for directories
+ */
+function isDirectorySource(sourcePath) {
+    try {
+        return fs.statSync(sourcePath).isDirectory();
+    } catch {
+        return false;
     }
 }
 
 /**
  * Setup file watcher for automatic cache invalidation with debouncing
- * Watches the registry file for changes and invalidates cache after 500ms debounce
+ * Watches a registry source for changes and invalidates cache after 500ms debounce
+ * Re-arms itself when a file source is replaced by rename (atomic writes)
  * Falls back to polling if fs.watch fails
+ *
+ * @param {string} sourcePath - Registry file or fragment directory
  */
-function setupWatcher() {
-    if (watcher) return;
+function setupWatcher(sourcePath) {
+    const state = getWatchState(sourcePath);
+    if (state.watcher) return;
+
+    const isDirectory = isDirectorySource(sourcePath);
 
     try {
-        watcher = fs.watch(config.registryPath, (eventType) => {
-            if (eventType === 'change') {
+        state.watcher = fs.watch(sourcePath, (eventType, filename) => {
+            // Directory sources: only registry fragments matter (skips editor and atomic-write temp files)
+            if (isDirectory && filename && !isRegistryFragment(filename)) {
+                return;
+            }
+
+            // Atomic writers (editors, the registry API) replace the file via rename,
+            // which detaches the watch from the path: re-arm it after the debounce
+            if (!isDirectory && eventType === 'rename' && state.watcher) {
+                state.watcher.close();
+                state.watcher = null;
+                state.rearmPending = true;
+            }
+
+            if (eventType === 'change' || eventType === 'rename') {
                 // Debounce invalidation to prevent multiple rapid invalidations
-                if (debounceTimeout) {
-                    clearTimeout(debounceTimeout);
+                if (state.debounceTimeout) {
+                    clearTimeout(state.debounceTimeout);
                 }
 
-                debounceTimeout = setTimeout(async () => {
-                    // FIX QUA-015: Validate JSON before invalidating cache
+                state.debounceTimeout = setTimeout(async () => {
+                    // FIX QUA-015: Validate syntax before invalidating cache
+                    // Directory fragments are validated on load and reported per file instead
                     try {
-                        const data = await fs.promises.readFile(config.registryPath, 'utf8');
-                        JSON.parse(data); // Validate JSON syntax
+                        if (!isDirectory) {
+                            const data = await fs.promises.readFile(sourcePath, 'utf8');
+                            parseRegistry(data, sourcePath); // Validate syntax (JSON, YAML or TOML)
+                            recordHistory(sourcePath, data);
+                        }
 
                         logger.info(
                             {
-                                registryPath: config.registryPath,
+                                registryPath: sourcePath,
                                 cacheAge: registryCache ? Date.now() - cacheTimestamp : null,
                             },
                             'Registry file changed, invalidating cache'
                         );
 
-                        registryCache = null;
-                        cacheTimestamp = 0;
-                        cacheStats.invalidations++;
+                        resetCache();
                     } catch (err) {
-                        // FIX QUA-015: Keep stale cache on invalid JSON
+                        // FIX QUA-015: Keep stale cache on invalid JSON/YAML/TOML
                         logger.error(
                             {
                                 err,
-                                registryPath: config.registryPath,
+                                registryPath: sourcePath,
                                 cacheAge: registryCache ? Date.now() - cacheTimestamp : null,
                             },
-                            'Registry file changed but contains invalid JSON, keeping stale cache'
+                            'Registry file changed but failed to parse, keeping stale cache'
                         );
                     } finally {
-                        debounceTimeout = null;
+                        state.debounceTimeout = null;
+                        if (state.rearmPending) {
+                            state.rearmPending = false;
+                            setupWatcher(sourcePath);
+                        }
                     }
                 }, 500); // 500ms debounce
             }
         });
 
-        watcher.on('error', (err) => {
-            logger.error({ err, registryPath: config.registryPath }, 'File watcher error');
+        state.watcher.on('error', (err) => {
+            logger.error({ err, registryPath: sourcePath }, 'File watcher error');
         });
 
-        logger.info({ registryPath: config.registryPath }, 'Registry file watch enabled');
+        logger.info({ registryPath: sourcePath }, 'Registry file watch enabled');
     } catch (err) {
         logger.warn(
-            { err, registryPath: config.registryPath },
+            { err, registryPath: sourcePath },
             'Could not setup file watcher, falling back to polling mode'
         );
-        setupPolling();
+        setupPolling(sourcePath);
     }
 }
 
 /**
- * PERF-008: Load and parse registry with optimized single-pass flattened structure
- * Combines all possible project sources into one array before iteration
- * Returns: { projects: { path: projectInfo }, original: rawRegistry }
+ * Watch every configured registry source
+ */
+function setupWatchers() {
+    for (const sourcePath of getRegistrySources()) {
+        setupWatcher(sourcePath);
+    }
+}
+
+/**
+ * Read the files behind a source
+ * A file source yields itself; a directory yields its registry fragments in name
+ * order. Read errors are returned per file so one bad fragment doesn't hide
+ * the others.
+ *
+ * @param {string} sourcePath - Configured source path
+ * @returns {Promise<Array<{path: string, source: string, data?: string, error?: Error}>>} Files
+ */
+async function readSourceFiles(sourcePath) {
+    try {
+        const data = await fs.promises.readFile(sourcePath, 'utf8');
+        return [{ path: sourcePath, source: sourcePath, data }];
+    } catch (err) {
+        if (err.code !== 'EISDIR') {
+            return [{ path: sourcePath, source: sourcePath, error: err }];
+        }
+    }
+
+    let names;
+    try {
+        names = (await fs.promises.readdir(sourcePath)).filter(isRegistryFragment).sort();
+    } catch (err) {
+        return [{ path: sourcePath, source: sourcePath, error: err }];
+    }
+
+    return Promise.all(
+        names.map(async (name) => {
+            const filePath = path.join(sourcePath, name);
+            try {
+                return { path: filePath, source: sourcePath, data: await fs.promises.readFile(filePath, 'utf8') };
+            } catch (err) {
+                return { path: filePath, source: sourcePath, error: err };
+            }
+        })
+    );
+}
+
+/**
+ * PERF-008: Collect a registry file's projects in one flattened array
+ * Combines all possible project sections with type annotation
+ *
+ * @param {Object|Array} rawRegistry - Parsed registry file
+ * @param {string} filePath - Registry file path (for error reports)
+ * @param {Array<string>} types - Known project types (see registry-schema getKnownTypes)
+ * @returns {{entries: Array<{project: Object, file: string, pointer: string, invalid: boolean}>, errors: Array<Object>}}
+ *   Projects with type from their section (or own known type), and schema errors ({file, pointer, message})
+ */
+function collectProjects(rawRegistry, filePath, types) {
+    const { entries, errors } = readRegistryEntries(rawRegistry, types);
+    const fileErrors = errors.map((error) => ({ file: filePath, ...error }));
+
+    const collected = entries.map(({ pointer, type, entry }) => {
+        const entryErrors = checkRegistryEntry(entry, types).map((error) => ({
+            file: filePath,
+            pointer: pointer + error.pointer,
+            message: error.message,
+        }));
+        fileErrors.push(...entryErrors);
+        return { project: { ...entry, type }, file: filePath, pointer, invalid: entryErrors.length > 0 };
+    });
+
+    return { entries: collected, errors: fileErrors };
+}
+
+/**
+ * Merge the `types` blocks of all files in precedence order (later fields win)
+ *
+ * @param {Array<{rawRegistry: *, path: string}>} files - Parsed files, lowest precedence first
+ * @returns {{types: Object, errors: Array<Object>}} Merged type styles and schema errors ({file, pointer, message})
+ */
+function collectTypes(files) {
+    const merged = {};
+    const errors = [];
+    for (const file of files) {
+        const { types, errors: typeErrors } = readRegistryTypes(file.rawRegistry);
+        errors.push(...typeErrors.map((error) => ({ file: file.path, ...error })));
+        for (const [name, style] of Object.entries(types)) {
+            merged[name] = { ...merged[name], ...style }; // eslint-disable-line security/detect-object-injection
+        }
+    }
+    return { types: merged, errors };
+}
+
+/**
+ * Merge projects in precedence order (later fields win)
+ * Entries are matched by path, or by name when they have no path. A merged
+ * entry keeps the location of the entry that first defined it and is
+ * invalid when any contributing entry was.
+ *
+ * @param {Array<Object>} entries - Collected entries from all files, lowest precedence first
+ * @returns {Array<{project: Object, file: string, pointer: string, invalid: boolean}>} Merged entries
+ */
+function mergeProjects(entries) {
+    const merged = new Map();
+    for (const entry of entries) {
+        const { project } = entry;
+        const key = project.path ? `path:${project.path}` : `name:${project.name}`;
+        const previous = merged.get(key);
+        merged.set(
+            key,
+            previous
+                ? { ...previous, project: { ...previous.project, ...project }, invalid: previous.invalid || entry.invalid }
+                : { ...entry }
+        );
+    }
+    return [...merged.values()];
+}
+
+/**
+ * Check merged projects for required fields and duplicate names
+ *
+ * @param {Array<Object>} merged - Merged entries (see mergeProjects)
+ * @returns {Array<Object>} Schema errors ({file, pointer, message}); offending entries are marked invalid
+ */
+function checkMergedProjects(merged) {
+    const errors = [];
+    const names = new Map();
+
+    for (const entry of merged) {
+        const { project, file, pointer } = entry;
+        for (const field of REQUIRED_FIELDS) {
+            // eslint-disable-next-line security/detect-object-injection
+            if (project[field] === undefined) {
+                errors.push({ file, pointer, message: `must have required property "${field}"` });
+                entry.invalid = true;
+            }
+        }
+
+        if (typeof project.name !== 'string') continue;
+        const first = names.get(project.name);
+        if (first) {
+            errors.push({
+                file,
+                pointer: `${pointer}/name`,
+                message: `duplicate name "${project.name}" (first defined at ${first.pointer} in ${first.file})`,
+            });
+            entry.invalid = true;
+        } else {
+            names.set(project.name, entry);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Load, merge and index all registry sources
+ * Returns: { projects: { path: projectInfo }, types: { type: style }, original: rawRegistry }
+ * `original` is the parsed file for a single-file registry, otherwise an
+ * object of parsed files keyed by file path.
+ *
+ * @returns {Promise<{projects: Object, types: Object, original: Object}>} Registry
+ * @throws {Error} When every registry file failed to load
  */
 async function loadRegistryFromDisk() {
-    const data = await fs.promises.readFile(config.registryPath, 'utf8');
-    let rawRegistry = JSON.parse(data);
+    const files = (await Promise.all(getRegistrySources().map(readSourceFiles))).flat();
+    const loadedAt = new Date().toISOString();
+    const parsedFiles = [];
+    const schemaErrors = [];
+    const originals = {};
+    const status = [];
+    let firstError = null;
+
+    // Parse every file first: `types` blocks decide which sections hold projects
+    for (const file of files) {
+        try {
+            if (file.error) throw file.error;
+            const rawRegistry = parseRegistry(file.data, file.path);
+            lastGoodFiles.set(file.path, { rawRegistry, text: file.data });
+            // eslint-disable-next-line security/detect-object-injection
+            originals[file.path] = rawRegistry;
+            parsedFiles.push({ path: file.path, rawRegistry, status: { path: file.path, source: file.source, status: 'ok', loadedAt } });
+        } catch (err) {
+            firstError = firstError || err;
+            const lastGood = lastGoodFiles.get(file.path);
+            schemaErrors.push({ file: file.path, pointer: '', message: err.message });
+            parsedFiles.push({
+                path: file.path,
+                rawRegistry: lastGood ? lastGood.rawRegistry : undefined,
+                status: { path: file.path, source: file.source, status: 'error', error: err.message, stale: Boolean(lastGood), loadedAt },
+            });
+            logger.warn({ err, registryPath: file.path }, 'Registry source failed to load');
+        }
+    }
 
-    // Handle array format (registry is [metadata, projects])
-    let registry = Array.isArray(rawRegistry) ? rawRegistry[1] || {} : rawRegistry;
+    const usableFiles = parsedFiles.filter((file) => file.rawRegistry !== undefined);
+    const { types, errors: typeErrors } = collectTypes(usableFiles);
+    schemaErrors.push(...typeErrors);
+    const knownTypes = getKnownTypes(types);
+
+    const allEntries = [];
+    for (const file of parsedFiles) {
+        const { entries, errors } = file.rawRegistry === undefined ? { entries: [], errors: [] } : collectProjects(file.rawRegistry, file.path, knownTypes);
+        schemaErrors.push(...errors);
+        allEntries.push(...entries);
+        status.push({ ...file.status, projects: entries.length });
+    }
 
-    // Flatten the registry structure for easier lookup
-    const flatProjects = {};
+    sourceStatus = status;
+
+    // Nothing usable: let getRegistry fall back to the whole stale cache
+    if (firstError && status.every((s) => s.status === 'error')) {
+        validationReport = buildValidationReport(schemaErrors, loadedAt, 0, 0);
+        throw firstError;
+    }
+
+    const merged = mergeProjects(allEntries);
+    schemaErrors.push(...checkMergedProjects(merged));
+    const strict = Boolean(config.registryStrict);
+    const indexed = strict ? merged.filter((entry) => !entry.invalid) : merged;
+
+    validationReport = buildValidationReport(schemaErrors, loadedAt, indexed.length, merged.length - indexed.length);
+    if (schemaErrors.length > 0) {
+        logger.warn(
+            { errorCount: schemaErrors.length, skipped: validationReport.skipped, strict, firstError: schemaErrors[0] },
+            'Registry has schema errors'
+        );
+    }
 
-    // Combine all possible project sources into one array with type annotation
-    // This reduces iterations from 4 to 1
-    const allProjects = [
-        ...(registry.development || []).map((p) => ({ ...p, type: 'dev' })),
-        ...(registry.production || []).map((p) => ({ ...p, type: 'prod' })),
-        ...(registry.projects?.development || []).map((p) => ({ ...p, type: 'dev' })),
-        ...(registry.projects?.production || []).map((p) => ({ ...p, type: 'prod' })),
-    ];
-
-    // Single iteration through all projects with dual indexing
-    for (const project of allProjects) {
+    // Single iteration through merged projects with dual indexing
+    const flatProjects = {};
+    for (const { project } of indexed) {
         // Index by name for name-based lookups
         if (project.name) {
             flatProjects[project.name] = project;
@@ -226,9 +669,31 @@ async function loadRegistryFromDisk() {
         }
     }
 
+    const originalFiles = Object.values(originals);
     return {
         projects: flatProjects,
-        original: rawRegistry,
+        types,
+        original: files.length === 1 && originalFiles.length === 1 ? originalFiles[0] : originals,
+    };
+}
+
+/**
+ * Build a schema validation report
+ *
+ * @param {Array<Object>} errors - Schema and load errors ({file, pointer, message})
+ * @param {string} checkedAt - ISO timestamp of the load
+ * @param {number} projects - Number of indexed projects
+ * @param {number} skipped - Number of invalid projects skipped (strict mode)
+ * @returns {Object} Validation report
+ */
+function buildValidationReport(errors, checkedAt, projects, skipped) {
+    return {
+        valid: errors.length === 0,
+        strict: Boolean(config.registryStrict),
+        checkedAt,
+        projects,
+        skipped,
+        errors,
     };
 }
 
@@ -237,8 +702,9 @@ async function loadRegistryFromDisk() {
  * Returns cached data if within TTL, otherwise reloads from disk.
  * On read errors, returns stale cache if available, or empty registry as last resort.
  *
- * @returns {Promise<{projects: Object, original: Object}>} Registry object with flattened projects map and original data
+ * @returns {Promise<{projects: Object, types: Object, original: Object}>} Registry object with flattened projects map, type styles and original data
  * @returns {Promise<{projects: Object.<string, Object>}>} projects - Map of project paths/names to project metadata
+ * @returns {Promise<Object>} types - Styles from the registry `types` blocks ({color, label, showPort} per type)
  * @returns {Promise<Object>} original - Original registry data from file
  *
  * @example
@@ -264,6 +730,7 @@ async function getRegistry() {
         // Update cache
         registryCache = registry;
         cacheTimestamp = now;
+        notifyRegistryChanges(registry);
 
         logger.info(
             {
@@ -358,10 +825,33 @@ function getCacheStats() {
         cached: registryCache !== null,
         cacheAge: registryCache ? Date.now() - cacheTimestamp : null,
         ttl: config.registryCacheTtl,
-        invalidationMode: isPollingMode ? 'polling' : 'fs.watch',
+        invalidationMode: [...sourceWatchers.values()].some((state) => state.pollingInterval) ? 'polling' : 'fs.watch',
     };
 }
 
+/**
+ * Get per-file load status from the most recent registry load
+ * Directory sources report one entry per registry fragment.
+ *
+ * @returns {Array<{path: string, source: string, status: string, projects: number, loadedAt: string, error?: string, stale?: boolean}>}
+ *   Status entries in precedence order (empty before the first load)
+ */
+function getSourceStatus() {
+    return sourceStatus.map((entry) => ({ ...entry }));
+}
+
+/**
+ * Get the schema validation report from the most recent registry load
+ * Errors carry the registry file and a JSON pointer into it ('' for the
+ * whole file, e.g. when it failed to parse).
+ *
+ * @returns {{valid: boolean, strict: boolean, checkedAt: string, projects: number, skipped: number, errors: Array<{file: string, pointer: string, message: string}>}|null}
+ *   Report, or null before the first load
+ */
+function getValidationReport() {
+    return validationReport && { ...validationReport, errors: validationReport.errors.map((error) => ({ ...error })) };
+}
+
 /**
  * Manually invalidate cache
  * Useful for testing or forced reloads
@@ -377,6 +867,7 @@ function invalidateCache() {
     registryCache = null;
     cacheTimestamp = 0;
     cacheStats.invalidations++;
+    scheduleReload();
 }
 
 /**
@@ -390,30 +881,33 @@ function resetStats() {
 }
 
 /**
- * Close file watcher and polling interval for graceful shutdown
+ * Close file watchers and polling intervals for graceful shutdown
  */
 function closeWatcher() {
-    if (debounceTimeout) {
-        clearTimeout(debounceTimeout);
-        debounceTimeout = null;
-    }
+    for (const state of sourceWatchers.values()) {
+        if (state.debounceTimeout) {
+            clearTimeout(state.debounceTimeout);
+            state.debounceTimeout = null;
+        }
+        state.rearmPending = false;
 
-    if (watcher) {
-        watcher.close();
-        watcher = null;
-        logger.info('Registry file watcher closed');
-    }
+        if (state.watcher) {
+            state.watcher.close();
+            state.watcher = null;
+            logger.info('Registry file watcher closed');
+        }
 
-    if (pollingInterval) {
-        clearInterval(pollingInterval);
-        pollingInterval = null;
-        isPollingMode = false;
-        logger.info('Registry polling interval closed');
+        if (state.pollingInterval) {
+            clearInterval(state.pollingInterval);
+            state.pollingInterval = null;
+            logger.info('Registry polling interval closed');
+        }
     }
+    sourceWatchers.clear();
 }
 
-// Initialize watcher on module load
-setupWatcher();
+// Initialize watchers on module load
+setupWatchers();
 
 module.exports = {
     getRegistry,
@@ -423,4 +917,7 @@ module.exports = {
     closeWatcher,
     warmCache,
     getProjectInfo,
+    getSourceStatus,
+    getValidationReport,
+    getRegistrySources,
 };
@@ -0,0 +1,57 @@
+const { EventEmitter } = require('events');
+const config = require('./config');
+
+/**
+ * Registry change events
+ *
+ * registry-cache emits 'registry-updated' with the project paths whose
+ * flattened entries changed between two loads; SSEConnectionManager forwards
+ * it to the streams of affected folders so clients refresh just those icons.
+ * Mirrors notification-events.js (one emitter, subscribe/unsubscribe).
+ */
+
+// Same listener budget as notification-events: one listener per SSE connection plus a buffer
+const SSE_LISTENER_BUFFER = 20;
+const SSE_LISTENER_FALLBACK = 120;
+
+const eventEmitter = new EventEmitter();
+eventEmitter.setMaxListeners(config.sseGlobalLimit ? config.sseGlobalLimit + SSE_LISTENER_BUFFER : SSE_LISTENER_FALLBACK);
+
+/**
+ * Emit a registry-updated event
+ *
+ * @param {Array<string>} paths - Affected project paths (project names for entries without a path)
+ */
+function emitRegistryUpdated(paths) {
+    eventEmitter.emit('registry-updated', {
+        type: 'registry-updated',
+        paths,
+        timestamp: Date.now(),
+    });
+}
+
+/**
+ * Subscribe to registry-updated events
+ *
+ * @param {Function} callback - Event callback ({type, paths, timestamp})
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(callback) {
+    eventEmitter.on('registry-updated', callback);
+    return () => eventEmitter.off('registry-updated', callback);
+}
+
+/**
+ * Get listener count for registry-updated events
+ *
+ * @returns {number} Number of active listeners
+ */
+function getListenerCount() {
+    return eventEmitter.listenerCount('registry-updated');
+}
+
+module.exports = {
+    emitRegistryUpdated,
+    subscribe,
+    getListenerCount,
+};
@@ -0,0 +1,89 @@
+/**
+ * Registry File Formats
+ *
+ * Registry files (and fragments in REGISTRY_PATHS directories) may be JSON,
+ * YAML or TOML; the format is chosen by file extension and every format
+ * flattens the same way (development/production arrays, optionally under
+ * `projects`, or the [metadata, projects] array form).
+ *
+ * Both parsers are pure JavaScript and never touch the network: YAML uses the
+ * `yaml` package with the core schema (no custom tags, bounded aliases), TOML
+ * uses the `smol-toml` package through lib/utils/toml-parser.
+ */
+
+const path = require('path');
+const YAML = require('yaml');
+const { parseToml } = require('./utils/toml-parser');
+
+/** @const {Object.<string, string>} Registry format by file extension (anything else is JSON) */
+const REGISTRY_FORMATS = {
+    '.json': 'json',
+    '.yaml': 'yaml',
+    '.yml': 'yaml',
+    '.toml': 'toml',
+};
+
+/** @const {Array<string>} Fragment extensions picked up from registry directories */
+const REGISTRY_EXTENSIONS = Object.keys(REGISTRY_FORMATS);
+
+// Anchors/aliases are rarely needed in an inventory; cap them against alias bombs.
+// logLevel 'error' keeps unknown tags (e.g. !!js/function) as plain values without process warnings.
+const YAML_OPTIONS = { schema: 'core', maxAliasCount: 100, logLevel: 'error' };
+
+/**
+ * Detect a registry file's format from its extension
+ *
+ * @param {string} filePath - Registry file path
+ * @returns {string} 'json', 'yaml' or 'toml'
+ */
+function getRegistryFormat(filePath) {
+    const extension = path.extname(String(filePath)).toLowerCase();
+    // eslint-disable-next-line security/detect-object-injection
+    return Object.prototype.hasOwnProperty.call(REGISTRY_FORMATS, extension) ? REGISTRY_FORMATS[extension] : 'json';
+}
+
+/**
+ * Check whether a directory entry is a registry fragment
+ *
+ * @param {string} name - File name
+ * @returns {boolean} True for .json, .yaml, .yml and .toml files
+ */
+function isRegistryFragment(name) {
+    return REGISTRY_EXTENSIONS.includes(path.extname(String(name)).toLowerCase());
+}
+
+/**
+ * Parse registry file contents according to the file's format
+ *
+ * @param {string} data - File contents
+ * @param {string} filePath - File path (selects the parser)
+ * @returns {Object|Array} Parsed registry
+ * @throws {Error} On syntax errors (same contract as JSON.parse)
+ *
+ * @example
+ * parseRegistry('development:\n  - name: app\n    path: /opt/dev/app\n', 'projects.yaml')
+ * // { development: [{ name: 'app', path: '/opt/dev/app' }] }
+ */
+function parseRegistry(data, filePath) {
+    const format = getRegistryFormat(filePath);
+    if (format === 'yaml') {
+        const parsed = YAML.parse(data, YAML_OPTIONS);
+        // Empty documents parse to null/undefined; treat like an invalid file, as JSON.parse('') does
+        if (parsed === null || parsed === undefined) {
+            throw new SyntaxError('YAML registry is empty');
+        }
+        return parsed;
+    }
+    if (format === 'toml') {
+        return parseToml(data);
+    }
+    return JSON.parse(data);
+}
+
+module.exports = {
+    REGISTRY_FORMATS,
+    REGISTRY_EXTENSIONS,
+    getRegistryFormat,
+    isRegistryFragment,
+    parseRegistry,
+};
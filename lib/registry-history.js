@@ -0,0 +1,301 @@
+/**
+ * Registry Version History
+ *
+ * Keeps the last REGISTRY_HISTORY_SIZE versions of each registry file in
+ * DATA_DIR/registry-history so hand and script edits can be rolled back.
+ *
+ * Features:
+ * - registry-cache records a version each time its watcher (or polling
+ *   fallback) sees a change that parses; the contents loaded before the first
+ *   recorded change are saved too, so that change can be undone
+ * - Versions store the raw file text, so YAML/TOML comments and formatting
+ *   survive a restore; identical consecutive contents are recorded once
+ * - Structured diffs between two versions (projects added/removed/changed,
+ *   matched by path like the registry merge)
+ * - Restores are written by registry-writer (atomic write + cache
+ *   invalidation); the restored contents become the newest version
+ *
+ * Fragment directories (REGISTRY_PATHS entries that are directories) are not
+ * versioned. REGISTRY_HISTORY_SIZE=0 disables the history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const { parseRegistry } = require('./registry-formats');
+const { getKnownTypes, readRegistryTypes, readRegistryEntries } = require('./registry-schema');
+const { writeFileAtomic } = require('./utils/file-operations');
+const { FileNotFoundError, ValidationError } = require('./errors');
+
+const HISTORY_DIR_NAME = 'registry-history';
+
+// Version ids: millisecond timestamp and content hash prefix (also the file name, so no path characters)
+const VERSION_ID_PATTERN = /^\d{13}-[0-9a-f]{12}$/;
+
+// Version metadata, oldest first (loaded from disk on first use)
+let versions = null;
+let lastTimestamp = 0;
+
+// Serializes index loading and writes
+let queue = Promise.resolve();
+
+/**
+ * Run an operation after all previously queued ones
+ *
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Operation result
+ */
+function enqueue(operation) {
+    const run = queue.then(operation, operation);
+    queue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Check whether history is enabled
+ *
+ * @returns {boolean} True when DATA_DIR is set and REGISTRY_HISTORY_SIZE > 0
+ */
+function isEnabled() {
+    return Boolean(config.dataDir) && config.registryHistorySize > 0;
+}
+
+/**
+ * Directory holding version files
+ *
+ * @returns {string} Absolute directory path
+ */
+function getHistoryDir() {
+    return path.join(config.dataDir, HISTORY_DIR_NAME);
+}
+
+/**
+ * Version metadata without the file contents
+ *
+ * @param {Object} version - Stored version
+ * @returns {{id: string, file: string, savedAt: string, hash: string, size: number}} Metadata
+ */
+function toMetadata({ id, file, savedAt, hash, size }) {
+    return { id, file, savedAt, hash, size };
+}
+
+/**
+ * Load version metadata from disk (once)
+ * Unreadable version files are skipped with a warning.
+ *
+ * @returns {Promise<Array<Object>>} Versions, oldest first
+ */
+async function loadVersions() {
+    if (versions) {
+        return versions;
+    }
+
+    const loaded = [];
+    let names = [];
+    try {
+        names = await fs.promises.readdir(getHistoryDir());
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    for (const name of names.filter((entry) => VERSION_ID_PATTERN.test(path.basename(entry, '.json')) && entry.endsWith('.json')).sort()) {
+        try {
+            const version = JSON.parse(await fs.promises.readFile(path.join(getHistoryDir(), name), 'utf8'));
+            loaded.push(toMetadata(version));
+        } catch (err) {
+            logger.warn({ err, file: name }, 'Skipping unreadable registry history version');
+        }
+    }
+
+    versions = loaded;
+    if (loaded.length > 0) {
+        lastTimestamp = Math.max(lastTimestamp, parseInt(loaded[loaded.length - 1].id, 10));
+    }
+    return versions;
+}
+
+/**
+ * Save a version unless it matches the newest version of the same file
+ * Older versions of the file beyond REGISTRY_HISTORY_SIZE are removed.
+ *
+ * @param {string} file - Registry file path
+ * @param {string} data - File contents
+ * @returns {Promise<Object|null>} Metadata of the new version, or null when unchanged
+ */
+async function saveVersion(file, data) {
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+    const fileVersions = versions.filter((version) => version.file === file);
+    if (fileVersions.length > 0 && fileVersions[fileVersions.length - 1].hash === hash) {
+        return null;
+    }
+
+    // Monotonic timestamps keep ids unique and in recording order
+    const timestamp = Math.max(Date.now(), lastTimestamp + 1);
+    lastTimestamp = timestamp;
+    const version = {
+        id: `${timestamp}-${hash.slice(0, 12)}`,
+        file,
+        savedAt: new Date(timestamp).toISOString(),
+        hash,
+        size: Buffer.byteLength(data),
+        data,
+    };
+
+    await fs.promises.mkdir(getHistoryDir(), { recursive: true, mode: 0o700 });
+    await writeFileAtomic(path.join(getHistoryDir(), `${version.id}.json`), JSON.stringify(version), { mode: 0o600 });
+    versions.push(toMetadata(version));
+
+    const expired = [...fileVersions, version].slice(0, -config.registryHistorySize);
+    for (const old of expired) {
+        await fs.promises.unlink(path.join(getHistoryDir(), `${old.id}.json`)).catch(() => {});
+    }
+    const expiredIds = new Set(expired.map((old) => old.id));
+    versions = versions.filter((entry) => !expiredIds.has(entry.id));
+
+    logger.info({ id: version.id, file, pruned: expired.length }, 'Registry version recorded');
+    return toMetadata(version);
+}
+
+/**
+ * Record a validated change of a registry file
+ *
+ * @param {string} file - Registry file path
+ * @param {string} data - New file contents (already parsed successfully)
+ * @param {string} [previousData] - Contents loaded before the change, saved first when the file has no history yet
+ * @returns {Promise<Object|null>} Metadata of the new version, or null when disabled or unchanged
+ */
+function recordChange(file, data, previousData) {
+    if (!isEnabled()) {
+        return Promise.resolve(null);
+    }
+
+    return enqueue(async () => {
+        await loadVersions();
+        if (previousData !== undefined && previousData !== data && !versions.some((version) => version.file === file)) {
+            await saveVersion(file, previousData);
+        }
+        return saveVersion(file, data);
+    });
+}
+
+/**
+ * List recorded versions
+ *
+ * @param {Object} [filter={}] - Filter
+ * @param {string} [filter.file] - Only versions of this registry file
+ * @returns {Promise<Array<{id: string, file: string, savedAt: string, hash: string, size: number}>>} Versions, newest first
+ */
+async function listVersions({ file } = {}) {
+    if (!isEnabled()) {
+        return [];
+    }
+    const all = await enqueue(loadVersions);
+    return all
+        .filter((version) => !file || version.file === file)
+        .map((version) => ({ ...version }))
+        .reverse();
+}
+
+/**
+ * Read a version including its contents
+ *
+ * @param {string} id - Version id
+ * @returns {Promise<{id: string, file: string, savedAt: string, hash: string, size: number, data: string}>} Version
+ * @throws {ValidationError} When the id is malformed
+ * @throws {FileNotFoundError} When no such version is recorded
+ */
+async function getVersion(id) {
+    if (typeof id !== 'string' || !VERSION_ID_PATTERN.test(id)) {
+        throw new ValidationError('Invalid registry version id', { id });
+    }
+    const all = isEnabled() ? await enqueue(loadVersions) : [];
+    if (!all.some((version) => version.id === id)) {
+        throw new FileNotFoundError('Registry version not found', { id });
+    }
+
+    const version = JSON.parse(await fs.promises.readFile(path.join(getHistoryDir(), `${id}.json`), 'utf8'));
+    return { ...toMetadata(version), data: version.data };
+}
+
+/**
+ * Projects of a version keyed like the registry merge (path, else name)
+ *
+ * @param {Object} version - Version with contents
+ * @returns {Map<string, Object>} Projects with their type
+ */
+function getVersionProjects(version) {
+    let raw;
+    try {
+        raw = parseRegistry(version.data, version.file);
+    } catch (err) {
+        throw new ValidationError(`Registry version ${version.id} cannot be parsed: ${err.message}`, { id: version.id });
+    }
+
+    const { entries } = readRegistryEntries(raw, getKnownTypes(readRegistryTypes(raw).types));
+    const projects = new Map();
+    for (const { type, entry } of entries) {
+        const project = { ...entry, type };
+        const key = project.path ? `path:${project.path}` : `name:${project.name}`;
+        projects.set(key, { ...projects.get(key), ...project });
+    }
+    return projects;
+}
+
+/**
+ * Structured diff between two versions
+ *
+ * @param {string} fromId - Older version id
+ * @param {string} toId - Newer version id
+ * @returns {Promise<{from: Object, to: Object, added: Array<Object>, removed: Array<Object>, changed: Array<{name: string, path: string, fields: Array<string>, before: Object, after: Object}>}>}
+ *   Version metadata and project changes
+ *
+ * @example
+ * const { added, removed, changed } = await diffVersions(older.id, newer.id);
+ */
+async function diffVersions(fromId, toId) {
+    const from = await getVersion(fromId);
+    const to = await getVersion(toId);
+    const before = getVersionProjects(from);
+    const after = getVersionProjects(to);
+
+    const added = [];
+    const removed = [];
+    const changed = [];
+    for (const [key, project] of after) {
+        const previous = before.get(key);
+        if (!previous) {
+            added.push(project);
+            continue;
+        }
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(project)])]
+            // eslint-disable-next-line security/detect-object-injection
+            .filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(project[field]))
+            .sort();
+        if (fields.length > 0) {
+            changed.push({ name: project.name, path: project.path, fields, before: previous, after: project });
+        }
+    }
+    for (const [key, project] of before) {
+        if (!after.has(key)) removed.push(project);
+    }
+
+    return { from: toMetadata(from), to: toMetadata(to), added, removed, changed };
+}
+
+/**
+ * Forget the loaded index (tests, DATA_DIR changes)
+ */
+function resetHistory() {
+    versions = null;
+}
+
+module.exports = {
+    recordChange,
+    listVersions,
+    getVersion,
+    diffVersions,
+    resetHistory,
+    VERSION_ID_PATTERN,
+};
@@ -0,0 +1,396 @@
+/**
+ * Registry Project Schema
+ *
+ * Declarative schema for project entries written through the registry API.
+ * Known fields (including the `tags` array and `group` used by project
+ * search) are type-checked; additional fields are kept when they are JSON
+ * primitives so hand-written metadata survives round trips.
+ *
+ * The same field rules check registry files on load: readRegistryEntries()
+ * walks a parsed file and reports structural problems by JSON pointer, and
+ * checkRegistryEntry() type-checks the known fields an entry sets.
+ *
+ * Project types: dev and prod, every type with a COLOR_* setting, and every
+ * type declared in the registry's top-level `types` block. dev and prod live
+ * in the development/production sections; other types use a section named
+ * after the type (e.g. `staging: [...]`), or a per-entry `type` field.
+ */
+
+const path = require('path');
+const config = require('./config');
+const { TEMPLATE_NAMES } = require('./services/favicon-templates');
+const { createSafeSVGText } = require('./svg-sanitizer');
+
+/** @const {Object.<string, string>} Registry section holding each project type */
+const TYPE_SECTIONS = {
+    dev: 'development',
+    prod: 'production',
+};
+
+/** @const {Array<string>} Built-in project types (always accepted) */
+const PROJECT_TYPES = Object.keys(TYPE_SECTIONS);
+
+const SCHEMA_LIMITS = {
+    MAX_NAME_LENGTH: 100,
+    MAX_PATH_LENGTH: 4096,
+    MAX_URL_LENGTH: 2048,
+    MAX_EXTRA_FIELDS: 20,
+    MAX_EXTRA_STRING_LENGTH: 1000,
+    MAX_TAGS: 20,
+    MAX_TAG_LENGTH: 50,
+    MAX_GROUP_LENGTH: 100,
+    MAX_TYPES: 50,
+    MAX_TYPE_LABEL_LENGTH: 4, // Same label slot as override badges
+};
+
+// Type names double as section names: lowercase identifiers that cannot shadow other registry keys
+const TYPE_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const RESERVED_TYPE_NAMES = ['projects', 'types', ...Object.values(TYPE_SECTIONS)];
+
+// Extra field names: identifiers only (no __proto__, constructor tricks or dotted keys)
+const EXTRA_FIELD_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/;
+
+/**
+ * Field rules: each returns an error message, or null when the value is valid
+ * @const {Object.<string, {required?: boolean, check: Function}>}
+ */
+const PROJECT_SCHEMA = {
+    name: {
+        required: true,
+        check: (value) =>
+            typeof value === 'string' && value.trim() && value.length <= SCHEMA_LIMITS.MAX_NAME_LENGTH && !CONTROL_CHARS.test(value) && !value.includes('/')
+                ? null
+                : `must be a non-empty string without "/" (max ${SCHEMA_LIMITS.MAX_NAME_LENGTH} characters)`,
+    },
+    path: {
+        required: true,
+        check: (value) =>
+            typeof value === 'string' &&
+            value.length <= SCHEMA_LIMITS.MAX_PATH_LENGTH &&
+            path.isAbsolute(value) &&
+            !CONTROL_CHARS.test(value) &&
+            (value === '/' || path.normalize(value) === value.replace(/\/+$/, ''))
+                ? null
+                : 'must be a normalized absolute path',
+    },
+    type: {
+        check: (value, { types = PROJECT_TYPES } = {}) => (types.includes(value) ? null : `must be one of: ${types.join(', ')}`),
+    },
+    port: {
+        check: (value) => {
+            const port = typeof value === 'string' && /^\d{1,5}$/.test(value) ? Number(value) : value;
+            return Number.isInteger(port) && port >= 1 && port <= 65535 ? null : 'must be a port number (1-65535)';
+        },
+    },
+    url: {
+        check: (value) => {
+            if (typeof value !== 'string' || value.length > SCHEMA_LIMITS.MAX_URL_LENGTH) {
+                return 'must be an http(s) URL';
+            }
+            try {
+                const { protocol } = new URL(value);
+                return protocol === 'http:' || protocol === 'https:' ? null : 'must be an http(s) URL';
+            } catch {
+                return 'must be an http(s) URL';
+            }
+        },
+    },
+    template: {
+        check: (value) => (TEMPLATE_NAMES.includes(value) ? null : `must be one of: ${TEMPLATE_NAMES.join(', ')}`),
+    },
+    // Tags are filtered as a comma-separated list (GET /api/projects?tag=a,b), so they cannot contain commas
+    tags: {
+        check: (value) =>
+            Array.isArray(value) &&
+            value.length <= SCHEMA_LIMITS.MAX_TAGS &&
+            value.every(
+                (tag) => typeof tag === 'string' && tag.trim() === tag && tag && tag.length <= SCHEMA_LIMITS.MAX_TAG_LENGTH && !CONTROL_CHARS.test(tag) && !tag.includes(',')
+            )
+                ? null
+                : `must be an array of at most ${SCHEMA_LIMITS.MAX_TAGS} trimmed strings without "," (max ${SCHEMA_LIMITS.MAX_TAG_LENGTH} characters each)`,
+    },
+    group: {
+        check: (value) =>
+            typeof value === 'string' && value.trim() && value.length <= SCHEMA_LIMITS.MAX_GROUP_LENGTH && !CONTROL_CHARS.test(value)
+                ? null
+                : `must be a non-empty string (max ${SCHEMA_LIMITS.MAX_GROUP_LENGTH} characters)`,
+    },
+};
+
+/**
+ * Type style rules for the registry `types` block
+ * @const {Object.<string, Function>}
+ */
+const TYPE_STYLE_SCHEMA = {
+    color: (value) => (typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value) ? null : 'must be a #RRGGBB color'),
+    label: (value) =>
+        typeof value === 'string' && value.trim() === value && value && value.length <= SCHEMA_LIMITS.MAX_TYPE_LABEL_LENGTH && createSafeSVGText(value) === value
+            ? null
+            : `must be plain text (1-${SCHEMA_LIMITS.MAX_TYPE_LABEL_LENGTH} characters)`,
+    showPort: (value) => (typeof value === 'boolean' ? null : 'must be a boolean'),
+};
+
+/**
+ * Registry section holding projects of a type
+ *
+ * @param {string} type - Project type
+ * @returns {string} Section name (development/production for dev/prod, otherwise the type itself)
+ */
+function getTypeSection(type) {
+    return TYPE_SECTIONS[type] || type; // eslint-disable-line security/detect-object-injection
+}
+
+/**
+ * Project types accepted by a registry
+ *
+ * @param {Object} [registryTypes={}] - Styles from the registry `types` block (see readRegistryTypes)
+ * @returns {Array<string>} dev, prod, COLOR_* types, then registry-declared types
+ */
+function getKnownTypes(registryTypes = {}) {
+    return [...new Set([...PROJECT_TYPES, ...Object.keys(config.typeColors || {}), ...Object.keys(registryTypes)])];
+}
+
+/**
+ * Validate an additional (non-schema) field value
+ *
+ * @param {*} value - Field value
+ * @returns {string|null} Error message or null
+ */
+function checkExtraField(value) {
+    if (typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+        return null;
+    }
+    if (typeof value === 'string' && value.length <= SCHEMA_LIMITS.MAX_EXTRA_STRING_LENGTH) {
+        return null;
+    }
+    return `must be a string (max ${SCHEMA_LIMITS.MAX_EXTRA_STRING_LENGTH} characters), number or boolean`;
+}
+
+/**
+ * Validate a registry project entry
+ *
+ * @param {*} entry - Candidate entry (request body)
+ * @param {Object} [options={}] - Validation options
+ * @param {Array<string>} [options.types] - Accepted project types (default: dev, prod)
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, value: Object|null}}
+ *   Result; `value` is the entry with `type` defaulted to 'dev' when valid
+ *
+ * @example
+ * validateProjectEntry({ name: 'app', path: '/opt/dev/app', port: 3000 })
+ * // { valid: true, errors: [], value: { name: 'app', path: '/opt/dev/app', port: 3000, type: 'dev' } }
+ */
+function validateProjectEntry(entry, { types } = {}) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return { valid: false, errors: [{ field: '', message: 'Project must be a JSON object' }], value: null };
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(PROJECT_SCHEMA)) {
+        const value = entry[field]; // eslint-disable-line security/detect-object-injection
+        if (value === undefined) {
+            if (rule.required) errors.push({ field, message: 'is required' });
+            continue;
+        }
+        const message = rule.check(value, { types });
+        if (message) errors.push({ field, message });
+    }
+
+    const extraFields = Object.keys(entry).filter((field) => !Object.prototype.hasOwnProperty.call(PROJECT_SCHEMA, field));
+    if (extraFields.length > SCHEMA_LIMITS.MAX_EXTRA_FIELDS) {
+        errors.push({ field: '', message: `at most ${SCHEMA_LIMITS.MAX_EXTRA_FIELDS} additional fields are allowed` });
+    }
+    for (const field of extraFields) {
+        if (!EXTRA_FIELD_PATTERN.test(field)) {
+            errors.push({ field: field.slice(0, 64), message: 'is not a valid field name' });
+            continue;
+        }
+        const message = checkExtraField(entry[field]); // eslint-disable-line security/detect-object-injection
+        if (message) errors.push({ field, message });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, value: null };
+    }
+    return { valid: true, errors, value: { ...entry, type: entry.type || 'dev' } };
+}
+
+/**
+ * Escape a JSON pointer reference token (RFC 6901)
+ *
+ * @param {string|number} token - Object key or array index
+ * @returns {string} Escaped token
+ */
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Top-level object of a parsed registry file
+ * The [metadata, projects] form keeps its registry in the second element.
+ *
+ * @param {*} rawRegistry - Parsed registry file
+ * @returns {{registry: *, base: string}} Registry object (undefined for a bare [metadata]) and its JSON pointer
+ */
+function getRegistryRoot(rawRegistry) {
+    return Array.isArray(rawRegistry) ? { registry: rawRegistry[1], base: '/1' } : { registry: rawRegistry, base: '' };
+}
+
+/**
+ * Read the top-level `types` block of a parsed registry file
+ * Each key declares a project type; its optional color, label and showPort
+ * style favicons of that type. Invalid names are skipped and invalid fields
+ * dropped, so the COLOR_* and built-in defaults still apply.
+ *
+ * @param {*} rawRegistry - Parsed registry file
+ * @returns {{types: Object.<string, {color?: string, label?: string, showPort?: boolean}>, errors: Array<{pointer: string, message: string}>}}
+ *   Declared types and their valid style fields, and errors
+ *
+ * @example
+ * readRegistryTypes({ types: { staging: { color: '#FFEAA7', label: 'STG' } } })
+ * // { types: { staging: { color: '#FFEAA7', label: 'STG' } }, errors: [] }
+ */
+function readRegistryTypes(rawRegistry) {
+    const types = {};
+    const errors = [];
+    const { registry, base } = getRegistryRoot(rawRegistry);
+    if (!isObject(registry) || registry.types === undefined) {
+        return { types, errors };
+    }
+
+    const pointer = `${base}/types`;
+    if (!isObject(registry.types)) {
+        errors.push({ pointer, message: 'must be an object of type styles' });
+        return { types, errors };
+    }
+
+    const names = Object.keys(registry.types);
+    if (names.length > SCHEMA_LIMITS.MAX_TYPES) {
+        errors.push({ pointer, message: `at most ${SCHEMA_LIMITS.MAX_TYPES} types are allowed` });
+    }
+    for (const name of names.slice(0, SCHEMA_LIMITS.MAX_TYPES)) {
+        const typePointer = `${pointer}/${escapePointer(name)}`;
+        if (!TYPE_NAME_PATTERN.test(name) || RESERVED_TYPE_NAMES.includes(name)) {
+            errors.push({ pointer: typePointer, message: 'must be a lowercase identifier other than projects, types, development or production' });
+            continue;
+        }
+        const definition = registry.types[name]; // eslint-disable-line security/detect-object-injection
+        if (!isObject(definition)) {
+            errors.push({ pointer: typePointer, message: 'must be an object' });
+            continue;
+        }
+
+        const style = {};
+        for (const [field, value] of Object.entries(definition)) {
+            const check = Object.prototype.hasOwnProperty.call(TYPE_STYLE_SCHEMA, field) ? TYPE_STYLE_SCHEMA[field] : null; // eslint-disable-line security/detect-object-injection
+            const message = check ? check(value) : 'is not a type style field (color, label, showPort)';
+            if (message) {
+                errors.push({ pointer: `${typePointer}/${escapePointer(field)}`, message });
+            } else {
+                style[field] = value; // eslint-disable-line security/detect-object-injection
+            }
+        }
+        types[name] = style; // eslint-disable-line security/detect-object-injection
+    }
+
+    return { types, errors };
+}
+
+/**
+ * Locate the project entries of a parsed registry file
+ * Supports the same layouts as the loader: top-level type sections,
+ * projects.<section>, and the [metadata, projects] form. An entry's own
+ * `type` wins over its section when it names a known type.
+ *
+ * @param {*} rawRegistry - Parsed registry file
+ * @param {Array<string>} [types=PROJECT_TYPES] - Known project types (see getKnownTypes)
+ * @returns {{entries: Array<{pointer: string, type: string, entry: Object}>, errors: Array<{pointer: string, message: string}>}}
+ *   Entries in file order with their JSON pointers, and structural errors
+ *
+ * @example
+ * readRegistryEntries({ development: [{ name: 'app', path: '/opt/dev/app' }] })
+ * // { entries: [{ pointer: '/development/0', type: 'dev', entry: { name: 'app', path: '/opt/dev/app' } }], errors: [] }
+ */
+function readRegistryEntries(rawRegistry, types = PROJECT_TYPES) {
+    const entries = [];
+    const errors = [];
+
+    const { registry, base } = getRegistryRoot(rawRegistry);
+    if (registry === undefined && base) {
+        return { entries, errors };
+    }
+    if (!isObject(registry)) {
+        errors.push({ pointer: base, message: 'must be an object with development/production sections' });
+        return { entries, errors };
+    }
+
+    const containers = [{ pointer: base, value: registry }];
+    if (registry.projects !== undefined) {
+        if (isObject(registry.projects)) {
+            containers.push({ pointer: `${base}/projects`, value: registry.projects });
+        } else {
+            errors.push({ pointer: `${base}/projects`, message: 'must be an object with development/production sections' });
+        }
+    }
+
+    for (const container of containers) {
+        for (const sectionType of types) {
+            const section = getTypeSection(sectionType);
+            if (!Object.prototype.hasOwnProperty.call(container.value, section)) continue;
+            const list = container.value[section]; // eslint-disable-line security/detect-object-injection
+            const pointer = `${container.pointer}/${section}`;
+            if (!Array.isArray(list)) {
+                errors.push({ pointer, message: 'must be an array of projects' });
+                continue;
+            }
+            list.forEach((entry, index) => {
+                if (isObject(entry)) {
+                    const type = types.includes(entry.type) ? entry.type : sectionType;
+                    entries.push({ pointer: `${pointer}/${index}`, type, entry });
+                } else {
+                    errors.push({ pointer: `${pointer}/${index}`, message: 'must be an object' });
+                }
+            });
+        }
+    }
+
+    return { entries, errors };
+}
+
+/**
+ * Type-check the known fields set by a registry file entry
+ * Required fields are not checked here: in a multi-source registry an entry
+ * may only override fields of an entry from an earlier source.
+ *
+ * @param {Object} entry - Entry as written in the registry file
+ * @param {Array<string>} [types=PROJECT_TYPES] - Known project types (see getKnownTypes)
+ * @returns {Array<{pointer: string, message: string}>} Errors with pointers relative to the entry
+ */
+function checkRegistryEntry(entry, types = PROJECT_TYPES) {
+    const errors = [];
+    for (const [field, rule] of Object.entries(PROJECT_SCHEMA)) {
+        const value = entry[field]; // eslint-disable-line security/detect-object-injection
+        if (value === undefined) continue;
+        const message = rule.check(value, { types });
+        if (message) errors.push({ pointer: `/${escapePointer(field)}`, message });
+    }
+    return errors;
+}
+
+module.exports = {
+    TYPE_SECTIONS,
+    PROJECT_TYPES,
+    PROJECT_SCHEMA,
+    SCHEMA_LIMITS,
+    getTypeSection,
+    getKnownTypes,
+    validateProjectEntry,
+    readRegistryTypes,
+    readRegistryEntries,
+    checkRegistryEntry,
+    escapePointer,
+};
@@ -0,0 +1,486 @@
+/**
+ * Registry Writer
+ *
+ * Create/update/delete project entries in the registry file behind the admin
+ * registry API (lib/routes/registry-routes.js).
+ *
+ * Features:
+ * - Atomic writes (temp file + rename) so readers never see a partial file
+ * - Optimistic concurrency: every read returns a revision (strong ETag of the
+ *   file bytes); writes carrying a stale revision fail with 412
+ * - Preserves the file layout: top-level development/production arrays,
+ *   projects.development/production, and the [metadata, projects] array form,
+ *   plus the file's indentation
+ * - Writes are serialized in-process; the registry cache is invalidated after
+ *   each write instead of waiting for the file watcher debounce
+ *
+ * Like the loader in registry-cache, the section (development/production, or
+ * one named after another known type) determines a project's type, so `type`
+ * is not stored on entries. Known types include those declared in the file's
+ * `types` block.
+ * YAML and TOML registries can be read but not written (rewriting them would
+ * drop comments and formatting); writes to them fail with 409.
+ *
+ * Every write is recorded in the registry version history (registry-history),
+ * and restoreVersion() writes a recorded version back verbatim, which works
+ * for any registry file source and format.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const logger = require('./logger');
+const { invalidateCache, getRegistrySources } = require('./registry-cache');
+const registryHistory = require('./registry-history');
+const { writeFileAtomic } = require('./utils/file-operations');
+const { createEtag } = require('./utils/conditional-get');
+const { getTypeSection, getKnownTypes, readRegistryTypes, validateProjectEntry } = require('./registry-schema');
+const { getRegistryFormat, parseRegistry } = require('./registry-formats');
+const { FileNotFoundError, ValidationError, ConflictError, PreconditionFailedError } = require('./errors');
+
+// Serializes read-modify-write cycles within this process
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a write operation after all previously queued ones
+ *
+ * @param {Function} operation - Async operation
+ * @returns {Promise<*>} Operation result
+ */
+function withWriteLock(operation) {
+    const run = writeQueue.then(operation, operation);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Read and parse the registry file
+ * A missing file reads as an empty registry so the first project can be created.
+ *
+ * @returns {Promise<{raw: Object|Array, text: string, revision: string, indent: string|number, trailingNewline: boolean}>}
+ */
+async function readRegistryFile() {
+    let text = '';
+    try {
+        text = await fs.promises.readFile(config.registryPath, 'utf8');
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    const raw = text.trim() ? parseRegistry(text, config.registryPath) : {};
+    const indentMatch = text.match(/^[{[][^\n]*\n([ \t]+)/);
+
+    return {
+        raw,
+        text,
+        revision: createEtag(text),
+        indent: indentMatch ? indentMatch[1] : 2,
+        trailingNewline: text === '' || text.endsWith('\n'),
+    };
+}
+
+/**
+ * Project types accepted by a registry file
+ *
+ * @param {Object|Array} raw - Parsed registry file
+ * @returns {Array<string>} Known types (see registry-schema getKnownTypes)
+ */
+function getFileTypes(raw) {
+    return getKnownTypes(readRegistryTypes(raw).types);
+}
+
+/**
+ * Locate the object holding the type section arrays
+ * Creates the README layout ({projects: {development, production}}) when the
+ * file has none yet.
+ *
+ * @param {Object|Array} raw - Parsed registry file (mutated when sections are created)
+ * @returns {Object} Section owner
+ */
+function getSectionOwner(raw) {
+    let container = raw;
+    if (Array.isArray(raw)) {
+        if (!raw[1] || typeof raw[1] !== 'object' || Array.isArray(raw[1])) {
+            raw[1] = {};
+        }
+        container = raw[1];
+    }
+
+    if (container.projects && typeof container.projects === 'object' && !Array.isArray(container.projects)) {
+        return container.projects;
+    }
+    const hasSection = (type) => {
+        const section = getTypeSection(type);
+        return Object.prototype.hasOwnProperty.call(container, section) && Array.isArray(container[section]); // eslint-disable-line security/detect-object-injection
+    };
+    if (getFileTypes(raw).some(hasSection)) {
+        return container;
+    }
+
+    container.projects = {};
+    return container.projects;
+}
+
+/**
+ * List every section array in the file (same sources as the registry loader)
+ *
+ * @param {Object|Array} raw - Parsed registry file
+ * @param {Array<string>} [types] - Known types (default: read from the file)
+ * @returns {Array<{owner: Object, type: string, entries: Array<Object>}>} Sections
+ */
+function listSections(raw, types = getFileTypes(raw)) {
+    const container = Array.isArray(raw) ? raw[1] || {} : raw;
+    const owners = [container];
+    if (container.projects && typeof container.projects === 'object' && !Array.isArray(container.projects)) {
+        owners.push(container.projects);
+    }
+
+    const sections = [];
+    for (const owner of owners) {
+        for (const type of types) {
+            const section = getTypeSection(type);
+            // eslint-disable-next-line security/detect-object-injection
+            if (Object.prototype.hasOwnProperty.call(owner, section) && Array.isArray(owner[section])) {
+                // eslint-disable-next-line security/detect-object-injection
+                sections.push({ owner, type, entries: owner[section] });
+            }
+        }
+    }
+    return sections;
+}
+
+/**
+ * Find a project by path, falling back to name
+ *
+ * @param {Object|Array} raw - Parsed registry file
+ * @param {string} id - Project path or name
+ * @returns {{owner: Object, type: string, entries: Array<Object>, index: number}|null} Location
+ */
+function findProject(raw, id) {
+    const sections = listSections(raw);
+    for (const key of ['path', 'name']) {
+        for (const section of sections) {
+            const index = section.entries.findIndex((entry) => entry && entry[key] === id); // eslint-disable-line security/detect-object-injection
+            if (index !== -1) {
+                return { ...section, index };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Project as returned by the API
+ * The type is derived from the section unless the entry names a known type
+ * itself (same rule as the loader).
+ *
+ * @param {Object} entry - Stored entry
+ * @param {string} type - Section type
+ * @param {Array<string>} types - Known types
+ * @returns {Object} Project
+ */
+function toProject(entry, type, types) {
+    return { ...entry, type: types.includes(entry.type) ? entry.type : type };
+}
+
+/**
+ * Check an If-Match header value against the current revision
+ *
+ * @param {string|undefined} ifMatch - If-Match header (undefined skips the check)
+ * @param {string} revision - Current revision
+ * @throws {PreconditionFailedError} When no listed tag matches
+ */
+function assertRevision(ifMatch, revision) {
+    if (ifMatch === undefined || ifMatch.trim() === '*') {
+        return;
+    }
+    const tags = ifMatch.split(',').map((tag) => tag.trim());
+    if (!tags.includes(revision)) {
+        throw new PreconditionFailedError('Registry was modified since it was read', { revision });
+    }
+}
+
+/**
+ * Validate a request body as a project entry
+ *
+ * @param {*} body - Request body
+ * @param {Array<string>} types - Known types of the registry file
+ * @returns {Object} Normalized project (type defaulted)
+ * @throws {ValidationError} Listing every invalid field
+ */
+function validateBody(body, types) {
+    const { valid, errors, value } = validateProjectEntry(body, { types });
+    if (!valid) {
+        const summary = errors.map(({ field, message }) => (field ? `${field} ${message}` : message)).join('; ');
+        throw new ValidationError(`Invalid project: ${summary}`, { errors });
+    }
+    return value;
+}
+
+/**
+ * Reject a project whose path or name is already used by another entry
+ *
+ * @param {Object|Array} raw - Parsed registry file
+ * @param {Object} project - Candidate project
+ * @param {Object} [self] - Entry being updated (ignored in the check)
+ * @throws {ConflictError}
+ */
+function assertUnique(raw, project, self) {
+    for (const { entries } of listSections(raw)) {
+        for (const entry of entries) {
+            if (!entry || entry === self) continue;
+            if (entry.path === project.path || entry.name === project.name) {
+                const field = entry.path === project.path ? 'path' : 'name';
+                // eslint-disable-next-line security/detect-object-injection
+                throw new ConflictError(`A project with this ${field} already exists`, { field, value: project[field] });
+            }
+        }
+    }
+}
+
+/**
+ * Write the registry file atomically and invalidate the registry cache
+ *
+ * @param {Object} file - Result of readRegistryFile with a mutated `raw`
+ * @returns {Promise<string>} New revision
+ * @throws {ConflictError} When the registry file is not JSON
+ */
+async function saveRegistryFile({ raw, text: previousText, indent, trailingNewline }) {
+    const format = getRegistryFormat(config.registryPath);
+    if (format !== 'json') {
+        throw new ConflictError(`Registry API can only edit JSON registries (REGISTRY_PATH is ${format.toUpperCase()})`, { format });
+    }
+
+    const text = JSON.stringify(raw, null, indent) + (trailingNewline ? '\n' : '');
+    await writeFileAtomic(config.registryPath, text);
+    invalidateCache();
+    recordHistory(config.registryPath, text, previousText);
+    return createEtag(text);
+}
+
+/**
+ * Record a write in the version history (failures are logged, never thrown)
+ *
+ * @param {string} filePath - Written registry file
+ * @param {string} text - New contents
+ * @param {string} previousText - Contents before the write ('' when the file was missing)
+ */
+function recordHistory(filePath, text, previousText) {
+    registryHistory
+        .recordChange(filePath, text, previousText || undefined)
+        .catch((err) => logger.warn({ err, registryPath: filePath }, 'Failed to record registry version'));
+}
+
+/**
+ * List all projects
+ *
+ * @returns {Promise<{projects: Array<Object>, revision: string}>}
+ */
+async function listProjects() {
+    const { raw, revision } = await readRegistryFile();
+    const types = getFileTypes(raw);
+    const projects = [];
+    for (const { type, entries } of listSections(raw, types)) {
+        for (const entry of entries) {
+            if (entry && typeof entry === 'object') {
+                projects.push(toProject(entry, type, types));
+            }
+        }
+    }
+    return { projects, revision };
+}
+
+/**
+ * Get a single project
+ *
+ * @param {string} id - Project path or name
+ * @returns {Promise<{project: Object, revision: string}>}
+ * @throws {FileNotFoundError} When the project is not registered
+ */
+async function getProject(id) {
+    const { raw, revision } = await readRegistryFile();
+    const location = findProject(raw, id);
+    if (!location) {
+        throw new FileNotFoundError('Project not found', { id });
+    }
+    return { project: toProject(location.entries[location.index], location.type, getFileTypes(raw)), revision };
+}
+
+/**
+ * Register a new project
+ *
+ * @param {Object} body - Project fields (see registry-schema)
+ * @param {Object} [options={}] - Write options
+ * @param {string} [options.ifMatch] - Expected revision
+ * @returns {Promise<{project: Object, revision: string}>}
+ * @throws {ValidationError|ConflictError|PreconditionFailedError}
+ *
+ * @example
+ * await createProject({ name: 'app', path: '/opt/dev/app', port: 3000 });
+ */
+async function createProject(body, { ifMatch } = {}) {
+    return withWriteLock(async () => {
+        const file = await readRegistryFile();
+        const types = getFileTypes(file.raw);
+        const { type, ...entry } = validateBody(body, types);
+        assertRevision(ifMatch, file.revision);
+        assertUnique(file.raw, entry);
+
+        const owner = getSectionOwner(file.raw);
+        const section = getTypeSection(type);
+        // eslint-disable-next-line security/detect-object-injection
+        if (!Array.isArray(owner[section])) owner[section] = [];
+        owner[section].push(entry); // eslint-disable-line security/detect-object-injection
+
+        const revision = await saveRegistryFile(file);
+        logger.info({ name: entry.name, path: entry.path, type }, 'Registry project created');
+        return { project: toProject(entry, type, types), revision };
+    });
+}
+
+/**
+ * Replace an existing project
+ * Changing `type` moves the entry to the other section of the same layout.
+ *
+ * @param {string} id - Current project path or name
+ * @param {Object} body - Complete project fields (see registry-schema)
+ * @param {Object} [options={}] - Write options
+ * @param {string} [options.ifMatch] - Expected revision
+ * @returns {Promise<{project: Object, revision: string}>}
+ * @throws {FileNotFoundError|ValidationError|ConflictError|PreconditionFailedError}
+ */
+async function updateProject(id, body, { ifMatch } = {}) {
+    return withWriteLock(async () => {
+        const file = await readRegistryFile();
+        const types = getFileTypes(file.raw);
+        const { type, ...entry } = validateBody(body, types);
+        assertRevision(ifMatch, file.revision);
+
+        const location = findProject(file.raw, id);
+        if (!location) {
+            throw new FileNotFoundError('Project not found', { id });
+        }
+        assertUnique(file.raw, entry, location.entries[location.index]);
+
+        if (location.type === type) {
+            location.entries[location.index] = entry;
+        } else {
+            location.entries.splice(location.index, 1);
+            const section = getTypeSection(type);
+            // eslint-disable-next-line security/detect-object-injection
+            if (!Array.isArray(location.owner[section])) location.owner[section] = [];
+            location.owner[section].push(entry); // eslint-disable-line security/detect-object-injection
+        }
+
+        const revision = await saveRegistryFile(file);
+        logger.info({ id, name: entry.name, path: entry.path, type }, 'Registry project updated');
+        return { project: toProject(entry, type, types), revision };
+    });
+}
+
+/**
+ * Remove a project
+ *
+ * @param {string} id - Project path or name
+ * @param {Object} [options={}] - Write options
+ * @param {string} [options.ifMatch] - Expected revision
+ * @returns {Promise<{revision: string}>}
+ * @throws {FileNotFoundError|PreconditionFailedError}
+ */
+async function deleteProject(id, { ifMatch } = {}) {
+    return withWriteLock(async () => {
+        const file = await readRegistryFile();
+        assertRevision(ifMatch, file.revision);
+
+        const location = findProject(file.raw, id);
+        if (!location) {
+            throw new FileNotFoundError('Project not found', { id });
+        }
+        location.entries.splice(location.index, 1);
+
+        const revision = await saveRegistryFile(file);
+        logger.info({ id }, 'Registry project deleted');
+        return { revision };
+    });
+}
+
+/**
+ * Register several new projects in a single write
+ * Used by the workspace import (lib/workspace-import.js): either every
+ * project is added or, when one is invalid or taken, none is.
+ *
+ * @param {Array<Object>} bodies - Project fields (see registry-schema)
+ * @param {Object} [options={}] - Write options
+ * @param {string} [options.ifMatch] - Expected revision
+ * @returns {Promise<{projects: Array<Object>, revision: string}>} Added projects and the new revision
+ * @throws {ValidationError|ConflictError|PreconditionFailedError}
+ */
+async function createProjects(bodies, { ifMatch } = {}) {
+    return withWriteLock(async () => {
+        const file = await readRegistryFile();
+        const types = getFileTypes(file.raw);
+        const projects = bodies.map((body) => validateBody(body, types));
+        assertRevision(ifMatch, file.revision);
+        if (projects.length === 0) {
+            return { projects, revision: file.revision };
+        }
+
+        const owner = getSectionOwner(file.raw);
+        for (const { type, ...entry } of projects) {
+            // Checked against the entries added before it too
+            assertUnique(file.raw, entry);
+            const section = getTypeSection(type);
+            // eslint-disable-next-line security/detect-object-injection
+            if (!Array.isArray(owner[section])) owner[section] = [];
+            owner[section].push(entry); // eslint-disable-line security/detect-object-injection
+        }
+
+        const revision = await saveRegistryFile(file);
+        logger.info({ count: projects.length }, 'Registry projects imported');
+        return { projects: projects.map(({ type, ...entry }) => toProject(entry, type, types)), revision };
+    });
+}
+
+/**
+ * Restore a recorded registry version
+ * The version's contents are written back verbatim (atomically) to the file
+ * they were recorded from, which must still be a configured registry source.
+ *
+ * @param {string} id - Version id (see registry-history)
+ * @param {Object} [options={}] - Write options
+ * @param {string} [options.ifMatch] - Expected revision of the file being replaced
+ * @returns {Promise<{version: Object, revision: string}>} Restored version metadata and the new revision
+ * @throws {ValidationError|FileNotFoundError|ConflictError|PreconditionFailedError}
+ */
+async function restoreVersion(id, { ifMatch } = {}) {
+    const { data, ...version } = await registryHistory.getVersion(id);
+    if (!getRegistrySources().includes(version.file)) {
+        throw new ConflictError('Registry version belongs to a file that is no longer a registry source', { file: version.file });
+    }
+
+    return withWriteLock(async () => {
+        let current = '';
+        try {
+            current = await fs.promises.readFile(version.file, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        assertRevision(ifMatch, createEtag(current));
+
+        await writeFileAtomic(version.file, data);
+        invalidateCache();
+        recordHistory(version.file, data, current);
+        logger.info({ id, file: version.file }, 'Registry version restored');
+        return { version, revision: createEtag(data) };
+    });
+}
+
+module.exports = {
+    listProjects,
+    getProject,
+    createProject,
+    createProjects,
+    updateProject,
+    deleteProject,
+    restoreVersion,
+    readRegistryFile,
+};
@@ -55,6 +55,9 @@ const ErrorCodes = {
     INTERNAL_ERROR: 'INTERNAL_ERROR',
     SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE',
     UPLOAD_FAILED: 'UPLOAD_FAILED',
+    CONFLICT: 'CONFLICT',
+    PRECONDITION_FAILED: 'PRECONDITION_FAILED',
+    PRECONDITION_REQUIRED: 'PRECONDITION_REQUIRED',
 };
 
 /**
@@ -3,9 +3,12 @@
  * Routes for favicon generation and project info
  *
  * Endpoints:
- * - GET /api/favicon - Generate/serve project favicons
+ * - GET /api/favicon - Generate/serve project favicons (SVG, PNG or ICO)
  * - GET /api/project-info - Get project metadata
  * - GET /favicon-api - Alternative favicon endpoint (allows missing folder)
+ * - POST /api/favicons/batch - Favicons for many projects as data URIs
+ * - GET /api/manifest.webmanifest - Web App Manifest for a project
+ * - GET /api/icons/:icon.png - Sized manifest icons (apple-touch-icon, icon-*, maskable-*)
  */
 
 const express = require('express');
@@ -13,10 +16,16 @@ const _fs = require('fs'); // Reserved for future file operations
 const path = require('path');
 const config = require('../config');
 const { getProjectInfo } = require('../registry-cache');
-const { validateGrayscale, handleValidationErrors } = require('../validators');
+const notificationStore = require('../notification-store');
+const { validateGrayscale, validateFaviconFormat, validateFaviconBadge, validateFaviconAnimation, validateFaviconBatchBody, handleValidationErrors } = require('../validators');
 const { sendSVG, sendError, ErrorCodes } = require('../response-helpers');
 const { getDefaultFavicon } = require('../svg-sanitizer');
 const { makeCacheKey } = require('../utils/cache-keys');
+const { DEFAULT_PNG_SIZE } = require('../services/favicon-rasterizer');
+const { parseBadge, formatBadge, badgeFromNotification } = require('../services/favicon-badges');
+const { getIcon, buildManifest } = require('../services/favicon-icons');
+const { hashParts, createEtag, isNotModified, setValidatorHeaders } = require('../utils/conditional-get');
+const metrics = require('../metrics');
 const logger = require('../logger');
 const { FileNotFoundError, PermissionError, ValidationError } = require('../errors');
 
@@ -82,6 +91,98 @@ const requireValidPath = async (req, res, next) => {
     }
 };
 
+/**
+ * Accept header media types mapped to favicon output formats (preference order)
+ * SVG comes first so generic image Accept headers keep receiving SVG.
+ */
+const ACCEPTED_FAVICON_TYPES = {
+    'image/svg+xml': 'svg',
+    'image/png': 'png',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+};
+
+/**
+ * Resolve requested favicon output format and size
+ * An explicit ?format= wins; otherwise the format is negotiated from the Accept header.
+ *
+ * @param {Object} req - Express request object (query already validated)
+ * @returns {{format: string, size: number|undefined, negotiated: boolean}} Resolved output options
+ */
+function resolveFaviconFormat(req) {
+    let format = req.query.format;
+    const negotiated = !format;
+
+    if (negotiated) {
+        const accepted = req.accepts(Object.keys(ACCEPTED_FAVICON_TYPES));
+        format = (accepted && ACCEPTED_FAVICON_TYPES[accepted]) || 'svg'; // eslint-disable-line security/detect-object-injection
+    }
+
+    const size = format === 'png' ? parseInt(req.query.size, 10) || DEFAULT_PNG_SIZE : undefined;
+    return { format, size, negotiated };
+}
+
+/**
+ * Resolve the requested status badge
+ * badge=auto derives the badge from notification state for the project (optionally scoped by ?origin=).
+ *
+ * @param {Object} req - Express request object (query validated, validatedPath set)
+ * @returns {{badge: Object|null, dynamic: boolean}} Parsed badge and whether it depends on live state
+ */
+function resolveFaviconBadge(req) {
+    if (req.query.badge === 'auto') {
+        const notification = notificationStore.get(req.validatedPath, req.query.origin || null);
+        return { badge: badgeFromNotification(notification), dynamic: true };
+    }
+    return { badge: parseBadge(req.query.badge), dynamic: false };
+}
+
+/**
+ * Resolve the requested working badge animation
+ * Only meaningful for the working badge; other badges ignore it (and stay out of the cache key).
+ *
+ * @param {Object} req - Express request object (query validated)
+ * @param {Object|null} badge - Resolved badge
+ * @returns {Object|undefined} Animation request ({animate, frame}) or undefined
+ */
+function resolveFaviconAnimation(req, badge) {
+    if (!badge || badge.type !== 'working') {
+        return undefined;
+    }
+    return {
+        animate: req.query.animate !== 'false',
+        ...(req.query.frame !== undefined && { frame: parseInt(req.query.frame, 10) }),
+    };
+}
+
+/**
+ * Send a favicon cache entry, or 304 Not Modified when the client's copy is current
+ * FIX QUA-029: SVG responses go through sendSVG for defense-in-depth security headers
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} entry - Favicon entry ({contentType, data, etag, lastModified})
+ * @param {string} cacheControl - Cache-Control header value
+ */
+function sendFavicon(req, res, entry, cacheControl) {
+    setValidatorHeaders(res, entry);
+
+    if (isNotModified(req, entry)) {
+        metrics.faviconNotModifiedTotal.inc();
+        res.setHeader('Cache-Control', cacheControl);
+        return res.status(304).end();
+    }
+
+    if (entry.contentType === 'image/svg+xml') {
+        return sendSVG(res, entry.data, { cacheControl });
+    }
+
+    res.setHeader('Content-Type', entry.contentType);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', cacheControl);
+    res.send(entry.data);
+}
+
 /**
  * Shared favicon request handler to eliminate code duplication
  * Handles both /api/favicon and /favicon-api endpoints
@@ -90,7 +191,9 @@ const requireValidPath = async (req, res, next) => {
  * FIX QUA-027: Enhanced JSDoc documentation for complex function
  * FIX QUA-029: Use sendSVG helper for consistent security headers
  *
- * @param {Object} faviconCache - LRU cache instance for favicons
+ * The favicon itself comes from FaviconService.getFavicon, the same path the
+ * batch handler uses.
+ *
  * @param {Object} faviconService - FaviconService instance
  * @returns {Function} Express request handler
  *
@@ -100,6 +203,9 @@ const requireValidPath = async (req, res, next) => {
  * - Uses SVG sanitizer to prevent XSS attacks in generated favicons
  * - Specific error handling for FileNotFoundError (404), PermissionError (403), ValidationError (400)
  *
+ * Responses carry a strong ETag (generated content, or custom file mtime) and
+ * Last-Modified; matching If-None-Match / If-Modified-Since requests get 304.
+ *
  * @example
  * // Generate favicon for a project
  * GET /api/favicon?folder=/opt/dev/myproject
@@ -107,71 +213,51 @@ const requireValidPath = async (req, res, next) => {
  * // Generate grayscale favicon
  * GET /api/favicon?folder=/opt/dev/myproject&grayscale=true
  *
+ * // Generate 180px PNG or multi-resolution ICO
+ * GET /api/favicon?folder=/opt/dev/myproject&format=png&size=180
+ * GET /api/favicon?folder=/opt/dev/myproject&format=ico
+ *
+ * // Composite a status badge (or derive it from notification state)
+ * GET /api/favicon?folder=/opt/dev/myproject&badge=count:3
+ * GET /api/favicon?folder=/opt/dev/myproject&badge=auto
+ *
+ * // Working badge: animated by default, a single frame, or the static dot
+ * GET /api/favicon?folder=/opt/dev/myproject&badge=working&frame=3
+ * GET /api/favicon?folder=/opt/dev/myproject&badge=working&animate=false
+ *
  * @see {@link requireValidPath} for path validation details
- * @see {@link FaviconService#generateSvgFavicon} for SVG generation
+ * @see {@link FaviconService#getFavicon} for favicon resolution and caching
  */
-function createFaviconHandler(faviconCache, faviconService) {
+function createFaviconHandler(faviconService) {
     return async function handleFaviconRequest(req, res) {
         try {
             // Path validation is now handled by requireValidPath middleware
             const validatedPath = req.validatedPath;
-            const projectName = req.projectName;
 
             // Parse grayscale option
             const grayscale = req.query.grayscale === 'true';
 
-            // Check cache first
-            const cacheKey = makeCacheKey('favicon', validatedPath, grayscale ? 'gray' : '');
-            const cached = faviconCache.get(cacheKey);
-            if (cached) {
-                res.setHeader('Content-Type', cached.contentType);
-                res.setHeader('Cache-Control', `public, max-age=${config.cacheTtl}`);
-                return res.send(cached.data);
+            // Resolve output format (svg, png, ico) from ?format= or Accept header
+            const { format, size, negotiated } = resolveFaviconFormat(req);
+            if (negotiated) {
+                res.setHeader('Vary', 'Accept');
             }
 
-            // FIX QUA-013: Use centralized getProjectInfo helper
-            const projectInfo = await getProjectInfo(validatedPath);
-
-            // Try to find existing favicon (async)
-            const existingFavicon = await faviconService.findFaviconFile(validatedPath);
-
-            if (existingFavicon) {
-                const ext = path.extname(existingFavicon).toLowerCase();
-                let contentType = 'image/x-icon';
-
-                if (ext === '.png') contentType = 'image/png';
-                else if (ext === '.svg') contentType = 'image/svg+xml';
-
-                // Use service's error handling method for consistent permission error handling
-                const data = await faviconService.readFileWithErrorHandling(existingFavicon);
-
-                // If data is null, file not found - fall back to generated favicon
-                if (!data) {
-                    logger.debug({ existingFavicon, validatedPath }, 'Custom favicon file not found, falling back to generated favicon');
-                } else {
-                    // Cache the favicon
-                    faviconCache.set(cacheKey, { contentType, data });
-
-                    res.setHeader('Content-Type', contentType);
-                    res.setHeader('Cache-Control', `public, max-age=${config.cacheTtl}`);
-                    return res.send(data);
-                }
-            }
+            // Resolve status badge; badge=auto reflects live notification state so must not be cached by clients
+            const { badge, dynamic } = resolveFaviconBadge(req);
+            const cacheControl = dynamic ? 'no-cache' : `public, max-age=${config.cacheTtl}`;
+            const animation = resolveFaviconAnimation(req, badge);
 
-            // Generate SVG favicon
-            const svgFavicon = faviconService.generateSvgFavicon(projectName, projectInfo, {
+            // Custom files, overrides, caching and validators are resolved by the service,
+            // so single and batch requests share one code path and cache
+            const entry = await faviconService.getFavicon(validatedPath, {
                 grayscale,
+                format,
+                size,
+                ...(badge && { badge: formatBadge(badge) }),
+                ...(animation && { animation }),
             });
-            const svgBuffer = Buffer.from(svgFavicon);
-
-            // Cache the generated SVG
-            faviconCache.set(cacheKey, {
-                contentType: 'image/svg+xml',
-                data: svgBuffer,
-            });
-
-            // FIX QUA-029: Use sendSVG helper for defense-in-depth security headers
-            sendSVG(res, svgBuffer, { cacheControl: `public, max-age=${config.cacheTtl}` });
+            sendFavicon(req, res, entry, cacheControl);
         } catch (error) {
             const log = req.log || logger;
 
@@ -198,6 +284,224 @@ function createFaviconHandler(faviconCache, faviconService) {
     };
 }
 
+/**
+ * Map a per-item batch failure to a client-safe error
+ * Mirrors the status mapping of handleFaviconRequest without exposing details.
+ *
+ * @param {Error} error - Error thrown while producing one favicon
+ * @returns {{code: string, message: string}} Error for the batch result
+ */
+function toBatchError(error) {
+    if (error instanceof FileNotFoundError) {
+        return { code: ErrorCodes.NOT_FOUND, message: 'Favicon not found' };
+    }
+    if (error instanceof PermissionError) {
+        return { code: ErrorCodes.ACCESS_DENIED, message: 'Access denied' };
+    }
+    if (error instanceof ValidationError) {
+        return { code: ErrorCodes.INVALID_PARAMETER, message: error.message };
+    }
+    return { code: ErrorCodes.INTERNAL_ERROR, message: 'Internal server error' };
+}
+
+/**
+ * Batch favicon request handler
+ * Validates every folder with validatePathAsync and resolves it through
+ * FaviconService.getFavicon (sharing the favicon cache with single requests).
+ * Each folder gets its own result so one bad path doesn't fail the batch.
+ *
+ * @param {Object} faviconService - FaviconService instance
+ * @returns {Function} Express request handler
+ *
+ * @security
+ * - Every folder is validated individually (same checks as requireValidPath)
+ * - Per-item errors are generic; details are logged server-side only
+ *
+ * @example
+ * POST /api/favicons/batch
+ * { "folders": ["/opt/dev/app", "/opt/prod/api"], "format": "png", "size": 32, "grayscale": false }
+ * // => { "favicons": { "/opt/dev/app": { "contentType": "image/png", "dataUri": "data:image/png;base64,..." }, ... } }
+ */
+function createFaviconBatchHandler(faviconService) {
+    return async function handleFaviconBatchRequest(req, res) {
+        const log = req.log || logger;
+        const { validatePathAsync } = require('../path-validator');
+        const { folders, grayscale = false, format = 'svg', size, badge, origin } = req.body;
+        const uniqueFolders = [...new Set(folders)];
+
+        const results = await Promise.all(
+            uniqueFolders.map(async (folder) => {
+                try {
+                    const validation = await validatePathAsync(folder);
+                    if (!validation.valid) {
+                        log.error({ input: folder, error: validation.error }, 'Batch favicon path validation failed');
+                        return [folder, { error: { code: ErrorCodes.ACCESS_DENIED, message: 'Access denied' } }];
+                    }
+
+                    const itemBadge =
+                        badge === 'auto' ? formatBadge(badgeFromNotification(notificationStore.get(validation.resolved, origin || null))) : badge;
+                    const favicon = await faviconService.getFavicon(validation.resolved, {
+                        grayscale,
+                        format,
+                        size: format === 'png' ? size || DEFAULT_PNG_SIZE : undefined,
+                        ...(itemBadge && { badge: itemBadge }),
+                    });
+
+                    return [
+                        folder,
+                        {
+                            contentType: favicon.contentType,
+                            dataUri: `data:${favicon.contentType};base64,${favicon.data.toString('base64')}`,
+                            ...(favicon.etag && { etag: favicon.etag }),
+                        },
+                    ];
+                } catch (error) {
+                    log.error({ err: error, folder }, 'Batch favicon item failed');
+                    return [folder, { error: toBatchError(error) }];
+                }
+            })
+        );
+
+        const favicons = Object.fromEntries(results);
+        const failed = results.filter(([, result]) => result.error).length;
+
+        res.setHeader('Cache-Control', 'no-cache');
+        res.json({ favicons, count: results.length, failed });
+    };
+}
+
+/**
+ * Send the error response for a failed favicon/icon/manifest request
+ * Same status mapping as handleFaviconRequest; details are logged server-side only.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} subject - What was requested (used in log and 404 messages)
+ */
+function sendRouteError(req, res, error, subject) {
+    const log = req.log || logger;
+
+    if (error instanceof FileNotFoundError) {
+        log.debug({ err: error, path: error.details?.filePath }, `${subject} not found`);
+        return sendError(res, 404, ErrorCodes.NOT_FOUND, `${subject} not found`);
+    }
+
+    if (error instanceof PermissionError) {
+        log.debug({ err: error, path: error.details?.filePath }, `Permission denied accessing ${subject.toLowerCase()}`);
+        return sendError(res, 403, ErrorCodes.ACCESS_DENIED, 'Access denied');
+    }
+
+    if (error instanceof ValidationError) {
+        log.debug({ err: error, details: error.details }, 'Validation error');
+        return sendError(res, 400, ErrorCodes.INVALID_PARAMETER, error.message);
+    }
+
+    log.error({ err: error }, `${subject} request failed with unexpected error`);
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+}
+
+/**
+ * Get registry metadata merged with `.favicon.json` overrides (overrides win)
+ * Fields missing from the registry are filled by discovery when enabled.
+ *
+ * @param {Object} faviconService - FaviconService instance
+ * @param {string} validatedPath - Validated project path
+ * @returns {Promise<Object>} Project info
+ */
+async function getMergedProjectInfo(faviconService, validatedPath) {
+    const { info } = await faviconService.getDiscoveredInfo(validatedPath, await getProjectInfo(validatedPath));
+    return {
+        ...info,
+        ...(await faviconService.getProjectOverrides(validatedPath)),
+    };
+}
+
+/**
+ * Manifest icon request handler
+ * Icons are always generated from the project layout (custom favicon files are
+ * not resized) and cached alongside the favicon variants, so
+ * FaviconService.invalidateProject clears them too.
+ *
+ * @param {Object} faviconCache - LRU cache instance for favicons
+ * @param {Object} faviconService - FaviconService instance
+ * @returns {Function} Express request handler
+ *
+ * @example
+ * GET /api/icons/apple-touch-icon.png?folder=/opt/dev/myproject
+ * GET /api/icons/maskable-512.png?folder=/opt/dev/myproject
+ */
+function createIconHandler(faviconCache, faviconService) {
+    return async function handleIconRequest(req, res) {
+        try {
+            const icon = getIcon(req.params.icon);
+            if (!icon) {
+                return sendError(res, 404, ErrorCodes.NOT_FOUND, 'Icon not found');
+            }
+
+            const { validatedPath, projectName } = req;
+            const cacheControl = `public, max-age=${config.cacheTtl}`;
+            const cacheKey = makeCacheKey('favicon', validatedPath, 'icon', req.params.icon);
+            const projectInfo = await getMergedProjectInfo(faviconService, validatedPath);
+            const fingerprint = hashParts(JSON.stringify(projectInfo));
+
+            const cached = faviconCache.get(cacheKey);
+            if (cached && cached.fingerprint === fingerprint) {
+                metrics.faviconCacheHitsTotal.inc();
+                return sendFavicon(req, res, cached, cacheControl);
+            }
+            metrics.faviconCacheMissesTotal.inc();
+
+            const data = faviconService.generateIcon(projectName, projectInfo, icon);
+            const entry = {
+                contentType: 'image/png',
+                data,
+                fingerprint,
+                lastModified: Date.now(),
+                etag: createEtag(cacheKey, fingerprint, data),
+            };
+
+            faviconCache.set(cacheKey, entry);
+            sendFavicon(req, res, entry, cacheControl);
+        } catch (error) {
+            sendRouteError(req, res, error, 'Icon');
+        }
+    };
+}
+
+/**
+ * Web App Manifest request handler
+ * Name and start_url come from the registry entry (start_url only when it has
+ * an http(s) `url`); theme and background color are the favicon background.
+ *
+ * @param {Object} faviconService - FaviconService instance
+ * @returns {Function} Express request handler
+ *
+ * @example
+ * GET /api/manifest.webmanifest?folder=/opt/dev/myproject
+ * // => { "name": "myproject", "display": "standalone", "theme_color": "#4ECDC4", "icons": [...] }
+ */
+function createManifestHandler(faviconService) {
+    return async function handleManifestRequest(req, res) {
+        try {
+            const { validatedPath, projectName } = req;
+            const projectInfo = await getMergedProjectInfo(faviconService, validatedPath);
+            const manifest = buildManifest({
+                name: String(projectInfo.name || projectName),
+                folder: validatedPath,
+                themeColor: faviconService.getThemeColor(projectName, projectInfo),
+                startUrl: projectInfo.url,
+            });
+
+            res.setHeader('Content-Type', 'application/manifest+json; charset=utf-8');
+            res.setHeader('Cache-Control', `public, max-age=${config.cacheTtl}`);
+            res.send(JSON.stringify(manifest));
+        } catch (error) {
+            sendRouteError(req, res, error, 'Manifest');
+        }
+    };
+}
+
 /**
  * Initialize favicon routes with dependencies
  *
@@ -208,12 +512,19 @@ function createFaviconHandler(faviconCache, faviconService) {
 function createFaviconRoutes(faviconCache, faviconService) {
     // Create a new router for each invocation to avoid route accumulation
     const router = express.Router();
-    const handleFaviconRequest = createFaviconHandler(faviconCache, faviconService);
+    const handleFaviconRequest = createFaviconHandler(faviconService);
 
     // API endpoint for favicon - requires folder parameter
     // FIX REF-007: Using requireValidPath middleware for consistent validation
     // FIX QUA-012: Added validateGrayscale for input validation
-    router.get('/api/favicon', validateGrayscale, handleValidationErrors, requireValidPath, handleFaviconRequest);
+    router.get('/api/favicon', validateGrayscale, validateFaviconFormat, validateFaviconBadge, validateFaviconAnimation, handleValidationErrors, requireValidPath, handleFaviconRequest);
+
+    // Batch endpoint - favicons for many folders as data URIs (per-item errors)
+    router.post('/api/favicons/batch', validateFaviconBatchBody, handleValidationErrors, createFaviconBatchHandler(faviconService));
+
+    // Installable per-project PWA: manifest plus the sized icons it references
+    router.get('/api/manifest.webmanifest', requireValidPath, createManifestHandler(faviconService));
+    router.get('/api/icons/:icon.png', requireValidPath, createIconHandler(faviconCache, faviconService));
 
     // API endpoint to get project info (async)
     router.get('/api/project-info', requireValidPath, async (req, res) => {
@@ -221,12 +532,14 @@ function createFaviconRoutes(faviconCache, faviconService) {
             const { validatedPath } = req;
 
             // FIX QUA-013: Use centralized getProjectInfo helper
-            const projectInfo = await getProjectInfo(validatedPath);
+            // Discovery (when enabled) fills fields the registry lacks and reports their sources
+            const { info, inferred } = await faviconService.getDiscoveredInfo(validatedPath, await getProjectInfo(validatedPath));
 
             res.json({
                 name: path.basename(validatedPath),
-                ...projectInfo,
+                ...info,
                 hasCustomFavicon: !!(await faviconService.findFaviconFile(validatedPath)),
+                ...(Object.keys(inferred).length > 0 && { inferred }),
             });
         } catch (error) {
             const log = req.log || logger;
@@ -258,7 +571,7 @@ function createFaviconRoutes(faviconCache, faviconService) {
     // FIX QUA-004: Use getDefaultFavicon() from svg-sanitizer.js
     // FIX QUA-012: Added validateGrayscale for input validation
     // FIX QUA-029: Use sendSVG helper for default SVG response
-    router.get('/favicon-api', validateGrayscale, handleValidationErrors, async (req, res, next) => {
+    router.get('/favicon-api', validateGrayscale, validateFaviconFormat, validateFaviconBadge, validateFaviconAnimation, handleValidationErrors, async (req, res, next) => {
         // If folder is provided, validate it with requireValidPath
         if (req.query.folder) {
             return requireValidPath(req, res, next);
@@ -5,19 +5,29 @@
  * Endpoints:
  * - POST /claude-completion - Create completion notification
  * - POST /claude-started - Create working notification
+ * - POST /claude-needs-input - Create needs-input notification (permission prompt, question)
+ * - POST /claude-error - Create error notification
  * - GET /claude-status - Get notification status for a project
  * - POST /claude-status/mark-read - Mark notification as read
  * - DELETE /claude-status - Delete notification
  * - GET /api/notifications/unread - Get all unread notifications
+ * - GET /api/notifications/history - Get a project's notification history (paginated)
  * - GET /notifications/stream - SSE stream for real-time notifications
+ * - GET /notifications/stream/all - SSE stream multiplexing every project (?prefix=, Last-Event-ID replay)
  */
 
 const express = require('express');
 const router = express.Router();
 const config = require('../config');
 const notificationStore = require('../notification-store');
-const { validateNotificationBody, handleValidationErrors } = require('../validators');
+const {
+    validateNotificationBody,
+    validateNotificationHistory,
+    validateNotificationStreamAll,
+    handleValidationErrors,
+} = require('../validators');
 const { sendError, ErrorCodes } = require('../response-helpers');
+const { describeSessions } = require('../notification-sessions');
 const SSEConnectionManager = require('../sse-connection-manager');
 
 // REF-011: Use SSEConnectionManager for all SSE lifecycle management
@@ -25,7 +35,33 @@ const sseManager = new SSEConnectionManager({
     maxConnectionsPerIP: config.sseMaxConnectionsPerIP,
     globalLimit: config.sseGlobalLimit,
     keepaliveInterval: config.sseKeepaliveInterval,
+    replayBufferSize: config.sseReplayBufferSize,
 });
+// Number and buffer events from startup, so all-projects clients can replay what they missed
+sseManager.startEventLog();
+
+/**
+ * Response body of the notification POST endpoints
+ * state is what was reported; with a sessionId, folderState is the aggregated
+ * folder status and sessions/summary list every session.
+ *
+ * @param {string} folder - Validated folder path
+ * @param {string} message - Stored message
+ * @param {string} state - Reported status
+ * @param {string|null} origin - VS Code server origin
+ * @returns {Object} Response body
+ */
+function stateResponse(folder, message, state, origin) {
+    const notification = notificationStore.get(folder, origin);
+    const sessionFields = describeSessions(notification);
+    return {
+        status: 'ok',
+        folder,
+        message,
+        state,
+        ...(sessionFields.sessions && { folderState: notification.status, ...sessionFields }),
+    };
+}
 
 /**
  * Initialize notification routes with dependencies
@@ -52,6 +88,25 @@ function createNotificationRoutes(requireValidPath, notificationLimiter) {
         }
     );
 
+    // All-projects SSE stream: one connection for dashboards watching many projects
+    router.get(
+        '/notifications/stream/all',
+        notificationLimiter,
+        validateNotificationStreamAll,
+        handleValidationErrors,
+        async (req, res) => {
+            const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+
+            const error = sseManager.establishStreamConnection(req, res, {
+                prefix: req.query.prefix || null,
+                lastEventId: lastEventId !== undefined ? Number(lastEventId) : null,
+            });
+            if (error) {
+                return sendError(res, error.status, error.code, error.message);
+            }
+        }
+    );
+
     // Claude completion notification endpoints with comprehensive validation
     // FIX QUA-004: Removed duplicate validateNotification, using validateNotificationBody + requireValidPath
     router.post(
@@ -61,13 +116,13 @@ function createNotificationRoutes(requireValidPath, notificationLimiter) {
         handleValidationErrors,
         requireValidPath,
         async (req, res) => {
-            const { message = 'Task completed', metadata = null, origin = null } = req.body;
+            const { message = 'Task completed', metadata = null, origin = null, sessionId = null } = req.body;
             const { validatedPath } = req;
 
-            notificationStore.setCompleted(validatedPath, message, metadata, origin);
+            notificationStore.setCompleted(validatedPath, message, metadata, origin, sessionId);
 
-            req.log.info({ folder: validatedPath, message, hasMetadata: !!metadata, origin }, 'Claude completion notification stored');
-            res.json({ status: 'ok', folder: validatedPath, message, state: 'completed' });
+            req.log.info({ folder: validatedPath, message, hasMetadata: !!metadata, origin, sessionId }, 'Claude completion notification stored');
+            res.json(stateResponse(validatedPath, message, 'completed', origin));
         }
     );
 
@@ -80,13 +135,49 @@ function createNotificationRoutes(requireValidPath, notificationLimiter) {
         handleValidationErrors,
         requireValidPath,
         async (req, res) => {
-            const { message = 'Working...', origin = null } = req.body;
+            const { message = 'Working...', origin = null, sessionId = null } = req.body;
             const { validatedPath } = req;
 
-            notificationStore.setWorking(validatedPath, message, origin);
+            notificationStore.setWorking(validatedPath, message, origin, sessionId);
 
-            req.log.info({ folder: validatedPath, message, origin }, 'Claude started notification stored');
-            res.json({ status: 'ok', folder: validatedPath, message, state: 'working' });
+            req.log.info({ folder: validatedPath, message, origin, sessionId }, 'Claude started notification stored');
+            res.json(stateResponse(validatedPath, message, 'working', origin));
+        }
+    );
+
+    // Claude is waiting for the user, e.g. on a permission prompt (ORANGE badge)
+    router.post(
+        '/claude-needs-input',
+        notificationLimiter,
+        validateNotificationBody,
+        handleValidationErrors,
+        requireValidPath,
+        async (req, res) => {
+            const { message = 'Waiting for input', metadata = null, origin = null, sessionId = null } = req.body;
+            const { validatedPath } = req;
+
+            notificationStore.setNeedsInput(validatedPath, message, metadata, origin, sessionId);
+
+            req.log.info({ folder: validatedPath, message, origin, sessionId }, 'Claude needs-input notification stored');
+            res.json(stateResponse(validatedPath, message, 'needs-input', origin));
+        }
+    );
+
+    // Claude hit an error, e.g. a failed tool call (RED badge)
+    router.post(
+        '/claude-error',
+        notificationLimiter,
+        validateNotificationBody,
+        handleValidationErrors,
+        requireValidPath,
+        async (req, res) => {
+            const { message = 'Task failed', metadata = null, origin = null, sessionId = null } = req.body;
+            const { validatedPath } = req;
+
+            notificationStore.setError(validatedPath, message, metadata, origin, sessionId);
+
+            req.log.info({ folder: validatedPath, message, hasMetadata: !!metadata, origin, sessionId }, 'Claude error notification stored');
+            res.json(stateResponse(validatedPath, message, 'error', origin));
         }
     );
 
@@ -123,6 +214,33 @@ function createNotificationRoutes(requireValidPath, notificationLimiter) {
         }
     });
 
+    // Notification history for a project (newest first, cursor pagination)
+    // /claude-status keeps returning only the latest unread notification
+    router.get(
+        '/api/notifications/history',
+        notificationLimiter,
+        validateNotificationHistory,
+        handleValidationErrors,
+        requireValidPath,
+        async (req, res) => {
+            const { origin = null, since, limit, cursor } = req.query;
+            const { validatedPath } = req;
+
+            const { entries, nextCursor } = notificationStore.getHistory(validatedPath, origin, {
+                since: since !== undefined ? Number(since) : undefined,
+                limit: limit !== undefined ? Number(limit) : undefined,
+                cursor: cursor !== undefined ? Number(cursor) : undefined,
+            });
+
+            res.json({
+                folder: validatedPath,
+                entries,
+                count: entries.length,
+                nextCursor,
+            });
+        }
+    );
+
     // Get completion status for a project with validation
     // FIX QUA-004: Removed duplicate validateFolder+handleValidationErrors, using only requireValidPath
     router.get(
@@ -137,10 +255,11 @@ function createNotificationRoutes(requireValidPath, notificationLimiter) {
             if (notification && notification.unread) {
                 res.json({
                     hasNotification: true,
-                    status: notification.status || 'completed', // 'working' or 'completed'
+                    status: notification.status || 'completed', // 'working', 'completed', 'needs-input' or 'error'
                     timestamp: notification.timestamp,
                     message: notification.message,
                     ...(notification.metadata && { metadata: notification.metadata }),
+                    ...describeSessions(notification),
                 });
             } else {
                 res.json({
@@ -0,0 +1,97 @@
+/**
+ * Project Routes Module
+ * Read-only project listing and search for the extension popup and launchers
+ *
+ * Endpoints:
+ * - GET /api/projects - List, filter (?type=prod&tag=backend&group=shop) and
+ *   fuzzy search (?q=) registry projects, with their favicon URL and current
+ *   notification status
+ *
+ * Only projects under ALLOWED_PATHS are listed, so the endpoint reveals no
+ * more than /api/project-info would for each folder.
+ */
+
+const express = require('express');
+const { getRegistry } = require('../registry-cache');
+const notificationStore = require('../notification-store');
+const { isPathAllowedAsync } = require('../path-validator');
+const { getUniqueProjects, searchProjects } = require('../project-search');
+const { validateProjectSearch, PROJECT_SEARCH_DEFAULT_LIMIT, handleValidationErrors } = require('../validators');
+const { sendError, ErrorCodes } = require('../response-helpers');
+const logger = require('../logger');
+
+/**
+ * Current notification status of a project
+ *
+ * @param {string} projectPath - Project path
+ * @param {string|null} origin - VS Code server origin
+ * @returns {{status: string, unread: boolean, message: string, timestamp: number}|null} Status, or null without a notification
+ */
+function getNotificationStatus(projectPath, origin) {
+    const notification = notificationStore.get(projectPath, origin);
+    if (!notification) {
+        return null;
+    }
+    return {
+        status: notification.status || 'completed',
+        unread: Boolean(notification.unread),
+        message: notification.message,
+        timestamp: notification.timestamp,
+    };
+}
+
+/**
+ * Project as returned by the API
+ *
+ * @param {Object} project - Registry project
+ * @param {string|null} origin - VS Code server origin (scopes the notification lookup)
+ * @returns {Object} Project with tags, faviconUrl and notification
+ */
+function toProjectResult(project, origin) {
+    return {
+        ...project,
+        tags: Array.isArray(project.tags) ? project.tags : [],
+        faviconUrl: `/api/favicon?folder=${encodeURIComponent(project.path)}`,
+        notification: getNotificationStatus(project.path, origin),
+    };
+}
+
+/**
+ * Initialize project routes
+ *
+ * @returns {Object} Express router with project routes
+ */
+function createProjectRoutes() {
+    // Create a new router for each invocation to ensure test isolation
+    const router = express.Router();
+
+    router.get('/api/projects', validateProjectSearch, handleValidationErrors, async (req, res) => {
+        try {
+            const { q, type, tag, group, origin = null } = req.query;
+            const limit = req.query.limit ? Number(req.query.limit) : PROJECT_SEARCH_DEFAULT_LIMIT;
+
+            const registry = await getRegistry();
+            const projects = getUniqueProjects(registry.projects);
+            const allowed = await Promise.all(projects.map((project) => isPathAllowedAsync(project.path)));
+            const visible = projects.filter((project, index) => allowed[index]); // eslint-disable-line security/detect-object-injection
+
+            const matches = searchProjects(visible, { q, type, tag, group });
+
+            res.json({
+                projects: matches.slice(0, limit).map(({ project }) => toProjectResult(project, origin)),
+                count: Math.min(matches.length, limit),
+                total: matches.length,
+            });
+        } catch (error) {
+            const log = req.log || logger;
+            log.error({ err: error }, 'Project search failed');
+            sendError(res, 500, ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createProjectRoutes,
+};
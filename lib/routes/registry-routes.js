@@ -0,0 +1,206 @@
+/**
+ * Registry Routes Module
+ * Admin-only CRUD for project entries in the registry file
+ *
+ * Endpoints (all require admin authentication):
+ * - GET    /api/registry/projects      - List projects with the current revision
+ * - GET    /api/registry/projects/:id  - Get one project (id = URL-encoded path or name)
+ * - POST   /api/registry/projects      - Register a project (If-Match optional)
+ * - PUT    /api/registry/projects/:id  - Replace a project (If-Match required)
+ * - DELETE /api/registry/projects/:id  - Remove a project (If-Match required)
+ * - GET    /api/registry/validate      - Schema validation report for the loaded registry
+ * - GET    /api/registry/history       - Recorded registry versions, newest first (?file= filter)
+ * - GET    /api/registry/history/diff  - Projects added/removed/changed between ?from= and ?to= versions
+ * - POST   /api/registry/history/:id/restore - Write a recorded version back (If-Match optional)
+ * - POST   /api/registry/import        - Propose entries for .code-workspace / recently-opened
+ *   folders as a dry-run diff; {"apply": true} writes them (If-Match required)
+ *
+ * Responses carry the registry revision in the ETag header. Clients send it
+ * back in If-Match; a stale revision fails with 412 so concurrent edits are
+ * never silently overwritten.
+ */
+
+const express = require('express');
+const registryWriter = require('../registry-writer');
+const registryCache = require('../registry-cache');
+const registryHistory = require('../registry-history');
+const workspaceImport = require('../workspace-import');
+const { sendError, ErrorCodes } = require('../response-helpers');
+const { FileNotFoundError, ValidationError, ConflictError, PreconditionFailedError } = require('../errors');
+
+/**
+ * Map a registry writer error to an API error response
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ */
+function sendRegistryError(req, res, error) {
+    if (error instanceof ValidationError) {
+        return sendError(res, 400, ErrorCodes.INVALID_PARAMETER, error.message);
+    }
+    if (error instanceof FileNotFoundError) {
+        return sendError(res, 404, ErrorCodes.NOT_FOUND, error.message);
+    }
+    if (error instanceof ConflictError) {
+        return sendError(res, 409, ErrorCodes.CONFLICT, error.message);
+    }
+    if (error instanceof PreconditionFailedError) {
+        res.setHeader('ETag', error.details.revision);
+        return sendError(res, 412, ErrorCodes.PRECONDITION_FAILED, error.message);
+    }
+
+    // Defensive check for req.log (may not be present in tests)
+    if (req.log) {
+        req.log.error({ err: error }, 'Registry operation failed');
+    }
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+}
+
+/**
+ * Require an If-Match header (428 Precondition Required otherwise)
+ * Updates and deletes must prove the client saw the current registry.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireIfMatch(req, res, next) {
+    if (!req.headers['if-match']) {
+        return sendError(res, 428, ErrorCodes.PRECONDITION_REQUIRED, 'If-Match header with the registry revision is required');
+    }
+    next();
+}
+
+/**
+ * Require If-Match when an import is applied (dry runs need none)
+ * Applying must name the revision the dry-run diff was reviewed against.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requireIfMatchToApply(req, res, next) {
+    if (req.body?.apply === true) {
+        return requireIfMatch(req, res, next);
+    }
+    next();
+}
+
+/**
+ * Initialize registry routes with dependencies
+ *
+ * @param {Function} adminAuth - Admin authentication middleware
+ * @returns {Object} Express router with registry routes
+ */
+function createRegistryRoutes(adminAuth) {
+    // Create a new router for each invocation to ensure test isolation
+    const router = express.Router();
+
+    router.get('/api/registry/projects', adminAuth, async (req, res) => {
+        try {
+            const { projects, revision } = await registryWriter.listProjects();
+            res.setHeader('ETag', revision);
+            res.json({ projects, revision });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.get('/api/registry/validate', adminAuth, async (req, res) => {
+        try {
+            // Loading (or reusing) the registry produces the report
+            await registryCache.getRegistry();
+            res.json(registryCache.getValidationReport());
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.get('/api/registry/projects/:id', adminAuth, async (req, res) => {
+        try {
+            const { project, revision } = await registryWriter.getProject(req.params.id);
+            res.setHeader('ETag', revision);
+            res.json({ project, revision });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.post('/api/registry/projects', adminAuth, async (req, res) => {
+        try {
+            const { project, revision } = await registryWriter.createProject(req.body, { ifMatch: req.headers['if-match'] });
+            res.setHeader('ETag', revision);
+            res.status(201).json({ project, revision });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.put('/api/registry/projects/:id', adminAuth, requireIfMatch, async (req, res) => {
+        try {
+            const { project, revision } = await registryWriter.updateProject(req.params.id, req.body, { ifMatch: req.headers['if-match'] });
+            res.setHeader('ETag', revision);
+            res.json({ project, revision });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.delete('/api/registry/projects/:id', adminAuth, requireIfMatch, async (req, res) => {
+        try {
+            const { revision } = await registryWriter.deleteProject(req.params.id, { ifMatch: req.headers['if-match'] });
+            res.setHeader('ETag', revision);
+            res.json({ success: true, revision });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.get('/api/registry/history', adminAuth, async (req, res) => {
+        try {
+            const file = typeof req.query.file === 'string' ? req.query.file : undefined;
+            const versions = await registryHistory.listVersions({ file });
+            res.json({ versions, count: versions.length });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.get('/api/registry/history/diff', adminAuth, async (req, res) => {
+        try {
+            const { from, to } = req.query;
+            if (typeof from !== 'string' || typeof to !== 'string') {
+                return sendError(res, 400, ErrorCodes.MISSING_PARAMETER, 'from and to version ids are required');
+            }
+            res.json(await registryHistory.diffVersions(from, to));
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.post('/api/registry/history/:id/restore', adminAuth, async (req, res) => {
+        try {
+            const { version, revision } = await registryWriter.restoreVersion(req.params.id, { ifMatch: req.headers['if-match'] });
+            res.setHeader('ETag', revision);
+            res.json({ restored: version, revision });
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    router.post('/api/registry/import', adminAuth, requireIfMatchToApply, async (req, res) => {
+        try {
+            const { sources, apply } = req.body || {};
+            const result = await workspaceImport.importWorkspaces(sources, { apply: apply === true, ifMatch: req.headers['if-match'] });
+            res.setHeader('ETag', result.revision);
+            res.json(result);
+        } catch (error) {
+            sendRegistryError(req, res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createRegistryRoutes };
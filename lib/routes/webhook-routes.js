@@ -0,0 +1,85 @@
+/**
+ * Webhook Routes Module
+ * Admin-only inspection of outbound webhooks and their deliveries
+ *
+ * Endpoints (all require admin authentication):
+ * - GET  /api/webhooks                          - Configured webhooks (no secrets; URLs reduced to their origin)
+ * - GET  /api/webhooks/deliveries               - Recent deliveries and dead letters, newest first
+ *   (?status=pending|retrying|delivered|failed, ?webhook=<id>)
+ * - POST /api/webhooks/deliveries/:id/replay    - Send a failed or delivered delivery again (202)
+ */
+
+const express = require('express');
+const webhooks = require('../webhooks');
+const { sendError, ErrorCodes } = require('../response-helpers');
+const { FileNotFoundError, ConflictError } = require('../errors');
+
+/**
+ * Map a webhook error to an API error response
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Thrown error
+ */
+function sendWebhookError(req, res, error) {
+    if (error instanceof FileNotFoundError) {
+        return sendError(res, 404, ErrorCodes.NOT_FOUND, error.message);
+    }
+    if (error instanceof ConflictError) {
+        return sendError(res, 409, ErrorCodes.CONFLICT, error.message);
+    }
+
+    // Defensive check for req.log (may not be present in tests)
+    if (req.log) {
+        req.log.error({ err: error }, 'Webhook operation failed');
+    }
+    sendError(res, 500, ErrorCodes.INTERNAL_ERROR, 'Internal server error');
+}
+
+/**
+ * Initialize webhook routes with dependencies
+ *
+ * @param {Function} adminAuth - Admin authentication middleware
+ * @returns {Object} Express router with webhook routes
+ */
+function createWebhookRoutes(adminAuth) {
+    // Create a new router for each invocation to ensure test isolation
+    const router = express.Router();
+
+    router.get('/api/webhooks', adminAuth, (req, res) => {
+        res.json({ webhooks: webhooks.listWebhooks() });
+    });
+
+    router.get('/api/webhooks/deliveries', adminAuth, (req, res) => {
+        const { status, webhook } = req.query;
+        if (status !== undefined && !webhooks.DELIVERY_STATUSES.has(status)) {
+            return sendError(
+                res,
+                400,
+                ErrorCodes.INVALID_PARAMETER,
+                `status must be one of: ${[...webhooks.DELIVERY_STATUSES].join(', ')}`
+            );
+        }
+        if (webhook !== undefined && typeof webhook !== 'string') {
+            return sendError(res, 400, ErrorCodes.INVALID_PARAMETER, 'webhook must be a single webhook id');
+        }
+
+        const deliveries = webhooks.listDeliveries({ status, webhook });
+        res.json({ count: deliveries.length, deliveries });
+    });
+
+    router.post('/api/webhooks/deliveries/:id/replay', adminAuth, (req, res) => {
+        try {
+            const delivery = webhooks.replayDelivery(req.params.id);
+            res.status(202).json({ replayed: delivery });
+        } catch (error) {
+            sendWebhookError(req, res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    createWebhookRoutes,
+};
@@ -0,0 +1,170 @@
+/**
+ * Animated "working" favicon badge
+ *
+ * Replaces the static working dot with a spinner ring (dots chasing around the
+ * badge) or a pulsing dot. Each animation is a fixed cycle of frames:
+ * - SVG output animates the cycle with SMIL <animate> (discrete opacity steps),
+ *   repeated only until the idle timeout so browsers stop repainting the tab.
+ * - A single frame (?frame=N) renders the same geometry statically, which is
+ *   what raster formats and the extension's frame-cycling fallback use for
+ *   browsers that freeze SVG animation in the tab strip.
+ */
+
+const { BADGE_COLORS } = require('./favicon-badges');
+
+/** @const {Array<string>} Supported animation styles ('none' keeps the static dot) */
+const ANIMATION_STYLES = ['spinner', 'pulse', 'none'];
+
+/** @const {number} Frames per animation cycle */
+const ANIMATION_FRAME_COUNT = 8;
+
+/** @const {Object} Defaults used when config does not provide a value */
+const ANIMATION_DEFAULTS = {
+    style: 'spinner',
+    fps: 8,
+    idleTimeoutMs: 300000, // 5 minutes
+};
+
+const ANIMATION_LIMITS = {
+    MIN_FPS: 1,
+    MAX_FPS: 30,
+    MIN_IDLE_TIMEOUT_MS: 1000,
+};
+
+// Badge geometry shared with the static working dot (favicon-badges buildBadgeLayers)
+const BADGE_CENTER = { cx: 24, cy: 8 };
+const SPINNER_RADIUS = 3.8;
+const SPINNER_DOT_RADIUS = 1.1;
+const SPINNER_DOT_COLOR = '#5D4037'; // Dark brown, readable on the working yellow
+
+// Spinner tail: opacity by distance (in frames) behind the leading dot
+const SPINNER_TRAIL = [1, 0.8, 0.6, 0.45, 0.3, 0.2, 0.15, 0.15];
+
+// Pulse: badge opacity per frame (fades towards the white ring and back)
+const PULSE_OPACITY = [1, 0.85, 0.65, 0.45, 0.3, 0.45, 0.65, 0.85];
+
+/**
+ * Normalize animation settings from config
+ *
+ * @param {Object} [settings={}] - Animation settings
+ * @param {string} [settings.style] - spinner, pulse or none
+ * @param {number} [settings.fps] - Frames per second
+ * @param {number} [settings.idleTimeoutMs] - Stop animating after this long
+ * @returns {{style: string, fps: number, idleTimeoutMs: number}} Settings with defaults applied
+ */
+function resolveAnimationSettings(settings = {}) {
+    const style = ANIMATION_STYLES.includes(settings.style) ? settings.style : ANIMATION_DEFAULTS.style;
+    const fps = Number.isFinite(settings.fps)
+        ? Math.min(Math.max(settings.fps, ANIMATION_LIMITS.MIN_FPS), ANIMATION_LIMITS.MAX_FPS)
+        : ANIMATION_DEFAULTS.fps;
+    const idleTimeoutMs = Number.isFinite(settings.idleTimeoutMs)
+        ? Math.max(settings.idleTimeoutMs, ANIMATION_LIMITS.MIN_IDLE_TIMEOUT_MS)
+        : ANIMATION_DEFAULTS.idleTimeoutMs;
+    return { style, fps, idleTimeoutMs };
+}
+
+/**
+ * Opacity of every frame for one element, starting at frame 0
+ *
+ * @param {Function} opacityAt - Maps a frame index to an opacity
+ * @returns {Array<number>} Opacity per frame
+ */
+function frameValues(opacityAt) {
+    return Array.from({ length: ANIMATION_FRAME_COUNT }, (_, frame) => opacityAt(frame));
+}
+
+/**
+ * Attach either a static frame opacity or an SVG animation descriptor to a shape
+ *
+ * @param {Object} shape - Layout shape
+ * @param {Array<number>} values - Opacity per frame
+ * @param {Object} timing - Resolved timing
+ * @param {number|undefined} timing.frame - Static frame, or undefined to animate
+ * @param {number} timing.dur - Cycle duration in seconds
+ * @param {number} timing.repeatCount - Cycles before the animation stops
+ * @returns {Object} Shape with opacity (and animate when animated)
+ */
+function withFrames(shape, values, { frame, dur, repeatCount }) {
+    if (frame !== undefined) {
+        // eslint-disable-next-line security/detect-object-injection
+        return { ...shape, opacity: values[frame] };
+    }
+    return {
+        ...shape,
+        opacity: values[0],
+        animate: { attribute: 'opacity', values, dur, repeatCount },
+    };
+}
+
+/**
+ * Build the animated working badge layer
+ *
+ * @param {Object} [settings={}] - Animation settings (see resolveAnimationSettings)
+ * @param {Object} [options={}] - Render options
+ * @param {number} [options.frame] - Render a single static frame (0-7) instead of an animation
+ * @returns {{shapes: Array<Object>, texts: Array<Object>}|null} Badge layer, or null for style 'none'
+ *
+ * @example
+ * buildWorkingAnimation({ style: 'pulse', fps: 8, idleTimeoutMs: 60000 })
+ * // Pulsing dot, 1s cycle repeated 60 times
+ */
+function buildWorkingAnimation(settings = {}, options = {}) {
+    const { style, fps, idleTimeoutMs } = resolveAnimationSettings(settings);
+    if (style === 'none') {
+        return null;
+    }
+
+    const frame = Number.isInteger(options.frame) ? ((options.frame % ANIMATION_FRAME_COUNT) + ANIMATION_FRAME_COUNT) % ANIMATION_FRAME_COUNT : undefined;
+    const dur = ANIMATION_FRAME_COUNT / fps;
+    const timing = { frame, dur, repeatCount: Math.max(1, Math.ceil(idleTimeoutMs / (dur * 1000))) };
+
+    const ring = { type: 'circle', ...BADGE_CENTER, r: 8, fill: 'white' };
+    const dot = { type: 'circle', ...BADGE_CENTER, r: 6, fill: BADGE_COLORS.working };
+
+    if (style === 'pulse') {
+        // eslint-disable-next-line security/detect-object-injection
+        return { shapes: [ring, withFrames(dot, frameValues((f) => PULSE_OPACITY[f]), timing)], texts: [] };
+    }
+
+    const spinnerDots = Array.from({ length: ANIMATION_FRAME_COUNT }, (_, i) => {
+        const angle = (i / ANIMATION_FRAME_COUNT) * 2 * Math.PI - Math.PI / 2;
+        const spinnerDot = {
+            type: 'circle',
+            cx: Math.round((BADGE_CENTER.cx + SPINNER_RADIUS * Math.cos(angle)) * 100) / 100,
+            cy: Math.round((BADGE_CENTER.cy + SPINNER_RADIUS * Math.sin(angle)) * 100) / 100,
+            r: SPINNER_DOT_RADIUS,
+            fill: SPINNER_DOT_COLOR,
+        };
+        // The leading dot advances one position per frame; dots behind it fade out
+        const values = frameValues((f) => SPINNER_TRAIL[(f - i + ANIMATION_FRAME_COUNT) % ANIMATION_FRAME_COUNT]);
+        return withFrames(spinnerDot, values, timing);
+    });
+
+    return { shapes: [ring, dot, ...spinnerDots], texts: [] };
+}
+
+/**
+ * Canonical animation variant (used in cache keys)
+ *
+ * @param {Object} [animation] - Requested animation ({animate, frame})
+ * @returns {string} 'frame-N', 'static', or '' for the default animated variant
+ */
+function formatAnimation(animation) {
+    if (!animation) {
+        return '';
+    }
+    if (Number.isInteger(animation.frame)) {
+        return `frame-${animation.frame}`;
+    }
+    return animation.animate === false ? 'static' : '';
+}
+
+module.exports = {
+    ANIMATION_STYLES,
+    ANIMATION_FRAME_COUNT,
+    ANIMATION_DEFAULTS,
+    ANIMATION_LIMITS,
+    resolveAnimationSettings,
+    buildWorkingAnimation,
+    formatAnimation,
+};
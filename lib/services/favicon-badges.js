@@ -0,0 +1,160 @@
+/**
+ * Favicon status badges
+ *
+ * Server-side equivalent of the extension's client-side badge overlay
+ * (favicon-updater.js addBadgeToSVG): a colored dot in the top-right corner for
+ * working/completed/needs-input/error, or a counter bubble for count:N. Badges are expressed
+ * as extra layout shapes/texts so the SVG renderer and PNG/ICO rasterizer
+ * composite them the same way.
+ */
+
+/** @const {Array<string>} Accepted badge query values (plus count:N) */
+const BADGE_TYPES = ['working', 'completed', 'needs-input', 'error', 'count', 'auto'];
+
+/** @const {Object} Badge colors (working/completed/needs-input/error match the extension overlay) */
+const BADGE_COLORS = {
+    working: '#FFD700',
+    completed: '#00E676',
+    'needs-input': '#FF9100',
+    error: '#D32F2F',
+    count: '#D32F2F',
+};
+
+/** @const {number} Counts above this render as "9+" (also bounds cache variants) */
+const MAX_BADGE_COUNT = 9;
+
+/** @const {RegExp} Query value format: a status name or count:N */
+const BADGE_PATTERN = /^(working|completed|needs-input|error|auto|count:\d{1,4})$/;
+
+/**
+ * Parse a badge query value
+ *
+ * @param {string} value - Badge query value (working, completed, needs-input, error, auto, count:N)
+ * @returns {{type: string, count?: number}|null} Parsed badge, or null for none/invalid/zero count
+ *
+ * @example
+ * parseBadge('count:12') // { type: 'count', count: 10 } (rendered as "9+")
+ */
+function parseBadge(value) {
+    if (typeof value !== 'string' || !BADGE_PATTERN.test(value)) {
+        return null;
+    }
+
+    if (value.startsWith('count:')) {
+        const count = Math.min(parseInt(value.slice(6), 10), MAX_BADGE_COUNT + 1);
+        return count > 0 ? { type: 'count', count } : null;
+    }
+
+    return { type: value };
+}
+
+/**
+ * Canonical string for a parsed badge (used in cache keys)
+ *
+ * @param {{type: string, count?: number}|null} badge - Parsed badge
+ * @returns {string} 'working', 'count:3', ... or '' for no badge
+ */
+function formatBadge(badge) {
+    if (!badge) {
+        return '';
+    }
+    return badge.type === 'count' ? `count:${badge.count}` : badge.type;
+}
+
+/**
+ * Derive a badge from notification store state (badge=auto)
+ * Working sessions show the working dot; unread completed, needs-input and error
+ * notifications show their own badge.
+ *
+ * @param {Object|null} notification - Notification from notificationStore.get()
+ * @returns {{type: string}|null} Badge or null when nothing is pending
+ */
+function badgeFromNotification(notification) {
+    if (!notification) {
+        return null;
+    }
+    if (notification.status === 'working') {
+        return { type: 'working' };
+    }
+    if (notification.unread && ['completed', 'needs-input', 'error'].includes(notification.status)) {
+        return { type: notification.status };
+    }
+    return null;
+}
+
+/**
+ * Counter digit for count badges
+ *
+ * @param {string} text - Digit text
+ * @param {number} x - Horizontal center
+ * @returns {Object} Layout text
+ */
+function badgeText(text, x) {
+    return { text, x, y: 12.5, fontSize: 10, fill: 'white', fontFamily: 'Arial, sans-serif', fontWeight: 'bold' };
+}
+
+/**
+ * Build badge layout layers (drawn above the favicon template)
+ * The white ring is a larger circle underneath, since the rasterizer has no strokes.
+ *
+ * @param {{type: string, count?: number}} badge - Parsed badge (not 'auto')
+ * @returns {{shapes: Array<Object>, texts: Array<Object>}} Layout layers
+ */
+function buildBadgeLayers(badge) {
+    // eslint-disable-next-line security/detect-object-injection
+    const fill = BADGE_COLORS[badge.type];
+    if (!fill) {
+        return { shapes: [], texts: [] };
+    }
+
+    if (badge.type === 'count' || badge.type === 'error') {
+        const bubble = [
+            { type: 'circle', cx: 23, cy: 9, r: 9, fill: 'white' },
+            { type: 'circle', cx: 23, cy: 9, r: 7.5, fill },
+        ];
+
+        // Glyphs outside the SVG text whitelist ("!" and "+") are drawn as shapes
+        if (badge.type === 'error') {
+            return {
+                shapes: [
+                    ...bubble,
+                    { type: 'rect', x: 22, y: 4, width: 2, height: 6.5, fill: 'white' },
+                    { type: 'circle', cx: 23, cy: 13, r: 1.1, fill: 'white' },
+                ],
+                texts: [],
+            };
+        }
+
+        if (badge.count > MAX_BADGE_COUNT) {
+            return {
+                shapes: [
+                    ...bubble,
+                    { type: 'rect', x: 25, y: 7.75, width: 4, height: 1.5, fill: 'white' },
+                    { type: 'rect', x: 26.25, y: 6.5, width: 1.5, height: 4, fill: 'white' },
+                ],
+                texts: [badgeText(String(MAX_BADGE_COUNT), 20.5)],
+            };
+        }
+
+        return { shapes: bubble, texts: [badgeText(String(badge.count), 23)] };
+    }
+
+    return {
+        shapes: [
+            { type: 'circle', cx: 24, cy: 8, r: 8, fill: 'white' },
+            { type: 'circle', cx: 24, cy: 8, r: 6, fill },
+        ],
+        texts: [],
+    };
+}
+
+module.exports = {
+    BADGE_TYPES,
+    BADGE_COLORS,
+    BADGE_PATTERN,
+    MAX_BADGE_COUNT,
+    parseBadge,
+    formatBadge,
+    badgeFromNotification,
+    buildBadgeLayers,
+};
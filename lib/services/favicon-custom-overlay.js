@@ -0,0 +1,71 @@
+/**
+ * Type/port overlays for custom favicon files
+ *
+ * A project's own favicon.png/.svg replaces the generated design, so prod and
+ * dev checkouts of the same app look identical. When enabled
+ * (FAVICON_CUSTOM_OVERLAY or the project's `customOverlay` override), a stripe
+ * or corner ribbon in the type color, plus the port, is composited on top:
+ * - stripe: band along the bottom edge with the port centered in it
+ * - ribbon: triangle in the top-left corner, port in a tag at the bottom right
+ * Like status badges, overlays are plain layout shapes/texts so the SVG
+ * renderer and the rasterizer draw them the same way.
+ */
+
+/** @const {Array<string>} Overlay styles ('none' serves custom files unchanged) */
+const CUSTOM_OVERLAY_STYLES = ['none', 'stripe', 'ribbon'];
+
+/** @const {string} Default style (opt-in feature) */
+const DEFAULT_CUSTOM_OVERLAY = 'none';
+
+/**
+ * Port label
+ *
+ * @param {string} port - Sanitized port
+ * @param {number} x - Horizontal center
+ * @param {string} fill - Text color
+ * @returns {Object} Layout text
+ */
+function portText(port, x, fill) {
+    return { text: port, x, y: 30.5, fontSize: 7, fill, fontFamily: 'Arial, sans-serif', fontWeight: 'bold' };
+}
+
+/**
+ * Build overlay layers for a custom favicon
+ *
+ * @param {string} style - stripe or ribbon ('none' and unknown styles return an empty layer)
+ * @param {Object} params - Overlay colors and label
+ * @param {string} params.color - Type color (#RRGGBB)
+ * @param {string} params.foreground - Text color readable on the type color
+ * @param {string} [params.port] - Sanitized port ('' to omit)
+ * @returns {{shapes: Array<Object>, texts: Array<Object>}} Layout layer
+ *
+ * @example
+ * buildCustomOverlayLayers('stripe', { color: '#FF6B6B', foreground: 'white', port: '3000' })
+ */
+function buildCustomOverlayLayers(style, { color, foreground, port = '' }) {
+    if (style === 'stripe') {
+        return {
+            shapes: [{ type: 'rect', x: 0, y: 24, width: 32, height: 8, fill: color }],
+            texts: port ? [portText(port, 16, foreground)] : [],
+        };
+    }
+
+    if (style === 'ribbon') {
+        const ribbon = { type: 'polygon', points: [[0, 0], [14, 0], [0, 14]], fill: color };
+        if (!port) {
+            return { shapes: [ribbon], texts: [] };
+        }
+        return {
+            shapes: [ribbon, { type: 'rect', x: 8, y: 23, width: 24, height: 9, rx: 2, fill: color }],
+            texts: [portText(port, 20, foreground)],
+        };
+    }
+
+    return { shapes: [], texts: [] };
+}
+
+module.exports = {
+    CUSTOM_OVERLAY_STYLES,
+    DEFAULT_CUSTOM_OVERLAY,
+    buildCustomOverlayLayers,
+};
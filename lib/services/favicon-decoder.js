@@ -0,0 +1,213 @@
+/**
+ * Custom favicon image decoding
+ *
+ * Decodes project favicon files (PNG, or ICO with PNG entries) into RGBA
+ * bitmaps so the rasterizer can composite overlays onto them. Pure JavaScript
+ * like the encoder in favicon-rasterizer: no native image libraries.
+ *
+ * Supported: non-interlaced PNG, bit depth 8 or 16, color types gray, RGB,
+ * palette (8-bit), gray+alpha and RGBA. Anything else returns null so callers
+ * can serve the original file unchanged.
+ */
+
+const zlib = require('zlib');
+
+/** @const {number} Largest decoded edge; bigger images are not composited */
+const MAX_DECODE_SIZE = 1024;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Samples per pixel for each PNG color type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Paeth predictor (PNG filter type 4)
+ *
+ * @param {number} a - Left
+ * @param {number} b - Up
+ * @param {number} c - Upper left
+ * @returns {number} Predicted byte
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Reverse PNG scanline filters
+ *
+ * @param {Buffer} raw - Inflated IDAT data (filter byte + scanline per row)
+ * @param {number} height - Image height
+ * @param {number} stride - Bytes per scanline
+ * @param {number} bpp - Bytes per pixel (at least 1)
+ * @returns {Buffer} Unfiltered scanlines
+ */
+function unfilter(raw, height, stride, bpp) {
+    const out = Buffer.alloc(stride * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        const prev = row - stride;
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bpp ? out[row + x - bpp] : 0;
+            const up = y > 0 ? out[prev + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) predictor = paeth(left, up, upLeft);
+            else if (filter !== 0) throw new Error(`Invalid PNG filter type: ${filter}`);
+            out[row + x] = (raw[src + x] + predictor) & 0xff;
+        }
+    }
+    return out;
+}
+
+/**
+ * Decode a PNG file into 8-bit RGBA
+ *
+ * @param {Buffer} buffer - PNG file bytes
+ * @returns {{width: number, height: number, rgba: Buffer}|null} Bitmap, or null for unsupported/invalid files
+ *
+ * @example
+ * const image = decodePng(fs.readFileSync('favicon.png'));
+ * // { width: 32, height: 32, rgba: <Buffer ...> }
+ */
+function decodePng(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 33 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return null;
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    try {
+        let offset = 8;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const data = buffer.subarray(offset + 8, offset + 8 + length);
+            if (type === 'IHDR') {
+                header = {
+                    width: data.readUInt32BE(0),
+                    height: data.readUInt32BE(4),
+                    bitDepth: data[8],
+                    colorType: data[9],
+                    interlace: data[12],
+                };
+            } else if (type === 'PLTE') {
+                palette = data;
+            } else if (type === 'tRNS') {
+                transparency = data;
+            } else if (type === 'IDAT') {
+                idat.push(data);
+            } else if (type === 'IEND') {
+                break;
+            }
+            offset += length + 12;
+        }
+
+        if (!header || idat.length === 0) return null;
+        const { width, height, bitDepth, colorType, interlace } = header;
+        // eslint-disable-next-line security/detect-object-injection
+        const channels = PNG_CHANNELS[colorType];
+        const supportedDepth = bitDepth === 8 || (bitDepth === 16 && colorType !== 3);
+        if (!channels || !supportedDepth || interlace !== 0 || (colorType === 3 && !palette)) return null;
+        if (width < 1 || height < 1 || width > MAX_DECODE_SIZE || height > MAX_DECODE_SIZE) return null;
+
+        const bytesPerSample = bitDepth / 8;
+        const bpp = channels * bytesPerSample;
+        // Bound inflation to the declared image size (no decompression bombs)
+        const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (width * bpp + 1) * height });
+        const pixels = unfilter(raw, height, width * bpp, bpp);
+        const sample = (index) => pixels[index * bytesPerSample]; // high byte of 16-bit samples
+
+        const rgba = Buffer.alloc(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            const s = i * channels;
+            let r, g, b;
+            let a = 255;
+            if (colorType === 3) {
+                const entry = pixels[i]; // eslint-disable-line security/detect-object-injection
+                r = palette[entry * 3];
+                g = palette[entry * 3 + 1];
+                b = palette[entry * 3 + 2];
+                // eslint-disable-next-line security/detect-object-injection
+                if (transparency && entry < transparency.length) a = transparency[entry];
+            } else if (colorType === 0 || colorType === 4) {
+                r = g = b = sample(s);
+                if (colorType === 4) a = sample(s + 1);
+            } else {
+                r = sample(s);
+                g = sample(s + 1);
+                b = sample(s + 2);
+                if (colorType === 6) a = sample(s + 3);
+            }
+            rgba[i * 4] = r;
+            rgba[i * 4 + 1] = g;
+            rgba[i * 4 + 2] = b;
+            rgba[i * 4 + 3] = a;
+        }
+
+        return { width, height, rgba };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decode the largest PNG-compressed entry of an ICO file
+ * BMP entries (pre-Vista icons) are not supported.
+ *
+ * @param {Buffer} buffer - ICO file bytes
+ * @returns {{width: number, height: number, rgba: Buffer}|null} Bitmap, or null when no PNG entry decodes
+ */
+function decodeIco(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 6 || buffer.readUInt16LE(0) !== 0 || buffer.readUInt16LE(2) !== 1) {
+        return null;
+    }
+
+    const count = buffer.readUInt16LE(4);
+    const entries = [];
+    for (let i = 0; i < count && 6 + (i + 1) * 16 <= buffer.length; i++) {
+        const entry = 6 + i * 16;
+        const size = buffer.readUInt32LE(entry + 8);
+        const offset = buffer.readUInt32LE(entry + 12);
+        // eslint-disable-next-line security/detect-object-injection
+        entries.push({ edge: buffer[entry] || 256, data: buffer.subarray(offset, offset + size) });
+    }
+
+    for (const { data } of entries.sort((a, b) => b.edge - a.edge)) {
+        const image = decodePng(data);
+        if (image) return image;
+    }
+    return null;
+}
+
+/**
+ * Decode a custom favicon by content type
+ *
+ * @param {Buffer} data - File bytes
+ * @param {string} contentType - image/png or image/x-icon
+ * @returns {{width: number, height: number, rgba: Buffer}|null} Bitmap, or null when unsupported
+ */
+function decodeImage(data, contentType) {
+    if (contentType === 'image/png') return decodePng(data);
+    if (contentType === 'image/x-icon') return decodeIco(data);
+    return null;
+}
+
+module.exports = {
+    MAX_DECODE_SIZE,
+    decodePng,
+    decodeIco,
+    decodeImage,
+};
@@ -1,21 +1,51 @@
 const path = require('path');
-const { getCleanInitials, sanitizePort } = require('../svg-sanitizer');
+const { getCleanInitials, sanitizePort, sanitizeColor, createSafeSVGText } = require('../svg-sanitizer');
 const LRUCache = require('../lru-cache');
 const { makeCacheKey } = require('../utils/cache-keys');
+const { rasterizeToPng, rasterizeToIco, DEFAULT_PNG_SIZE, FORMAT_CONTENT_TYPES } = require('./favicon-rasterizer');
+const { getTemplate, DEFAULT_TEMPLATE } = require('./favicon-templates');
+const { pickForeground, WCAG_AA_CONTRAST_RATIO, FOREGROUND_CANDIDATES } = require('../utils/color-contrast');
+const { buildBadgeLayers } = require('./favicon-badges');
+const { buildWorkingAnimation, resolveAnimationSettings } = require('./favicon-animation');
+const { scaleLayer } = require('./favicon-icons');
+const { buildCustomOverlayLayers, CUSTOM_OVERLAY_STYLES, DEFAULT_CUSTOM_OVERLAY } = require('./favicon-custom-overlay');
+const { decodeImage } = require('./favicon-decoder');
+const logger = require('../logger');
+
+// Named colors accepted in layouts (everything else must be #RRGGBB via sanitizeColor)
+const SAFE_NAMED_COLORS = ['white', 'black'];
+
+// Dark neutral used as the inner surface of outlined templates
+const SURFACE_COLOR = '#263238';
+
+// Custom favicon image references: only data URIs built by generateCustomFavicon
+const SAFE_IMAGE_HREF = /^data:image\/(svg\+xml|png);base64,[A-Za-z0-9+/]+=*$/;
+
+// Output edge range for composited raster custom favicons served as the default format
+const CUSTOM_RASTER_MIN_SIZE = DEFAULT_PNG_SIZE;
+const CUSTOM_RASTER_MAX_SIZE = 256;
 
 /**
  * FaviconGenerator - Responsible for generating SVG favicons and color selection
  *
  * Separates SVG/color generation concerns from file searching and caching.
  * Handles type-based and hash-based color selection with memoization.
+ * Favicons are described by a declarative layout that is rendered either as
+ * SVG markup or rasterized to PNG/ICO by favicon-rasterizer. The layout geometry
+ * comes from a pluggable template (lib/services/favicon-templates).
  */
 class FaviconGenerator {
     /**
      * @param {Object} options - Generator configuration
      * @param {Object} options.typeColors - Color mapping for project types (dev, prod, staging, etc.)
      * @param {Array<string>} options.defaultColors - Default color palette for hash-based selection
+     * @param {string} [options.defaultTemplate='classic'] - Global template name
+     * @param {Object} [options.typeTemplates={}] - Template name per project type (e.g., {prod: 'hexagon'})
+     * @param {number} [options.minContrastRatio=4.5] - Minimum WCAG contrast ratio for generated text
+     * @param {Object} [options.animation] - Working badge animation settings ({style, fps, idleTimeoutMs})
+     * @param {string} [options.customOverlay='none'] - Overlay for custom favicon files (none, stripe, ribbon)
      */
-    constructor({ typeColors, defaultColors }) {
+    constructor({ typeColors, defaultColors, defaultTemplate = DEFAULT_TEMPLATE, typeTemplates = {}, minContrastRatio = WCAG_AA_CONTRAST_RATIO, animation, customOverlay = DEFAULT_CUSTOM_OVERLAY }) {
         if (!typeColors || typeof typeColors !== 'object') {
             throw new Error('FaviconGenerator requires typeColors object');
         }
@@ -25,55 +55,478 @@ class FaviconGenerator {
 
         this.typeColors = typeColors;
         this.defaultColors = defaultColors;
+        this.defaultTemplate = defaultTemplate;
+        this.typeTemplates = typeTemplates;
+        this.minContrastRatio = minContrastRatio;
+        this.animation = resolveAnimationSettings(animation);
+        this.customOverlay = CUSTOM_OVERLAY_STYLES.includes(customOverlay) ? customOverlay : DEFAULT_CUSTOM_OVERLAY;
 
         // PERF-009: Add LRU cache for computed colors
         this.colorCache = new LRUCache(50);
     }
 
     /**
-     * Generate SVG favicon for project
+     * Build the declarative layout for a generated favicon
+     * Single source of truth for favicon geometry, shared by the SVG renderer
+     * and the PNG/ICO rasterizer.
+     *
+     * Text color defaults to white or black, whichever meets the configured
+     * contrast ratio against the background (see getForegroundColor). Templates
+     * that draw text on other surfaces pick it with the context's foregroundOn().
+     *
+     * Per-project overrides (initials, backgroundColor, textColor, shape, badge)
+     * from `.favicon.json` are merged into projectInfo by FaviconService and are
+     * sanitized again here (defense-in-depth). Geometry comes from the selected
+     * template; every color and text it emits is re-validated.
      *
      * @param {string} projectName - Project name
-     * @param {Object} projectInfo - Project metadata (name, type, port)
-     * @param {Object} options - Generation options (grayscale)
-     * @returns {string} SVG markup
+     * @param {Object} projectInfo - Project metadata (name, type, port, template) plus optional overrides
+     * @param {Object} options - Generation options
+     * @param {boolean} [options.grayscale] - Convert colors to grayscale
+     * @param {Object} [options.badge] - Parsed status badge (see favicon-badges parseBadge)
+     * @param {Object} [options.animation] - Working badge animation ({animate: false} for the static dot, {frame: N} for one frame)
+     * @returns {Object} Layout with size, template, background, shapes, texts and overlays (all values sanitized)
      */
-    generateSvgFavicon(projectName, projectInfo = {}, options = {}) {
+    buildLayout(projectName, projectInfo = {}, options = {}) {
         const displayName = projectInfo.name || projectName;
         const type = projectInfo.type || 'dev';
         const port = projectInfo.port || '';
+        const template = this.selectTemplate(projectInfo.template, type);
 
         // SECURITY: Use sanitized initials generation from svg-sanitizer
-        const initials = getCleanInitials(displayName);
-        let bgColor = this.getTypeColor(type, projectName);
+        const initials = (projectInfo.initials && createSafeSVGText(String(projectInfo.initials))) || getCleanInitials(displayName);
+        const typeStyle = projectInfo.typeStyle || {};
+        let bgColor = projectInfo.backgroundColor ? sanitizeColor(projectInfo.backgroundColor) : this.getTypeColor(type, projectName, typeStyle);
+        let textColor = projectInfo.textColor ? sanitizeColor(projectInfo.textColor) : null;
+        let surface = SURFACE_COLOR;
 
         // Convert to grayscale if requested
         if (options.grayscale) {
             bgColor = this.toGrayscale(bgColor);
+            surface = this.toGrayscale(surface);
+            if (textColor) {
+                textColor = this.toGrayscale(textColor);
+            }
+        }
+
+        // Pick a readable foreground for the final (possibly grayscale) surface behind
+        // the text unless the project explicitly chose a text color
+        const foregroundOn = (surfaces, preferred) => textColor || this.getForegroundColor(surfaces, preferred);
+
+        // Badge text takes the label slot; otherwise the port (dev projects unless the
+        // registry type sets showPort), then the registry type label
+        // SECURITY: Sanitize port/badge/label values before embedding in SVG
+        const badge = projectInfo.badge ? createSafeSVGText(String(projectInfo.badge)) : '';
+        const showPort = typeof typeStyle.showPort === 'boolean' ? typeStyle.showPort : type === 'dev';
+        const sanitizedPort = showPort ? sanitizePort(port) : '';
+        const typeLabel = typeStyle.label ? createSafeSVGText(String(typeStyle.label)) : '';
+
+        const { shapes, texts } = template.build({
+            initials,
+            label: badge || sanitizedPort || typeLabel,
+            labelOpacity: badge ? undefined : 0.8,
+            background: bgColor,
+            secondary: this.shadeColor(bgColor, 0.7),
+            surface,
+            foreground: foregroundOn(bgColor),
+            foregroundOn,
+            shape: projectInfo.shape,
+        });
+
+        const overlays = options.badge ? [this.buildBadgeOverlay(options.badge, options.animation)] : [];
+
+        // SECURITY: Templates only arrange geometry - re-validate everything they emit
+        return {
+            size: 32,
+            template: template.name,
+            background: bgColor,
+            ...this.sanitizeLayer({ shapes, texts }),
+            overlays: overlays.map((overlay) => this.sanitizeLayer(overlay)),
+        };
+    }
+
+    /**
+     * Build the status badge overlay
+     * The working badge is animated (or rendered as a single frame) unless the
+     * configured style is 'none' or the request asked for the static dot.
+     *
+     * @param {Object} badge - Parsed status badge
+     * @param {Object} [animation={}] - Requested animation ({animate, frame})
+     * @returns {{shapes: Array<Object>, texts: Array<Object>}} Badge layer
+     */
+    buildBadgeOverlay(badge, animation = {}) {
+        if (badge.type === 'working' && animation.animate !== false) {
+            const animated = buildWorkingAnimation(this.animation, { frame: animation.frame });
+            if (animated) return animated;
         }
+        return buildBadgeLayers(badge);
+    }
 
-        // SECURITY: Sanitize port value before embedding in SVG
-        const sanitizedPort = sanitizePort(port);
-        const portText = this.generatePortText(type, sanitizedPort);
+    /**
+     * Re-validate the colors and text of a layout layer
+     *
+     * @param {Object} layer - Layer with shapes and texts
+     * @returns {{shapes: Array<Object>, texts: Array<Object>}} Sanitized layer
+     */
+    sanitizeLayer({ shapes = [], texts = [] }) {
+        return {
+            shapes: shapes.map((shape) => {
+                const sanitized = { ...shape, fill: this.sanitizeFill(shape.fill) };
+                if (shape.animate) sanitized.animate = this.sanitizeAnimate(shape.animate);
+                return sanitized;
+            }),
+            texts: texts.map((text) => ({ ...text, text: createSafeSVGText(String(text.text)), fill: this.sanitizeFill(text.fill) })),
+        };
+    }
+
+    /**
+     * Re-validate a shape animation descriptor
+     * Only numeric opacity animations are emitted; anything else is dropped.
+     *
+     * @param {Object} animate - Descriptor ({attribute, values, dur, repeatCount})
+     * @returns {Object|undefined} Safe descriptor, or undefined when invalid
+     */
+    sanitizeAnimate(animate) {
+        const values = Array.isArray(animate.values) ? animate.values.map(Number) : [];
+        const valid =
+            animate.attribute === 'opacity' &&
+            values.length > 0 &&
+            values.every(Number.isFinite) &&
+            Number.isFinite(animate.dur) && animate.dur > 0 &&
+            Number.isInteger(animate.repeatCount) && animate.repeatCount > 0;
+        return valid ? { attribute: 'opacity', values, dur: animate.dur, repeatCount: animate.repeatCount } : undefined;
+    }
 
-        return `<svg width="32" height="32" xmlns="http://www.w3.org/2000/svg">
-        <rect width="32" height="32" rx="4" fill="${bgColor}"/>
-        <text x="16" y="21" text-anchor="middle" fill="white" font-family="Arial, sans-serif" font-size="14" font-weight="bold">
-            ${initials}
-        </text>
-        ${portText}
+    /**
+     * Select the favicon template for a project
+     * Precedence: project (registry entry or .favicon.json) > per-type config > global config > classic
+     *
+     * @param {string} [projectTemplate] - Template requested by the project
+     * @param {string} type - Project type
+     * @returns {Object} Template module
+     */
+    selectTemplate(projectTemplate, type) {
+        // eslint-disable-next-line security/detect-object-injection
+        const candidates = [projectTemplate, this.typeTemplates[type], this.defaultTemplate];
+
+        for (const name of candidates) {
+            if (!name) continue;
+            const template = getTemplate(name);
+            if (template) return template;
+            logger.warn({ template: String(name).slice(0, 50), type }, 'Unknown favicon template, falling back');
+        }
+        return getTemplate(DEFAULT_TEMPLATE);
+    }
+
+    /**
+     * Pick a text color that meets the minimum contrast ratio on a background
+     * Prefers white; falls back to black, or to the higher-contrast option when neither passes.
+     * Text drawn across several surfaces must meet the ratio on each of them.
+     *
+     * @param {string|Array<string>} bgColor - Background color(s) (#RRGGBB) behind the text
+     * @param {string} [preferred] - Color tried before white and black (e.g. the type color)
+     * @returns {string} preferred, 'white' or 'black'
+     */
+    getForegroundColor(bgColor, preferred) {
+        return pickForeground(bgColor, this.minContrastRatio, preferred ? [preferred, ...FOREGROUND_CANDIDATES] : FOREGROUND_CANDIDATES);
+    }
+
+    /**
+     * Validate a layout fill color
+     *
+     * @param {string} color - Color emitted by a template
+     * @returns {string} Safe color (#RRGGBB or white/black)
+     */
+    sanitizeFill(color) {
+        return SAFE_NAMED_COLORS.includes(color) ? color : sanitizeColor(color);
+    }
+
+    /**
+     * Render a layout as SVG markup
+     *
+     * @param {Object} layout - Layout from buildLayout()
+     * @returns {string} SVG markup
+     */
+    renderSvg(layout) {
+        const elements = [...this.renderSvgImage(layout), ...[layout, ...(layout.overlays || [])].flatMap((layer) => this.renderSvgLayer(layer))];
+
+        return `<svg width="${layout.size}" height="${layout.size}" xmlns="http://www.w3.org/2000/svg">
+        ${elements.join('\n        ')}
     </svg>`;
     }
 
+    /**
+     * Render a layout's custom favicon image (drawn below all layers)
+     * The file is embedded as an <image> data URI: browsers render SVG images in
+     * secure static mode (no scripts, no external loads), which is what keeps
+     * wrapping untrusted project files safe.
+     *
+     * @param {Object} layout - Layout from buildCustomLayout()
+     * @returns {Array<string>} SVG element strings (empty when there is no image)
+     */
+    renderSvgImage(layout) {
+        const href = layout.image?.href;
+        if (!href || !SAFE_IMAGE_HREF.test(href)) {
+            return [];
+        }
+
+        const image = `<image href="${href}" width="${layout.size}" height="${layout.size}"${layout.image.grayscale ? ' filter="url(#grayscale)"' : ''}/>`;
+        if (!layout.image.grayscale) {
+            return [image];
+        }
+        return ['<defs><filter id="grayscale"><feColorMatrix type="saturate" values="0"/></filter></defs>', image];
+    }
+
+    /**
+     * Render one layout layer (shapes, then texts) as SVG elements
+     *
+     * @param {Object} layer - Layer with shapes and texts
+     * @returns {Array<string>} SVG element strings
+     */
+    renderSvgLayer(layer) {
+        const shapes = (layer.shapes || []).map((shape) => {
+            const opacity = shape.opacity !== undefined ? ` opacity="${shape.opacity}"` : '';
+            const close = (tag) => (shape.animate ? `>${this.renderSvgAnimate(shape.animate)}</${tag}>` : '/>');
+            if (shape.type === 'circle') {
+                return `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" fill="${shape.fill}"${opacity}${close('circle')}`;
+            }
+            if (shape.type === 'polygon') {
+                const points = shape.points.map((p) => p.join(',')).join(' ');
+                return `<polygon points="${points}" fill="${shape.fill}"${opacity}${close('polygon')}`;
+            }
+            const position = shape.x || shape.y ? `x="${shape.x}" y="${shape.y}" ` : '';
+            const rx = shape.rx ? ` rx="${shape.rx}"` : '';
+            return `<rect ${position}width="${shape.width}" height="${shape.height}"${rx} fill="${shape.fill}"${opacity}${close('rect')}`;
+        });
+
+        const texts = (layer.texts || []).map((text) => {
+            const weight = text.fontWeight ? ` font-weight="${text.fontWeight}"` : '';
+            const opacity = text.opacity !== undefined ? ` opacity="${text.opacity}"` : '';
+            return `<text x="${text.x}" y="${text.y}" text-anchor="${text.anchor || 'middle'}" fill="${text.fill}" font-family="${text.fontFamily}" font-size="${text.fontSize}"${weight}${opacity}>${text.text}</text>`;
+        });
+
+        return [...shapes, ...texts];
+    }
+
+    /**
+     * Render a shape animation descriptor as a SMIL <animate> element
+     * Discrete steps match the frames served to the extension's fallback; a finite
+     * repeatCount stops the animation (back to frame 0) after the idle timeout.
+     *
+     * @param {Object} animate - Sanitized descriptor ({attribute, values, dur, repeatCount})
+     * @returns {string} SVG animate element
+     */
+    renderSvgAnimate(animate) {
+        return `<animate attributeName="${animate.attribute}" values="${animate.values.join(';')}" dur="${animate.dur}s" calcMode="discrete" repeatCount="${animate.repeatCount}"/>`;
+    }
+
+    /**
+     * Generate SVG favicon for project
+     *
+     * @param {string} projectName - Project name
+     * @param {Object} projectInfo - Project metadata (name, type, port)
+     * @param {Object} options - Generation options (grayscale)
+     * @returns {string} SVG markup
+     */
+    generateSvgFavicon(projectName, projectInfo = {}, options = {}) {
+        return this.renderSvg(this.buildLayout(projectName, projectInfo, options));
+    }
+
+    /**
+     * Generate a raster (PNG or ICO) favicon for project
+     * Rendered in pure JavaScript from the same layout as the SVG favicon.
+     *
+     * @param {string} projectName - Project name
+     * @param {Object} projectInfo - Project metadata (name, type, port)
+     * @param {Object} options - Generation options
+     * @param {string} options.format - 'png' or 'ico'
+     * @param {number} [options.size] - PNG edge size in pixels (ignored for ico)
+     * @param {boolean} [options.grayscale] - Convert colors to grayscale
+     * @returns {Buffer} Encoded image bytes
+     */
+    generateRasterFavicon(projectName, projectInfo = {}, options = {}) {
+        const layout = this.buildLayout(projectName, projectInfo, options);
+        if (options.format === 'ico') {
+            return rasterizeToIco(layout);
+        }
+        if (options.format === 'png') {
+            return rasterizeToPng(layout, options.size || DEFAULT_PNG_SIZE);
+        }
+        throw new Error(`Unsupported raster format: ${options.format}`);
+    }
+
+    /**
+     * Build the layout for a custom favicon file with a type/port overlay
+     * The overlay uses the same color precedence as generated favicons
+     * (backgroundColor override, then type color).
+     *
+     * @param {string} projectName - Project name
+     * @param {Object} projectInfo - Project metadata (type, port) plus optional overrides
+     * @param {Object} image - Custom favicon ({href} data URI for SVG output, {bitmap} for raster output)
+     * @param {Object} [options={}] - Generation options
+     * @param {string} [options.style] - Overlay style (defaults to the project's customOverlay, then config)
+     * @param {boolean} [options.grayscale] - Convert the image and overlay to grayscale
+     * @param {Object} [options.badge] - Parsed status badge, drawn above the overlay
+     * @param {Object} [options.animation] - Working badge animation (see buildLayout)
+     * @returns {Object} Layout with the image below an overlay layer (and the badge)
+     */
+    buildCustomLayout(projectName, projectInfo = {}, image = {}, options = {}) {
+        const type = projectInfo.type || 'dev';
+        const typeStyle = projectInfo.typeStyle || {};
+        let color = projectInfo.backgroundColor ? sanitizeColor(projectInfo.backgroundColor) : this.getTypeColor(type, projectName, typeStyle);
+        let textColor = projectInfo.textColor ? sanitizeColor(projectInfo.textColor) : null;
+
+        if (options.grayscale) {
+            color = this.toGrayscale(color);
+            if (textColor) {
+                textColor = this.toGrayscale(textColor);
+            }
+        }
+
+        const overlay = buildCustomOverlayLayers(options.style || this.resolveCustomOverlay(projectInfo), {
+            color,
+            foreground: textColor || this.getForegroundColor(color),
+            // SECURITY: Sanitize port before embedding in SVG
+            port: typeStyle.showPort === false ? '' : sanitizePort(projectInfo.port || ''),
+        });
+
+        return {
+            size: 32,
+            template: 'custom',
+            background: color,
+            shapes: [],
+            texts: [],
+            image: { ...image, grayscale: !!options.grayscale },
+            overlays: [overlay, ...(options.badge ? [this.buildBadgeOverlay(options.badge, options.animation)] : [])].map((layer) => this.sanitizeLayer(layer)),
+        };
+    }
+
+    /**
+     * Overlay style for a project's custom favicon
+     * Precedence: project (registry entry or .favicon.json `customOverlay`) > config
+     *
+     * @param {Object} projectInfo - Project metadata plus optional overrides
+     * @returns {string} none, stripe or ribbon
+     */
+    resolveCustomOverlay(projectInfo = {}) {
+        return CUSTOM_OVERLAY_STYLES.includes(projectInfo.customOverlay) ? projectInfo.customOverlay : this.customOverlay;
+    }
+
+    /**
+     * Whether a custom favicon file already is in the requested format
+     * SVG files and the default format keep the file's own type, and format=ico
+     * accepts an ICO file. PNG requests never match, since the output must have
+     * the requested size.
+     *
+     * @param {{contentType: string}} file - Custom favicon file
+     * @param {Object} [options={}] - Generation options ({format})
+     * @returns {boolean} True when the file can be served without re-encoding
+     */
+    customFileMatchesFormat(file = {}, options = {}) {
+        if (file.contentType === 'image/svg+xml' || (options.format !== 'png' && options.format !== 'ico')) {
+            return true;
+        }
+        return options.format === 'ico' && file.contentType === FORMAT_CONTENT_TYPES.ico;
+    }
+
+    /**
+     * Composite the type/port overlay and status badge onto a custom favicon file
+     * and convert it to the requested format
+     * SVG files are wrapped (output stays SVG whatever the requested format, since
+     * SVG cannot be rasterized here). PNG files and PNG-compressed ICO entries are
+     * decoded and go through the rasterizer: ICO output for format=ico, otherwise
+     * PNG at the requested size (or the source size for the default format).
+     *
+     * @param {string} projectName - Project name
+     * @param {Object} projectInfo - Project metadata plus optional overrides
+     * @param {{contentType: string, data: Buffer}} file - Custom favicon file
+     * @param {Object} [options={}] - Generation options ({format, size, grayscale, badge, animation})
+     * @returns {{contentType: string, data: Buffer}|null} Composited favicon, or null to serve the file unchanged
+     *   (also when it cannot be decoded; see customFileMatchesFormat for whether that is usable)
+     */
+    generateCustomFavicon(projectName, projectInfo = {}, file = {}, options = {}) {
+        const style = this.resolveCustomOverlay(projectInfo);
+        if (style === 'none' && !options.badge && this.customFileMatchesFormat(file, options)) {
+            return null;
+        }
+
+        if (file.contentType === 'image/svg+xml') {
+            const href = `data:image/svg+xml;base64,${file.data.toString('base64')}`;
+            const layout = this.buildCustomLayout(projectName, projectInfo, { href }, { ...options, style });
+            return { contentType: 'image/svg+xml', data: Buffer.from(this.renderSvg(layout)) };
+        }
+
+        const bitmap = decodeImage(file.data, file.contentType);
+        if (!bitmap) {
+            logger.debug({ projectName, contentType: file.contentType, format: options.format }, 'Custom favicon cannot be decoded');
+            return null;
+        }
+
+        const layout = this.buildCustomLayout(projectName, projectInfo, { bitmap }, { ...options, style });
+        if (options.format === 'ico') {
+            return { contentType: FORMAT_CONTENT_TYPES.ico, data: rasterizeToIco(layout) };
+        }
+
+        const size =
+            options.format === 'png'
+                ? options.size || DEFAULT_PNG_SIZE
+                : Math.min(Math.max(bitmap.width, bitmap.height, CUSTOM_RASTER_MIN_SIZE), CUSTOM_RASTER_MAX_SIZE);
+        return { contentType: FORMAT_CONTENT_TYPES.png, data: rasterizeToPng(layout, size) };
+    }
+
+    /**
+     * Build the layout for a Web App Manifest icon
+     * Full-bleed icons paint the whole square with the project background so
+     * launchers never show transparent corners; maskable icons also shrink the
+     * design into the central safe zone (see favicon-icons).
+     *
+     * @param {string} projectName - Project name
+     * @param {Object} projectInfo - Project metadata (name, type, port) plus optional overrides
+     * @param {Object} icon - Icon definition from favicon-icons ({size, purpose, fullBleed, inset})
+     * @returns {Object} Layout (no status badge overlays)
+     */
+    buildIconLayout(projectName, projectInfo = {}, icon = {}) {
+        const layout = this.buildLayout(projectName, projectInfo);
+        if (!icon.fullBleed) {
+            return layout;
+        }
+
+        const design = icon.inset ? scaleLayer(layout, icon.inset, layout.size) : layout;
+        return {
+            ...layout,
+            shapes: [{ type: 'rect', width: layout.size, height: layout.size, fill: layout.background }, ...design.shapes],
+            texts: design.texts,
+        };
+    }
+
+    /**
+     * Generate a Web App Manifest icon (PNG)
+     *
+     * @param {string} projectName - Project name
+     * @param {Object} projectInfo - Project metadata (name, type, port)
+     * @param {Object} icon - Icon definition from favicon-icons
+     * @returns {Buffer} PNG bytes
+     */
+    generateIcon(projectName, projectInfo = {}, icon = {}) {
+        return rasterizeToPng(this.buildIconLayout(projectName, projectInfo, icon), icon.size || DEFAULT_PNG_SIZE);
+    }
+
     /**
      * PERF-009: Get type color with LRU caching for hash-based colors
      * Cache computed colors to avoid recalculating hash on every call
      *
+     * A color from the registry `types` block wins over the configured typeColors.
+     *
      * @param {string} type - Project type
      * @param {string} projectName - Project name (for hash-based color)
+     * @param {Object} [typeStyle={}] - Registry style for the type ({color, label, showPort})
      * @returns {string} Hex color code
      */
-    getTypeColor(type, projectName) {
+    getTypeColor(type, projectName, typeStyle = {}) {
+        if (typeStyle.color) {
+            return sanitizeColor(typeStyle.color);
+        }
+
         // SECURITY: type comes from projectInfo.type (from registry, controlled values)
         // If not in typeColors, we compute a hash-based color (defensive coding pattern)
         // eslint-disable-next-line security/detect-object-injection
@@ -129,6 +582,22 @@ class FaviconGenerator {
         return `#${grayHex}${grayHex}${grayHex}`;
     }
 
+    /**
+     * Darken (factor < 1) a hex color by scaling its RGB channels
+     *
+     * @param {string} hexColor - Hex color (#RRGGBB)
+     * @param {number} factor - Channel multiplier (0-1)
+     * @returns {string} Shaded hex color (#RRGGBB)
+     */
+    shadeColor(hexColor, factor) {
+        const hex = hexColor.replace('#', '');
+        const channels = [0, 2, 4].map((offset) => {
+            const value = Math.round(parseInt(hex.substring(offset, offset + 2), 16) * factor);
+            return Math.max(0, Math.min(255, value)).toString(16).padStart(2, '0');
+        });
+        return `#${channels.join('')}`.toUpperCase();
+    }
+
     /**
      * Generate port text for dev projects
      *
@@ -155,6 +624,17 @@ class FaviconGenerator {
         return 'image/x-icon';
     }
 
+    /**
+     * Determine content type for a generated favicon format
+     *
+     * @param {string} format - Output format (svg, png, ico)
+     * @returns {string} MIME type
+     */
+    getFormatContentType(format) {
+        // eslint-disable-next-line security/detect-object-injection
+        return FORMAT_CONTENT_TYPES[format] || FORMAT_CONTENT_TYPES.svg;
+    }
+
     /**
      * Get color cache statistics
      *
@@ -0,0 +1,138 @@
+/**
+ * Web App Manifest icon set
+ *
+ * Sized PNG icons for pinning projects as standalone PWA windows, built from the
+ * same declarative layout as the favicon:
+ * - "any" icons keep the template shape (transparent corners)
+ * - full-bleed icons (apple-touch-icon) fill the square with the background color
+ * - maskable icons are full-bleed with the design shrunk into the central safe zone,
+ *   so launchers can crop them to any shape
+ */
+
+/** @const {number} Maskable safe zone: content must fit in the central 80% circle */
+const MASKABLE_SAFE_ZONE = 0.8;
+
+/** @const {Object.<string, Object>} Icon variants served by /api/icons/:icon.png */
+const ICON_SET = {
+    'apple-touch-icon': { size: 180, purpose: 'any', fullBleed: true },
+    'icon-192': { size: 192, purpose: 'any' },
+    'icon-512': { size: 512, purpose: 'any' },
+    'maskable-192': { size: 192, purpose: 'maskable', fullBleed: true, inset: MASKABLE_SAFE_ZONE },
+    'maskable-512': { size: 512, purpose: 'maskable', fullBleed: true, inset: MASKABLE_SAFE_ZONE },
+};
+
+/** @const {Array<string>} Icon variant names */
+const ICON_NAMES = Object.keys(ICON_SET);
+
+/** @const {number} Maximum manifest short_name length (launchers truncate beyond this) */
+const MAX_SHORT_NAME = 12;
+
+/**
+ * Look up an icon variant
+ *
+ * @param {string} name - Icon name (e.g., 'maskable-512')
+ * @returns {Object|null} Icon definition ({size, purpose, fullBleed, inset}) or null
+ */
+function getIcon(name) {
+    // eslint-disable-next-line security/detect-object-injection
+    return Object.prototype.hasOwnProperty.call(ICON_SET, name) ? ICON_SET[name] : null;
+}
+
+/**
+ * Scale a layout layer around the canvas center
+ *
+ * @param {Object} layer - Layer with shapes and texts
+ * @param {number} factor - Scale factor (e.g., 0.8)
+ * @param {number} [canvasSize=32] - Layout coordinate space
+ * @returns {{shapes: Array<Object>, texts: Array<Object>}} Scaled layer
+ */
+function scaleLayer(layer, factor, canvasSize = 32) {
+    const offset = (canvasSize / 2) * (1 - factor);
+    const point = (value) => (value || 0) * factor + offset;
+
+    const shapes = (layer.shapes || []).map((shape) => {
+        if (shape.type === 'circle') {
+            return { ...shape, cx: point(shape.cx), cy: point(shape.cy), r: shape.r * factor };
+        }
+        if (shape.type === 'polygon') {
+            return { ...shape, points: shape.points.map(([x, y]) => [point(x), point(y)]) };
+        }
+        return {
+            ...shape,
+            x: point(shape.x),
+            y: point(shape.y),
+            width: shape.width * factor,
+            height: shape.height * factor,
+            ...(shape.rx && { rx: shape.rx * factor }),
+        };
+    });
+
+    const texts = (layer.texts || []).map((text) => ({ ...text, x: point(text.x), y: point(text.y), fontSize: text.fontSize * factor }));
+
+    return { shapes, texts };
+}
+
+/**
+ * Validate a registry URL for use as the manifest start_url
+ *
+ * @param {*} url - Registry `url` value
+ * @returns {URL|null} Parsed http(s) URL, or null when missing/invalid
+ */
+function parseStartUrl(url) {
+    if (typeof url !== 'string') {
+        return null;
+    }
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Build a Web App Manifest for a project
+ *
+ * @param {Object} params - Manifest inputs
+ * @param {string} params.name - Project display name
+ * @param {string} params.folder - Project folder (used in icon URLs)
+ * @param {string} params.themeColor - Theme/background color (#RRGGBB)
+ * @param {string} [params.startUrl] - URL opened by the installed app (registry `url`; ignored unless http(s))
+ * @returns {Object} Manifest object
+ *
+ * @example
+ * buildManifest({ name: 'my-app', folder: '/opt/dev/my-app', themeColor: '#4ECDC4' })
+ */
+function buildManifest({ name, folder, themeColor, startUrl }) {
+    const query = `folder=${encodeURIComponent(folder)}`;
+    const start = parseStartUrl(startUrl);
+
+    return {
+        name,
+        short_name: name.length > MAX_SHORT_NAME ? name.slice(0, MAX_SHORT_NAME) : name,
+        ...(start && { start_url: start.href, scope: `${start.origin}/` }),
+        display: 'standalone',
+        theme_color: themeColor,
+        background_color: themeColor,
+        icons: ICON_NAMES.map((iconName) => {
+            // eslint-disable-next-line security/detect-object-injection
+            const icon = ICON_SET[iconName];
+            return {
+                src: `/api/icons/${iconName}.png?${query}`,
+                sizes: `${icon.size}x${icon.size}`,
+                type: 'image/png',
+                purpose: icon.purpose,
+            };
+        }),
+    };
+}
+
+module.exports = {
+    ICON_SET,
+    ICON_NAMES,
+    MASKABLE_SAFE_ZONE,
+    getIcon,
+    scaleLayer,
+    parseStartUrl,
+    buildManifest,
+};
@@ -0,0 +1,642 @@
+const zlib = require('zlib');
+
+/**
+ * FaviconRasterizer - Pure JavaScript rasterization of generated favicons
+ *
+ * Renders the declarative layout produced by FaviconGenerator into RGBA pixels
+ * and encodes them as PNG or multi-resolution ICO. No native image libraries
+ * are involved: shapes are filled with supersampled coverage, text uses an
+ * embedded 5x7 bitmap font, PNG compression uses the built-in zlib module.
+ *
+ * Layout coordinates are expressed in the layout's own units (32x32 for
+ * generated favicons) and scaled to the requested pixel size.
+ */
+
+/** @const {string[]} Supported output formats for /api/favicon */
+const FAVICON_FORMATS = ['svg', 'png', 'ico'];
+
+/** @const {number[]} Allowed PNG edge sizes in pixels */
+const PNG_SIZES = [16, 32, 48, 64, 180];
+
+/** @const {number} Default PNG edge size in pixels */
+const DEFAULT_PNG_SIZE = 32;
+
+/** @const {number[]} Resolutions embedded in generated .ico files */
+const ICO_SIZES = [16, 32, 48];
+
+/** @const {Object.<string, string>} MIME type for each output format */
+const FORMAT_CONTENT_TYPES = {
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    ico: 'image/x-icon',
+};
+
+/** @const {number} Subsamples per axis used for anti-aliasing (4x4 = 16 per pixel) */
+const SUPERSAMPLE = 4;
+
+/** @const {number} Bitmap font glyph width in cells */
+const GLYPH_WIDTH = 5;
+
+/** @const {number} Bitmap font glyph height in cells */
+const GLYPH_HEIGHT = 7;
+
+/** @const {number} Cap height of Arial relative to font size (used to size bitmap glyphs) */
+const CAP_HEIGHT_RATIO = 0.716;
+
+/** @const {Object.<string, string>} Named colors used by generated layouts */
+const NAMED_COLORS = {
+    white: '#FFFFFF',
+    black: '#000000',
+};
+
+/**
+ * 5x7 bitmap font covering the characters generated favicons can contain:
+ * initials (A-Z, 0-9), port numbers and badge labels.
+ * Each glyph is 7 rows of 5 cells, '#' marks a filled cell.
+ */
+const FONT = {
+    '0': ['.###.', '#...#', '#..##', '#.#.#', '##..#', '#...#', '.###.'],
+    '1': ['..#..', '.##..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    '2': ['.###.', '#...#', '....#', '...#.', '..#..', '.#...', '#####'],
+    '3': ['#####', '...#.', '..#..', '...#.', '....#', '#...#', '.###.'],
+    '4': ['...#.', '..##.', '.#.#.', '#..#.', '#####', '...#.', '...#.'],
+    '5': ['#####', '#....', '####.', '....#', '....#', '#...#', '.###.'],
+    '6': ['..##.', '.#...', '#....', '####.', '#...#', '#...#', '.###.'],
+    '7': ['#####', '....#', '...#.', '..#..', '.#...', '.#...', '.#...'],
+    '8': ['.###.', '#...#', '#...#', '.###.', '#...#', '#...#', '.###.'],
+    '9': ['.###.', '#...#', '#...#', '.####', '....#', '...#.', '.##..'],
+    A: ['.###.', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    B: ['####.', '#...#', '#...#', '####.', '#...#', '#...#', '####.'],
+    C: ['.###.', '#...#', '#....', '#....', '#....', '#...#', '.###.'],
+    D: ['###..', '#..#.', '#...#', '#...#', '#...#', '#..#.', '###..'],
+    E: ['#####', '#....', '#....', '####.', '#....', '#....', '#####'],
+    F: ['#####', '#....', '#....', '####.', '#....', '#....', '#....'],
+    G: ['.###.', '#...#', '#....', '#.###', '#...#', '#...#', '.####'],
+    H: ['#...#', '#...#', '#...#', '#####', '#...#', '#...#', '#...#'],
+    I: ['.###.', '..#..', '..#..', '..#..', '..#..', '..#..', '.###.'],
+    J: ['..###', '...#.', '...#.', '...#.', '...#.', '#..#.', '.##..'],
+    K: ['#...#', '#..#.', '#.#..', '##...', '#.#..', '#..#.', '#...#'],
+    L: ['#....', '#....', '#....', '#....', '#....', '#....', '#####'],
+    M: ['#...#', '##.##', '#.#.#', '#.#.#', '#...#', '#...#', '#...#'],
+    N: ['#...#', '#...#', '##..#', '#.#.#', '#..##', '#...#', '#...#'],
+    O: ['.###.', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    P: ['####.', '#...#', '#...#', '####.', '#....', '#....', '#....'],
+    Q: ['.###.', '#...#', '#...#', '#...#', '#.#.#', '#..#.', '.##.#'],
+    R: ['####.', '#...#', '#...#', '####.', '#.#..', '#..#.', '#...#'],
+    S: ['.####', '#....', '#....', '.###.', '....#', '....#', '####.'],
+    T: ['#####', '..#..', '..#..', '..#..', '..#..', '..#..', '..#..'],
+    U: ['#...#', '#...#', '#...#', '#...#', '#...#', '#...#', '.###.'],
+    V: ['#...#', '#...#', '#...#', '#...#', '#...#', '.#.#.', '..#..'],
+    W: ['#...#', '#...#', '#...#', '#.#.#', '#.#.#', '#.#.#', '.#.#.'],
+    X: ['#...#', '#...#', '.#.#.', '..#..', '.#.#.', '#...#', '#...#'],
+    Y: ['#...#', '#...#', '.#.#.', '..#..', '..#..', '..#..', '..#..'],
+    Z: ['#####', '....#', '...#.', '..#..', '.#...', '#....', '#####'],
+    '+': ['.....', '..#..', '..#..', '#####', '..#..', '..#..', '.....'],
+    '-': ['.....', '.....', '.....', '#####', '.....', '.....', '.....'],
+    '!': ['..#..', '..#..', '..#..', '..#..', '..#..', '.....', '..#..'],
+    '?': ['.###.', '#...#', '....#', '...#.', '..#..', '.....', '..#..'],
+    '.': ['.....', '.....', '.....', '.....', '.....', '.##..', '.##..'],
+    ':': ['.....', '.##..', '.##..', '.....', '.##..', '.##..', '.....'],
+};
+
+/**
+ * Parse a color into RGB components
+ * Accepts #RRGGBB, #RGB and the named colors used by generated layouts.
+ *
+ * @param {string} color - Color string
+ * @returns {{r: number, g: number, b: number}|null} RGB components (0-255) or null if unparseable
+ */
+function parseColor(color) {
+    if (!color || typeof color !== 'string') {
+        return null;
+    }
+
+    const normalized = NAMED_COLORS[color.toLowerCase()] || color;
+    let hex = normalized.replace('#', '');
+    if (/^[0-9A-Fa-f]{3}$/.test(hex)) {
+        hex = hex
+            .split('')
+            .map((c) => c + c)
+            .join('');
+    }
+    if (!/^[0-9A-Fa-f]{6}$/.test(hex)) {
+        return null;
+    }
+
+    return {
+        r: parseInt(hex.substring(0, 2), 16),
+        g: parseInt(hex.substring(2, 4), 16),
+        b: parseInt(hex.substring(4, 6), 16),
+    };
+}
+
+/**
+ * Minimal RGBA raster surface with anti-aliased shape filling
+ *
+ * Shapes are described by a point-containment function in layout units.
+ * Each pixel is sampled on a SUPERSAMPLE x SUPERSAMPLE grid and the coverage
+ * fraction is composited with source-over blending.
+ */
+class RasterCanvas {
+    /**
+     * @param {number} size - Edge length in pixels (canvas is square)
+     * @param {number} [units=32] - Layout units mapped onto the canvas edge
+     */
+    constructor(size, units = 32) {
+        if (!Number.isInteger(size) || size < 1 || size > 1024) {
+            throw new Error('RasterCanvas size must be an integer between 1 and 1024');
+        }
+
+        this.size = size;
+        this.scale = size / units;
+        this.pixels = new Float32Array(size * size * 4); // straight (non-premultiplied) RGBA, 0-1
+    }
+
+    /**
+     * Blend a color into one pixel using source-over compositing
+     *
+     * @param {number} index - Pixel index (not byte offset)
+     * @param {{r: number, g: number, b: number}} rgb - Source color (0-255)
+     * @param {number} alpha - Source alpha (0-1)
+     * @private
+     */
+    _blend(index, rgb, alpha) {
+        const offset = index * 4;
+        const px = this.pixels;
+        const dstAlpha = px[offset + 3];
+        const outAlpha = alpha + dstAlpha * (1 - alpha);
+        if (outAlpha <= 0) {
+            return;
+        }
+
+        const dstWeight = dstAlpha * (1 - alpha);
+        // eslint-disable-next-line security/detect-object-injection
+        px[offset] = ((rgb.r / 255) * alpha + px[offset] * dstWeight) / outAlpha;
+        px[offset + 1] = ((rgb.g / 255) * alpha + px[offset + 1] * dstWeight) / outAlpha;
+        px[offset + 2] = ((rgb.b / 255) * alpha + px[offset + 2] * dstWeight) / outAlpha;
+        px[offset + 3] = outAlpha;
+    }
+
+    /**
+     * Fill an arbitrary shape described by a containment test
+     *
+     * @param {Function} contains - (x, y) => boolean in layout units
+     * @param {string} color - Fill color
+     * @param {Object} [options={}] - Fill options
+     * @param {number} [options.opacity=1] - Fill opacity (0-1)
+     * @param {{x: number, y: number, width: number, height: number}} [options.bounds] - Bounding box in layout units (limits work)
+     */
+    fillShape(contains, color, options = {}) {
+        const rgb = parseColor(color);
+        const opacity = options.opacity !== undefined ? options.opacity : 1;
+        if (!rgb || opacity <= 0) {
+            return;
+        }
+
+        const bounds = options.bounds || { x: 0, y: 0, width: this.size / this.scale, height: this.size / this.scale };
+        const minX = Math.max(0, Math.floor(bounds.x * this.scale));
+        const minY = Math.max(0, Math.floor(bounds.y * this.scale));
+        const maxX = Math.min(this.size, Math.ceil((bounds.x + bounds.width) * this.scale));
+        const maxY = Math.min(this.size, Math.ceil((bounds.y + bounds.height) * this.scale));
+        const samples = SUPERSAMPLE * SUPERSAMPLE;
+
+        for (let py = minY; py < maxY; py++) {
+            for (let px = minX; px < maxX; px++) {
+                let hits = 0;
+                for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+                    const y = (py + (sy + 0.5) / SUPERSAMPLE) / this.scale;
+                    for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+                        const x = (px + (sx + 0.5) / SUPERSAMPLE) / this.scale;
+                        if (contains(x, y)) {
+                            hits++;
+                        }
+                    }
+                }
+                if (hits > 0) {
+                    this._blend(py * this.size + px, rgb, (hits / samples) * opacity);
+                }
+            }
+        }
+    }
+
+    /**
+     * Fill a rectangle with optional rounded corners
+     *
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @param {number} rx - Corner radius (0 for square corners)
+     * @param {string} color - Fill color
+     * @param {Object} [options={}] - Fill options (opacity)
+     */
+    fillRoundedRect(x, y, width, height, rx, color, options = {}) {
+        const r = Math.max(0, Math.min(rx || 0, width / 2, height / 2));
+        const contains = (px, py) => {
+            if (px < x || px > x + width || py < y || py > y + height) {
+                return false;
+            }
+            if (r === 0) {
+                return true;
+            }
+            // Distance from the nearest inner corner-circle center
+            const cx = Math.min(Math.max(px, x + r), x + width - r);
+            const cy = Math.min(Math.max(py, y + r), y + height - r);
+            const dx = px - cx;
+            const dy = py - cy;
+            return dx * dx + dy * dy <= r * r;
+        };
+        this.fillShape(contains, color, { ...options, bounds: { x, y, width, height } });
+    }
+
+    /**
+     * Fill a circle
+     *
+     * @param {number} cx - Center X
+     * @param {number} cy - Center Y
+     * @param {number} r - Radius
+     * @param {string} color - Fill color
+     * @param {Object} [options={}] - Fill options (opacity)
+     */
+    fillCircle(cx, cy, r, color, options = {}) {
+        const contains = (px, py) => {
+            const dx = px - cx;
+            const dy = py - cy;
+            return dx * dx + dy * dy <= r * r;
+        };
+        this.fillShape(contains, color, { ...options, bounds: { x: cx - r, y: cy - r, width: r * 2, height: r * 2 } });
+    }
+
+    /**
+     * Fill a polygon using the even-odd rule
+     *
+     * @param {Array<[number, number]>} points - Polygon vertices
+     * @param {string} color - Fill color
+     * @param {Object} [options={}] - Fill options (opacity)
+     */
+    fillPolygon(points, color, options = {}) {
+        if (!Array.isArray(points) || points.length < 3) {
+            return;
+        }
+
+        const xs = points.map((p) => p[0]);
+        const ys = points.map((p) => p[1]);
+        const bounds = {
+            x: Math.min(...xs),
+            y: Math.min(...ys),
+            width: Math.max(...xs) - Math.min(...xs),
+            height: Math.max(...ys) - Math.min(...ys),
+        };
+
+        const contains = (px, py) => {
+            let inside = false;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i]; // eslint-disable-line security/detect-object-injection
+                const [xj, yj] = points[j]; // eslint-disable-line security/detect-object-injection
+                if (yi > py !== yj > py && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        };
+        this.fillShape(contains, color, { ...options, bounds });
+    }
+
+    /**
+     * Draw text with the embedded bitmap font
+     * Glyphs are sized so their height matches the cap height of the requested
+     * font size and positioned on the baseline, mirroring SVG <text> placement.
+     *
+     * @param {string} text - Text to draw (characters outside the font render as blank space)
+     * @param {number} x - Anchor X
+     * @param {number} y - Baseline Y
+     * @param {number} fontSize - Font size in layout units
+     * @param {string} color - Fill color
+     * @param {Object} [options={}] - Text options
+     * @param {string} [options.anchor='middle'] - 'start', 'middle' or 'end'
+     * @param {number} [options.opacity=1] - Fill opacity
+     */
+    fillText(text, x, y, fontSize, color, options = {}) {
+        const chars = String(text || '').toUpperCase().split('');
+        if (chars.length === 0) {
+            return;
+        }
+
+        const cell = (fontSize * CAP_HEIGHT_RATIO) / GLYPH_HEIGHT;
+        const advance = (GLYPH_WIDTH + 1) * cell;
+        const width = chars.length * advance - cell;
+        const anchor = options.anchor || 'middle';
+        let startX = x;
+        if (anchor === 'middle') startX = x - width / 2;
+        else if (anchor === 'end') startX = x - width;
+        const top = y - GLYPH_HEIGHT * cell;
+
+        const contains = (px, py) => {
+            const row = Math.floor((py - top) / cell);
+            if (row < 0 || row >= GLYPH_HEIGHT) {
+                return false;
+            }
+            const offset = px - startX;
+            const charIndex = Math.floor(offset / advance);
+            if (offset < 0 || charIndex >= chars.length) {
+                return false;
+            }
+            const col = Math.floor((offset - charIndex * advance) / cell);
+            const glyph = FONT[chars[charIndex]]; // eslint-disable-line security/detect-object-injection
+            // eslint-disable-next-line security/detect-object-injection
+            return col < GLYPH_WIDTH && !!glyph && glyph[row][col] === '#';
+        };
+
+        this.fillShape(contains, color, {
+            opacity: options.opacity,
+            bounds: { x: startX, y: top, width, height: GLYPH_HEIGHT * cell },
+        });
+    }
+
+    /**
+     * Draw a bitmap stretched over the whole canvas
+     * Each output pixel averages the source pixels it covers (alpha-weighted box
+     * filter), so large custom favicons downscale without aliasing.
+     *
+     * @param {{width: number, height: number, rgba: Buffer}} image - 8-bit RGBA bitmap
+     */
+    drawImage(image) {
+        const { width, height, rgba } = image;
+        for (let py = 0; py < this.size; py++) {
+            const y0 = Math.floor((py * height) / this.size);
+            const y1 = Math.max(y0 + 1, Math.floor(((py + 1) * height) / this.size));
+            for (let px = 0; px < this.size; px++) {
+                const x0 = Math.floor((px * width) / this.size);
+                const x1 = Math.max(x0 + 1, Math.floor(((px + 1) * width) / this.size));
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                let a = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const offset = (sy * width + sx) * 4;
+                        const alpha = rgba[offset + 3];
+                        // eslint-disable-next-line security/detect-object-injection
+                        r += rgba[offset] * alpha;
+                        g += rgba[offset + 1] * alpha;
+                        b += rgba[offset + 2] * alpha;
+                        a += alpha;
+                    }
+                }
+                if (a > 0) {
+                    this._blend(py * this.size + px, { r: r / a, g: g / a, b: b / a }, a / ((y1 - y0) * (x1 - x0) * 255));
+                }
+            }
+        }
+    }
+
+    /**
+     * Convert every pixel to grayscale (same luminosity formula as FaviconGenerator#toGrayscale)
+     */
+    desaturate() {
+        const px = this.pixels;
+        for (let offset = 0; offset < px.length; offset += 4) {
+            // eslint-disable-next-line security/detect-object-injection
+            const gray = 0.299 * px[offset] + 0.587 * px[offset + 1] + 0.114 * px[offset + 2];
+            // eslint-disable-next-line security/detect-object-injection
+            px[offset] = px[offset + 1] = px[offset + 2] = gray;
+        }
+    }
+
+    /**
+     * Export pixels as 8-bit RGBA
+     *
+     * @returns {Buffer} RGBA bytes (size * size * 4)
+     */
+    toRGBA() {
+        const out = Buffer.alloc(this.pixels.length);
+        for (let i = 0; i < this.pixels.length; i++) {
+            // eslint-disable-next-line security/detect-object-injection
+            out[i] = Math.round(Math.min(1, Math.max(0, this.pixels[i])) * 255);
+        }
+        return out;
+    }
+}
+
+// CRC32 lookup table for PNG chunk checksums
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0; // eslint-disable-line security/detect-object-injection
+    }
+    return table;
+})();
+
+/**
+ * Compute CRC32 checksum
+ *
+ * @param {Buffer} buffer - Input bytes
+ * @returns {number} Unsigned CRC32
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        // eslint-disable-next-line security/detect-object-injection
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk (length + type + data + CRC)
+ *
+ * @param {string} type - Four-character chunk type
+ * @param {Buffer} data - Chunk payload
+ * @returns {Buffer} Encoded chunk
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG image (8-bit truecolor with alpha)
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} rgba - RGBA bytes (width * height * 4)
+ * @returns {Buffer} PNG file bytes
+ */
+function encodePng(width, height, rgba) {
+    if (rgba.length !== width * height * 4) {
+        throw new Error('RGBA buffer size does not match image dimensions');
+    }
+
+    const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 6; // color type: RGBA
+    ihdr[10] = 0; // compression: deflate
+    ihdr[11] = 0; // filter method
+    ihdr[12] = 0; // interlace: none
+
+    // Each scanline is prefixed with filter type 0 (None)
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (stride + 1)] = 0;
+        rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+
+    return Buffer.concat([
+        signature,
+        pngChunk('IHDR', ihdr),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+/**
+ * Package PNG images into a multi-resolution ICO container
+ * Uses PNG-compressed entries (supported by all browsers and Windows Vista+).
+ *
+ * @param {Array<{size: number, data: Buffer}>} images - PNG images with their edge size
+ * @returns {Buffer} ICO file bytes
+ */
+function encodeIco(images) {
+    if (!Array.isArray(images) || images.length === 0) {
+        throw new Error('encodeIco requires at least one image');
+    }
+
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0); // reserved
+    header.writeUInt16LE(1, 2); // type: icon
+    header.writeUInt16LE(images.length, 4);
+
+    const entries = [];
+    let offset = 6 + images.length * 16;
+    for (const image of images) {
+        const entry = Buffer.alloc(16);
+        entry[0] = image.size >= 256 ? 0 : image.size; // width (0 = 256)
+        entry[1] = image.size >= 256 ? 0 : image.size; // height (0 = 256)
+        entry[2] = 0; // palette size
+        entry[3] = 0; // reserved
+        entry.writeUInt16LE(1, 4); // color planes
+        entry.writeUInt16LE(32, 6); // bits per pixel
+        entry.writeUInt32LE(image.data.length, 8);
+        entry.writeUInt32LE(offset, 12);
+        entries.push(entry);
+        offset += image.data.length;
+    }
+
+    return Buffer.concat([header, ...entries, ...images.map((image) => image.data)]);
+}
+
+/**
+ * Draw one layer (shapes, then texts) onto a canvas
+ *
+ * @param {RasterCanvas} canvas - Target canvas
+ * @param {Object} layer - Layer with shapes and texts arrays
+ */
+function drawLayer(canvas, layer) {
+    for (const shape of layer.shapes || []) {
+        const options = { opacity: shape.opacity };
+        switch (shape.type) {
+            case 'rect':
+                canvas.fillRoundedRect(shape.x || 0, shape.y || 0, shape.width, shape.height, shape.rx || 0, shape.fill, options);
+                break;
+            case 'circle':
+                canvas.fillCircle(shape.cx, shape.cy, shape.r, shape.fill, options);
+                break;
+            case 'polygon':
+                canvas.fillPolygon(shape.points, shape.fill, options);
+                break;
+            default:
+                throw new Error(`Unsupported layout shape type: ${shape.type}`);
+        }
+    }
+
+    for (const text of layer.texts || []) {
+        canvas.fillText(text.text, text.x, text.y, text.fontSize, text.fill, {
+            anchor: text.anchor,
+            opacity: text.opacity,
+        });
+    }
+}
+
+/**
+ * Render a favicon layout onto a new canvas
+ *
+ * Layout format (see FaviconGenerator#buildLayout):
+ * {
+ *   size: 32,
+ *   shapes: [{ type: 'rect'|'circle'|'polygon', fill, opacity?, ...geometry }],
+ *   texts: [{ text, x, y, fontSize, fill, anchor?, opacity? }],
+ *   overlays?: [{ shapes, texts }], // drawn in order above the base layer (e.g., status badges)
+ *   image?: { bitmap: { width, height, rgba }, grayscale? } // custom favicon drawn first, stretched to the canvas
+ * }
+ *
+ * @param {Object} layout - Declarative favicon layout
+ * @param {number} size - Output edge size in pixels
+ * @returns {RasterCanvas} Rendered canvas
+ */
+function renderLayout(layout, size) {
+    const canvas = new RasterCanvas(size, layout.size || 32);
+
+    if (layout.image?.bitmap) {
+        canvas.drawImage(layout.image.bitmap);
+        if (layout.image.grayscale) {
+            canvas.desaturate();
+        }
+    }
+    drawLayer(canvas, layout);
+    for (const overlay of layout.overlays || []) {
+        drawLayer(canvas, overlay);
+    }
+
+    return canvas;
+}
+
+/**
+ * Rasterize a favicon layout to PNG
+ *
+ * @param {Object} layout - Declarative favicon layout
+ * @param {number} [size=DEFAULT_PNG_SIZE] - Output edge size in pixels
+ * @returns {Buffer} PNG bytes
+ */
+function rasterizeToPng(layout, size = DEFAULT_PNG_SIZE) {
+    const canvas = renderLayout(layout, size);
+    return encodePng(size, size, canvas.toRGBA());
+}
+
+/**
+ * Rasterize a favicon layout to a multi-resolution ICO
+ *
+ * @param {Object} layout - Declarative favicon layout
+ * @param {number[]} [sizes=ICO_SIZES] - Resolutions to embed
+ * @returns {Buffer} ICO bytes
+ */
+function rasterizeToIco(layout, sizes = ICO_SIZES) {
+    return encodeIco(sizes.map((size) => ({ size, data: rasterizeToPng(layout, size) })));
+}
+
+module.exports = {
+    FAVICON_FORMATS,
+    PNG_SIZES,
+    DEFAULT_PNG_SIZE,
+    ICO_SIZES,
+    FORMAT_CONTENT_TYPES,
+    RasterCanvas,
+    parseColor,
+    encodePng,
+    encodeIco,
+    renderLayout,
+    rasterizeToPng,
+    rasterizeToIco,
+};
@@ -3,9 +3,14 @@ const path = require('path');
 const logger = require('../logger');
 const FaviconFinder = require('./favicon-finder');
 const FaviconGenerator = require('./favicon-generator');
-const { makeCacheKey } = require('../utils/cache-keys');
+const ProjectOverrides = require('./project-overrides');
+const { makeCacheKey, makeFaviconCacheKey } = require('../utils/cache-keys');
+const { hashParts, createEtag, getFileMtime, isCacheEntryCurrent } = require('../utils/conditional-get');
+const { parseBadge, formatBadge } = require('./favicon-badges');
+const { formatAnimation } = require('./favicon-animation');
 const { retryFileOperation } = require('../utils/file-operations');
 const LRUCache = require('../lru-cache');
+const metrics = require('../metrics');
 const { PermissionError } = require('../errors');
 
 // FIX PERF-005: Negative cache configuration for missing custom favicons
@@ -21,6 +26,8 @@ const NEGATIVE_CACHE_CONFIG = {
  * Orchestrates favicon operations using focused collaborators:
  * - FaviconFinder: Locates custom favicon files
  * - FaviconGenerator: Creates SVG favicons and manages colors
+ * - ProjectOverrides: Reads per-project `.favicon.json` / package.json overrides
+ * - ProjectDiscovery: Optionally infers name/type/port for folders missing from the registry
  *
  * FaviconService maintains caching layer and API compatibility.
  *
@@ -46,12 +53,19 @@ class FaviconService {
      * @param {Object} params.typeColors - Map of project types to color values (e.g., {dev: '#00ACC1', prod: '#D32F2F'})
      * @param {string[]} params.defaultColors - Array of fallback color values for project name hashing
      * @param {Object} [params.negativeCache] - Optional LRU cache for negative results (projects without custom favicons)
+     * @param {Object} [params.projectOverrides] - Optional ProjectOverrides instance (per-project `.favicon.json`)
+     * @param {Object} [params.projectDiscovery] - Optional ProjectDiscovery instance (metadata inference; disabled when omitted)
+     * @param {string} [params.defaultTemplate] - Global favicon template name (see lib/services/favicon-templates)
+     * @param {Object} [params.typeTemplates] - Template name per project type
+     * @param {number} [params.minContrastRatio] - Minimum WCAG contrast ratio for generated text (default 4.5)
+     * @param {Object} [params.animation] - Working badge animation settings ({style, fps, idleTimeoutMs})
+     * @param {string} [params.customOverlay] - Type/port overlay for custom favicon files (none, stripe, ribbon)
      * @throws {Error} If registryCache is missing or invalid
      * @throws {Error} If faviconCache is missing or invalid
      * @throws {Error} If typeColors is missing or not an object
      * @throws {Error} If defaultColors is missing or not an array
      */
-    constructor({ registryCache, faviconCache, typeColors, defaultColors, negativeCache }) {
+    constructor({ registryCache, faviconCache, typeColors, defaultColors, negativeCache, projectOverrides, projectDiscovery, defaultTemplate, typeTemplates, minContrastRatio, animation, customOverlay }) {
         if (!registryCache || typeof registryCache.getRegistry !== 'function') {
             throw new Error('FaviconService requires registryCache with getRegistry method');
         }
@@ -68,13 +82,97 @@ class FaviconService {
         this.registryCache = registryCache;
         this.faviconCache = faviconCache;
         this.finder = new FaviconFinder();
-        this.generator = new FaviconGenerator({ typeColors, defaultColors });
+        this.generator = new FaviconGenerator({ typeColors, defaultColors, defaultTemplate, typeTemplates, minContrastRatio, animation, customOverlay });
 
         // FIX PERF-005: Negative cache for projects without custom favicons
         // Stores { path: { hasCustomFavicon: false, timestamp: Date.now() } }
         // Prevents repeated filesystem scans for projects that don't have custom favicons
         this.negativeCache = negativeCache || new LRUCache(NEGATIVE_CACHE_CONFIG.MAX_SIZE);
         this.negativeCacheTtl = NEGATIVE_CACHE_CONFIG.TTL_MS;
+
+        // Per-project overrides: drop every cached variant when a project's override file changes
+        this.projectOverrides = projectOverrides || new ProjectOverrides();
+        this.projectOverrides.on('change', (projectPath) => this.invalidateProject(projectPath));
+
+        // Optional metadata discovery (PROJECT_DISCOVERY): inferred values change generated favicons too
+        this.projectDiscovery = projectDiscovery || null;
+        if (this.projectDiscovery) {
+            this.projectDiscovery.on('change', (projectPath) => this.invalidateProject(projectPath));
+        }
+    }
+
+    /**
+     * Fills fields missing from a project's registry entry with discovered metadata.
+     * Registry values always win; `inferred` lists the source of every filled field.
+     * When the registry `types` block styles the resulting type, it is attached as
+     * `typeStyle` ({color, label, showPort}) for the generator.
+     *
+     * @param {string} projectPath - Absolute path to the project directory
+     * @param {Object|null} registryInfo - Registry entry (empty or null when unregistered)
+     * @returns {Promise<{info: Object, inferred: Object}>} Merged project info and inferred field sources
+     */
+    async getDiscoveredInfo(projectPath, registryInfo) {
+        const info = { ...registryInfo };
+        const inferred = {};
+        if (this.projectDiscovery) {
+            const discovered = await this.projectDiscovery.discover(projectPath);
+            for (const [field, value] of Object.entries(discovered.info)) {
+                // eslint-disable-next-line security/detect-object-injection
+                if (info[field] !== undefined) continue;
+                info[field] = value; // eslint-disable-line security/detect-object-injection
+                inferred[field] = discovered.sources[field]; // eslint-disable-line security/detect-object-injection
+            }
+        }
+
+        const registry = await this.registryCache.getRegistry();
+        const typeStyle = registry?.types?.[info.type || 'dev'];
+        if (typeStyle && Object.keys(typeStyle).length > 0) {
+            info.typeStyle = typeStyle;
+        }
+        return { info, inferred };
+    }
+
+    /**
+     * Gets validated favicon overrides (`.favicon.json` or package.json `favicon` key) for a project.
+     *
+     * @param {string} projectPath - Absolute path to the project directory
+     * @returns {Promise<Object>} Overrides (initials, backgroundColor, textColor, shape, badge), empty when none
+     */
+    async getProjectOverrides(projectPath) {
+        return this.projectOverrides.getOverrides(projectPath);
+    }
+
+    /**
+     * Removes all cached favicon variants (grayscale, formats, sizes) for a project.
+     *
+     * @param {string} projectPath - Absolute path to the project directory
+     * @returns {number} Number of cache entries removed
+     */
+    invalidateProject(projectPath) {
+        if (typeof this.faviconCache.keys !== 'function') {
+            return 0;
+        }
+
+        const baseKey = makeFaviconCacheKey(projectPath);
+        let removed = 0;
+        for (const key of this.faviconCache.keys()) {
+            if (key === baseKey || key.startsWith(`${baseKey}:`)) {
+                this.faviconCache.delete(key);
+                removed++;
+            }
+        }
+        logger.debug({ projectPath, removed }, 'Invalidated cached favicons for project');
+        return removed;
+    }
+
+    /**
+     * Stops override and discovery file watchers (graceful shutdown / test teardown).
+     */
+    close() {
+        this.projectOverrides.close();
+        if (this.projectDiscovery) {
+            this.projectDiscovery.close();
+        }
     }
 
     /**
@@ -152,8 +250,11 @@ class FaviconService {
      * @param {Object} [projectInfo={}] - Project metadata from registry
      * @param {string} [projectInfo.type] - Project type/environment (e.g., 'dev', 'prod', 'staging')
      * @param {string} [projectInfo.port] - Port number to display in badge
+     * @param {string} [projectInfo.template] - Template name overriding type/global template
      * @param {Object} [options={}] - Generation options
      * @param {boolean} [options.grayscale=false] - Whether to convert colors to grayscale
+     * @param {Object} [options.badge] - Parsed status badge to composite (see favicon-badges parseBadge)
+     * @param {Object} [options.animation] - Working badge animation ({animate, frame})
      * @returns {string} SVG markup as string (XSS-safe, sanitized)
      *
      * @example
@@ -164,6 +265,68 @@ class FaviconService {
         return this.generator.generateSvgFavicon(projectName, projectInfo, options);
     }
 
+    /**
+     * Generates a PNG or multi-resolution ICO favicon from project metadata.
+     * Pure JavaScript rasterization of the same design as generateSvgFavicon.
+     *
+     * @param {string} projectName - Name of the project
+     * @param {Object} [projectInfo={}] - Project metadata from registry
+     * @param {Object} options - Generation options
+     * @param {string} options.format - 'png' or 'ico'
+     * @param {number} [options.size] - PNG edge size in pixels
+     * @param {boolean} [options.grayscale=false] - Whether to convert colors to grayscale
+     * @returns {Buffer} Encoded image bytes
+     *
+     * @example
+     * const png = service.generateRasterFavicon('my-project', { type: 'dev' }, { format: 'png', size: 180 });
+     */
+    generateRasterFavicon(projectName, projectInfo = {}, options = {}) {
+        return this.generator.generateRasterFavicon(projectName, projectInfo, options);
+    }
+
+    /**
+     * Composites the type/port overlay onto a custom favicon file when enabled
+     * for the project (config FAVICON_CUSTOM_OVERLAY or `customOverlay` override).
+     *
+     * @param {string} projectName - Name of the project
+     * @param {Object} [projectInfo={}] - Project metadata from registry plus overrides
+     * @param {{contentType: string, data: Buffer}} file - Custom favicon file
+     * @param {Object} [options={}] - Generation options ({format, size, grayscale})
+     * @returns {{contentType: string, data: Buffer}|null} Composited favicon, or null to serve the file as-is
+     *
+     * @example
+     * const result = service.generateCustomFavicon('my-project', { type: 'prod', customOverlay: 'stripe' }, { contentType: 'image/png', data });
+     */
+    generateCustomFavicon(projectName, projectInfo = {}, file = {}, options = {}) {
+        return this.generator.generateCustomFavicon(projectName, projectInfo, file, options);
+    }
+
+    /**
+     * Generates a Web App Manifest icon (PNG) from project metadata.
+     *
+     * @param {string} projectName - Name of the project
+     * @param {Object} [projectInfo={}] - Project metadata from registry
+     * @param {Object} icon - Icon definition from favicon-icons getIcon()
+     * @returns {Buffer} PNG bytes
+     *
+     * @example
+     * const png = service.generateIcon('my-project', { type: 'dev' }, getIcon('maskable-512'));
+     */
+    generateIcon(projectName, projectInfo = {}, icon = {}) {
+        return this.generator.generateIcon(projectName, projectInfo, icon);
+    }
+
+    /**
+     * Theme color for a project (the generated favicon's background color)
+     *
+     * @param {string} projectName - Name of the project
+     * @param {Object} [projectInfo={}] - Project metadata from registry
+     * @returns {string} Hex color code
+     */
+    getThemeColor(projectName, projectInfo = {}) {
+        return this.generator.buildLayout(projectName, projectInfo).background;
+    }
+
     getTypeColor(type, projectName) {
         return this.generator.getTypeColor(type, projectName);
     }
@@ -180,6 +343,10 @@ class FaviconService {
         return this.generator.getContentType(filePath);
     }
 
+    getFormatContentType(format) {
+        return this.generator.getFormatContentType(format);
+    }
+
     /**
      * Read file with error handling and automatic retry for transient errors
      * Uses shared utility lib/utils/file-operations.js for retry logic
@@ -237,6 +404,7 @@ class FaviconService {
      * Gets a favicon for the specified project path.
      * First searches for custom favicon files in the project directory.
      * Falls back to generating an SVG favicon based on project metadata if no custom favicon is found.
+     * Generated favicons merge the project's `.favicon.json` overrides over its registry entry.
      *
      * FIX PERF-005: Added negative caching to avoid repeated filesystem scans for projects
      * without custom favicons. Most projects don't have custom favicons, so caching negative
@@ -244,9 +412,16 @@ class FaviconService {
      *
      * FIX PERF-012: Uses makeCacheKey for consistent cache key format across modules.
      *
+     * Cached entries are only returned while the project info fingerprint (and the custom
+     * file mtime) still match. Serves both GET /api/favicon and the batch endpoint.
+     *
      * @param {string} projectPath - Absolute path to the project directory
      * @param {Object} [options={}] - Configuration options
      * @param {boolean} [options.grayscale=false] - Whether to convert colors to grayscale
+     * @param {string} [options.format='svg'] - Output format for generated favicons (svg, png, ico)
+     * @param {number} [options.size] - PNG edge size in pixels
+     * @param {string} [options.badge] - Status badge (working, completed, error, count:N); custom favicon files are badged too
+     * @param {Object} [options.animation] - Working badge animation ({animate: false} for the static dot, {frame: N} for one frame)
      * @returns {Promise<{contentType: string, data: Buffer}>} Favicon data with content type
      * @throws {Error} If project path is invalid or inaccessible
      *
@@ -257,9 +432,31 @@ class FaviconService {
      */
     async getFavicon(projectPath, options = {}) {
         // FIX PERF-012: Use makeCacheKey for consistent cache key format across modules
-        const cacheKey = makeCacheKey('favicon', projectPath, options.grayscale ? 'gray' : '');
+        const format = options.format || 'svg';
+        const badge = parseBadge(options.badge);
+        const cacheKey = makeFaviconCacheKey(projectPath, {
+            grayscale: options.grayscale,
+            format,
+            size: options.size,
+            badge: formatBadge(badge),
+            animation: badge?.type === 'working' ? formatAnimation(options.animation) : '',
+        });
+
+        const registry = await this.registryCache.getRegistry();
+        const projectName = path.basename(projectPath);
+        // eslint-disable-next-line security/detect-object-injection
+        const registryInfo = registry.projects?.[projectPath] || registry.projects?.[projectName] || {};
+        const { info: discoveredInfo } = await this.getDiscoveredInfo(projectPath, registryInfo);
+        const projectInfo = { ...discoveredInfo, ...(await this.getProjectOverrides(projectPath)) };
+        // Same validators as the favicon routes so both serve (and revalidate) each other's entries
+        const fingerprint = hashParts(JSON.stringify(projectInfo));
+
         const cached = this.faviconCache.get(cacheKey);
-        if (cached) return cached;
+        if (cached && (await isCacheEntryCurrent(cached, fingerprint))) {
+            metrics.faviconCacheHitsTotal.inc();
+            return cached;
+        }
+        metrics.faviconCacheMissesTotal.inc();
 
         // FIX PERF-005: Check negative cache before filesystem scan
         // If we recently confirmed this project has no custom favicon, skip the search
@@ -277,23 +474,56 @@ class FaviconService {
             }
         }
 
+        // Custom SVG files cannot be rasterized, so PNG/ICO requests use the generated favicon
+        if (existingFavicon && format !== 'svg' && this.getContentType(existingFavicon) === 'image/svg+xml') {
+            logger.debug({ projectPath, existingFavicon, format }, 'Custom SVG favicon cannot be served as raster, generating favicon');
+            existingFavicon = null;
+        }
+
+        const generateOptions = {
+            grayscale: Boolean(options.grayscale),
+            ...(badge && { badge }),
+            ...(badge?.type === 'working' && options.animation && { animation: options.animation }),
+        };
+
         if (existingFavicon) {
             const data = await this.readFileWithErrorHandling(existingFavicon);
-            if (data) {
-                const contentType = this.getContentType(existingFavicon);
-                const result = { contentType, data };
+            const file = { contentType: this.getContentType(existingFavicon), data };
+            const customOptions = { ...generateOptions, format, size: options.size };
+            const overlaid = data && this.generateCustomFavicon(projectName, projectInfo, file, customOptions);
+            // Badges and PNG/ICO requests re-render the file; when it cannot be decoded the generated favicon is used
+            if (overlaid || (data && !badge && this.generator.customFileMatchesFormat(file, customOptions))) {
+                // Custom files are validated by mtime; overlaid ones also by the fingerprint
+                const mtimeMs = await getFileMtime(existingFavicon);
+                const result = {
+                    ...file,
+                    ...overlaid,
+                    fingerprint,
+                    filePath: existingFavicon,
+                    mtimeMs,
+                    lastModified: overlaid ? Date.now() : mtimeMs || Date.now(),
+                    etag: createEtag(cacheKey, existingFavicon, mtimeMs !== null ? mtimeMs : data, ...(overlaid ? [fingerprint] : [])),
+                };
                 this.faviconCache.set(cacheKey, result);
                 return result;
             }
-            logger.info({ projectPath, existingFavicon }, 'Falling back to generated favicon due to file read error');
+            logger.info(
+                { projectPath, existingFavicon, format },
+                data ? 'Custom favicon cannot be decoded for the requested format or badge, generating favicon' : 'Falling back to generated favicon due to file read error'
+            );
         }
 
-        const registry = await this.registryCache.getRegistry();
-        const projectName = path.basename(projectPath);
-        // eslint-disable-next-line security/detect-object-injection
-        const projectInfo = registry.projects?.[projectPath] || registry.projects?.[projectName] || {};
-        const svg = this.generateSvgFavicon(projectName, projectInfo, options);
-        const result = { contentType: 'image/svg+xml', data: Buffer.from(svg) };
+        const data =
+            format === 'svg'
+                ? Buffer.from(this.generateSvgFavicon(projectName, projectInfo, generateOptions))
+                : this.generateRasterFavicon(projectName, projectInfo, { ...generateOptions, format, size: options.size });
+        const result = {
+            contentType: this.getFormatContentType(format),
+            data,
+            fingerprint,
+            lastModified: Date.now(),
+            etag: createEtag(cacheKey, fingerprint, data),
+        };
         this.faviconCache.set(cacheKey, result);
         return result;
     }
@@ -0,0 +1,16 @@
+const { initialsText, labelText } = require('./helpers');
+
+/**
+ * Circle template - filled circle, label pulled up to stay inside the curve
+ */
+module.exports = {
+    name: 'circle',
+    description: 'Filled circle with initials',
+
+    build(ctx) {
+        return {
+            shapes: [{ type: 'circle', cx: 16, cy: 16, r: 16, fill: ctx.background }],
+            texts: [initialsText(ctx, { y: ctx.label ? 19 : 21, fontSize: 13 }), ...labelText(ctx, { y: 27 })],
+        };
+    },
+};
@@ -0,0 +1,22 @@
+const { initialsText, labelText } = require('./helpers');
+
+/**
+ * Classic template - rounded square with initials and port/badge label
+ * The original favicon design; honours the `shape` override (rounded, square, circle).
+ */
+module.exports = {
+    name: 'classic',
+    description: 'Rounded square with initials and port label',
+
+    build(ctx) {
+        const background =
+            ctx.shape === 'circle'
+                ? { type: 'circle', cx: 16, cy: 16, r: 16, fill: ctx.background }
+                : { type: 'rect', x: 0, y: 0, width: 32, height: 32, rx: ctx.shape === 'square' ? 0 : 4, fill: ctx.background };
+
+        return {
+            shapes: [background],
+            texts: [initialsText(ctx), ...labelText(ctx)],
+        };
+    },
+};
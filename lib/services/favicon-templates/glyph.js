@@ -0,0 +1,17 @@
+const { initialsText } = require('./helpers');
+
+/**
+ * Large glyph template - a single big character, no label
+ * Most legible at 16px where two initials and a port blur together.
+ */
+module.exports = {
+    name: 'glyph',
+    description: 'Single large character',
+
+    build(ctx) {
+        return {
+            shapes: [{ type: 'rect', x: 0, y: 0, width: 32, height: 32, rx: 4, fill: ctx.background }],
+            texts: [initialsText(ctx, { text: ctx.initials.charAt(0), y: 26, fontSize: 26 })],
+        };
+    },
+};
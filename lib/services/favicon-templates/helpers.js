@@ -0,0 +1,47 @@
+/**
+ * Shared text styles for favicon templates
+ * Keeps typography consistent across templates; geometry stays in each template.
+ */
+
+/**
+ * Initials text element
+ *
+ * @param {Object} ctx - Template context (initials, foreground)
+ * @param {Object} [overrides] - Position/size overrides (x, y, fontSize, text)
+ * @returns {Object} Layout text
+ */
+function initialsText(ctx, overrides = {}) {
+    return {
+        text: ctx.initials,
+        x: 16,
+        y: 21,
+        fontSize: 14,
+        fill: ctx.foreground,
+        fontFamily: 'Arial, sans-serif',
+        fontWeight: 'bold',
+        ...overrides,
+    };
+}
+
+/**
+ * Secondary label (badge or dev port) under the initials
+ *
+ * @param {Object} ctx - Template context (label, labelOpacity, foreground)
+ * @param {Object} [overrides] - Position/size overrides
+ * @returns {Array<Object>} Zero or one layout text
+ */
+function labelText(ctx, overrides = {}) {
+    if (!ctx.label) {
+        return [];
+    }
+
+    const text = { text: ctx.label, x: 16, y: 30, fontSize: 6, fill: ctx.foreground, fontFamily: 'monospace', ...overrides };
+    if (ctx.labelOpacity !== undefined) {
+        text.opacity = ctx.labelOpacity;
+    } else {
+        text.fontWeight = 'bold';
+    }
+    return [text];
+}
+
+module.exports = { initialsText, labelText };
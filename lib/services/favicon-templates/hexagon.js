@@ -0,0 +1,22 @@
+const { initialsText, labelText } = require('./helpers');
+
+/**
+ * Hexagon template - pointy-top hexagon inscribed in the 32x32 canvas
+ */
+module.exports = {
+    name: 'hexagon',
+    description: 'Hexagon with initials',
+
+    build(ctx) {
+        return {
+            shapes: [
+                {
+                    type: 'polygon',
+                    points: [[16, 0], [29.9, 8], [29.9, 24], [16, 32], [2.1, 24], [2.1, 8]],
+                    fill: ctx.background,
+                },
+            ],
+            texts: [initialsText(ctx, { y: ctx.label ? 19 : 21, fontSize: 13 }), ...labelText(ctx, { y: 27 })],
+        };
+    },
+};
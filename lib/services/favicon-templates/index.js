@@ -0,0 +1,56 @@
+/**
+ * Favicon template registry
+ *
+ * Each template is a small declarative module `{ name, description, build(ctx) }`
+ * where build() returns `{ shapes, texts }` for FaviconGenerator's layout. Templates
+ * only arrange geometry: FaviconGenerator prepares the context (sanitized initials,
+ * label and colors) and re-validates every color and text the template emits.
+ *
+ * Template context:
+ * - initials: sanitized initials
+ * - label: badge text or dev port ('' when none), labelOpacity set for ports
+ * - background: primary color (type/project color)
+ * - secondary: darker shade of background
+ * - surface: dark neutral for outlined designs
+ * - foreground: text color (readable on background, or the project's textColor)
+ * - foregroundOn(surfaces, preferred?): text color for other surfaces; returns the project's
+ *   textColor, else preferred or white/black, whichever meets the contrast ratio on all surfaces
+ * - shape: optional classic shape override (rounded, square, circle)
+ */
+
+const TEMPLATES = [
+    require('./classic'),
+    require('./circle'),
+    require('./hexagon'),
+    require('./split'),
+    require('./outlined'),
+    require('./glyph'),
+];
+
+const DEFAULT_TEMPLATE = 'classic';
+
+const templatesByName = new Map(TEMPLATES.map((template) => [template.name, template]));
+
+/** @const {Array<string>} Names of all registered templates */
+const TEMPLATE_NAMES = TEMPLATES.map((template) => template.name);
+
+/**
+ * Look up a template by name
+ *
+ * @param {string} name - Template name
+ * @returns {Object|null} Template module or null if unknown
+ */
+function getTemplate(name) {
+    return templatesByName.get(name) || null;
+}
+
+/**
+ * List templates with descriptions (for docs/diagnostics)
+ *
+ * @returns {Array<{name: string, description: string}>} Template summaries
+ */
+function listTemplates() {
+    return TEMPLATES.map(({ name, description }) => ({ name, description }));
+}
+
+module.exports = { TEMPLATE_NAMES, DEFAULT_TEMPLATE, getTemplate, listTemplates };
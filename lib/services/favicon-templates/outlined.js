@@ -0,0 +1,22 @@
+const { initialsText, labelText } = require('./helpers');
+
+/**
+ * Outlined template - colored frame around a dark center
+ * Drawn as two filled rects so the rasterizer needs no stroke support.
+ */
+module.exports = {
+    name: 'outlined',
+    description: 'Colored outline with initials on a dark center',
+
+    build(ctx) {
+        // Initials in the type color when it is readable on the dark center
+        const textCtx = { ...ctx, foreground: ctx.foregroundOn(ctx.surface, ctx.background) };
+        return {
+            shapes: [
+                { type: 'rect', x: 0, y: 0, width: 32, height: 32, rx: 5, fill: ctx.background },
+                { type: 'rect', x: 3, y: 3, width: 26, height: 26, rx: 3, fill: ctx.surface },
+            ],
+            texts: [initialsText(textCtx, { fontSize: 12, y: ctx.label ? 19 : 20 }), ...labelText(textCtx, { y: 26, fontSize: 5 })],
+        };
+    },
+};
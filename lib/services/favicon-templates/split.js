@@ -0,0 +1,22 @@
+const { initialsText, labelText } = require('./helpers');
+
+/**
+ * Split two-tone template - diagonal split between the type color and a darker shade
+ * Useful for telling monorepo packages apart from their parent project.
+ */
+module.exports = {
+    name: 'split',
+    description: 'Diagonal two-tone square (monorepo packages)',
+
+    build(ctx) {
+        // Text crosses the diagonal, so it must be readable on both tones
+        const textCtx = { ...ctx, foreground: ctx.foregroundOn([ctx.background, ctx.secondary]) };
+        return {
+            shapes: [
+                { type: 'rect', x: 0, y: 0, width: 32, height: 32, rx: 4, fill: ctx.background },
+                { type: 'polygon', points: [[32, 4], [32, 28], [28, 32], [4, 32]], fill: ctx.secondary },
+            ],
+            texts: [initialsText(textCtx), ...labelText(textCtx)],
+        };
+    },
+};
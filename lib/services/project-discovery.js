@@ -0,0 +1,253 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const WatchedFileCache = require('./watched-file-cache');
+const { PROJECT_SCHEMA } = require('../registry-schema');
+const { parseToml } = require('../utils/toml-parser');
+
+// Project files metadata is inferred from (watched in the project root)
+const PACKAGE_FILE = 'package.json';
+const PYPROJECT_FILE = 'pyproject.toml';
+const CARGO_FILE = 'Cargo.toml';
+const ENV_FILE = '.env';
+const GIT_DIR = '.git';
+const WATCHED_FILES = new Set([PACKAGE_FILE, PYPROJECT_FILE, CARGO_FILE, ENV_FILE, GIT_DIR]);
+
+// Parent directory names that imply a project type (/opt/prod/app -> prod)
+const TYPE_DIRECTORIES = {
+    dev: 'dev',
+    development: 'dev',
+    prod: 'prod',
+    production: 'prod',
+};
+
+// package.json scripts checked first for a port, in order
+const PORT_SCRIPTS = ['dev', 'start', 'serve', 'preview'];
+
+// --port 3000, --port=3000, -p 3000, PORT=3000
+const SCRIPT_PORT_PATTERN = /(?:--port[= ]|-p |\bPORT=)(\d{2,5})\b/;
+
+/**
+ * ProjectDiscovery - Infers project metadata from the project itself
+ *
+ * For folders without (complete) registry entries:
+ * - name: package.json `name` (scope dropped), pyproject.toml `[project]` or
+ *   `[tool.poetry]` name, Cargo.toml `[package]` name, then the git remote
+ *   repository name (`.git/config`, origin first)
+ * - type: nearest parent directory named dev/development or prod/production
+ * - port: `.env` PORT, then a port in the package.json scripts
+ *
+ * Every inferred value passes the registry schema rules. Each result lists
+ * the source of every field so callers can report what was inferred.
+ *
+ * Results are cached per project by WatchedFileCache (like ProjectOverrides):
+ * the project root is watched and a 'change' event is emitted with the project
+ * path when one of the source files changes. Git remotes live below `.git`, so
+ * names inferred from them (and unwatched projects) expire after a short TTL.
+ */
+class ProjectDiscovery extends EventEmitter {
+    /**
+     * @param {Object} [options] - Configuration
+     * @param {number} [options.maxWatchers] - Maximum number of project directories watched
+     * @param {number} [options.maxCachedProjects] - Maximum number of projects cached
+     */
+    constructor(options = {}) {
+        super();
+        this.files = new WatchedFileCache({
+            watchedFiles: WATCHED_FILES,
+            label: 'Project discovery',
+            maxWatchers: options.maxWatchers,
+            maxCachedProjects: options.maxCachedProjects,
+        });
+        this.files.on('change', (projectPath) => this.emit('change', projectPath));
+    }
+
+    /**
+     * Get inferred metadata for a project
+     *
+     * @param {string} projectPath - Absolute (already validated) project path
+     * @returns {Promise<{info: Object, sources: Object}>} Inferred fields (name, type, port) and the source of each
+     *
+     * @example
+     * await discovery.discover('/opt/prod/shop');
+     * // { info: { name: 'shop-web', type: 'prod', port: 3000 },
+     * //   sources: { name: 'package.json', type: 'parent directory /opt/prod', port: '.env PORT' } }
+     */
+    async discover(projectPath) {
+        const cached = this.files.get(projectPath);
+        if (cached) {
+            return cached;
+        }
+
+        const result = await this.inspect(projectPath);
+        this.files.set(projectPath, result, { expires: result.sources.name === 'git remote' });
+        return result;
+    }
+
+    /**
+     * Read project files and infer metadata (uncached)
+     *
+     * @param {string} projectPath - Project root directory
+     * @returns {Promise<{info: Object, sources: Object}>} Inferred fields and their sources
+     */
+    async inspect(projectPath) {
+        const info = {};
+        const sources = {};
+        const set = (field, value, source) => {
+            // eslint-disable-next-line security/detect-object-injection
+            if (value === undefined || info[field] !== undefined || PROJECT_SCHEMA[field].check(value)) return;
+            info[field] = value; // eslint-disable-line security/detect-object-injection
+            sources[field] = source; // eslint-disable-line security/detect-object-injection
+        };
+
+        const pkg = await this.files.readFile(path.join(projectPath, PACKAGE_FILE), JSON.parse);
+        if (pkg && typeof pkg.name === 'string') {
+            set('name', pkg.name.replace(/^@[^/]+\//, ''), PACKAGE_FILE);
+        }
+
+        const pyproject = await this.files.readFile(path.join(projectPath, PYPROJECT_FILE), parseToml);
+        set('name', pyproject?.project?.name ?? pyproject?.tool?.poetry?.name, PYPROJECT_FILE);
+
+        const cargo = await this.files.readFile(path.join(projectPath, CARGO_FILE), parseToml);
+        set('name', cargo?.package?.name, CARGO_FILE);
+
+        const gitConfig = await this.files.readFile(path.join(projectPath, GIT_DIR, 'config'), String);
+        set('name', gitConfig ? getRemoteRepositoryName(gitConfig) : undefined, 'git remote');
+
+        const typeDir = findTypeDirectory(projectPath);
+        if (typeDir) {
+            set('type', typeDir.type, `parent directory ${typeDir.path}`);
+        }
+
+        const env = await this.files.readFile(path.join(projectPath, ENV_FILE), parseEnvFile);
+        if (env && env.PORT !== undefined) {
+            set('port', Number(env.PORT), `${ENV_FILE} PORT`);
+        }
+
+        const scriptPort = pkg ? findScriptPort(pkg.scripts) : null;
+        if (scriptPort) {
+            set('port', scriptPort.port, `${PACKAGE_FILE} scripts.${scriptPort.script}`);
+        }
+
+        return { info, sources };
+    }
+
+    /**
+     * Drop cached metadata for a project and notify listeners
+     *
+     * @param {string} projectPath - Project root directory
+     */
+    invalidate(projectPath) {
+        this.files.invalidate(projectPath);
+    }
+
+    /**
+     * Close all directory watchers and pending debounce timers
+     */
+    close() {
+        this.files.close();
+    }
+
+    /**
+     * Get watcher and cache statistics
+     *
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return this.files.getStats();
+    }
+}
+
+/**
+ * Find the nearest parent directory whose name implies a project type
+ *
+ * @param {string} projectPath - Project root directory
+ * @returns {{type: string, path: string}|null} Type and the matching directory
+ */
+function findTypeDirectory(projectPath) {
+    let dir = path.dirname(projectPath);
+    while (dir !== path.dirname(dir)) {
+        const name = path.basename(dir).toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(TYPE_DIRECTORIES, name)) {
+            return { type: TYPE_DIRECTORIES[name], path: dir }; // eslint-disable-line security/detect-object-injection
+        }
+        dir = path.dirname(dir);
+    }
+    return null;
+}
+
+/**
+ * Parse KEY=value lines of a .env file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} Variables (quotes stripped, `export` prefix allowed)
+ */
+function parseEnvFile(text) {
+    const env = {};
+    for (const line of text.split(/\r?\n/)) {
+        const assignment = line.trim().replace(/^export\s+/, '');
+        const separator = assignment.indexOf('=');
+        const key = assignment.slice(0, separator).trim();
+        if (separator < 1 || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) continue;
+        env[key] = assignment.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2'); // eslint-disable-line security/detect-object-injection
+    }
+    return env;
+}
+
+/**
+ * Find a port in package.json scripts (common dev/start scripts first)
+ *
+ * @param {*} scripts - package.json `scripts`
+ * @returns {{port: number, script: string}|null} Port and the script it was found in
+ */
+function findScriptPort(scripts) {
+    if (!scripts || typeof scripts !== 'object') return null;
+
+    const names = Object.keys(scripts).sort((a, b) => {
+        const rank = (name) => (PORT_SCRIPTS.includes(name) ? PORT_SCRIPTS.indexOf(name) : PORT_SCRIPTS.length);
+        return rank(a) - rank(b);
+    });
+    for (const script of names) {
+        const command = scripts[script]; // eslint-disable-line security/detect-object-injection
+        const match = typeof command === 'string' && command.match(SCRIPT_PORT_PATTERN);
+        if (match) {
+            return { port: Number(match[1]), script };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the repository name from a git config (origin remote first)
+ *
+ * @param {string} text - Contents of .git/config
+ * @returns {string|undefined} Repository name (last URL segment without .git)
+ */
+function getRemoteRepositoryName(text) {
+    const remotes = new Map();
+    let remote = null;
+    for (const line of text.split(/\r?\n/)) {
+        const section = line.match(/^\s*\[\s*remote\s+"([^"]*)"\s*\]/);
+        if (section) {
+            remote = section[1];
+            continue;
+        }
+        if (/^\s*\[/.test(line)) {
+            remote = null;
+            continue;
+        }
+        const url = remote !== null && line.match(/^\s*url\s*=\s*(\S+)/);
+        if (url && !remotes.has(remote)) {
+            remotes.set(remote, url[1]);
+        }
+    }
+
+    const url = remotes.get('origin') ?? remotes.values().next().value;
+    if (!url) return undefined;
+    const name = url.replace(/\/+$/, '').split(/[/:]/).pop().replace(/\.git$/, '');
+    return name || undefined;
+}
+
+module.exports = ProjectDiscovery;
+module.exports.parseEnvFile = parseEnvFile;
+module.exports.findScriptPort = findScriptPort;
+module.exports.getRemoteRepositoryName = getRemoteRepositoryName;
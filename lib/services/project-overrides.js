@@ -0,0 +1,203 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('../logger');
+const WatchedFileCache = require('./watched-file-cache');
+const { sanitizeColor, createSafeSVGText } = require('../svg-sanitizer');
+const { TEMPLATE_NAMES } = require('./favicon-templates');
+const { CUSTOM_OVERLAY_STYLES } = require('./favicon-custom-overlay');
+
+// Override sources in priority order: a dedicated .favicon.json wins over package.json "favicon" key
+const OVERRIDE_FILE = '.favicon.json';
+const PACKAGE_FILE = 'package.json';
+const WATCHED_FILES = new Set([OVERRIDE_FILE, PACKAGE_FILE]);
+
+// Shapes understood by FaviconGenerator.buildLayout
+const OVERRIDE_SHAPES = ['rounded', 'square', 'circle'];
+
+// The only template that draws the shape override (the others have a fixed outline)
+const SHAPE_TEMPLATE = 'classic';
+
+const OVERRIDE_LIMITS = {
+    MAX_INITIALS: 3,
+    MAX_BADGE: 4,
+};
+
+/**
+ * ProjectOverrides - Reads per-project favicon overrides
+ *
+ * Projects may ship a `.favicon.json` at their root (or a `favicon` key in
+ * package.json) with initials, backgroundColor, textColor, shape, badge, template and
+ * customOverlay (type/port overlay on the project's own favicon file).
+ * Values are whitelisted and validated with svg-sanitizer before use; invalid
+ * values are dropped so the registry/type defaults still apply.
+ *
+ * Results are cached per project by WatchedFileCache, which watches the project
+ * directory and emits 'change' (re-emitted here) with the project path when its
+ * override source changes, falling back to a short TTL past the watcher limit.
+ */
+class ProjectOverrides extends EventEmitter {
+    /**
+     * @param {Object} [options] - Configuration
+     * @param {number} [options.maxWatchers] - Maximum number of project directories watched
+     * @param {number} [options.maxCachedProjects] - Maximum number of projects cached
+     */
+    constructor(options = {}) {
+        super();
+        this.files = new WatchedFileCache({
+            watchedFiles: WATCHED_FILES,
+            label: 'Favicon override',
+            readErrorLevel: 'warn',
+            maxWatchers: options.maxWatchers,
+            maxCachedProjects: options.maxCachedProjects,
+        });
+        this.files.on('change', (projectPath) => this.emit('change', projectPath));
+    }
+
+    /**
+     * Get validated favicon overrides for a project
+     *
+     * @param {string} projectPath - Absolute (already validated) project path
+     * @returns {Promise<Object>} Override values (empty object when none)
+     */
+    async getOverrides(projectPath) {
+        const cached = this.files.get(projectPath);
+        if (cached) {
+            return cached;
+        }
+
+        const overrides = await this.loadOverrides(projectPath);
+        this.files.set(projectPath, overrides);
+        return overrides;
+    }
+
+    /**
+     * Read raw override data from .favicon.json or package.json
+     *
+     * @param {string} projectPath - Project root directory
+     * @returns {Promise<Object>} Validated overrides (empty object when none or invalid)
+     */
+    async loadOverrides(projectPath) {
+        const fromFile = await this.files.readFile(path.join(projectPath, OVERRIDE_FILE), JSON.parse);
+        if (fromFile) {
+            return this.normalize(fromFile, { projectPath, source: OVERRIDE_FILE });
+        }
+
+        const pkg = await this.files.readFile(path.join(projectPath, PACKAGE_FILE), JSON.parse);
+        if (pkg && pkg.favicon) {
+            return this.normalize(pkg.favicon, { projectPath, source: PACKAGE_FILE });
+        }
+
+        return {};
+    }
+
+    /**
+     * Whitelist and validate override values
+     * SECURITY: Colors must pass sanitizeColor unchanged; text must survive createSafeSVGText
+     *
+     * @param {Object} raw - Raw override object from disk
+     * @param {Object} [context] - Logging context (projectPath, source)
+     * @returns {Object} Validated overrides
+     */
+    normalize(raw, context = {}) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            logger.warn(context, 'Favicon override must be a JSON object, ignoring');
+            return {};
+        }
+
+        const overrides = {};
+
+        const initials = this._safeText(raw.initials, OVERRIDE_LIMITS.MAX_INITIALS);
+        if (initials) overrides.initials = initials.toUpperCase();
+
+        for (const key of ['backgroundColor', 'textColor']) {
+            // eslint-disable-next-line security/detect-object-injection
+            const value = raw[key];
+            if (value === undefined) continue;
+            if (sanitizeColor(value) === value) {
+                // eslint-disable-next-line security/detect-object-injection
+                overrides[key] = value;
+            } else {
+                logger.warn({ ...context, key }, 'Invalid favicon override color, ignoring');
+            }
+        }
+
+        if (raw.shape !== undefined) {
+            if (OVERRIDE_SHAPES.includes(raw.shape)) {
+                overrides.shape = raw.shape;
+            } else {
+                logger.warn({ ...context, shape: raw.shape }, 'Unsupported favicon override shape, ignoring');
+            }
+        }
+
+        if (raw.template !== undefined) {
+            if (TEMPLATE_NAMES.includes(raw.template)) {
+                overrides.template = raw.template;
+            } else {
+                logger.warn({ ...context, template: String(raw.template).slice(0, 50) }, 'Unknown favicon override template, ignoring');
+            }
+        }
+
+        if (overrides.shape && overrides.template && overrides.template !== SHAPE_TEMPLATE) {
+            logger.warn({ ...context, shape: overrides.shape, template: overrides.template }, 'Favicon override shape only applies to the classic template, ignoring');
+            delete overrides.shape;
+        }
+
+        const badge = this._safeText(raw.badge, OVERRIDE_LIMITS.MAX_BADGE);
+        if (badge) overrides.badge = badge;
+
+        if (raw.customOverlay !== undefined) {
+            if (CUSTOM_OVERLAY_STYLES.includes(raw.customOverlay)) {
+                overrides.customOverlay = raw.customOverlay;
+            } else {
+                logger.warn({ ...context, customOverlay: String(raw.customOverlay).slice(0, 50) }, 'Unknown favicon override customOverlay, ignoring');
+            }
+        }
+
+        return overrides;
+    }
+
+    /**
+     * Drop cached overrides for a project and notify listeners
+     *
+     * @param {string} projectPath - Project root directory
+     */
+    invalidate(projectPath) {
+        this.files.invalidate(projectPath);
+    }
+
+    /**
+     * Close all directory watchers and pending debounce timers
+     */
+    close() {
+        this.files.close();
+    }
+
+    /**
+     * Get watcher and cache statistics
+     *
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return this.files.getStats();
+    }
+
+    /**
+     * Validate a short text override through the SVG text sanitizer
+     * Only values that come through sanitization unchanged are accepted.
+     *
+     * @param {*} value - Raw value
+     * @param {number} maxLength - Maximum accepted length
+     * @returns {string} Safe text or empty string
+     * @private
+     */
+    _safeText(value, maxLength) {
+        if (value === undefined || value === null) return '';
+        const text = String(value).trim();
+        if (!text || text.length > maxLength) return '';
+        return createSafeSVGText(text) === text ? text : '';
+    }
+}
+
+module.exports = ProjectOverrides;
+module.exports.OVERRIDE_SHAPES = OVERRIDE_SHAPES;
+module.exports.OVERRIDE_LIMITS = OVERRIDE_LIMITS;
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const logger = require('../logger');
+const LRUCache = require('../lru-cache');
+
+const WATCH_LIMITS = {
+    MAX_FILE_BYTES: 1024 * 1024, // package.json can be large, project config files never should be
+    MAX_CACHED_PROJECTS: 200,
+    MAX_WATCHERS: 100, // Bound open file descriptors; beyond this entries expire instead
+    UNWATCHED_TTL_MS: 30000, // Same interval as registry polling fallback
+    DEBOUNCE_MS: 500, // Same debounce as registry watcher
+};
+
+/**
+ * WatchedFileCache - Per-project cache of values read from files in the project root
+ *
+ * Shared by ProjectOverrides and ProjectDiscovery. Each cached project directory
+ * is watched (debounced like the registry watcher) and a 'change' event is emitted
+ * with the project path when one of the watched root entries changes. When the
+ * watcher limit is reached, or fs.watch is unavailable, entries expire after a
+ * short TTL instead. Projects evicted from the cache release their watcher.
+ */
+class WatchedFileCache extends EventEmitter {
+    /**
+     * @param {Object} options - Configuration
+     * @param {Set<string>} options.watchedFiles - Root entry names whose changes invalidate a project
+     * @param {string} options.label - Log message prefix (e.g. 'Favicon override')
+     * @param {string} [options.readErrorLevel='debug'] - Log level for unreadable or malformed files
+     * @param {number} [options.maxWatchers] - Maximum number of project directories watched
+     * @param {number} [options.maxCachedProjects] - Maximum number of projects cached
+     */
+    constructor({ watchedFiles, label, readErrorLevel = 'debug', maxWatchers, maxCachedProjects }) {
+        super();
+        this.watchedFiles = watchedFiles;
+        this.label = label;
+        this.readErrorLevel = readErrorLevel;
+        // Evicted projects give up their watcher slot so newly requested projects can be watched
+        this.cache = new LRUCache(maxCachedProjects ?? WATCH_LIMITS.MAX_CACHED_PROJECTS, { onEvict: (projectPath) => this._unwatch(projectPath) });
+        this.watchers = new Map();
+        this.debounceTimers = new Map();
+        this.maxWatchers = maxWatchers ?? WATCH_LIMITS.MAX_WATCHERS;
+    }
+
+    /**
+     * Get the cached value for a project
+     * Watched entries stay valid until invalidated; unwatched or expiring ones for the TTL.
+     *
+     * @param {string} projectPath - Project root directory
+     * @returns {*} Cached value, or undefined when missing or expired
+     */
+    get(projectPath) {
+        const cached = this.cache.get(projectPath);
+        if (cached && ((cached.watched && !cached.expires) || Date.now() - cached.timestamp < WATCH_LIMITS.UNWATCHED_TTL_MS)) {
+            return cached.value;
+        }
+        return undefined;
+    }
+
+    /**
+     * Cache a value for a project and start watching its root directory
+     *
+     * @param {string} projectPath - Project root directory
+     * @param {*} value - Value to cache
+     * @param {Object} [options] - Entry options
+     * @param {boolean} [options.expires=false] - Expire after the TTL even while watched (sources outside the root)
+     */
+    set(projectPath, value, { expires = false } = {}) {
+        // Cache before watching so an evicted project frees its watcher slot first
+        const entry = { value, watched: false, expires, timestamp: Date.now() };
+        this.cache.set(projectPath, entry);
+        entry.watched = this._watch(projectPath);
+    }
+
+    /**
+     * Drop the cached value for a project and notify listeners
+     *
+     * @param {string} projectPath - Project root directory
+     */
+    invalidate(projectPath) {
+        this.cache.delete(projectPath);
+        this.emit('change', projectPath);
+    }
+
+    /**
+     * Check whether a project directory is being watched
+     *
+     * @param {string} projectPath - Project root directory
+     * @returns {boolean} True if watched
+     */
+    isWatched(projectPath) {
+        return this.watchers.has(projectPath);
+    }
+
+    /**
+     * Read and parse a project file, tolerating missing, oversized or malformed files
+     *
+     * @param {string} filePath - File to read
+     * @param {Function} parse - Parser for the file contents
+     * @returns {Promise<*>} Parsed contents or null
+     */
+    async readFile(filePath, parse) {
+        try {
+            const stats = await fs.promises.stat(filePath);
+            if (!stats.isFile() || stats.size > WATCH_LIMITS.MAX_FILE_BYTES) {
+                return null;
+            }
+            return parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+                logger[this.readErrorLevel]({ filePath, err: err.message }, `${this.label} file could not be read`); // eslint-disable-line security/detect-object-injection
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Close all directory watchers and pending debounce timers
+     */
+    close() {
+        for (const timer of this.debounceTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.debounceTimers.clear();
+
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        this.cache.clear();
+    }
+
+    /**
+     * Get watcher and cache statistics
+     *
+     * @returns {Object} Statistics
+     */
+    getStats() {
+        return {
+            watchers: this.watchers.size,
+            maxWatchers: this.maxWatchers,
+            cache: this.cache.getStats(),
+        };
+    }
+
+    /**
+     * Watch a project directory for changes to the watched root entries
+     *
+     * @param {string} projectPath - Project root directory
+     * @returns {boolean} True if the directory is being watched
+     * @private
+     */
+    _watch(projectPath) {
+        if (this.watchers.has(projectPath)) return true;
+        if (this.watchers.size >= this.maxWatchers) return false;
+
+        try {
+            const watcher = fs.watch(projectPath, { persistent: false }, (eventType, filename) => {
+                // filename can be null on some platforms - treat as a possible change
+                if (filename && !this.watchedFiles.has(String(filename))) return;
+                this._scheduleInvalidation(projectPath);
+            });
+            if (!watcher) return false;
+
+            watcher.on('error', (err) => {
+                logger.debug({ projectPath, err: err.message }, `${this.label} watcher error, falling back to TTL`);
+                this._unwatch(projectPath);
+                this.invalidate(projectPath);
+            });
+            this.watchers.set(projectPath, watcher);
+            return true;
+        } catch (err) {
+            logger.debug({ projectPath, err: err.message }, `${this.label} could not watch project`);
+            return false;
+        }
+    }
+
+    /**
+     * Debounce invalidation for a project (editors emit several events per save)
+     *
+     * @param {string} projectPath - Project root directory
+     * @private
+     */
+    _scheduleInvalidation(projectPath) {
+        clearTimeout(this.debounceTimers.get(projectPath));
+        const timer = setTimeout(() => {
+            this.debounceTimers.delete(projectPath);
+            logger.info({ projectPath }, `${this.label} source changed, invalidating cache`);
+            this.invalidate(projectPath);
+        }, WATCH_LIMITS.DEBOUNCE_MS);
+        timer.unref?.();
+        this.debounceTimers.set(projectPath, timer);
+    }
+
+    /**
+     * Stop watching a project directory
+     *
+     * @param {string} projectPath - Project root directory
+     * @private
+     */
+    _unwatch(projectPath) {
+        const watcher = this.watchers.get(projectPath);
+        if (watcher) {
+            watcher.close();
+            this.watchers.delete(projectPath);
+        }
+    }
+}
+
+module.exports = WatchedFileCache;
+module.exports.WATCH_LIMITS = WATCH_LIMITS;
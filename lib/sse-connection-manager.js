@@ -9,6 +9,10 @@
  * - SSE header configuration
  * - Initial state transmission
  * - Notification subscription management
+ * - Registry change forwarding (registry-updated events for the connection's folder)
+ * - All-projects stream: numbered events, optional folder prefix filter,
+ *   Last-Event-ID replay from a bounded in-memory ring buffer, and unnumbered
+ *   registry-updated events for every changed project
  * - Keepalive interval management
  * - Resource cleanup on disconnect
  *
@@ -21,13 +25,49 @@
  * QUA-012: Standardized error response format
  */
 
+const path = require('path');
 const config = require('./config');
 const notificationStore = require('./notification-store');
+const { describeSessions } = require('./notification-sessions');
+const registryEvents = require('./registry-events');
 const { sseConnectionsActive } = require('./metrics');
 const { ErrorCodes } = require('./response-helpers');
 
 // PERF-011: Pre-serialize static SSE payloads to avoid repeated JSON.stringify
 const EMPTY_NOTIFICATION_PAYLOAD = JSON.stringify({ hasNotification: false });
+// Used when config has no sseReplayBufferSize (e.g. partial test configs)
+const DEFAULT_REPLAY_BUFFER_SIZE = 500;
+
+/**
+ * Check whether a folder is the prefix folder or inside it
+ * Compares whole path segments, so /opt/dev does not match /opt/devtools.
+ *
+ * @param {string} folder - Folder path
+ * @param {string} prefix - Absolute folder prefix
+ * @returns {boolean} True when folder is within prefix
+ */
+function isWithinPrefix(folder, prefix) {
+    const base = prefix.length > 1 && prefix.endsWith('/') ? prefix.slice(0, -1) : prefix;
+    return folder === base || folder.startsWith(base.endsWith('/') ? base : `${base}/`);
+}
+
+/**
+ * Serialize an event for the all-projects stream
+ * Adds folder and origin to the pre-serialized per-folder payload without re-parsing it.
+ *
+ * @param {Object} event - Event from notification-events
+ * @param {string|null} folder - Folder path (null for cleared_all)
+ * @param {string|null} origin - VS Code server origin
+ * @returns {string} Serialized payload
+ */
+function serializeStreamEvent(event, folder, origin) {
+    if (!event.serializedPayload) {
+        // cleared_all carries no per-folder payload
+        return JSON.stringify({ hasNotification: false, type: event.type, count: event.count });
+    }
+    const fields = JSON.stringify({ folder, origin });
+    return `${fields.slice(0, -1)},${event.serializedPayload.slice(1)}`;
+}
 
 /**
  * SSE Connection Manager
@@ -56,6 +96,15 @@ class SSEConnectionManager {
         this.keepaliveInterval = options.keepaliveInterval !== undefined
             ? options.keepaliveInterval
             : config.sseKeepaliveInterval;
+        this.replayBufferSize = options.replayBufferSize !== undefined
+            ? options.replayBufferSize
+            : config.sseReplayBufferSize !== undefined ? config.sseReplayBufferSize : DEFAULT_REPLAY_BUFFER_SIZE;
+
+        // Event log for /notifications/stream/all (see startEventLog)
+        this.eventBuffer = new Array(this.replayBufferSize); // Ring buffer, slot = id % size
+        this.lastEventId = 0;
+        this.streamListeners = new Set();
+        this.stopEventLog = null;
     }
 
     /**
@@ -178,6 +227,7 @@ class SSEConnectionManager {
                     message: currentNotification.message,
                     status: currentNotification.status || 'completed',
                     ...(currentNotification.metadata && { metadata: currentNotification.metadata }),
+                    ...describeSessions(currentNotification),
                 })}\n\n`
             );
         } else {
@@ -222,6 +272,170 @@ class SSEConnectionManager {
         return notificationStore.subscribe(listener);
     }
 
+    /**
+     * Subscribes to registry-updated events affecting a specific folder
+     * Entries without a path are reported by name and match folders with that basename,
+     * like registry lookups do.
+     *
+     * @param {Object} res - Express response object
+     * @param {string} folder - Validated project folder path
+     * @returns {Function} Cleanup function to unsubscribe
+     */
+    subscribeToRegistryUpdates(res, folder) {
+        const projectName = path.basename(folder);
+
+        const listener = (event) => {
+            if (!event.paths.includes(folder) && !event.paths.includes(projectName)) {
+                return;
+            }
+
+            if (!res.writable) {
+                return;
+            }
+
+            res.write('event: registry-updated\n');
+            res.write(`data: ${JSON.stringify({ folder, timestamp: event.timestamp })}\n\n`);
+        };
+
+        return registryEvents.subscribe(listener);
+    }
+
+    /**
+     * Subscribes an all-projects stream to registry-updated events
+     * Sends the changed paths within the prefix; entries reported by name are always sent.
+     * These events are not numbered or buffered, so they are not replayed on reconnect.
+     *
+     * @param {Object} res - Express response object
+     * @param {string|null} prefix - Folder prefix filter
+     * @returns {Function} Cleanup function to unsubscribe
+     */
+    subscribeStreamToRegistryUpdates(res, prefix) {
+        const listener = (event) => {
+            const paths = prefix ? event.paths.filter((entry) => !entry.includes('/') || isWithinPrefix(entry, prefix)) : event.paths;
+            if (paths.length === 0 || !res.writable) {
+                return;
+            }
+
+            res.write('event: registry-updated\n');
+            res.write(`data: ${JSON.stringify({ paths, timestamp: event.timestamp })}\n\n`);
+        };
+
+        return registryEvents.subscribe(listener);
+    }
+
+    /**
+     * Starts numbering and buffering notification events for the all-projects stream
+     * Runs for the manager's lifetime (not per connection), so events that happen
+     * while a client is reconnecting can be replayed. Idempotent.
+     *
+     * @returns {Function} Function that stops recording
+     */
+    startEventLog() {
+        if (!this.stopEventLog) {
+            const unsubscribe = notificationStore.subscribe((event) => this.recordEvent(event));
+            this.stopEventLog = () => {
+                unsubscribe();
+                this.stopEventLog = null;
+            };
+        }
+        return this.stopEventLog;
+    }
+
+    /**
+     * Assigns the next event id, stores the event in the ring buffer and
+     * forwards it to all-projects stream connections
+     *
+     * @param {Object} event - Event from notification-events
+     * @returns {Object} Buffered entry ({id, folder, origin, data})
+     */
+    recordEvent(event) {
+        const { folder, origin } = event.folder
+            ? notificationStore.parseNotificationKey(event.folder, event.notification)
+            : { folder: null, origin: null };
+        const entry = {
+            id: ++this.lastEventId,
+            folder,
+            origin,
+            data: serializeStreamEvent(event, folder, origin),
+        };
+
+        if (this.replayBufferSize > 0) {
+            this.eventBuffer[entry.id % this.replayBufferSize] = entry;
+        }
+        for (const listener of this.streamListeners) {
+            listener(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Returns buffered events after an event id
+     *
+     * @param {number} lastEventId - Last event id the client received
+     * @returns {Array<Object>|null} Entries after lastEventId (oldest first), or null when
+     *   events after it are no longer buffered or the id is unknown (e.g. after a restart)
+     */
+    getEventsSince(lastEventId) {
+        const oldestId = Math.max(1, this.lastEventId - this.replayBufferSize + 1);
+        if (lastEventId > this.lastEventId || lastEventId < oldestId - 1) {
+            return null;
+        }
+
+        const entries = [];
+        for (let id = lastEventId + 1; id <= this.lastEventId; id++) {
+            entries.push(this.eventBuffer[id % this.replayBufferSize]);
+        }
+        return entries;
+    }
+
+    /**
+     * Writes a numbered event of the all-projects stream
+     *
+     * @param {Object} res - Express response object
+     * @param {Object} entry - Buffered entry
+     */
+    writeStreamEvent(res, entry) {
+        res.write(`id: ${entry.id}\n`);
+        res.write('event: notification\n');
+        res.write(`data: ${entry.data}\n\n`);
+    }
+
+    /**
+     * Sends the initial state of an all-projects stream
+     * Replays the events after lastEventId when they are still buffered. Otherwise
+     * (first connect, or too far behind) sends a snapshot of the unread notifications,
+     * numbered with the current event id so the client can resume from it.
+     *
+     * @param {Object} res - Express response object
+     * @param {string|null} prefix - Folder prefix filter
+     * @param {number|null} lastEventId - Last-Event-ID sent by the client
+     * @returns {number|null} Number of replayed events, or null when a snapshot was sent
+     */
+    sendStreamInitialState(res, prefix, lastEventId) {
+        const matches = (folder) => !prefix || folder === null || isWithinPrefix(folder, prefix);
+        const missed = lastEventId !== null ? this.getEventsSince(lastEventId) : null;
+
+        if (missed) {
+            const replay = missed.filter((entry) => matches(entry.folder));
+            res.write('event: connected\n');
+            res.write(`data: ${JSON.stringify({ timestamp: Date.now(), lastEventId: this.lastEventId, replayed: replay.length })}\n\n`);
+            replay.forEach((entry) => this.writeStreamEvent(res, entry));
+            return replay.length;
+        }
+
+        res.write('event: connected\n');
+        res.write(`data: ${JSON.stringify({ timestamp: Date.now(), lastEventId: this.lastEventId, resync: lastEventId !== null })}\n\n`);
+
+        const notifications = notificationStore
+            .getUnread()
+            .map((notification) => ({ ...notification, ...notificationStore.parseNotificationKey(notification.folder) }))
+            .filter((notification) => matches(notification.folder));
+        res.write(`id: ${this.lastEventId}\n`);
+        res.write('event: snapshot\n');
+        res.write(`data: ${JSON.stringify({ notifications })}\n\n`);
+        return null;
+    }
+
     /**
      * Starts SSE keepalive interval to prevent connection timeouts
      * Task REF-011: Extracted helper for keepalive setup
@@ -361,9 +575,13 @@ class SSEConnectionManager {
             'SSE client connected'
         );
 
-        // Step 5: Subscribe to notifications
-        const unsubscribe = this.subscribeToNotifications(res, validatedPath);
-        cleanupHandler.setUnsubscribe(unsubscribe);
+        // Step 5: Subscribe to notifications and registry changes for this folder
+        const unsubscribeNotifications = this.subscribeToNotifications(res, validatedPath);
+        const unsubscribeRegistry = this.subscribeToRegistryUpdates(res, validatedPath);
+        cleanupHandler.setUnsubscribe(() => {
+            unsubscribeNotifications();
+            unsubscribeRegistry();
+        });
 
         // Step 6: Start keepalive interval
         const keepaliveInterval = this.startKeepalive(res);
@@ -372,6 +590,59 @@ class SSEConnectionManager {
         return null; // Success - no error
     }
 
+    /**
+     * Establishes an SSE connection that multiplexes every project's events
+     * Counts against the same per-IP and global limits as folder streams.
+     *
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Object} options - Stream options
+     * @param {string|null} options.prefix - Only send events for folders within this path
+     * @param {number|null} options.lastEventId - Last-Event-ID to replay from
+     * @returns {Object|null} Returns error object if connection rejected, null if successful
+     */
+    establishStreamConnection(req, res, { prefix = null, lastEventId = null } = {}) {
+        const ip = req.ip;
+
+        const limitError = this.validateConnectionLimits(req, ip);
+        if (limitError) {
+            return limitError; // Connection rejected
+        }
+
+        const cleanupHandler = this.createCleanupHandler(ip, prefix || '*', req);
+        res.on('close', cleanupHandler.cleanup);
+
+        this.setupHeaders(res);
+
+        // Replay and subscribe synchronously, so no event falls between them
+        const replayed = this.sendStreamInitialState(res, prefix, lastEventId);
+        const listener = (entry) => {
+            if (!res.writable) {
+                return;
+            }
+            if (prefix && entry.folder !== null && !isWithinPrefix(entry.folder, prefix)) {
+                return;
+            }
+            this.writeStreamEvent(res, entry);
+        };
+        this.streamListeners.add(listener);
+        const unsubscribeRegistry = this.subscribeStreamToRegistryUpdates(res, prefix);
+        cleanupHandler.setUnsubscribe(() => {
+            this.streamListeners.delete(listener);
+            unsubscribeRegistry();
+        });
+
+        req.log.info(
+            { prefix, ip, lastEventId, replayed, connections: this.sseConnections.get(ip) },
+            'SSE all-projects client connected'
+        );
+
+        const keepaliveInterval = this.startKeepalive(res);
+        cleanupHandler.setKeepaliveInterval(keepaliveInterval);
+
+        return null; // Success - no error
+    }
+
     /**
      * Get connection statistics for health monitoring
      * Task REF-011: Returns stats in consistent format for tests
@@ -386,6 +657,8 @@ class SSEConnectionManager {
             uniqueIPs: this.sseConnections.size, // Alias for backward compatibility
             maxPerIP: this.maxConnectionsPerIP,
             globalLimit: this.globalLimit,
+            allStreamConnections: this.streamListeners.size,
+            lastEventId: this.lastEventId,
         };
     }
 
@@ -396,6 +669,9 @@ class SSEConnectionManager {
     reset() {
         this.sseConnections.clear();
         this.globalSSEConnections = 0;
+        this.streamListeners.clear();
+        this.eventBuffer = new Array(this.replayBufferSize);
+        this.lastEventId = 0;
     }
 }
 
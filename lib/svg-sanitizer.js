@@ -202,6 +202,8 @@ function getDefaultFavicon() {
 module.exports = {
     getCleanInitials,
     sanitizePort,
+    sanitizeColor,
+    createSafeSVGText,
     getDefaultFavicon,
 
     // Test-only exports - internal functions exposed for comprehensive testing
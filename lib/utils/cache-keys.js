@@ -66,4 +66,46 @@ function makeCacheKey(type, ...parts) {
     return `${CACHE_VERSION}:${type}:${validParts.join(':')}`;
 }
 
-module.exports = { makeCacheKey, CACHE_VERSION };
+/**
+ * Generate a format-aware favicon cache key
+ *
+ * SVG keys keep the original 'favicon' layout so existing cache entries and
+ * callers stay valid; raster formats append the format and, for PNG, the size.
+ *
+ * @param {string} projectPath - Absolute project path
+ * @param {Object} [options={}] - Favicon variant options
+ * @param {boolean} [options.grayscale=false] - Grayscale variant
+ * @param {string} [options.format='svg'] - Output format (svg, png, ico)
+ * @param {number} [options.size] - PNG edge size in pixels
+ * @param {string} [options.badge] - Canonical status badge (see favicon-badges formatBadge)
+ * @param {string} [options.animation] - Working badge animation variant (see favicon-animation formatAnimation)
+ * @returns {string} Versioned cache key
+ *
+ * @example
+ * makeFaviconCacheKey('/opt/dev/project', { grayscale: true })
+ * // Returns: 'v1:favicon:/opt/dev/project:gray'
+ *
+ * @example
+ * makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 64 })
+ * // Returns: 'v1:favicon:/opt/dev/project:png:64'
+ *
+ * @example
+ * makeFaviconCacheKey('/opt/dev/project', { badge: 'count:3' })
+ * // Returns: 'v1:favicon:/opt/dev/project:badge-count:3'
+ *
+ * @example
+ * makeFaviconCacheKey('/opt/dev/project', { badge: 'working', animation: 'frame-2' })
+ * // Returns: 'v1:favicon:/opt/dev/project:badge-working:frame-2'
+ */
+function makeFaviconCacheKey(projectPath, options = {}) {
+    const { grayscale = false, format = 'svg', size, badge, animation } = options;
+    const variant = grayscale ? 'gray' : '';
+    const badgePart = badge ? `badge-${badge}` : '';
+
+    if (format === 'svg') {
+        return makeCacheKey('favicon', projectPath, variant, badgePart, animation);
+    }
+    return makeCacheKey('favicon', projectPath, variant, format, format === 'png' ? size : '', badgePart, animation);
+}
+
+module.exports = { makeCacheKey, makeFaviconCacheKey, CACHE_VERSION };
@@ -0,0 +1,132 @@
+/**
+ * Color contrast utilities (WCAG 2.x relative luminance and contrast ratio)
+ * @module color-contrast
+ *
+ * Used by FaviconGenerator to pick a readable foreground for generated favicons
+ * and by config validation to flag palette colors that can never be readable.
+ */
+
+/** @const {number} WCAG AA contrast ratio for normal text */
+const WCAG_AA_CONTRAST_RATIO = 4.5;
+
+/** @const {Array<string>} Foreground candidates in preference order */
+const FOREGROUND_CANDIDATES = ['white', 'black'];
+
+const NAMED_COLORS = {
+    white: '#FFFFFF',
+    black: '#000000',
+};
+
+/**
+ * Parse #RRGGBB or a supported named color into RGB channels
+ *
+ * @param {string} color - Hex (#RRGGBB) or named (white, black) color
+ * @returns {{r: number, g: number, b: number}|null} Channels (0-255) or null if unparseable
+ */
+function parseHexColor(color) {
+    if (typeof color !== 'string') {
+        return null;
+    }
+
+    const hex = Object.prototype.hasOwnProperty.call(NAMED_COLORS, color) ? NAMED_COLORS[color] : color; // eslint-disable-line security/detect-object-injection
+    const match = /^#([0-9A-Fa-f]{2})([0-9A-Fa-f]{2})([0-9A-Fa-f]{2})$/.exec(hex);
+    if (!match) {
+        return null;
+    }
+
+    return { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16) };
+}
+
+/**
+ * WCAG relative luminance
+ *
+ * @param {string} color - Hex (#RRGGBB) or named color
+ * @returns {number} Luminance between 0 (black) and 1 (white), NaN if unparseable
+ *
+ * @example
+ * relativeLuminance('#FFFFFF') // 1
+ */
+function relativeLuminance(color) {
+    const rgb = parseHexColor(color);
+    if (!rgb) {
+        return NaN;
+    }
+
+    const [r, g, b] = [rgb.r, rgb.g, rgb.b].map((channel) => {
+        const srgb = channel / 255;
+        return srgb <= 0.03928 ? srgb / 12.92 : Math.pow((srgb + 0.055) / 1.055, 2.4);
+    });
+
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colors
+ *
+ * @param {string} colorA - First color
+ * @param {string} colorB - Second color
+ * @returns {number} Ratio between 1 and 21, NaN if either color is unparseable
+ *
+ * @example
+ * contrastRatio('#000000', '#FFFFFF') // 21
+ */
+function contrastRatio(colorA, colorB) {
+    const a = relativeLuminance(colorA);
+    const b = relativeLuminance(colorB);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * Pick a foreground color for a background
+ * Returns the first candidate meeting minRatio; if none does, the candidate with
+ * the highest contrast. For text drawn across several backgrounds, a candidate's
+ * contrast is its lowest ratio against any of them.
+ *
+ * @param {string|Array<string>} background - Background color(s)
+ * @param {number} [minRatio=4.5] - Required contrast ratio
+ * @param {Array<string>} [candidates=['white', 'black']] - Foreground colors in preference order
+ * @returns {string} Chosen foreground color
+ *
+ * @example
+ * pickForeground('#FFEAA7') // 'black'
+ * pickForeground('#263238') // 'white'
+ * pickForeground(['#4ECDC4', '#263238']) // 'white' (higher worst-case contrast)
+ */
+function pickForeground(background, minRatio = WCAG_AA_CONTRAST_RATIO, candidates = FOREGROUND_CANDIDATES) {
+    const backgrounds = Array.isArray(background) ? background : [background];
+    let best = candidates[0];
+    let bestRatio = -1;
+
+    for (const candidate of candidates) {
+        const ratio = Math.min(...backgrounds.map((color) => contrastRatio(color, candidate)));
+        if (ratio >= minRatio) {
+            return candidate;
+        }
+        if (ratio > bestRatio) {
+            best = candidate;
+            bestRatio = ratio;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Best contrast ratio any foreground candidate can reach on a background
+ *
+ * @param {string} background - Background color
+ * @param {Array<string>} [candidates=['white', 'black']] - Foreground colors
+ * @returns {number} Highest achievable ratio (NaN if background is unparseable)
+ */
+function maxContrastRatio(background, candidates = FOREGROUND_CANDIDATES) {
+    return Math.max(...candidates.map((candidate) => contrastRatio(background, candidate)));
+}
+
+module.exports = {
+    WCAG_AA_CONTRAST_RATIO,
+    FOREGROUND_CANDIDATES,
+    relativeLuminance,
+    contrastRatio,
+    pickForeground,
+    maxContrastRatio,
+};
@@ -0,0 +1,129 @@
+/**
+ * Conditional GET utilities (ETag / Last-Modified validators, 304 handling)
+ * @module conditional-get
+ *
+ * Favicons are requested by every open tab on every status change, so responses
+ * carry strong validators and clients revalidate with If-None-Match /
+ * If-Modified-Since instead of downloading the body again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Hash a list of values into a short digest
+ * Buffers are hashed as bytes; everything else as its string form.
+ *
+ * @param {...(string|number|Buffer)} parts - Values to hash
+ * @returns {string} base64url SHA-1 digest
+ *
+ * @example
+ * hashParts('v1:favicon:/opt/dev/app', Buffer.from('<svg/>'))
+ */
+function hashParts(...parts) {
+    const hash = crypto.createHash('sha1');
+    for (const part of parts) {
+        hash.update(Buffer.isBuffer(part) ? part : String(part));
+        hash.update('\0');
+    }
+    return hash.digest('base64url');
+}
+
+/**
+ * Create a strong ETag from the values that determine a response body
+ *
+ * @param {...(string|number|Buffer)} parts - Values (cache key, content, file mtime, ...)
+ * @returns {string} Quoted strong ETag
+ */
+function createEtag(...parts) {
+    return `"${hashParts(...parts)}"`;
+}
+
+/**
+ * Get a file's modification time
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<number|null>} mtime in ms, or null if the file cannot be stat'ed
+ */
+async function getFileMtime(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).mtimeMs;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a server-side cache entry still matches its source
+ * Every entry carries the fingerprint of the project info it was built from;
+ * entries read from a file (filePath) must also have an unchanged mtime.
+ *
+ * @param {Object} entry - Cache entry ({fingerprint, filePath?, mtimeMs?})
+ * @param {string} fingerprint - Fingerprint of the current project info
+ * @returns {Promise<boolean>} True if the entry can be served
+ */
+async function isCacheEntryCurrent(entry, fingerprint) {
+    if (entry.fingerprint !== fingerprint) {
+        return false;
+    }
+    if (entry.filePath) {
+        return entry.mtimeMs !== null && (await getFileMtime(entry.filePath)) === entry.mtimeMs;
+    }
+    return true;
+}
+
+/**
+ * Check whether the client's cached copy is still current
+ * If-None-Match takes precedence over If-Modified-Since (RFC 7232 section 6).
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} validators - Response validators
+ * @param {string} [validators.etag] - Current ETag
+ * @param {number} [validators.lastModified] - Last modification time (ms since epoch)
+ * @returns {boolean} True when a 304 Not Modified can be sent
+ */
+function isNotModified(req, { etag, lastModified } = {}) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        if (!etag) return false;
+        if (ifNoneMatch.trim() === '*') return true;
+        // Weak comparison: W/"x" matches "x"
+        return ifNoneMatch
+            .split(',')
+            .map((tag) => tag.trim().replace(/^W\//, ''))
+            .includes(etag);
+    }
+
+    const ifModifiedSince = req.headers['if-modified-since'];
+    if (ifModifiedSince && lastModified) {
+        const since = Date.parse(ifModifiedSince);
+        // HTTP dates have second precision
+        return !Number.isNaN(since) && Math.floor(lastModified / 1000) * 1000 <= since;
+    }
+
+    return false;
+}
+
+/**
+ * Set ETag and Last-Modified response headers
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} validators - Response validators ({etag, lastModified})
+ */
+function setValidatorHeaders(res, { etag, lastModified } = {}) {
+    if (etag) {
+        res.setHeader('ETag', etag);
+    }
+    if (lastModified) {
+        res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+    }
+}
+
+module.exports = {
+    hashParts,
+    createEtag,
+    getFileMtime,
+    isCacheEntryCurrent,
+    isNotModified,
+    setValidatorHeaders,
+};
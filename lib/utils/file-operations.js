@@ -10,6 +10,8 @@
  * transient errors like resource unavailability, file locking, or file descriptor exhaustion.
  */
 
+const fs = require('fs');
+const path = require('path');
 const logger = require('../logger');
 
 /**
@@ -141,8 +143,49 @@ function isRetryableError(err) {
     return !!(err && RETRYABLE_FS_ERRORS.includes(err.code));
 }
 
+/**
+ * Write a file atomically (temp file in the same directory + rename)
+ * Readers and file watchers never observe a partially written file. The temp
+ * file is removed if the write fails.
+ *
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} data - File contents
+ * @param {Object} [options={}] - Write options
+ * @param {number} [options.mode] - File mode (defaults to the existing file's mode, else 0o644)
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await writeFileAtomic('/opt/registry/projects.json', JSON.stringify(registry, null, 2));
+ */
+async function writeFileAtomic(filePath, data, options = {}) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+    let mode = options.mode;
+    if (mode === undefined) {
+        try {
+            mode = (await fs.promises.stat(filePath)).mode & 0o777;
+        } catch {
+            mode = 0o644;
+        }
+    }
+
+    try {
+        const handle = await fs.promises.open(tempPath, 'w', mode);
+        try {
+            await handle.writeFile(data);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+        await fs.promises.unlink(tempPath).catch(() => {});
+        throw err;
+    }
+}
+
 module.exports = {
     retryFileOperation,
+    writeFileAtomic,
     isRetryableError,
     RETRYABLE_FS_ERRORS,
     DEFAULT_RETRY_CONFIG
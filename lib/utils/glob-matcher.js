@@ -0,0 +1,60 @@
+/**
+ * Folder glob matching
+ * @module glob-matcher
+ *
+ * Minimal path globs for filters (webhook folder filters):
+ * - `**` matches any characters, including `/`
+ * - `*` matches any characters except `/`
+ * - `?` matches one character except `/`
+ * Everything else matches literally. Patterns match the whole path.
+ */
+
+// Regex metacharacters escaped in literal parts of a pattern
+const REGEX_SPECIAL = /[.+^${}()|[\]\\]/g;
+
+/**
+ * Compile a glob pattern to an anchored regular expression
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ *
+ * @example
+ * globToRegExp('/opt/dev/*').test('/opt/dev/app') // true
+ * globToRegExp('/opt/dev/*').test('/opt/dev/app/sub') // false
+ * globToRegExp('/opt/**').test('/opt/dev/app/sub') // true
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern.charAt(i);
+        if (char === '*' && pattern.charAt(i + 1) === '*') {
+            source += '.*';
+            i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(REGEX_SPECIAL, '\\$&');
+        }
+    }
+    // Literal parts are escaped and wildcards expand to bounded classes (no nested quantifiers)
+    // eslint-disable-next-line security/detect-non-literal-regexp
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Create a matcher for a list of glob patterns
+ *
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {Function} (path) => true when any pattern matches the whole path
+ */
+function createGlobMatcher(patterns) {
+    const regexes = patterns.map(globToRegExp);
+    return (value) => regexes.some((regex) => regex.test(value));
+}
+
+module.exports = {
+    globToRegExp,
+    createGlobMatcher,
+};
@@ -0,0 +1,102 @@
+/**
+ * JSON with Comments parser
+ * @module jsonc-parser
+ *
+ * Parses the JSON dialect VS Code uses for settings and .code-workspace files:
+ * JSON plus line comments, block comments and trailing commas. Comments are
+ * replaced with whitespace (newlines kept) so JSON.parse error positions still
+ * point into the original text.
+ */
+
+// Whitespace then a closing bracket or brace (sticky: matched at lastIndex)
+const CLOSING_AHEAD = /\s*[\]}]/y;
+
+/**
+ * Replace comments outside strings with whitespace
+ *
+ * @param {string} text - JSONC text
+ * @returns {string} Text without comments
+ */
+function stripComments(text) {
+    let result = '';
+    let index = 0;
+    while (index < text.length) {
+        const char = text[index]; // eslint-disable-line security/detect-object-injection
+        const next = text[index + 1];
+
+        if (char === '"') {
+            // Copy the string literal, honoring escapes
+            let end = index + 1;
+            while (end < text.length && text[end] !== '"') { // eslint-disable-line security/detect-object-injection
+                end += text[end] === '\\' ? 2 : 1; // eslint-disable-line security/detect-object-injection
+            }
+            result += text.slice(index, end + 1);
+            index = end + 1;
+        } else if (char === '/' && next === '/') {
+            const end = text.indexOf('\n', index);
+            const stop = end === -1 ? text.length : end;
+            result += ' '.repeat(stop - index);
+            index = stop;
+        } else if (char === '/' && next === '*') {
+            const end = text.indexOf('*/', index + 2);
+            const stop = end === -1 ? text.length : end + 2;
+            result += text.slice(index, stop).replace(/[^\n]/g, ' ');
+            index = stop;
+        } else {
+            result += char;
+            index++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Replace commas directly before a closing bracket or brace with whitespace
+ *
+ * @param {string} text - JSON text without comments
+ * @returns {string} Text without trailing commas
+ */
+function stripTrailingCommas(text) {
+    let result = '';
+    let inString = false;
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index]; // eslint-disable-line security/detect-object-injection
+        if (inString) {
+            if (char === '\\') {
+                result += char + (text[index + 1] ?? '');
+                index++;
+                continue;
+            }
+            inString = char !== '"';
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === ',') {
+            CLOSING_AHEAD.lastIndex = index + 1;
+            if (CLOSING_AHEAD.test(text)) {
+                result += ' ';
+                continue;
+            }
+        }
+        result += char;
+    }
+    return result;
+}
+
+/**
+ * Parse JSONC text
+ *
+ * @param {string} text - JSON with comments and trailing commas
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When the text is not valid JSONC
+ *
+ * @example
+ * parseJsonc('{ "folders": [{ "path": "." },] // root\n}');
+ * // { folders: [{ path: '.' }] }
+ */
+function parseJsonc(text) {
+    return JSON.parse(stripTrailingCommas(stripComments(text)));
+}
+
+module.exports = {
+    parseJsonc,
+};
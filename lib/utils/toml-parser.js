@@ -0,0 +1,63 @@
+/**
+ * TOML parser
+ * @module toml-parser
+ *
+ * Wraps the `smol-toml` package (TOML 1.0, pure JavaScript) for registry files
+ * and project metadata. Produces plain JSON-compatible data so TOML registries
+ * flatten exactly like JSON ones: tables become plain objects, dates and times
+ * become their ISO strings, and ±inf/nan stay ±Infinity/NaN.
+ */
+
+const TOML = require('smol-toml');
+
+/**
+ * Convert parsed TOML values to plain data
+ * smol-toml returns null-prototype tables and TomlDate instances.
+ *
+ * @param {*} value - Parsed value
+ * @returns {*} Plain value
+ */
+function toPlain(value) {
+    if (value instanceof Date) {
+        // TomlDate keeps local dates and times in their own form (2025-12-04, 10:30:00.000)
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (value !== null && typeof value === 'object') {
+        const table = {};
+        for (const [key, item] of Object.entries(value)) {
+            // defineProperty keeps keys like "__proto__" as plain data
+            Object.defineProperty(table, key, { value: toPlain(item), enumerable: true, writable: true, configurable: true });
+        }
+        return table;
+    }
+    return value;
+}
+
+/**
+ * Parse a TOML document
+ *
+ * @param {string} text - TOML source
+ * @returns {Object} Parsed document
+ * @throws {SyntaxError} With the 1-based line number of the error
+ *
+ * @example
+ * parseToml('[[development]]\nname = "app"\npath = "/opt/dev/app"\nport = 3000\n')
+ * // { development: [{ name: 'app', path: '/opt/dev/app', port: 3000 }] }
+ */
+function parseToml(text) {
+    try {
+        return toPlain(TOML.parse(String(text)));
+    } catch (err) {
+        if (err instanceof TOML.TomlError) {
+            // The message also quotes the offending lines; keep only the description
+            const reason = err.message.split('\n')[0].replace(/^Invalid TOML document: /, '');
+            throw new SyntaxError(`TOML line ${err.line}: ${reason}`);
+        }
+        throw err;
+    }
+}
+
+module.exports = { parseToml };
@@ -3,7 +3,14 @@
  *
  * This module provides validators for use with requireValidPath middleware:
  * - validateGrayscale: Grayscale query parameter validation
- * - validateNotificationBody: Notification body fields validation (message, timestamp, metadata)
+ * - validateFaviconFormat: Favicon output format and size query parameter validation
+ * - validateFaviconBadge: Favicon status badge query parameter validation
+ * - validateFaviconAnimation: Working badge animation query parameter validation
+ * - validateFaviconBatchBody: Batch favicon request body validation (folders and shared options)
+ * - validateNotificationBody: Notification body fields validation (message, timestamp, metadata, sessionId)
+ * - validateProjectSearch: Project list/search query parameter validation
+ * - validateNotificationHistory: Notification history pagination query parameter validation
+ * - validateNotificationStreamAll: All-projects SSE stream prefix and Last-Event-ID validation
  *
  * Protects against:
  * - Injection attacks
@@ -16,15 +23,28 @@
  * and these validators for other input validation to avoid duplicate validation.
  */
 
-const { body, query, validationResult } = require('express-validator');
+const { body, query, header, validationResult } = require('express-validator');
 const logger = require('./logger');
 const config = require('./config');
+const { FAVICON_FORMATS, PNG_SIZES } = require('./services/favicon-rasterizer');
+const { BADGE_PATTERN } = require('./services/favicon-badges');
+const { ANIMATION_FRAME_COUNT } = require('./services/favicon-animation');
+const { MAX_PAGE_SIZE: NOTIFICATION_HISTORY_MAX_LIMIT } = require('./notification-history');
 
 // Import metadata validation constants from config for environment-based tuning
 const MAX_METADATA_SIZE = config.maxMetadataSizeBytes;
 const MAX_NESTING_DEPTH = config.maxMetadataNestingDepth;
 const ALLOWED_METADATA_KEYS = config.allowedMetadataKeys;
 
+// Batch favicon requests: bounded so one request can't trigger unbounded filesystem scans
+const FAVICON_BATCH_MAX_FOLDERS = 50;
+const MAX_FOLDER_LENGTH = 4096;
+
+// Project search: bounded query and page size
+const PROJECT_SEARCH_DEFAULT_LIMIT = 100;
+const PROJECT_SEARCH_MAX_LIMIT = 500;
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
 /**
  * FIX QUA-008: Check if value is a plain object (not array, null, or other types)
  * Prevents storage bloat from arrays and other non-object types
@@ -94,7 +114,204 @@ const validateGrayscale = [
 ];
 
 /**
- * Validate notification POST body fields (message, timestamp, metadata)
+ * Validate favicon output format query parameters
+ * format selects svg/png/ico, size selects the PNG edge length
+ *
+ * USAGE: Apply to favicon endpoints that support raster output
+ * Example: app.get('/api/favicon', validateFaviconFormat, handleValidationErrors, requireValidPath, handler)
+ */
+const validateFaviconFormat = [
+    query('format')
+        .optional()
+        .isString()
+        .withMessage('format must be a string')
+        .isIn(FAVICON_FORMATS)
+        .withMessage(`format must be one of: ${FAVICON_FORMATS.join(', ')}`),
+    query('size')
+        .optional()
+        .isString()
+        .withMessage('size must be a string')
+        .isIn(PNG_SIZES.map(String))
+        .withMessage(`size must be one of: ${PNG_SIZES.join(', ')}`),
+];
+
+/**
+ * Validate favicon status badge query parameters
+ * badge is working|completed|error|count:N|auto; origin scopes badge=auto lookups
+ *
+ * USAGE: Apply to favicon endpoints that composite status badges
+ * Example: app.get('/api/favicon', validateFaviconBadge, handleValidationErrors, requireValidPath, handler)
+ */
+const validateFaviconBadge = [
+    query('badge')
+        .optional()
+        .isString()
+        .withMessage('badge must be a string')
+        .matches(BADGE_PATTERN)
+        .withMessage('badge must be one of: working, completed, error, count:N, auto'),
+    query('origin')
+        .optional()
+        .isString()
+        .withMessage('origin must be a string')
+        .isLength({ max: 2048 })
+        .withMessage('origin must be at most 2048 characters'),
+];
+
+/**
+ * Validate working badge animation query parameters
+ * animate=false requests the static dot; frame=N requests a single animation frame
+ *
+ * USAGE: Apply to favicon endpoints that composite status badges
+ * Example: app.get('/api/favicon', validateFaviconAnimation, handleValidationErrors, requireValidPath, handler)
+ */
+const validateFaviconAnimation = [
+    query('animate')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('animate must be "true" or "false"'),
+    query('frame')
+        .optional()
+        .isString()
+        .withMessage('frame must be a string')
+        .isInt({ min: 0, max: ANIMATION_FRAME_COUNT - 1 })
+        .withMessage(`frame must be an integer between 0 and ${ANIMATION_FRAME_COUNT - 1}`),
+];
+
+/**
+ * Validate batch favicon request body
+ * folders is validated for shape only - each folder still goes through validatePathAsync
+ * individually so one bad path doesn't fail the whole batch.
+ *
+ * USAGE: Apply to POST /api/favicons/batch
+ * Example: app.post('/api/favicons/batch', validateFaviconBatchBody, handleValidationErrors, handler)
+ */
+const validateFaviconBatchBody = [
+    body('folders')
+        .isArray({ min: 1, max: FAVICON_BATCH_MAX_FOLDERS })
+        .withMessage(`folders must be an array of 1-${FAVICON_BATCH_MAX_FOLDERS} paths`),
+    body('folders.*')
+        .isString()
+        .withMessage('folders must contain only strings')
+        .isLength({ min: 1, max: MAX_FOLDER_LENGTH })
+        .withMessage(`folders entries must be 1-${MAX_FOLDER_LENGTH} characters`),
+    body('grayscale')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('grayscale must be a boolean'),
+    body('format')
+        .optional()
+        .isIn(FAVICON_FORMATS)
+        .withMessage(`format must be one of: ${FAVICON_FORMATS.join(', ')}`),
+    body('size')
+        .optional()
+        .custom((value) => PNG_SIZES.includes(value))
+        .withMessage(`size must be one of: ${PNG_SIZES.join(', ')}`),
+    body('badge')
+        .optional()
+        .isString()
+        .withMessage('badge must be a string')
+        .matches(BADGE_PATTERN)
+        .withMessage('badge must be one of: working, completed, error, count:N, auto'),
+    body('origin')
+        .optional()
+        .isString()
+        .withMessage('origin must be a string')
+        .isLength({ max: 2048 })
+        .withMessage('origin must be at most 2048 characters'),
+];
+
+/**
+ * Validate project list/search query parameters
+ * tag is a comma-separated list (all tags must match); limit caps the result count
+ *
+ * USAGE: Apply to GET /api/projects
+ * Example: app.get('/api/projects', validateProjectSearch, handleValidationErrors, handler)
+ */
+const validateProjectSearch = [
+    ...['q', 'type', 'tag', 'group'].map((field) =>
+        query(field)
+            .optional()
+            .isString()
+            .withMessage(`${field} must be a string`)
+            .isLength({ max: MAX_SEARCH_QUERY_LENGTH })
+            .withMessage(`${field} must be at most ${MAX_SEARCH_QUERY_LENGTH} characters`)
+    ),
+    query('limit')
+        .optional()
+        .isString()
+        .withMessage('limit must be a string')
+        .isInt({ min: 1, max: PROJECT_SEARCH_MAX_LIMIT })
+        .withMessage(`limit must be an integer between 1 and ${PROJECT_SEARCH_MAX_LIMIT}`),
+    query('origin')
+        .optional()
+        .isString()
+        .withMessage('origin must be a string')
+        .isLength({ max: 2048 })
+        .withMessage('origin must be at most 2048 characters'),
+];
+
+/**
+ * Validate notification history query parameters
+ * since is a millisecond timestamp; cursor is the nextCursor of the previous page
+ * Does NOT validate folder path - use requireValidPath middleware for that
+ *
+ * USAGE: Apply to GET /api/notifications/history
+ */
+const validateNotificationHistory = [
+    query('since')
+        .optional()
+        .isString()
+        .withMessage('since must be a string')
+        .isInt({ min: 0 })
+        .withMessage('since must be a timestamp in milliseconds'),
+    query('limit')
+        .optional()
+        .isString()
+        .withMessage('limit must be a string')
+        .isInt({ min: 1, max: NOTIFICATION_HISTORY_MAX_LIMIT })
+        .withMessage(`limit must be an integer between 1 and ${NOTIFICATION_HISTORY_MAX_LIMIT}`),
+    query('cursor')
+        .optional()
+        .isString()
+        .withMessage('cursor must be a string')
+        .isInt({ min: 1 })
+        .withMessage('cursor must be a nextCursor value'),
+    query('origin')
+        .optional()
+        .isString()
+        .withMessage('origin must be a string')
+        .isLength({ max: 2048 })
+        .withMessage('origin must be at most 2048 characters'),
+];
+
+/**
+ * Validate GET /notifications/stream/all parameters
+ * prefix only filters events (no filesystem access), so it is not checked against ALLOWED_PATHS.
+ * lastEventId mirrors the Last-Event-ID header for clients that cannot set headers.
+ */
+const validateNotificationStreamAll = [
+    query('prefix')
+        .optional()
+        .isString()
+        .withMessage('prefix must be a string')
+        .isLength({ min: 1, max: MAX_FOLDER_LENGTH })
+        .withMessage(`prefix must be 1-${MAX_FOLDER_LENGTH} characters`)
+        .matches(/^\/[^\0]*$/)
+        .withMessage('prefix must be an absolute path'),
+    query('lastEventId')
+        .optional()
+        .isString()
+        .withMessage('lastEventId must be a string')
+        .isInt({ min: 0 })
+        .withMessage('lastEventId must be a non-negative integer'),
+    header('last-event-id')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Last-Event-ID must be a non-negative integer'),
+];
+
+/**
+ * Validate notification POST body fields (message, timestamp, metadata, sessionId)
  * Does NOT validate folder path - use requireValidPath middleware for that
  *
  * RECOMMENDED USAGE: Use with requireValidPath middleware
@@ -181,6 +398,13 @@ const validateNotificationBody = [
 
             return true;
         }),
+    // Claude session ID (UUID in Claude Code hooks); any short token is accepted
+    body('sessionId')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('sessionId must be a string')
+        .matches(/^[A-Za-z0-9._:-]{1,128}$/)
+        .withMessage('sessionId must be 1-128 characters (letters, digits, . _ : -)'),
 ];
 
 /**
@@ -247,6 +471,15 @@ function handleValidationErrors(req, res, next) {
 
 module.exports = {
     validateGrayscale,
+    validateFaviconFormat,
+    validateFaviconBadge,
+    validateFaviconAnimation,
+    validateFaviconBatchBody,
+    FAVICON_BATCH_MAX_FOLDERS,
+    validateProjectSearch,
+    PROJECT_SEARCH_DEFAULT_LIMIT,
+    validateNotificationHistory,
+    validateNotificationStreamAll,
     validateNotificationBody,
     handleValidationErrors,
     // Export helper functions for testing
@@ -1,5 +1,9 @@
 const path = require('path');
 const net = require('net');
+const { TEMPLATE_NAMES } = require('../services/favicon-templates');
+const { maxContrastRatio } = require('../utils/color-contrast');
+const { ANIMATION_STYLES, ANIMATION_LIMITS } = require('../services/favicon-animation');
+const { CUSTOM_OVERLAY_STYLES } = require('../services/favicon-custom-overlay');
 
 // ========================================
 // Configuration Constants
@@ -65,6 +69,8 @@ const MIN_SSE_CONNECTIONS_PER_IP = 1;
 const MIN_SSE_GLOBAL_LIMIT = 1;
 /** @const {number} Minimum SSE keepalive interval in milliseconds */
 const MIN_SSE_KEEPALIVE_INTERVAL_MS = 1000;
+/** @const {number} Minimum SSE replay buffer size (0 = no replay) */
+const MIN_SSE_REPLAY_BUFFER_SIZE = 0;
 /** @const {number} Minimum cache size (0 = no caching) */
 const MIN_CACHE_SIZE = 0;
 /** @const {number} Minimum cache TTL (0 = no expiration) */
@@ -73,6 +79,8 @@ const MIN_CACHE_TTL = 0;
 const MIN_NOTIFICATION_COUNT = 1;
 /** @const {number} Minimum notification TTL in milliseconds */
 const MIN_NOTIFICATION_TTL_MS = 1000;
+/** @const {number} Minimum notification history entries per project (0 = disabled) */
+const MIN_NOTIFICATION_HISTORY_COUNT = 0;
 /** @const {number} Minimum notification cleanup interval in milliseconds */
 const MIN_NOTIFICATION_CLEANUP_INTERVAL_MS = 1000;
 /** @const {number} Bcrypt hash length (always 60 characters) */
@@ -89,6 +97,10 @@ const DEFAULT_FAVICON_CACHE_WARM_LIMIT = 20;
 const MIN_FAVICON_CACHE_WARM_LIMIT = 1;
 /** @const {number} Maximum favicon cache warm limit */
 const MAX_FAVICON_CACHE_WARM_LIMIT = 100;
+/** @const {number} Minimum WCAG contrast ratio (identical colors) */
+const MIN_CONTRAST_RATIO = 1;
+/** @const {number} Maximum WCAG contrast ratio (black on white) */
+const MAX_CONTRAST_RATIO = 21;
 
 // ========================================
 // IP Validation Functions
@@ -194,6 +206,30 @@ function parseAdminIPs(ipString, logger) {
     return validIPs;
 }
 
+// ========================================
+// Favicon Template Parsing
+// ========================================
+
+/**
+ * Parse per-type favicon templates from environment
+ * Format: "type:template" pairs, e.g. "prod:hexagon,staging:outlined"
+ * @param {string} value - Comma-separated type:template pairs
+ * @returns {Object} - Map of project type to template name
+ */
+function parseTypeTemplates(value) {
+    const typeTemplates = {};
+
+    for (const pair of (value || '').split(',')) {
+        const [type, template] = pair.split(':').map((part) => part.trim());
+        if (type && template) {
+            // eslint-disable-next-line security/detect-object-injection
+            typeTemplates[type] = template;
+        }
+    }
+
+    return typeTemplates;
+}
+
 // ========================================
 // Validation Functions
 // ========================================
@@ -270,6 +306,18 @@ function validatePathConfig(config, errors) {
     if (!config.registryPath || config.registryPath.trim() === '') {
         errors.push('REGISTRY_PATH must be specified');
     }
+
+    // Validate additional registry sources (optional)
+    (config.registryPaths || []).forEach((p) => {
+        if (!path.isAbsolute(p)) {
+            errors.push(`REGISTRY_PATHS must contain absolute paths, got: ${p}`);
+        }
+    });
+
+    // Validate registry history size (0 disables the history)
+    if (config.registryHistorySize !== undefined && !(config.registryHistorySize >= 0)) {
+        errors.push('REGISTRY_HISTORY_SIZE must be a non-negative integer');
+    }
 }
 
 /**
@@ -333,6 +381,9 @@ function validateSSEConfig(config, errors) {
     if (config.sseKeepaliveInterval < MIN_SSE_KEEPALIVE_INTERVAL_MS) {
         errors.push(`SSE_KEEPALIVE_INTERVAL must be at least ${MIN_SSE_KEEPALIVE_INTERVAL_MS}ms (1 second)`);
     }
+    if (config.sseReplayBufferSize < MIN_SSE_REPLAY_BUFFER_SIZE) {
+        errors.push(`SSE_REPLAY_BUFFER_SIZE must be at least ${MIN_SSE_REPLAY_BUFFER_SIZE} (0 disables replay)`);
+    }
 }
 
 /**
@@ -379,6 +430,90 @@ function validateNotificationConfig(config, errors) {
     if (config.notificationCleanupIntervalMs < MIN_NOTIFICATION_CLEANUP_INTERVAL_MS) {
         errors.push(`NOTIFICATION_CLEANUP_INTERVAL_MS must be at least ${MIN_NOTIFICATION_CLEANUP_INTERVAL_MS}ms (1 second)`);
     }
+    if (config.notificationHistoryMaxPerProject < MIN_NOTIFICATION_HISTORY_COUNT) {
+        errors.push(`NOTIFICATION_HISTORY_MAX_PER_PROJECT must be at least ${MIN_NOTIFICATION_HISTORY_COUNT} (0 disables the history)`);
+    }
+    if (config.notificationHistoryTtlMs < MIN_NOTIFICATION_TTL_MS) {
+        errors.push(`NOTIFICATION_HISTORY_TTL_MS must be at least ${MIN_NOTIFICATION_TTL_MS}ms (1 second)`);
+    }
+}
+
+/**
+ * Validate favicon template configuration
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} errors - Array to collect validation errors
+ */
+function validateFaviconTemplateConfig(config, errors) {
+    if (!TEMPLATE_NAMES.includes(config.faviconTemplate)) {
+        errors.push(`FAVICON_TEMPLATE must be one of: ${TEMPLATE_NAMES.join(', ')}`);
+    }
+    for (const [type, template] of Object.entries(config.typeTemplates || {})) {
+        if (!TEMPLATE_NAMES.includes(template)) {
+            errors.push(`FAVICON_TYPE_TEMPLATES has unknown template "${template}" for type "${type}"`);
+        }
+    }
+}
+
+/**
+ * Validate favicon contrast configuration
+ * Warns (does not fail) when a COLOR_* or DEFAULT_COLORS entry cannot reach the
+ * configured contrast ratio with any generated text color.
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} errors - Array to collect validation errors
+ * @param {Object} logger - Logger instance for warnings
+ */
+function validateColorContrastConfig(config, errors, logger) {
+    const minRatio = config.faviconMinContrastRatio;
+    if (!Number.isFinite(minRatio) || minRatio < MIN_CONTRAST_RATIO || minRatio > MAX_CONTRAST_RATIO) {
+        errors.push(`FAVICON_MIN_CONTRAST_RATIO must be between ${MIN_CONTRAST_RATIO} and ${MAX_CONTRAST_RATIO}`);
+        return;
+    }
+
+    const colors = [
+        ...Object.entries(config.typeColors || {}).map(([type, color]) => ({ setting: `COLOR_${type.toUpperCase()}`, color })),
+        ...(config.defaultColors || []).map((color, index) => ({ setting: `DEFAULT_COLORS[${index}]`, color })),
+    ];
+
+    for (const { setting, color } of colors) {
+        const bestRatio = maxContrastRatio(color);
+        if (Number.isNaN(bestRatio)) {
+            logger.warn({ setting, color }, 'Favicon color is not a #RRGGBB hex color, contrast cannot be checked');
+        } else if (bestRatio < minRatio) {
+            logger.warn(
+                { setting, color, bestRatio: Number(bestRatio.toFixed(2)), minRatio },
+                'Favicon color cannot reach the minimum contrast ratio with any text color'
+            );
+        }
+    }
+}
+
+/**
+ * Validate working badge animation configuration
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} errors - Array to collect validation errors
+ */
+function validateFaviconAnimationConfig(config, errors) {
+    if (!ANIMATION_STYLES.includes(config.faviconAnimationStyle)) {
+        errors.push(`FAVICON_ANIMATION_STYLE must be one of: ${ANIMATION_STYLES.join(', ')}`);
+    }
+    const fps = config.faviconAnimationFps;
+    if (!Number.isInteger(fps) || fps < ANIMATION_LIMITS.MIN_FPS || fps > ANIMATION_LIMITS.MAX_FPS) {
+        errors.push(`FAVICON_ANIMATION_FPS must be an integer between ${ANIMATION_LIMITS.MIN_FPS} and ${ANIMATION_LIMITS.MAX_FPS}`);
+    }
+    if (!Number.isFinite(config.faviconAnimationIdleTimeoutMs) || config.faviconAnimationIdleTimeoutMs < ANIMATION_LIMITS.MIN_IDLE_TIMEOUT_MS) {
+        errors.push(`FAVICON_ANIMATION_IDLE_TIMEOUT_MS must be at least ${ANIMATION_LIMITS.MIN_IDLE_TIMEOUT_MS}ms (1 second)`);
+    }
+}
+
+/**
+ * Validate custom favicon overlay configuration
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} errors - Array to collect validation errors
+ */
+function validateFaviconCustomOverlayConfig(config, errors) {
+    if (!CUSTOM_OVERLAY_STYLES.includes(config.faviconCustomOverlay)) {
+        errors.push(`FAVICON_CUSTOM_OVERLAY must be one of: ${CUSTOM_OVERLAY_STYLES.join(', ')}`);
+    }
 }
 
 // ========================================
@@ -418,14 +553,18 @@ module.exports = {
     MIN_SSE_CONNECTIONS_PER_IP,
     MIN_SSE_GLOBAL_LIMIT,
     MIN_SSE_KEEPALIVE_INTERVAL_MS,
+    MIN_SSE_REPLAY_BUFFER_SIZE,
     MIN_CACHE_SIZE,
     MIN_CACHE_TTL,
     MIN_NOTIFICATION_COUNT,
     MIN_NOTIFICATION_TTL_MS,
+    MIN_NOTIFICATION_HISTORY_COUNT,
     MIN_NOTIFICATION_CLEANUP_INTERVAL_MS,
     BCRYPT_HASH_LENGTH,
     MIN_FAVICON_CACHE_WARM_LIMIT,
     MAX_FAVICON_CACHE_WARM_LIMIT,
+    MIN_CONTRAST_RATIO,
+    MAX_CONTRAST_RATIO,
     MS_PER_SECOND,
     SECONDS_PER_MINUTE,
     MINUTES_PER_HOUR,
@@ -434,6 +573,7 @@ module.exports = {
     isValidIP,
     isValidBcryptHash,
     parseAdminIPs,
+    parseTypeTemplates,
     validateServerConfig,
     validatePathConfig,
     validateAdminAuth,
@@ -442,4 +582,8 @@ module.exports = {
     validateSecurityConfig,
     validateCacheConfig,
     validateNotificationConfig,
+    validateFaviconTemplateConfig,
+    validateColorContrastConfig,
+    validateFaviconAnimationConfig,
+    validateFaviconCustomOverlayConfig,
 };
@@ -0,0 +1,563 @@
+/**
+ * Outbound Webhooks
+ *
+ * Forwards notification events (notification-events.js) to configured HTTP
+ * endpoints, e.g. Slack relays, home automation or CI bots.
+ *
+ * Features:
+ * - Subscriptions are read from the JSON file named by WEBHOOKS_CONFIG, either
+ *   an array or {"webhooks": [...]} of {id, url, secret, folders?, statuses?, origins?}
+ * - Filters: folder globs (utils/glob-matcher), event types and exact origins.
+ *   Without a statuses filter, read/removed events are not sent
+ * - Bodies are signed with HMAC-SHA256 over "<timestamp>.<body>" using the
+ *   webhook secret (X-Favicon-Signature / X-Favicon-Timestamp headers)
+ * - Network errors, timeouts, 429 and 5xx responses are retried with
+ *   exponential backoff up to WEBHOOK_MAX_ATTEMPTS; other responses fail at once
+ * - Failed deliveries go to a dead-letter queue persisted in
+ *   DATA_DIR/webhook-dead-letter.json and can be replayed through the admin API
+ *
+ * Deliveries are kept in memory (bounded); only the dead letters survive a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const events = require('./notification-events');
+const { parseNotificationKey } = require('./notification-store');
+const { createGlobMatcher } = require('./utils/glob-matcher');
+const { writeFileAtomic } = require('./utils/file-operations');
+const { FileNotFoundError, ConflictError } = require('./errors');
+
+// Constants
+const DEAD_LETTER_FILE = path.join(config.dataDir, 'webhook-dead-letter.json');
+const MAX_DELIVERIES = 500; // Deliveries kept in memory, dead letters included
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const USER_AGENT = 'vscode-favicon-webhooks/1';
+
+// Webhook ids are used in logs and query filters
+const WEBHOOK_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Event types a webhook can subscribe to (cleared_all is never sent)
+const EVENT_TYPES = new Set(['created', 'working', 'completed', 'needs-input', 'error', 'read', 'removed']);
+const DEFAULT_EVENT_TYPES = ['created', 'working', 'completed', 'needs-input', 'error'];
+
+const DELIVERY_STATUSES = new Set(['pending', 'retrying', 'delivered', 'failed']);
+
+// State
+let webhooks = [];
+const deliveries = new Map(); // delivery id -> delivery, oldest first
+const retryTimers = new Map(); // delivery id -> timeout
+let unsubscribe = null;
+
+// Serializes dead-letter writes
+let saveQueue = Promise.resolve();
+
+/**
+ * Validate and compile one webhook subscription
+ *
+ * @param {Object} entry - Webhook entry from the config file
+ * @param {Set<string>} seenIds - Ids of webhooks already accepted
+ * @returns {{webhook: Object|null, error: string|null}} Compiled webhook or the reason it was rejected
+ */
+function compileWebhook(entry, seenIds) {
+    if (!entry || typeof entry !== 'object') {
+        return { webhook: null, error: 'must be an object' };
+    }
+    const { id, url, secret, folders, statuses, origins } = entry;
+
+    if (typeof id !== 'string' || !WEBHOOK_ID_PATTERN.test(id)) {
+        return { webhook: null, error: 'id must be 1-64 letters, digits, ".", "_" or "-"' };
+    }
+    if (seenIds.has(id)) {
+        return { webhook: null, error: `duplicate id "${id}"` };
+    }
+
+    let target;
+    try {
+        target = new URL(url);
+    } catch {
+        return { webhook: null, error: 'url must be an absolute http(s) URL' };
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+        return { webhook: null, error: 'url must be an absolute http(s) URL' };
+    }
+    if (typeof secret !== 'string' || secret.length === 0) {
+        return { webhook: null, error: 'secret is required' };
+    }
+
+    const isStringList = (value) => Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item);
+    if (folders !== undefined && !isStringList(folders)) {
+        return { webhook: null, error: 'folders must be a non-empty array of globs' };
+    }
+    if (statuses !== undefined && !(isStringList(statuses) && statuses.every((status) => EVENT_TYPES.has(status)))) {
+        return { webhook: null, error: `statuses must be a non-empty array of: ${[...EVENT_TYPES].join(', ')}` };
+    }
+    if (origins !== undefined && !isStringList(origins)) {
+        return { webhook: null, error: 'origins must be a non-empty array of origins' };
+    }
+
+    return {
+        webhook: {
+            id,
+            url: target.href,
+            secret,
+            folders: folders || null,
+            statuses: statuses || DEFAULT_EVENT_TYPES,
+            origins: origins || null,
+            matchFolder: folders ? createGlobMatcher(folders) : () => true,
+        },
+        error: null,
+    };
+}
+
+/**
+ * Replace the configured webhooks
+ * Invalid entries are logged and skipped.
+ *
+ * @param {Array<Object>} entries - Webhook entries
+ * @returns {number} Number of webhooks accepted
+ */
+function configure(entries) {
+    const seenIds = new Set();
+    webhooks = [];
+    for (const [index, entry] of (entries || []).entries()) {
+        const { webhook, error } = compileWebhook(entry, seenIds);
+        if (error) {
+            logger.warn({ index, error }, 'Skipping invalid webhook');
+            continue;
+        }
+        seenIds.add(webhook.id);
+        webhooks.push(webhook);
+    }
+    return webhooks.length;
+}
+
+/**
+ * Read webhook entries from WEBHOOKS_CONFIG
+ *
+ * @returns {Promise<Array<Object>>} Entries (empty when unset or unreadable)
+ */
+async function readWebhooksConfig() {
+    if (!config.webhooksConfigPath) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(await fs.promises.readFile(config.webhooksConfigPath, 'utf8'));
+        const entries = Array.isArray(parsed) ? parsed : parsed && parsed.webhooks;
+        if (!Array.isArray(entries)) {
+            logger.warn({ file: config.webhooksConfigPath }, 'Webhooks config must be an array or {"webhooks": [...]}');
+            return [];
+        }
+        return entries;
+    } catch (err) {
+        logger.warn({ err, file: config.webhooksConfigPath }, 'Failed to read webhooks config, webhooks disabled');
+        return [];
+    }
+}
+
+/**
+ * Check whether a webhook subscribes to an event
+ *
+ * @param {Object} webhook - Compiled webhook
+ * @param {string} type - Event type
+ * @param {string} folder - Folder path
+ * @param {string|null} origin - VS Code server origin
+ * @returns {boolean} True when every filter matches
+ */
+function matches(webhook, type, folder, origin) {
+    if (!webhook.statuses.includes(type)) return false;
+    if (webhook.origins && !webhook.origins.includes(origin)) return false;
+    return webhook.matchFolder(folder);
+}
+
+/**
+ * Sign a request body
+ *
+ * @param {string} secret - Webhook secret
+ * @param {string|number} timestamp - Unix timestamp in seconds (X-Favicon-Timestamp)
+ * @param {string} body - Request body
+ * @returns {string} Signature header value ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POST a delivery to its webhook
+ *
+ * @param {Object} webhook - Compiled webhook
+ * @param {Object} delivery - Delivery
+ * @returns {Promise<number>} Response status code (rejects on network errors and timeouts)
+ */
+function send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const target = new URL(webhook.url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': USER_AGENT,
+                'X-Favicon-Event': delivery.event,
+                'X-Favicon-Delivery': delivery.id,
+                'X-Favicon-Timestamp': String(timestamp),
+                'X-Favicon-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+        });
+        req.setTimeout(config.webhookTimeoutMs, () => {
+            req.destroy(new Error(`Timed out after ${config.webhookTimeoutMs}ms`));
+        });
+        req.on('response', (res) => {
+            // Response bodies are not used; drain them so the socket is released
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Persist the failed deliveries (dead-letter queue)
+ *
+ * @returns {Promise<void>} Resolves when the write completes
+ */
+function saveDeadLetter() {
+    const write = async () => {
+        const failed = [...deliveries.values()].filter((delivery) => delivery.status === 'failed');
+        try {
+            await fs.promises.mkdir(config.dataDir, { recursive: true, mode: 0o700 });
+            await writeFileAtomic(DEAD_LETTER_FILE, JSON.stringify(failed, null, 2), { mode: 0o600 });
+        } catch (err) {
+            logger.error({ err, file: DEAD_LETTER_FILE }, 'Failed to save webhook dead-letter queue');
+        }
+    };
+    saveQueue = saveQueue.then(write);
+    return saveQueue;
+}
+
+/**
+ * Load persisted dead letters into the delivery list
+ *
+ * @returns {Promise<number>} Number of dead letters loaded
+ */
+async function loadDeadLetter() {
+    try {
+        const failed = JSON.parse(await fs.promises.readFile(DEAD_LETTER_FILE, 'utf8'));
+        if (!Array.isArray(failed)) {
+            return 0;
+        }
+        for (const delivery of failed) {
+            if (delivery && typeof delivery.id === 'string' && delivery.status === 'failed') {
+                deliveries.set(delivery.id, delivery);
+            }
+        }
+        return failed.length;
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn({ err, file: DEAD_LETTER_FILE }, 'Failed to load webhook dead-letter queue');
+        }
+        return 0;
+    }
+}
+
+/**
+ * Drop the oldest finished deliveries over MAX_DELIVERIES
+ * Delivered entries go first; dead letters only when nothing else is left.
+ *
+ * @returns {boolean} True when a dead letter was dropped
+ */
+function enforceDeliveryLimit() {
+    let droppedDeadLetter = false;
+    for (const finalStatus of ['delivered', 'failed']) {
+        for (const [id, delivery] of deliveries) {
+            if (deliveries.size <= MAX_DELIVERIES) return droppedDeadLetter;
+            if (delivery.status === finalStatus) {
+                deliveries.delete(id);
+                droppedDeadLetter = droppedDeadLetter || finalStatus === 'failed';
+            }
+        }
+    }
+    return droppedDeadLetter;
+}
+
+/**
+ * Record a final delivery result
+ *
+ * @param {Object} delivery - Delivery
+ * @param {string} status - 'delivered' or 'failed'
+ * @param {boolean} wasDeadLetter - Whether the delivery was in the dead-letter queue before
+ */
+function finish(delivery, status, wasDeadLetter) {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+    delivery.updatedAt = Date.now();
+
+    if (status === 'failed') {
+        logger.warn(
+            { webhook: delivery.webhookId, delivery: delivery.id, attempts: delivery.attempts, error: delivery.lastError },
+            'Webhook delivery failed, moved to dead-letter queue'
+        );
+    }
+    if (status === 'failed' || wasDeadLetter) {
+        saveDeadLetter();
+    }
+}
+
+/**
+ * Make one delivery attempt and schedule a retry or finish the delivery
+ *
+ * @param {Object} delivery - Delivery
+ * @param {boolean} [wasDeadLetter=false] - Whether this is a replay of a dead letter
+ * @returns {Promise<void>} Resolves when the attempt has been recorded
+ */
+async function attempt(delivery, wasDeadLetter = false) {
+    retryTimers.delete(delivery.id);
+    const webhook = webhooks.find((candidate) => candidate.id === delivery.webhookId);
+    if (!webhook) {
+        delivery.lastError = 'Webhook is no longer configured';
+        finish(delivery, 'failed', wasDeadLetter);
+        return;
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts++;
+    delivery.nextAttemptAt = null;
+    delivery.updatedAt = Date.now();
+
+    let statusCode = null;
+    let sendError = null;
+    try {
+        statusCode = await send(webhook, delivery);
+    } catch (err) {
+        sendError = err;
+    }
+
+    // stop() dead-lettered the delivery while the request was in flight
+    if (delivery.status !== 'pending') {
+        return;
+    }
+
+    let retryable = true;
+    if (sendError) {
+        delivery.lastError = sendError.message;
+    } else {
+        delivery.lastStatusCode = statusCode;
+        if (statusCode >= 200 && statusCode < 300) {
+            delivery.lastError = null;
+            finish(delivery, 'delivered', wasDeadLetter);
+            return;
+        }
+        delivery.lastError = `HTTP ${statusCode}`;
+        retryable = statusCode >= 500 || statusCode === 429;
+    }
+
+    if (!retryable || delivery.attempts >= config.webhookMaxAttempts) {
+        finish(delivery, 'failed', wasDeadLetter);
+        return;
+    }
+
+    const delay = Math.min(config.webhookRetryBaseMs * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = Date.now() + delay;
+    delivery.updatedAt = Date.now();
+    const timer = setTimeout(() => startAttempt(delivery, wasDeadLetter), delay);
+    timer.unref?.();
+    retryTimers.set(delivery.id, timer);
+}
+
+/**
+ * Start a delivery attempt without waiting for it
+ * Errors from finishing or persisting the delivery are logged instead of becoming unhandled rejections.
+ *
+ * @param {Object} delivery - Delivery
+ * @param {boolean} [wasDeadLetter=false] - Whether this is a replay of a dead letter
+ */
+function startAttempt(delivery, wasDeadLetter = false) {
+    attempt(delivery, wasDeadLetter).catch((err) => {
+        logger.error({ err, webhook: delivery.webhookId, delivery: delivery.id }, 'Webhook delivery attempt failed');
+    });
+}
+
+/**
+ * Queue deliveries of a notification event to every matching webhook
+ *
+ * @param {Object} event - Event from notification-events ({folder: key, type, notification})
+ * @returns {Array<Object>} Deliveries created
+ */
+function handleEvent(event) {
+    if (!EVENT_TYPES.has(event.type) || webhooks.length === 0) {
+        return [];
+    }
+    const { folder, origin } = parseNotificationKey(event.folder, event.notification);
+    const created = [];
+
+    for (const webhook of webhooks) {
+        if (!matches(webhook, event.type, folder, origin)) continue;
+
+        const now = Date.now();
+        const id = crypto.randomUUID();
+        const delivery = {
+            id,
+            webhookId: webhook.id,
+            event: event.type,
+            folder,
+            origin,
+            status: 'pending',
+            attempts: 0,
+            lastStatusCode: null,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            nextAttemptAt: null,
+            payload: {
+                id,
+                event: event.type,
+                timestamp: now,
+                folder,
+                origin,
+                notification: event.notification || null,
+            },
+        };
+        deliveries.set(id, delivery);
+        created.push(delivery);
+        startAttempt(delivery);
+    }
+
+    if (created.length > 0 && enforceDeliveryLimit()) {
+        saveDeadLetter();
+    }
+    return created;
+}
+
+/**
+ * List deliveries, newest first
+ *
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.status] - Delivery status (pending, retrying, delivered, failed)
+ * @param {string} [filters.webhook] - Webhook id
+ * @returns {Array<Object>} Deliveries
+ */
+function listDeliveries({ status, webhook } = {}) {
+    return [...deliveries.values()]
+        .filter((delivery) => (!status || delivery.status === status) && (!webhook || delivery.webhookId === webhook))
+        .reverse();
+}
+
+/**
+ * Send a delivery again (dead letters and delivered events)
+ * The attempt count restarts; the delivery keeps its id.
+ *
+ * @param {string} id - Delivery id
+ * @returns {Object} Delivery (now pending)
+ * @throws {FileNotFoundError} When the delivery is unknown
+ * @throws {ConflictError} When the delivery is still pending or retrying
+ */
+function replayDelivery(id) {
+    const delivery = deliveries.get(id);
+    if (!delivery) {
+        throw new FileNotFoundError(`Delivery not found: ${id}`);
+    }
+    if (delivery.status === 'pending' || delivery.status === 'retrying') {
+        throw new ConflictError(`Delivery is already ${delivery.status}`);
+    }
+
+    const wasDeadLetter = delivery.status === 'failed';
+    delivery.attempts = 0;
+    startAttempt(delivery, wasDeadLetter);
+    return delivery;
+}
+
+/**
+ * List configured webhooks without secrets
+ * URLs are reduced to their origin, as paths and queries often carry tokens.
+ *
+ * @returns {Array<Object>} Webhooks
+ */
+function listWebhooks() {
+    return webhooks.map(({ id, url, folders, statuses, origins }) => ({
+        id,
+        target: new URL(url).origin,
+        folders,
+        statuses,
+        origins,
+    }));
+}
+
+/**
+ * Load the webhooks config and dead letters and subscribe to notification events
+ *
+ * @returns {Promise<number>} Number of webhooks configured
+ */
+async function start() {
+    configure(await readWebhooksConfig());
+    const deadLetters = await loadDeadLetter();
+    if (!unsubscribe) {
+        unsubscribe = events.subscribe(handleEvent);
+    }
+    if (webhooks.length > 0 || deadLetters > 0) {
+        logger.info({ webhooks: webhooks.length, deadLetters }, 'Webhooks started');
+    }
+    return webhooks.length;
+}
+
+/**
+ * Unsubscribe, cancel retries and persist unfinished deliveries as dead letters
+ * so they can be replayed after a restart.
+ *
+ * @returns {Promise<void>} Resolves when the dead-letter queue is saved
+ */
+async function stop() {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+    for (const timer of retryTimers.values()) {
+        clearTimeout(timer);
+    }
+    retryTimers.clear();
+
+    const unfinished = [...deliveries.values()].filter((delivery) => delivery.status === 'pending' || delivery.status === 'retrying');
+    for (const delivery of unfinished) {
+        delivery.status = 'failed';
+        delivery.lastError = delivery.lastError || 'Service stopped before delivery';
+        delivery.nextAttemptAt = null;
+        delivery.updatedAt = Date.now();
+    }
+    await saveDeadLetter();
+}
+
+/**
+ * Reset all state (tests)
+ */
+function reset() {
+    for (const timer of retryTimers.values()) {
+        clearTimeout(timer);
+    }
+    retryTimers.clear();
+    deliveries.clear();
+    webhooks = [];
+}
+
+module.exports = {
+    start,
+    stop,
+    configure,
+    handleEvent,
+    listWebhooks,
+    listDeliveries,
+    replayDelivery,
+    signPayload,
+    reset,
+    DELIVERY_STATUSES,
+};
@@ -0,0 +1,357 @@
+/**
+ * Workspace Import
+ *
+ * Proposes registry entries for the folders of VS Code `.code-workspace`
+ * files and recently-opened lists, as a dry-run diff against the current
+ * registry, and applies a proposal through the registry write path.
+ *
+ * Sources (absolute paths inside ALLOWED_PATHS or the VS Code Server data
+ * directory, VSCODE_SERVER_DATA_DIR):
+ * - `*.code-workspace` files: every `folders[]` entry (`path` relative to the
+ *   workspace file, or a `file://` / `vscode-remote://` `uri`); the folder
+ *   `name` becomes the project name
+ * - Directories: every `*.code-workspace` file directly inside them
+ * - `*.json` recently-opened lists (VS Code Server `storage.json` or an export
+ *   of `history.recentlyOpenedPathsList`): every `folderUri` entry, plus the
+ *   folders of listed workspaces
+ *
+ * Names, types and ports missing from the source are inferred like project
+ * discovery (package.json, pyproject.toml, Cargo.toml, git remote, parent
+ * directory, .env), falling back to the folder name and `dev`. Missing
+ * folders and folders outside ALLOWED_PATHS are skipped. Folders already
+ * registered by path (in any registry source) are listed as existing and left
+ * untouched; names already in use are reported as conflicts.
+ *
+ * Used by POST /api/registry/import and scripts/import-workspaces.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const config = require('./config');
+const logger = require('./logger');
+const registryWriter = require('./registry-writer');
+const { getRegistry } = require('./registry-cache');
+const { getUniqueProjects } = require('./project-search');
+const ProjectDiscovery = require('./services/project-discovery');
+const { isPathAllowedAsync } = require('./path-validator');
+const { validateProjectEntry } = require('./registry-schema');
+const { parseJsonc } = require('./utils/jsonc-parser');
+const { ValidationError } = require('./errors');
+
+const WORKSPACE_EXTENSION = '.code-workspace';
+const RECENT_LIST_EXTENSION = '.json';
+
+// Reported for every source that is not allowed or cannot be read, so the API
+// does not reveal which host files exist or quote their contents
+const INVALID_SOURCE_MESSAGE = 'unreadable or invalid source';
+
+const IMPORT_LIMITS = {
+    MAX_SOURCES: 50,
+    MAX_FILE_BYTES: 1024 * 1024,
+    MAX_WORKSPACES_PER_DIRECTORY: 500,
+    MAX_FOLDERS: 1000,
+};
+
+/**
+ * Convert a folder URI to a local path
+ * `vscode-remote://` URIs point at the machine VS Code Server runs on, which
+ * is where this service runs too.
+ *
+ * @param {string} uri - Folder URI
+ * @returns {string|null} Absolute path, or null for other schemes
+ */
+function uriToPath(uri) {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch {
+        return null;
+    }
+    if (url.protocol === 'file:') {
+        return fileURLToPath(url);
+    }
+    if (url.protocol === 'vscode-remote:') {
+        return decodeURIComponent(url.pathname);
+    }
+    return null;
+}
+
+/**
+ * Check that a source may be read
+ * Sources must resolve (symlinks included) inside ALLOWED_PATHS or the VS Code Server data directory.
+ *
+ * @param {string} sourcePath - Absolute source path
+ * @returns {Promise<boolean>} True if the source may be read
+ */
+async function isSourceAllowed(sourcePath) {
+    if (await isPathAllowedAsync(sourcePath)) {
+        return true;
+    }
+    try {
+        const [realSource, dataDir] = await Promise.all([fs.promises.realpath(sourcePath), fs.promises.realpath(config.vscodeServerDataDir)]);
+        return realSource === dataDir || realSource.startsWith(dataDir + path.sep);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Read and parse a JSONC source file (size-limited)
+ *
+ * @param {string} filePath - File path
+ * @returns {Promise<*>} Parsed contents
+ * @throws {Error} When the file is too large, unreadable or not JSONC
+ */
+async function readJsoncFile(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size > IMPORT_LIMITS.MAX_FILE_BYTES) {
+        throw new Error(`file exceeds ${IMPORT_LIMITS.MAX_FILE_BYTES} bytes`);
+    }
+    return parseJsonc(await fs.promises.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Folders listed by a .code-workspace file
+ *
+ * @param {string} workspacePath - Workspace file path
+ * @returns {Promise<Array<{path: string, name?: string, source: string}>>} Folders
+ * @throws {Error} When the file cannot be read or parsed
+ */
+async function readWorkspaceFolders(workspacePath) {
+    const workspace = await readJsoncFile(workspacePath);
+    const folders = Array.isArray(workspace?.folders) ? workspace.folders : [];
+
+    const result = [];
+    for (const folder of folders) {
+        if (!folder || typeof folder !== 'object') continue;
+        let folderPath = null;
+        if (typeof folder.path === 'string') {
+            folderPath = path.resolve(path.dirname(workspacePath), folder.path);
+        } else if (typeof folder.uri === 'string') {
+            folderPath = uriToPath(folder.uri);
+        }
+        if (folderPath) {
+            result.push({ path: folderPath, name: typeof folder.name === 'string' ? folder.name : undefined, source: workspacePath });
+        }
+    }
+    return result;
+}
+
+/**
+ * Folders listed by a recently-opened list
+ *
+ * @param {string} listPath - storage.json or recently-opened export
+ * @returns {Promise<{folders: Array<Object>, workspaces: Array<string>}>} Folders and workspace files it lists
+ * @throws {Error} When the file cannot be read or parsed
+ */
+async function readRecentList(listPath) {
+    const raw = await readJsoncFile(listPath);
+    const list = raw?.openedPathsList ?? raw?.['history.recentlyOpenedPathsList'] ?? raw;
+    const entries = Array.isArray(list?.entries) ? list.entries : [];
+
+    const folders = [];
+    const workspaces = [];
+    for (const entry of entries) {
+        const folderPath = typeof entry?.folderUri === 'string' ? uriToPath(entry.folderUri) : null;
+        if (folderPath) {
+            folders.push({ path: folderPath, name: typeof entry.label === 'string' ? entry.label : undefined, source: listPath });
+        }
+        const workspacePath = typeof entry?.workspace?.configPath === 'string' ? uriToPath(entry.workspace.configPath) : null;
+        if (workspacePath && workspacePath.endsWith(WORKSPACE_EXTENSION)) {
+            workspaces.push(workspacePath);
+        }
+    }
+    return { folders, workspaces };
+}
+
+/**
+ * Collect folders from every source
+ * Sources that are not allowed or cannot be read are reported in `errors` with
+ * a generic message instead of failing the import; details are logged.
+ *
+ * @param {Array<string>} sources - Absolute source paths
+ * @returns {Promise<{folders: Array<Object>, errors: Array<{source: string, message: string}>}>} Folders in source order
+ */
+async function collectFolders(sources) {
+    const folders = [];
+    const errors = [];
+    const reportInvalid = (source, err) => {
+        logger.debug({ source, err: err?.message }, 'Workspace import source rejected');
+        errors.push({ source, message: INVALID_SOURCE_MESSAGE });
+    };
+    const readWorkspace = async (workspacePath) => {
+        if (!(await isSourceAllowed(workspacePath))) {
+            return reportInvalid(workspacePath);
+        }
+        try {
+            folders.push(...(await readWorkspaceFolders(workspacePath)));
+        } catch (err) {
+            reportInvalid(workspacePath, err);
+        }
+    };
+
+    for (const source of sources) {
+        if (!(await isSourceAllowed(source))) {
+            reportInvalid(source);
+            continue;
+        }
+        try {
+            const stats = await fs.promises.stat(source);
+            if (stats.isDirectory()) {
+                const names = (await fs.promises.readdir(source)).filter((name) => name.endsWith(WORKSPACE_EXTENSION)).sort();
+                for (const name of names.slice(0, IMPORT_LIMITS.MAX_WORKSPACES_PER_DIRECTORY)) {
+                    await readWorkspace(path.join(source, name));
+                }
+            } else if (source.endsWith(WORKSPACE_EXTENSION)) {
+                await readWorkspace(source);
+            } else if (source.endsWith(RECENT_LIST_EXTENSION)) {
+                const recent = await readRecentList(source);
+                folders.push(...recent.folders);
+                for (const workspacePath of recent.workspaces) {
+                    await readWorkspace(workspacePath);
+                }
+            } else {
+                errors.push({ source, message: `not a directory, ${WORKSPACE_EXTENSION} or ${RECENT_LIST_EXTENSION} file` });
+            }
+        } catch (err) {
+            reportInvalid(source, err);
+        }
+    }
+    return { folders, errors };
+}
+
+/**
+ * Check that a folder exists
+ *
+ * @param {string} folderPath - Folder path
+ * @returns {Promise<boolean>} True for an existing directory
+ */
+async function isDirectory(folderPath) {
+    try {
+        return (await fs.promises.stat(folderPath)).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate import sources
+ *
+ * @param {*} sources - Candidate source list
+ * @throws {ValidationError} When the list or an entry is invalid
+ */
+function assertSources(sources) {
+    if (!Array.isArray(sources) || sources.length === 0 || sources.length > IMPORT_LIMITS.MAX_SOURCES) {
+        throw new ValidationError(`sources must be a list of 1-${IMPORT_LIMITS.MAX_SOURCES} paths`);
+    }
+    for (const source of sources) {
+        if (typeof source !== 'string' || !path.isAbsolute(source) || source.includes('\0')) {
+            throw new ValidationError('sources must be absolute paths', { source });
+        }
+    }
+}
+
+/**
+ * Build the import proposal as a diff against the current registry
+ *
+ * @param {Array<string>} sources - Absolute paths of workspace files, directories or recently-opened lists
+ * @param {Object} [options={}] - Options
+ * @param {ProjectDiscovery} [options.discovery] - Metadata inference (default: a new uncached instance)
+ * @returns {Promise<{revision: string, add: Array<Object>, existing: Array<Object>, conflicts: Array<Object>, skipped: Array<Object>, errors: Array<Object>}>}
+ *   Registry revision the proposal was built against, and the folders by outcome
+ * @throws {ValidationError} When the sources are invalid
+ *
+ * @example
+ * const { add, existing, revision } = await proposeImport(['/home/me/workspaces']);
+ */
+async function proposeImport(sources, { discovery = new ProjectDiscovery() } = {}) {
+    assertSources(sources);
+    const { folders, errors } = await collectFolders(sources);
+    // The written file is read fresh; other REGISTRY_PATHS sources come from the cache
+    const { projects: fileProjects, revision } = await registryWriter.listProjects();
+    const projects = [...getUniqueProjects((await getRegistry()).projects), ...fileProjects];
+
+    const registeredPaths = new Map(projects.map((project) => [project.path, project]));
+    const takenNames = new Map(projects.map((project) => [project.name, project.path]));
+    const seen = new Set();
+
+    const add = [];
+    const existing = [];
+    const conflicts = [];
+    const skipped = [];
+    for (const folder of folders.slice(0, IMPORT_LIMITS.MAX_FOLDERS)) {
+        const folderPath = path.normalize(folder.path).replace(/(.)\/+$/, '$1');
+        if (seen.has(folderPath)) continue;
+        seen.add(folderPath);
+
+        if (registeredPaths.has(folderPath)) {
+            existing.push({ project: registeredPaths.get(folderPath), source: folder.source });
+            continue;
+        }
+        if (!(await isPathAllowedAsync(folderPath))) {
+            skipped.push({ path: folderPath, source: folder.source, reason: 'outside ALLOWED_PATHS' });
+            continue;
+        }
+        if (!(await isDirectory(folderPath))) {
+            skipped.push({ path: folderPath, source: folder.source, reason: 'folder does not exist' });
+            continue;
+        }
+
+        const { info } = await discovery.inspect(folderPath);
+        const candidate = { name: folder.name || info.name || path.basename(folderPath), path: folderPath, type: info.type || 'dev' };
+        if (info.port !== undefined) candidate.port = info.port;
+
+        const { valid, errors: fieldErrors, value } = validateProjectEntry(candidate);
+        if (!valid) {
+            const summary = fieldErrors.map(({ field, message }) => (field ? `${field} ${message}` : message)).join('; ');
+            skipped.push({ path: folderPath, source: folder.source, reason: `invalid project: ${summary}` });
+            continue;
+        }
+        if (takenNames.has(value.name)) {
+            conflicts.push({ project: value, source: folder.source, reason: `name already used by ${takenNames.get(value.name)}` });
+            continue;
+        }
+
+        takenNames.set(value.name, folderPath);
+        add.push({ project: value, source: folder.source });
+    }
+
+    if (folders.length > IMPORT_LIMITS.MAX_FOLDERS) {
+        errors.push({ source: null, message: `only the first ${IMPORT_LIMITS.MAX_FOLDERS} folders were considered` });
+    }
+    return { revision, add, existing, conflicts, skipped, errors };
+}
+
+/**
+ * Propose an import and optionally apply it
+ * Applying writes every proposed addition in one registry write, and only if
+ * the registry still has the revision the proposal was built against (or the
+ * revision passed as ifMatch, e.g. the one a dry run returned).
+ *
+ * @param {Array<string>} sources - Absolute source paths (see proposeImport)
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.apply=false] - Write the proposed additions
+ * @param {string} [options.ifMatch] - Expected registry revision when applying
+ * @param {ProjectDiscovery} [options.discovery] - Metadata inference
+ * @returns {Promise<Object>} Proposal (see proposeImport) with `applied` and the current revision
+ * @throws {ValidationError|ConflictError|PreconditionFailedError}
+ */
+async function importWorkspaces(sources, { apply = false, ifMatch, discovery } = {}) {
+    const proposal = await proposeImport(sources, { discovery });
+    if (!apply) {
+        return { ...proposal, applied: false };
+    }
+
+    const projects = proposal.add.map(({ project }) => project);
+    const { revision } = await registryWriter.createProjects(projects, { ifMatch: ifMatch ?? proposal.revision });
+    logger.info({ sources, added: proposal.add.length }, 'Workspace import applied');
+    return { ...proposal, applied: true, revision };
+}
+
+module.exports = {
+    proposeImport,
+    importWorkspaces,
+    uriToPath,
+    IMPORT_LIMITS,
+};
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Import projects from VS Code workspaces into the registry
+ *
+ * Reads .code-workspace files, directories of them, or recently-opened lists
+ * (VS Code Server storage.json) and prints the proposed registry changes.
+ * Nothing is written unless --apply is given; the additions are then written
+ * through the registry writer (same path as POST /api/registry/import).
+ *
+ * Usage:
+ *   node scripts/import-workspaces.js [--apply] <source>...
+ *   npm run registry:import -- ~/workspaces ~/.vscode-server/data/User/globalStorage/storage.json
+ *
+ * Uses the service configuration (.env): REGISTRY_PATH, REGISTRY_PATHS, ALLOWED_PATHS.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const path = require('path');
+const { importWorkspaces } = require('../lib/workspace-import');
+const { closeWatcher } = require('../lib/registry-cache');
+
+const USAGE = 'Usage: node scripts/import-workspaces.js [--apply] <.code-workspace file | directory | storage.json>...';
+
+/**
+ * Describe a proposed project on one line
+ *
+ * @param {Object} project - Project
+ * @returns {string} "name  path  (type, port)"
+ */
+function formatProject(project) {
+    const details = [project.type, project.port].filter((value) => value !== undefined).join(', ');
+    return `${project.name}  ${project.path}  (${details})`;
+}
+
+/**
+ * Print the proposal as a diff against the registry
+ *
+ * @param {Object} result - importWorkspaces result
+ */
+function printResult(result) {
+    for (const { project, source } of result.add) {
+        console.log(`+ ${formatProject(project)}  <- ${source}`);
+    }
+    for (const { project } of result.existing) {
+        console.log(`= ${formatProject(project)}  already registered`);
+    }
+    for (const { project, reason } of result.conflicts) {
+        console.log(`! ${formatProject(project)}  ${reason}`);
+    }
+    for (const { path: folderPath, reason } of result.skipped) {
+        console.log(`- ${folderPath}  ${reason}`);
+    }
+    for (const { source, message } of result.errors) {
+        console.error(`error: ${source ? `${source}: ` : ''}${message}`);
+    }
+
+    const count = result.add.length;
+    if (result.applied) {
+        console.log(`\nAdded ${count} project(s). Registry revision ${result.revision}`);
+    } else {
+        console.log(`\nDry run: ${count} project(s) would be added.${count > 0 ? ' Re-run with --apply to write them.' : ''}`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const apply = args.includes('--apply');
+    const sources = args.filter((arg) => arg !== '--apply').map((arg) => path.resolve(arg));
+    if (sources.length === 0 || args.includes('--help')) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    try {
+        printResult(await importWorkspaces(sources, { apply }));
+    } catch (err) {
+        console.error(`Import failed: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        closeWatcher();
+    }
+}
+
+main();
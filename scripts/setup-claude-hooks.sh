@@ -1,7 +1,7 @@
 #!/bin/bash
 # Setup script for Claude Code notification hooks
 # This script configures Claude Code to send notifications to vscode-favicon API
-# when Claude finishes responding.
+# when Claude finishes responding or is waiting for input.
 #
 # Usage:
 #   curl -fsSL https://favicon-api.noreika.lt/scripts/setup-claude-hooks.sh | bash
@@ -59,12 +59,14 @@ echo -e "${YELLOW}Creating notification hook script...${NC}"
 
 cat > "$HOOK_SCRIPT" << 'HOOKSCRIPT'
 #!/bin/bash
-# Claude Code Stop Hook - Sends completion notification to favicon-api
-# Triggered when Claude finishes responding (Stop event)
+# Claude Code Hook - Sends status notifications to favicon-api
+# Triggered when Claude finishes responding (Stop event) or needs the user
+# (Notification event: permission prompts, idle input prompts)
 #
 # API Endpoints:
-#   POST /claude-completion - Task completed (GREEN badge)
-#   POST /claude-started    - Working notification (YELLOW badge)
+#   POST /claude-completion  - Task completed (GREEN badge)
+#   POST /claude-started     - Working notification (YELLOW badge)
+#   POST /claude-needs-input - Waiting for input (ORANGE badge)
 #
 # Environment:
 #   CLAUDE_PROJECT_DIR - Project directory path (used as 'folder' parameter)
@@ -82,6 +84,7 @@ input_json=$(timeout 1 cat 2>/dev/null) || input_json="{}"
 # Extract hook event and project directory
 hook_event=$(echo "$input_json" | jq -r '.hook_event_name // "unknown"')
 cwd=$(echo "$input_json" | jq -r '.cwd // ""')
+session_id=$(echo "$input_json" | jq -r '.session_id // ""')
 
 # Use CLAUDE_PROJECT_DIR if available, otherwise use cwd from hook input
 project_dir="${CLAUDE_PROJECT_DIR:-$cwd}"
@@ -101,12 +104,23 @@ case "$hook_event" in
         endpoint="/claude-started"
         message="Working..."
         ;;
+    "Notification")
+        endpoint="/claude-needs-input"
+        # Keep only characters the API accepts in messages (max 500)
+        message=$(echo "$input_json" | jq -r '.message // "Waiting for input"' | tr -cd 'a-zA-Z0-9_ .,!?:;()-' | cut -c1-500)
+        message="${message:-Waiting for input}"
+        ;;
     *)
         # Unknown event, skip notification
         exit 0
         ;;
 esac
 
+# Build the body with jq so quotes in paths/messages stay valid JSON
+# sessionId keeps parallel sessions in one folder apart (aggregated by the API)
+payload=$(jq -n --arg folder "$project_dir" --arg message "$message" --arg session "$session_id" \
+    '{folder: $folder, message: $message} + (if $session != "" then {sessionId: $session} else {} end)')
+
 # Send notification to favicon API
 # Using X-Requested-With header for CSRF protection
 curl -X POST "${FAVICON_API_URL}${endpoint}" \
@@ -116,10 +130,7 @@ curl -X POST "${FAVICON_API_URL}${endpoint}" \
     --max-time "$TIMEOUT_SECONDS" \
     --silent \
     --show-error \
-    -d "{
-        \"folder\": \"$project_dir\",
-        \"message\": \"$message\"
-    }" > /dev/null 2>&1 || true
+    -d "$payload" > /dev/null 2>&1 || true
 
 # Always exit successfully - don't block Claude's operation
 exit 0
@@ -163,7 +174,8 @@ hook_config='{
 new_settings=$(echo "$current_settings" | jq --argjson hook "$hook_config" '
     .hooks = (.hooks // {}) |
     .hooks.Stop = [($hook)] |
-    .hooks.SubagentStop = [($hook)]
+    .hooks.SubagentStop = [($hook)] |
+    .hooks.Notification = [($hook)]
 ')
 
 # Write updated settings
@@ -184,6 +196,7 @@ echo -e "  API URL:     ${YELLOW}$API_URL${NC}"
 echo
 echo -e "When Claude finishes responding, a notification will be sent to"
 echo -e "the favicon API and you'll see a green badge in the browser extension."
+echo -e "When Claude waits for a permission or an answer, the badge turns orange."
 echo
 echo -e "${YELLOW}Note:${NC} Restart Claude Code for changes to take effect."
 echo
@@ -8,15 +8,24 @@
  * - Favicon Service (port 8090):
  *   - GET /api/favicon - Generate/serve project favicons
  *   - GET /api/project-info - Get project metadata
+ *   - GET /api/projects - List, filter and search projects
  *   - POST /api/clear-cache - Clear favicon cache (admin only)
+ *   - GET/POST/PUT/DELETE /api/registry/projects - Registry CRUD (admin only)
+ *   - GET /api/registry/validate - Registry schema validation report (admin only)
+ *   - GET /api/registry/history[/diff], POST /api/registry/history/:id/restore - Registry versions (admin only)
+ *   - POST /api/registry/import - Import projects from VS Code workspaces (admin only)
+ *   - GET /api/webhooks[/deliveries], POST /api/webhooks/deliveries/:id/replay - Outbound webhooks (admin only)
  *
  * - Notification API:
  *   - GET /favicon-api - Alternative favicon endpoint
  *   - POST /claude-completion - Create notification
+ *   - POST /claude-needs-input, POST /claude-error - Needs-input / error notifications
  *   - GET /claude-status - Get notification status
  *   - POST /claude-status/mark-read - Mark notification as read
  *   - DELETE /claude-status - Delete notification
+ *   - GET /api/notifications/history - Per-project notification history (paginated)
  *   - GET /notifications/stream - SSE stream for real-time notifications
+ *   - GET /notifications/stream/all - SSE stream for all projects (Last-Event-ID replay)
  *
  * - Health Checks:
  *   - GET /health - Detailed health status
@@ -30,7 +39,9 @@ const LRUCache = require('../lib/lru-cache');
 const logger = require('../lib/logger');
 const { warmCache } = require('../lib/registry-cache');
 const notificationStore = require('../lib/notification-store');
+const webhooks = require('../lib/webhooks');
 const FaviconService = require('../lib/services/favicon-service');
+const ProjectDiscovery = require('../lib/services/project-discovery');
 const { getRegistry } = require('../lib/registry-cache');
 
 // Import middleware setup
@@ -56,6 +67,9 @@ const { createFaviconRoutes, requireValidPath } = require('../lib/routes/favicon
 const { createNotificationRoutes, getSSEStats } = require('../lib/routes/notification-routes');
 const { createHealthRoutes } = require('../lib/routes/health-routes');
 const { createAdminRoutes } = require('../lib/routes/admin-routes');
+const { createRegistryRoutes } = require('../lib/routes/registry-routes');
+const { createWebhookRoutes } = require('../lib/routes/webhook-routes');
+const { createProjectRoutes } = require('../lib/routes/project-routes');
 const { createPasteRoutes } = require('../lib/routes/paste-routes');
 const { createUploadRoutes } = require('../lib/routes/upload-routes');
 const { createMetricsRoutes } = require('../lib/routes/metrics-routes');
@@ -127,6 +141,16 @@ const faviconService = new FaviconService({
     faviconCache,
     typeColors: config.typeColors,
     defaultColors: config.defaultColors,
+    projectDiscovery: config.projectDiscovery ? new ProjectDiscovery() : null,
+    defaultTemplate: config.faviconTemplate,
+    typeTemplates: config.typeTemplates,
+    minContrastRatio: config.faviconMinContrastRatio,
+    animation: {
+        style: config.faviconAnimationStyle,
+        fps: config.faviconAnimationFps,
+        idleTimeoutMs: config.faviconAnimationIdleTimeoutMs,
+    },
+    customOverlay: config.faviconCustomOverlay,
 });
 
 // =============================================================================
@@ -137,6 +161,10 @@ const faviconService = new FaviconService({
 const faviconRoutes = createFaviconRoutes(faviconCache, faviconService);
 app.use(faviconRoutes);
 
+// Mount project list/search routes
+const projectRoutes = createProjectRoutes();
+app.use(projectRoutes);
+
 // Mount notification routes
 const notificationRoutes = createNotificationRoutes(requireValidPath, notificationLimiter);
 app.use(notificationRoutes);
@@ -153,6 +181,14 @@ app.use(uploadRoutes);
 const adminRoutes = createAdminRoutes(faviconCache, cacheClearLimiter, adminAuth, downloadLimiter);
 app.use(adminRoutes);
 
+// Mount registry write API (admin only)
+const registryRoutes = createRegistryRoutes(adminAuth);
+app.use(registryRoutes);
+
+// Mount webhook delivery API (admin only)
+const webhookRoutes = createWebhookRoutes(adminAuth);
+app.use(webhookRoutes);
+
 // Mount health check routes
 const healthRoutes = createHealthRoutes(faviconCache, faviconService, getSSEStats);
 app.use(healthRoutes);
@@ -201,6 +237,9 @@ let uploadCleanupInterval;
         // Load notifications from disk
         await notificationStore.load();
 
+        // Forward notification events to configured webhooks (WEBHOOKS_CONFIG)
+        await webhooks.start();
+
         // Start periodic cleanup (hourly)
         cleanupInterval = notificationStore.startCleanupInterval();
 
@@ -217,11 +256,21 @@ let uploadCleanupInterval;
                         faviconService: '/api/favicon?folder=/path/to/project',
                         faviconApi: '/favicon-api?folder=/path/to/project',
                         projectInfo: '/api/project-info?folder=/path/to/project',
+                        projects: '/api/projects?q=name&type=prod&tag=backend',
                         clearCache: '/api/clear-cache (admin only)',
+                        registryProjects: '/api/registry/projects (admin only)',
+                        registryValidate: '/api/registry/validate (admin only)',
+                        registryHistory: '/api/registry/history (admin only)',
+                        registryImport: '/api/registry/import (admin only)',
+                        webhookDeliveries: '/api/webhooks/deliveries (admin only)',
                         pasteImage: 'POST /api/paste-image (multipart/form-data)',
                         notificationsStream: '/notifications/stream?folder=/path/to/project (SSE)',
+                        notificationsStreamAll: '/notifications/stream/all?prefix=/path (SSE)',
                         claudeCompletion: 'POST /claude-completion',
+                        claudeNeedsInput: 'POST /claude-needs-input',
+                        claudeError: 'POST /claude-error',
                         claudeStatus: 'GET /claude-status',
+                        notificationHistory: 'GET /api/notifications/history?folder=/path/to/project',
                         health: '/health',
                         healthLiveness: '/health/live',
                         healthReadiness: '/health/ready',
@@ -265,8 +314,8 @@ let uploadCleanupInterval;
             throw err;
         });
 
-        // Register shutdown handlers (pass both cleanup intervals)
-        registerShutdownHandlers(server, cleanupInterval, uploadCleanupInterval);
+        // Register shutdown handlers (pass both cleanup intervals and the favicon service watchers)
+        registerShutdownHandlers(server, cleanupInterval, uploadCleanupInterval, faviconService);
     } catch (err) {
         logger.fatal({ err }, 'Server initialization failed');
         process.exit(1);
@@ -95,9 +95,11 @@ describe('API Endpoints Integration Tests', () => {
         // Cleanup fixtures (except README.md and mock-registry.json which are committed)
         const fixturesDir = path.join(__dirname, '../fixtures');
         if (fs.existsSync(fixturesDir)) {
-            const notificationsPath = path.join(fixturesDir, 'notifications.json');
-            if (fs.existsSync(notificationsPath)) {
-                fs.unlinkSync(notificationsPath);
+            for (const file of ['notifications.json', 'notification-history.json']) {
+                const notificationsPath = path.join(fixturesDir, file);
+                if (fs.existsSync(notificationsPath)) {
+                    fs.unlinkSync(notificationsPath);
+                }
             }
         }
     });
@@ -86,9 +86,9 @@ describe('Route Error Path Integration Tests', () => {
         };
 
         faviconService = {
-            generateSvgFavicon: jest.fn().mockReturnValue('<svg>test</svg>'),
-            findFaviconFile: jest.fn().mockResolvedValue(null),
-            readFileWithErrorHandling: jest.fn(),
+            getFavicon: jest.fn().mockResolvedValue({ contentType: 'image/svg+xml', data: Buffer.from('<svg>test</svg>') }),
+            getProjectOverrides: jest.fn().mockResolvedValue({}),
+            getDiscoveredInfo: jest.fn(async (projectPath, registryInfo) => ({ info: { ...registryInfo }, inferred: {} })),
         };
 
         notificationStore.get = jest.fn();
@@ -136,10 +136,7 @@ describe('Route Error Path Integration Tests', () => {
         });
 
         it('should handle favicon service errors gracefully', async () => {
-            faviconService.generateSvgFavicon.mockImplementation(() => {
-                throw new Error('Service failed');
-            });
-            faviconService.findFaviconFile.mockResolvedValue(null);
+            faviconService.getFavicon.mockRejectedValue(new Error('Service failed'));
 
             const response = await request(app)
                 .get('/api/favicon?folder=/opt/test')
@@ -350,10 +347,7 @@ describe('Route Error Path Integration Tests', () => {
         });
 
         it('should not expose internal error details', async () => {
-            faviconService.generateSvgFavicon.mockImplementation(() => {
-                throw new Error('Internal database connection failed');
-            });
-            faviconService.findFaviconFile.mockResolvedValue(null);
+            faviconService.getFavicon.mockRejectedValue(new Error('Internal database connection failed'));
 
             const response = await request(app)
                 .get('/api/favicon?folder=/opt/test')
@@ -373,10 +367,7 @@ describe('Route Error Path Integration Tests', () => {
             await request(app).get('/api/favicon?folder=/etc/passwd').expect(403);
 
             // 500 for server errors
-            faviconService.generateSvgFavicon.mockImplementation(() => {
-                throw new Error('Fail');
-            });
-            faviconService.findFaviconFile.mockResolvedValue(null);
+            faviconService.getFavicon.mockRejectedValue(new Error('Fail'));
             await request(app).get('/api/favicon?folder=/opt/test').expect(500);
         });
     });
@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for WCAG color contrast utilities
+ */
+
+const {
+    relativeLuminance,
+    contrastRatio,
+    pickForeground,
+    maxContrastRatio,
+    WCAG_AA_CONTRAST_RATIO,
+} = require('../../lib/utils/color-contrast');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+describe('color-contrast', () => {
+    describe('relativeLuminance', () => {
+        it('should return 0 for black and 1 for white', () => {
+            expect(relativeLuminance('#000000')).toBe(0);
+            expect(relativeLuminance('#FFFFFF')).toBe(1);
+            expect(relativeLuminance('white')).toBe(1);
+        });
+
+        it('should weight green above red and blue', () => {
+            expect(relativeLuminance('#00FF00')).toBeGreaterThan(relativeLuminance('#FF0000'));
+            expect(relativeLuminance('#FF0000')).toBeGreaterThan(relativeLuminance('#0000FF'));
+        });
+
+        it('should return NaN for unparseable colors', () => {
+            expect(relativeLuminance('red')).toBeNaN();
+            expect(relativeLuminance(undefined)).toBeNaN();
+        });
+    });
+
+    describe('contrastRatio', () => {
+        it('should be 21 for black on white', () => {
+            expect(contrastRatio('black', 'white')).toBe(21);
+        });
+
+        it('should be symmetric and 1 for identical colors', () => {
+            expect(contrastRatio('#FFEAA7', '#000000')).toBeCloseTo(contrastRatio('#000000', '#FFEAA7'));
+            expect(contrastRatio('#4ECDC4', '#4ECDC4')).toBe(1);
+        });
+    });
+
+    describe('pickForeground', () => {
+        it('should keep white on dark backgrounds', () => {
+            expect(pickForeground('#263238')).toBe('white');
+            expect(pickForeground('#D32F2F')).toBe('white');
+        });
+
+        it('should switch to black on light backgrounds', () => {
+            expect(pickForeground('#FFEAA7')).toBe('black');
+            expect(pickForeground('#CCCCCC')).toBe('black');
+        });
+
+        it('should honour a lower required ratio', () => {
+            // #FF6B6B reaches ~2.8:1 with white
+            expect(pickForeground('#FF6B6B', 4.5)).toBe('black');
+            expect(pickForeground('#FF6B6B', 2.5)).toBe('white');
+        });
+
+        it('should fall back to the highest contrast when nothing passes', () => {
+            expect(pickForeground('#777777', 21)).toBe('black');
+        });
+
+        it('should require the ratio on every background', () => {
+            expect(pickForeground(['#263238', '#1A237E'])).toBe('white');
+            // White passes on #D32F2F alone; black has the better worst case
+            expect(pickForeground(['#D32F2F', '#FFFFFF'])).toBe('black');
+            expect(pickForeground(['#263238'], 4.5, ['#FF6B6B', 'white', 'black'])).toBe('#FF6B6B');
+            expect(pickForeground(['#263238'], 4.5, ['#1A237E', 'white', 'black'])).toBe('white');
+        });
+    });
+
+    describe('maxContrastRatio', () => {
+        it('should reach at least WCAG AA for any color with black/white', () => {
+            for (const color of ['#777777', '#FF6B6B', '#4ECDC4', '#00ACC1']) {
+                expect(maxContrastRatio(color)).toBeGreaterThanOrEqual(WCAG_AA_CONTRAST_RATIO);
+            }
+        });
+
+        it('should be below AAA for mid grays', () => {
+            expect(maxContrastRatio('#777777')).toBeLessThan(7);
+        });
+    });
+
+    describe('FaviconGenerator foreground selection', () => {
+        const typeColors = { dev: '#4ECDC4', staging: '#FFEAA7', prod: '#B71C1C' };
+        const defaultColors = ['#45B7D1'];
+
+        it('should use black initials on the staging color', () => {
+            const generator = new FaviconGenerator({ typeColors, defaultColors });
+
+            expect(generator.buildLayout('app', { type: 'staging' }).texts[0].fill).toBe('black');
+        });
+
+        it('should keep white initials on dark colors', () => {
+            const generator = new FaviconGenerator({ typeColors, defaultColors });
+
+            expect(generator.buildLayout('app', { type: 'prod' }).texts[0].fill).toBe('white');
+        });
+
+        it('should pick the foreground after grayscale conversion', () => {
+            const generator = new FaviconGenerator({ typeColors, defaultColors, minContrastRatio: 3 });
+            const layout = generator.buildLayout('app', { type: 'prod' }, { grayscale: true });
+
+            expect(layout.shapes[0].fill).toBe('#4a4a4a');
+            expect(layout.texts[0].fill).toBe('white');
+            expect(generator.buildLayout('app', { type: 'staging' }, { grayscale: true }).texts[0].fill).toBe('black');
+        });
+
+        it('should respect an explicit project text color', () => {
+            const generator = new FaviconGenerator({ typeColors, defaultColors });
+
+            expect(generator.buildLayout('app', { type: 'staging', textColor: '#FFFFFF' }).texts[0].fill).toBe('#FFFFFF');
+        });
+
+        it('should use the configured ratio', () => {
+            const relaxed = new FaviconGenerator({ typeColors, defaultColors, minContrastRatio: 1.5 });
+
+            expect(relaxed.buildLayout('app', { type: 'dev', port: 3000 }).texts.map((t) => t.fill)).toEqual(['white', 'white']);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for conditional GET helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEtag, hashParts, isCacheEntryCurrent, isNotModified, setValidatorHeaders } = require('../../lib/utils/conditional-get');
+
+describe('conditional-get', () => {
+    const req = (headers) => ({ headers });
+
+    describe('createEtag', () => {
+        it('should create quoted strong ETags that depend on every part', () => {
+            const etag = createEtag('v1:favicon:/opt/dev/app', Buffer.from('<svg/>'));
+
+            expect(etag).toMatch(/^"[\w-]+"$/);
+            expect(createEtag('v1:favicon:/opt/dev/app', Buffer.from('<svg/>'))).toBe(etag);
+            expect(createEtag('v1:favicon:/opt/dev/app:gray', Buffer.from('<svg/>'))).not.toBe(etag);
+        });
+
+        it('should not collide when parts are split differently', () => {
+            expect(hashParts('ab', 'c')).not.toBe(hashParts('a', 'bc'));
+        });
+    });
+
+    describe('isCacheEntryCurrent', () => {
+        it('should require a matching fingerprint', async () => {
+            expect(await isCacheEntryCurrent({ fingerprint: 'a' }, 'a')).toBe(true);
+            expect(await isCacheEntryCurrent({ fingerprint: 'a' }, 'b')).toBe(false);
+            expect(await isCacheEntryCurrent({}, 'a')).toBe(false);
+        });
+
+        it('should require an unchanged mtime for file entries', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conditional-get-'));
+            const filePath = path.join(dir, 'favicon.png');
+            fs.writeFileSync(filePath, 'png');
+
+            try {
+                const entry = { fingerprint: 'a', filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+                expect(await isCacheEntryCurrent(entry, 'a')).toBe(true);
+
+                fs.utimesSync(filePath, new Date(), new Date(Date.now() + 60000));
+                expect(await isCacheEntryCurrent(entry, 'a')).toBe(false);
+
+                fs.rmSync(filePath);
+                expect(await isCacheEntryCurrent({ ...entry, mtimeMs: null }, 'a')).toBe(false);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('isNotModified', () => {
+        const validators = { etag: '"abc"', lastModified: Date.parse('2025-01-01T00:00:00.500Z') };
+
+        it('should match If-None-Match lists and weak tags', () => {
+            expect(isNotModified(req({ 'if-none-match': '"abc"' }), validators)).toBe(true);
+            expect(isNotModified(req({ 'if-none-match': '"x", W/"abc"' }), validators)).toBe(true);
+            expect(isNotModified(req({ 'if-none-match': '*' }), validators)).toBe(true);
+            expect(isNotModified(req({ 'if-none-match': '"other"' }), validators)).toBe(false);
+        });
+
+        it('should prefer If-None-Match over If-Modified-Since', () => {
+            const headers = { 'if-none-match': '"other"', 'if-modified-since': 'Wed, 01 Jan 2025 00:00:00 GMT' };
+
+            expect(isNotModified(req(headers), validators)).toBe(false);
+        });
+
+        it('should compare If-Modified-Since with second precision', () => {
+            expect(isNotModified(req({ 'if-modified-since': 'Wed, 01 Jan 2025 00:00:00 GMT' }), validators)).toBe(true);
+            expect(isNotModified(req({ 'if-modified-since': 'Tue, 31 Dec 2024 23:59:59 GMT' }), validators)).toBe(false);
+            expect(isNotModified(req({ 'if-modified-since': 'garbage' }), validators)).toBe(false);
+        });
+
+        it('should require validators', () => {
+            expect(isNotModified(req({}), validators)).toBe(false);
+            expect(isNotModified(req({ 'if-none-match': '"abc"' }), {})).toBe(false);
+        });
+    });
+
+    describe('setValidatorHeaders', () => {
+        it('should set ETag and an HTTP-date Last-Modified', () => {
+            const res = { setHeader: jest.fn() };
+
+            setValidatorHeaders(res, { etag: '"abc"', lastModified: Date.parse('2025-01-01T00:00:00Z') });
+
+            expect(res.setHeader).toHaveBeenCalledWith('ETag', '"abc"');
+            expect(res.setHeader).toHaveBeenCalledWith('Last-Modified', 'Wed, 01 Jan 2025 00:00:00 GMT');
+        });
+    });
+});
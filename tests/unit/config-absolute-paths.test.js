@@ -207,4 +207,31 @@ describe('Config Module - Absolute Path Validation (QUA-012)', () => {
             }
         });
     });
+
+    describe('REGISTRY_PATHS', () => {
+        test('should default to no additional sources', () => {
+            delete process.env.REGISTRY_PATHS;
+
+            const config = require('../../lib/config');
+
+            expect(config.registryPaths).toEqual([]);
+        });
+
+        test('should parse an ordered list of absolute sources', () => {
+            process.env.REGISTRY_PATHS = '/opt/registry/projects.json, /home/me/.registry.d';
+
+            const config = require('../../lib/config');
+
+            expect(config.registryPaths).toEqual(['/opt/registry/projects.json', '/home/me/.registry.d']);
+            expect(mockExit).not.toHaveBeenCalled();
+        });
+
+        test('should reject relative sources', () => {
+            process.env.REGISTRY_PATHS = '/opt/registry/projects.json,overrides';
+
+            expect(() => {
+                require('../../lib/config');
+            }).toThrow(/process\.exit called with code 1/);
+        });
+    });
 });
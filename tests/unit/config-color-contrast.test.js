@@ -0,0 +1,56 @@
+/**
+ * Config tests for favicon color contrast validation
+ */
+
+const config = require('../../lib/config');
+const { validateColorContrastConfig } = require('../../lib/validators/config-validators');
+
+describe('Config - Favicon Color Contrast', () => {
+    let logger;
+
+    beforeEach(() => {
+        logger = { warn: jest.fn() };
+    });
+
+    const validate = (overrides) => {
+        const errors = [];
+        validateColorContrastConfig({ typeColors: {}, defaultColors: [], faviconMinContrastRatio: 4.5, ...overrides }, errors, logger);
+        return errors;
+    };
+
+    it('should default to WCAG AA (4.5:1)', () => {
+        expect(config.faviconMinContrastRatio).toBe(4.5);
+    });
+
+    it('should accept the default palette without warnings', () => {
+        expect(validate({ typeColors: config.typeColors, defaultColors: config.defaultColors })).toEqual([]);
+        expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should warn for COLOR_* entries that cannot reach the ratio', () => {
+        const errors = validate({ typeColors: { staging: '#777777', prod: '#000000' }, faviconMinContrastRatio: 7 });
+
+        expect(errors).toEqual([]);
+        expect(logger.warn).toHaveBeenCalledTimes(1);
+        expect(logger.warn).toHaveBeenCalledWith(
+            expect.objectContaining({ setting: 'COLOR_STAGING', color: '#777777', minRatio: 7 }),
+            expect.stringContaining('minimum contrast ratio')
+        );
+    });
+
+    it('should warn for DEFAULT_COLORS entries with their index', () => {
+        validate({ defaultColors: ['#FFFFFF', '#7A7A7A'], faviconMinContrastRatio: 7 });
+
+        expect(logger.warn).toHaveBeenCalledWith(expect.objectContaining({ setting: 'DEFAULT_COLORS[1]' }), expect.any(String));
+    });
+
+    it('should warn for colors that are not hex', () => {
+        validate({ typeColors: { dev: 'teal' } });
+
+        expect(logger.warn).toHaveBeenCalledWith(expect.objectContaining({ setting: 'COLOR_DEV' }), expect.stringContaining('not a #RRGGBB'));
+    });
+
+    it.each([0.5, 22, NaN])('should reject FAVICON_MIN_CONTRAST_RATIO=%p', (ratio) => {
+        expect(validate({ faviconMinContrastRatio: ratio })).toEqual(['FAVICON_MIN_CONTRAST_RATIO must be between 1 and 21']);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Config tests for the animated working favicon badge
+ */
+
+const config = require('../../lib/config');
+const { validateFaviconAnimationConfig } = require('../../lib/validators/config-validators');
+
+describe('Config - Favicon Animation', () => {
+    const validate = (overrides) => {
+        const errors = [];
+        validateFaviconAnimationConfig(
+            { faviconAnimationStyle: 'spinner', faviconAnimationFps: 8, faviconAnimationIdleTimeoutMs: 300000, ...overrides },
+            errors
+        );
+        return errors;
+    };
+
+    it('should default to a spinner at 8fps that stops after 5 minutes', () => {
+        expect(config.faviconAnimationStyle).toBe('spinner');
+        expect(config.faviconAnimationFps).toBe(8);
+        expect(config.faviconAnimationIdleTimeoutMs).toBe(300000);
+        expect(validate({})).toEqual([]);
+    });
+
+    it.each(['spinner', 'pulse', 'none'])('should accept style %s', (style) => {
+        expect(validate({ faviconAnimationStyle: style })).toEqual([]);
+    });
+
+    it('should reject unknown styles', () => {
+        expect(validate({ faviconAnimationStyle: 'bounce' })).toEqual(['FAVICON_ANIMATION_STYLE must be one of: spinner, pulse, none']);
+    });
+
+    it.each([0, 31, NaN])('should reject frame rate %p', (fps) => {
+        expect(validate({ faviconAnimationFps: fps })).toEqual(['FAVICON_ANIMATION_FPS must be an integer between 1 and 30']);
+    });
+
+    it.each([999, NaN])('should reject idle timeout %p', (idle) => {
+        expect(validate({ faviconAnimationIdleTimeoutMs: idle })).toEqual([
+            'FAVICON_ANIMATION_IDLE_TIMEOUT_MS must be at least 1000ms (1 second)',
+        ]);
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Config tests for custom favicon overlays
+ */
+
+const config = require('../../lib/config');
+const { validateFaviconCustomOverlayConfig } = require('../../lib/validators/config-validators');
+
+describe('Config - Custom Favicon Overlay', () => {
+    const validate = (faviconCustomOverlay) => {
+        const errors = [];
+        validateFaviconCustomOverlayConfig({ faviconCustomOverlay }, errors);
+        return errors;
+    };
+
+    it('should be disabled by default', () => {
+        expect(config.faviconCustomOverlay).toBe('none');
+        expect(validate(config.faviconCustomOverlay)).toEqual([]);
+    });
+
+    it.each(['none', 'stripe', 'ribbon'])('should accept style %s', (style) => {
+        expect(validate(style)).toEqual([]);
+    });
+
+    it('should reject unknown styles', () => {
+        expect(validate('banner')).toEqual(['FAVICON_CUSTOM_OVERLAY must be one of: none, stripe, ribbon']);
+    });
+});
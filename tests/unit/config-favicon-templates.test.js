@@ -0,0 +1,42 @@
+/**
+ * Config tests for favicon template selection
+ */
+
+const config = require('../../lib/config');
+const { parseTypeTemplates, validateFaviconTemplateConfig } = require('../../lib/validators/config-validators');
+
+describe('Config - Favicon Templates', () => {
+    it('should default to the classic template', () => {
+        expect(config.faviconTemplate).toBe('classic');
+        expect(config.typeTemplates).toEqual({});
+    });
+
+    describe('parseTypeTemplates', () => {
+        it('should parse type:template pairs', () => {
+            expect(parseTypeTemplates('prod:hexagon, staging : outlined')).toEqual({ prod: 'hexagon', staging: 'outlined' });
+        });
+
+        it('should ignore malformed pairs', () => {
+            expect(parseTypeTemplates('prod,:circle,dev:')).toEqual({});
+            expect(parseTypeTemplates(undefined)).toEqual({});
+        });
+    });
+
+    describe('validateFaviconTemplateConfig', () => {
+        it('should accept known templates', () => {
+            const errors = [];
+            validateFaviconTemplateConfig({ faviconTemplate: 'circle', typeTemplates: { prod: 'split' } }, errors);
+
+            expect(errors).toEqual([]);
+        });
+
+        it('should reject unknown global and per-type templates', () => {
+            const errors = [];
+            validateFaviconTemplateConfig({ faviconTemplate: 'star', typeTemplates: { prod: 'blob' } }, errors);
+
+            expect(errors).toHaveLength(2);
+            expect(errors[0]).toMatch(/FAVICON_TEMPLATE must be one of/);
+            expect(errors[1]).toMatch(/FAVICON_TYPE_TEMPLATES.*"blob".*"prod"/);
+        });
+    });
+});
@@ -223,6 +223,34 @@ describe('DomUtils', () => {
             expect(icon.textContent).toBe('✓');
         });
 
+        it('should pick the icon from the notification status', () => {
+            const needsInput = DomUtils.createNotificationItem({ ...mockNotification, status: 'needs-input' });
+            const error = DomUtils.createNotificationItem({ ...mockNotification, status: 'error' });
+
+            expect(needsInput.querySelector('.vscode-favicon-panel-item-icon').textContent).toBe('?');
+            expect(needsInput.querySelector('.vscode-favicon-panel-item-icon').getAttribute('data-status')).toBe('needs-input');
+            expect(error.querySelector('.vscode-favicon-panel-item-icon').textContent).toBe('!');
+        });
+
+        it('should list the sessions of a multi-session notification', () => {
+            const element = DomUtils.createNotificationItem({
+                ...mockNotification,
+                summary: '1 working, 1 done',
+                sessions: [
+                    { sessionId: '3f2a9c1e-0000-4000-8000-000000000000', status: 'working', message: 'Working...' },
+                    { sessionId: 'worktree', status: 'completed', message: 'Task completed' },
+                ],
+            });
+            const sessions = element.querySelector('.vscode-favicon-panel-item-sessions');
+
+            expect(sessions.children.map((child) => child.textContent)).toEqual([
+                '1 working, 1 done',
+                '3f2a9c1e · Working...',
+                'worktree · Task completed',
+            ]);
+            expect(sessions.children[1].getAttribute('data-status')).toBe('working');
+        });
+
         it('should create project name element', () => {
             const element = DomUtils.createNotificationItem(mockNotification);
             const projectName = element.querySelector('.vscode-favicon-panel-item-project');
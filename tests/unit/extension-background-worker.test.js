@@ -74,6 +74,7 @@ describe('Background Service Worker - Initialization Gate', () => {
         const domainManager = require('../../vscode-favicon-extension/modules/domain-manager');
         const tabManager = require('../../vscode-favicon-extension/modules/tab-manager');
         const notificationPoller = require('../../vscode-favicon-extension/modules/notification-poller');
+        const registryUpdateStream = require('../../vscode-favicon-extension/modules/registry-update-stream');
         const messageRouter = require('../../vscode-favicon-extension/modules/message-router');
 
         // All modules should export successfully without crashing
@@ -83,6 +84,7 @@ describe('Background Service Worker - Initialization Gate', () => {
         expect(domainManager).toBeDefined();
         expect(tabManager).toBeDefined();
         expect(notificationPoller).toBeDefined();
+        expect(registryUpdateStream).toBeDefined();
         expect(messageRouter).toBeDefined();
     });
 
@@ -95,6 +97,7 @@ describe('Background Service Worker - Initialization Gate', () => {
             '../../vscode-favicon-extension/modules/domain-manager.js',
             '../../vscode-favicon-extension/modules/tab-manager.js',
             '../../vscode-favicon-extension/modules/notification-poller.js',
+            '../../vscode-favicon-extension/modules/registry-update-stream.js',
             '../../vscode-favicon-extension/modules/message-router.js',
         ];
 
@@ -252,6 +255,7 @@ describe('Background Service Worker - Initialization Gate', () => {
             '../../vscode-favicon-extension/modules/domain-manager.js',
             '../../vscode-favicon-extension/modules/tab-manager.js',
             '../../vscode-favicon-extension/modules/notification-poller.js',
+            '../../vscode-favicon-extension/modules/registry-update-stream.js',
             '../../vscode-favicon-extension/modules/message-router.js',
         ];
 
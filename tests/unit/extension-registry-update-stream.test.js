@@ -0,0 +1,148 @@
+/**
+ * Unit tests for extension registry-update-stream module
+ */
+
+const { createRegistryUpdateStream, parseFrame } = require('../../vscode-favicon-extension/modules/registry-update-stream');
+
+// Mock fetch
+global.fetch = jest.fn();
+
+// Mock console
+global.console = {
+    ...console,
+    log: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+};
+
+/**
+ * Build a streaming fetch response from text chunks
+ * @param {Array<string>} chunks - Body chunks
+ * @returns {object} - Response-like object
+ */
+function streamResponse(chunks) {
+    const encoder = new TextEncoder();
+    const pending = [...chunks];
+    return {
+        ok: true,
+        status: 200,
+        body: {
+            getReader: () => ({
+                read: async () => (pending.length > 0 ? { value: encoder.encode(pending.shift()), done: false } : { done: true }),
+            }),
+        },
+    };
+}
+
+describe('registry-update-stream', () => {
+    let forwardRegistryUpdate;
+    let stream;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        forwardRegistryUpdate = jest.fn();
+        stream = createRegistryUpdateStream(
+            { getApiBase: () => 'https://test-api.example.com', forwardRegistryUpdate },
+            { RETRY_INITIAL_DELAY: 1000, RETRY_MAX_DELAY: 3000 }
+        );
+    });
+
+    afterEach(() => {
+        stream.disconnect();
+        jest.useRealTimers();
+    });
+
+    describe('parseFrame', () => {
+        it('should read the event name and join data lines', () => {
+            expect(parseFrame('event: registry-updated\ndata: {"paths":\ndata: []}')).toEqual({ event: 'registry-updated', data: '{"paths":\n[]}' });
+            expect(parseFrame(':keepalive')).toEqual({ event: 'message', data: '' });
+        });
+    });
+
+    it('should open one all-projects stream and forward registry changes split across chunks', async () => {
+        fetch.mockResolvedValueOnce(streamResponse([
+            'event: connected\ndata: {"lastEventId":0}\n\nid: 0\nevent: snapshot\ndata: {"notifications":[]}\n\n',
+            'event: registry-updated\r\ndata: {"paths":["/opt/dev/a",',
+            '"b"],"timestamp":1}\r\n\r\n:keepalive\n\n',
+        ]));
+
+        stream.ensureConnected();
+        stream.ensureConnected();
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(fetch).toHaveBeenCalledWith('https://test-api.example.com/notifications/stream/all', expect.objectContaining({ method: 'GET' }));
+        expect(forwardRegistryUpdate.mock.calls).toEqual([[['/opt/dev/a', 'b']]]);
+    });
+
+    it('should retry a rejected stream with exponential backoff', async () => {
+        fetch.mockResolvedValue({ ok: false, status: 429 });
+
+        stream.ensureConnected();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(stream.isConnected()).toBe(false);
+
+        // The polling alarm does not bypass the backoff
+        stream.ensureConnected();
+        await jest.advanceTimersByTimeAsync(999);
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1);
+        expect(fetch).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(fetch).toHaveBeenCalledTimes(3);
+
+        // Capped at RETRY_MAX_DELAY
+        await jest.advanceTimersByTimeAsync(3000);
+        expect(fetch).toHaveBeenCalledTimes(4);
+        await jest.advanceTimersByTimeAsync(3000);
+        expect(fetch).toHaveBeenCalledTimes(5);
+    });
+
+    it('should retry network errors and reset the backoff once connected', async () => {
+        fetch
+            .mockRejectedValueOnce(new Error('Failed to fetch'))
+            .mockRejectedValueOnce(new Error('Failed to fetch'))
+            .mockResolvedValueOnce(streamResponse(['event: connected\ndata: {}\n\n']))
+            .mockRejectedValueOnce(new Error('Failed to fetch'));
+
+        stream.ensureConnected();
+        await jest.advanceTimersByTimeAsync(1000 + 2000);
+        expect(fetch).toHaveBeenCalledTimes(3);
+
+        // Connected, then the stream ended: the next retry starts from the initial delay
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should ask every tab to revalidate after reconnecting a dropped stream', async () => {
+        fetch
+            .mockResolvedValueOnce(streamResponse(['event: connected\ndata: {}\n\n']))
+            .mockResolvedValueOnce(streamResponse(['event: connected\ndata: {}\n\n']));
+
+        stream.ensureConnected();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(forwardRegistryUpdate).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(forwardRegistryUpdate).toHaveBeenCalledWith(null);
+    });
+
+    it('should not retry after disconnect', async () => {
+        fetch.mockImplementationOnce((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new Error('aborted')));
+        }));
+
+        stream.ensureConnected();
+        expect(stream.isConnected()).toBe(true);
+        stream.disconnect();
+        await jest.advanceTimersByTimeAsync(10000);
+
+        expect(stream.isConnected()).toBe(false);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
@@ -354,5 +354,37 @@ describe('tab-manager', () => {
                 await expect(manager.broadcastNotifications()).resolves.not.toThrow();
             });
         });
+
+        describe('forwardRegistryUpdate', () => {
+            const mockTabs = [
+                { id: 123, url: 'https://vs.noreika.lt/?folder=/opt/dev/Test1' },
+                { id: 124, url: 'https://vs.noreika.lt/?folder=/opt/dev/test2/' },
+                { id: 125, url: 'https://vs.noreika.lt/?folder=/opt/dev/test3' },
+                { id: 126, url: 'https://google.com/' },
+            ];
+
+            it('should message only tabs whose folder or name changed', async () => {
+                chrome.tabs.query.mockResolvedValue(mockTabs);
+                chrome.tabs.sendMessage.mockResolvedValue({});
+
+                const manager = createTabManager(mockDeps);
+                await manager.forwardRegistryUpdate(['/opt/dev/test1', 'test2', '/opt/prod/other']);
+
+                expect(chrome.tabs.sendMessage.mock.calls).toEqual([
+                    [123, { type: 'REGISTRY_UPDATED' }],
+                    [124, { type: 'REGISTRY_UPDATED' }],
+                ]);
+            });
+
+            it('should message every VS Code tab when updates may have been missed', async () => {
+                chrome.tabs.query.mockResolvedValue(mockTabs);
+                chrome.tabs.sendMessage.mockRejectedValueOnce(new Error('Tab not ready')).mockResolvedValue({});
+
+                const manager = createTabManager(mockDeps);
+                await manager.forwardRegistryUpdate(null);
+
+                expect(chrome.tabs.sendMessage.mock.calls.map(([tabId]) => tabId)).toEqual([123, 124, 125]);
+            });
+        });
     });
 });
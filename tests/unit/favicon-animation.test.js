@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for the animated "working" favicon badge
+ */
+
+const {
+    buildWorkingAnimation,
+    resolveAnimationSettings,
+    formatAnimation,
+    ANIMATION_DEFAULTS,
+    ANIMATION_FRAME_COUNT,
+} = require('../../lib/services/favicon-animation');
+const { BADGE_COLORS } = require('../../lib/services/favicon-badges');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+const { rasterizeToPng } = require('../../lib/services/favicon-rasterizer');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+describe('Favicon Animation', () => {
+    describe('resolveAnimationSettings', () => {
+        it('should apply defaults', () => {
+            expect(resolveAnimationSettings()).toEqual(ANIMATION_DEFAULTS);
+        });
+
+        it('should fall back for unknown styles and clamp the frame rate', () => {
+            expect(resolveAnimationSettings({ style: 'wobble', fps: 500, idleTimeoutMs: 10 })).toEqual({
+                style: ANIMATION_DEFAULTS.style,
+                fps: 30,
+                idleTimeoutMs: 1000,
+            });
+        });
+    });
+
+    describe('buildWorkingAnimation', () => {
+        it('should return null for style none', () => {
+            expect(buildWorkingAnimation({ style: 'none' })).toBeNull();
+        });
+
+        it('should draw a spinner ring of dots around the working dot', () => {
+            const { shapes } = buildWorkingAnimation({ style: 'spinner' });
+
+            expect(shapes.slice(0, 2).map((shape) => shape.fill)).toEqual(['white', BADGE_COLORS.working]);
+            expect(shapes).toHaveLength(2 + ANIMATION_FRAME_COUNT);
+            expect(shapes[2].animate).toEqual(expect.objectContaining({ attribute: 'opacity', dur: 1 }));
+        });
+
+        it('should derive the cycle duration and repeat count from fps and idle timeout', () => {
+            const { shapes } = buildWorkingAnimation({ style: 'pulse', fps: 4, idleTimeoutMs: 60000 });
+
+            // 8 frames at 4fps = 2s per cycle, 30 cycles per minute
+            expect(shapes[1].animate).toEqual(expect.objectContaining({ dur: 2, repeatCount: 30 }));
+            expect(shapes[1].opacity).toBe(shapes[1].animate.values[0]);
+        });
+
+        it('should render a single static frame without animation descriptors', () => {
+            const animated = buildWorkingAnimation({ style: 'spinner' });
+            const frame = buildWorkingAnimation({ style: 'spinner' }, { frame: 3 });
+
+            expect(frame.shapes.every((shape) => shape.animate === undefined)).toBe(true);
+            frame.shapes.slice(2).forEach((shape, i) => {
+                expect(shape.opacity).toBe(animated.shapes[i + 2].animate.values[3]);
+            });
+            // The leading dot advances one position per frame
+            expect(frame.shapes[2 + 3].opacity).toBe(1);
+        });
+    });
+
+    describe('formatAnimation', () => {
+        it('should produce cache key variants', () => {
+            expect(formatAnimation(undefined)).toBe('');
+            expect(formatAnimation({ animate: true })).toBe('');
+            expect(formatAnimation({ animate: false })).toBe('static');
+            expect(formatAnimation({ animate: true, frame: 5 })).toBe('frame-5');
+        });
+    });
+
+    describe('generator output', () => {
+        const generator = new FaviconGenerator({
+            typeColors: { dev: '#263238' },
+            defaultColors: ['#45B7D1'],
+            animation: { style: 'pulse', fps: 8, idleTimeoutMs: 10000 },
+        });
+        const working = { badge: { type: 'working' } };
+
+        it('should emit a finite SMIL animation for the working badge', () => {
+            const svg = generator.generateSvgFavicon('my-app', { type: 'dev' }, working);
+
+            expect(svg).toContain('<animate attributeName="opacity" values="1;0.85;0.65;0.45;0.3;0.45;0.65;0.85" dur="1s" calcMode="discrete" repeatCount="10"/></circle>');
+            expect(svg).not.toContain('indefinite');
+        });
+
+        it('should render the static dot when animation is disabled', () => {
+            const svg = generator.generateSvgFavicon('my-app', { type: 'dev' }, { ...working, animation: { animate: false } });
+
+            expect(svg).not.toContain('<animate');
+            expect(svg).toContain(`fill="${BADGE_COLORS.working}"/>`);
+        });
+
+        it('should render individual frames without animation', () => {
+            const svg = generator.generateSvgFavicon('my-app', { type: 'dev' }, { ...working, animation: { frame: 4 } });
+
+            expect(svg).not.toContain('<animate');
+            expect(svg).toContain('opacity="0.3"');
+        });
+
+        it('should not animate other badges', () => {
+            expect(generator.generateSvgFavicon('my-app', { type: 'dev' }, { badge: { type: 'completed' } })).not.toContain('<animate');
+        });
+
+        it('should drop animation descriptors that fail validation', () => {
+            expect(generator.sanitizeAnimate({ attribute: 'onbegin', values: [1], dur: 1, repeatCount: 1 })).toBeUndefined();
+            expect(generator.sanitizeAnimate({ attribute: 'opacity', values: ['1"/><script>'], dur: 1, repeatCount: 1 })).toBeUndefined();
+        });
+
+        it('should rasterize distinct frames', () => {
+            const frames = [0, 4].map((frame) =>
+                rasterizeToPng(generator.buildLayout('my-app', { type: 'dev' }, { ...working, animation: { frame } }), 32)
+            );
+
+            expect(frames[0].equals(frames[1])).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests for favicon status badges
+ */
+
+const {
+    parseBadge,
+    formatBadge,
+    badgeFromNotification,
+    buildBadgeLayers,
+    BADGE_COLORS,
+    MAX_BADGE_COUNT,
+} = require('../../lib/services/favicon-badges');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+describe('Favicon Badges', () => {
+    describe('parseBadge', () => {
+        it.each(['working', 'completed', 'needs-input', 'error', 'auto'])('should parse %s', (value) => {
+            expect(parseBadge(value)).toEqual({ type: value });
+        });
+
+        it('should parse counts', () => {
+            expect(parseBadge('count:3')).toEqual({ type: 'count', count: 3 });
+        });
+
+        it('should clamp large counts so they share one variant', () => {
+            expect(parseBadge('count:12')).toEqual({ type: 'count', count: MAX_BADGE_COUNT + 1 });
+            expect(parseBadge('count:9999')).toEqual(parseBadge('count:10'));
+        });
+
+        it('should treat zero counts as no badge', () => {
+            expect(parseBadge('count:0')).toBeNull();
+        });
+
+        it.each([undefined, '', 'count:', 'count:-1', 'count:12345', 'busy', 'working;x'])('should reject %p', (value) => {
+            expect(parseBadge(value)).toBeNull();
+        });
+    });
+
+    describe('formatBadge', () => {
+        it('should round-trip parsed badges', () => {
+            expect(formatBadge(parseBadge('count:4'))).toBe('count:4');
+            expect(formatBadge(parseBadge('error'))).toBe('error');
+            expect(formatBadge(null)).toBe('');
+        });
+    });
+
+    describe('badgeFromNotification', () => {
+        it('should show working for active sessions', () => {
+            expect(badgeFromNotification({ status: 'working', unread: true })).toEqual({ type: 'working' });
+        });
+
+        it('should show completed only while unread', () => {
+            expect(badgeFromNotification({ status: 'completed', unread: true })).toEqual({ type: 'completed' });
+            expect(badgeFromNotification({ status: 'completed', unread: false })).toBeNull();
+        });
+
+        it('should show needs-input and error while unread', () => {
+            expect(badgeFromNotification({ status: 'needs-input', unread: true })).toEqual({ type: 'needs-input' });
+            expect(badgeFromNotification({ status: 'error', unread: true })).toEqual({ type: 'error' });
+            expect(badgeFromNotification({ status: 'error', unread: false })).toBeNull();
+        });
+
+        it('should show nothing without a notification', () => {
+            expect(badgeFromNotification(null)).toBeNull();
+        });
+    });
+
+    describe('buildBadgeLayers', () => {
+        it('should draw a colored dot with a white ring for status badges', () => {
+            const { shapes, texts } = buildBadgeLayers({ type: 'working' });
+
+            expect(shapes.map((shape) => shape.fill)).toEqual(['white', BADGE_COLORS.working]);
+            expect(texts).toEqual([]);
+        });
+
+        it('should draw the count inside a bubble', () => {
+            const { texts } = buildBadgeLayers({ type: 'count', count: 7 });
+
+            expect(texts).toEqual([expect.objectContaining({ text: '7', fill: 'white' })]);
+        });
+
+        it('should draw "9+" for counts above the maximum', () => {
+            const { shapes, texts } = buildBadgeLayers({ type: 'count', count: MAX_BADGE_COUNT + 1 });
+
+            expect(texts[0].text).toBe('9');
+            expect(shapes).toHaveLength(4);
+        });
+
+        it('should draw the error mark with shapes only', () => {
+            const { shapes, texts } = buildBadgeLayers({ type: 'error' });
+
+            expect(shapes[1].fill).toBe(BADGE_COLORS.error);
+            expect(texts).toEqual([]);
+        });
+
+        it('should ignore unresolved auto badges', () => {
+            expect(buildBadgeLayers({ type: 'auto' })).toEqual({ shapes: [], texts: [] });
+        });
+    });
+
+    describe('SVG composition', () => {
+        const generator = new FaviconGenerator({ typeColors: { dev: '#263238' }, defaultColors: ['#45B7D1'] });
+
+        it('should render the badge after the initials', () => {
+            const svg = generator.generateSvgFavicon('my-app', { type: 'dev' }, { badge: { type: 'count', count: 2 } });
+
+            expect(svg.indexOf('>MA</text>')).toBeLessThan(svg.indexOf(`fill="${BADGE_COLORS.count}"`));
+            expect(svg).toContain('>2</text>');
+        });
+
+        it('should leave unbadged output unchanged', () => {
+            expect(generator.generateSvgFavicon('my-app', { type: 'dev' }, {})).not.toContain('<circle');
+        });
+    });
+});
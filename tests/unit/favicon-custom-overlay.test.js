@@ -0,0 +1,310 @@
+/**
+ * Unit Tests for type/port overlays on custom favicon files
+ */
+
+const zlib = require('zlib');
+const { decodePng, decodeIco, decodeImage } = require('../../lib/services/favicon-decoder');
+const { buildCustomOverlayLayers } = require('../../lib/services/favicon-custom-overlay');
+const { encodePng, encodeIco, renderLayout } = require('../../lib/services/favicon-rasterizer');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+const FaviconService = require('../../lib/services/favicon-service');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+/**
+ * Build a PNG with arbitrary color type and per-row filter bytes (CRCs are not checked by the decoder)
+ */
+function makePng({ width, height, colorType, rows, chunks = [] }) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+        return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+    };
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = colorType;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        ...chunks.map(([type, data]) => chunk(type, data)),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(rows.map((row) => Buffer.from(row))))),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+function solidPng(size, [r, g, b, a]) {
+    return encodePng(size, size, Buffer.from(Array.from({ length: size * size }, () => [r, g, b, a]).flat()));
+}
+
+function pixelAt(canvas, x, y) {
+    const rgba = canvas.toRGBA();
+    const offset = (y * canvas.size + x) * 4;
+    return Array.from(rgba.subarray(offset, offset + 4));
+}
+
+describe('Custom Favicon Overlays', () => {
+    describe('decodePng', () => {
+        it('should round-trip RGBA PNGs from the encoder', () => {
+            const image = decodePng(solidPng(4, [10, 20, 30, 200]));
+            expect(image).toMatchObject({ width: 4, height: 4 });
+            expect(Array.from(image.rgba.subarray(0, 4))).toEqual([10, 20, 30, 200]);
+        });
+
+        it('should reverse sub, up, average and paeth filters', () => {
+            // 2x4 RGB image where every pixel is (10, 20, 30)
+            const png = makePng({
+                width: 2,
+                height: 4,
+                colorType: 2,
+                rows: [
+                    [1, 10, 20, 30, 0, 0, 0], // sub
+                    [2, 0, 0, 0, 0, 0, 0], // up
+                    [3, 5, 10, 15, 0, 0, 0], // average
+                    [4, 0, 0, 0, 0, 0, 0], // paeth
+                ],
+            });
+
+            const image = decodePng(png);
+            expect(Array.from(image.rgba)).toEqual(Array.from({ length: 8 }, () => [10, 20, 30, 255]).flat());
+        });
+
+        it('should expand palette images with transparency', () => {
+            const png = makePng({
+                width: 2,
+                height: 1,
+                colorType: 3,
+                rows: [[0, 0, 1]],
+                chunks: [
+                    ['PLTE', Buffer.from([255, 0, 0, 0, 0, 255])],
+                    ['tRNS', Buffer.from([0])],
+                ],
+            });
+
+            expect(Array.from(decodePng(png).rgba)).toEqual([255, 0, 0, 0, 0, 0, 255, 255]);
+        });
+
+        it('should expand gray+alpha images', () => {
+            const png = makePng({ width: 1, height: 1, colorType: 4, rows: [[0, 128, 64]] });
+            expect(Array.from(decodePng(png).rgba)).toEqual([128, 128, 128, 64]);
+        });
+
+        it('should return null for invalid or unsupported files', () => {
+            expect(decodePng(Buffer.from('not a png'))).toBeNull();
+            const interlaced = solidPng(2, [0, 0, 0, 255]);
+            interlaced[28] = 1; // IHDR interlace byte
+            expect(decodePng(interlaced)).toBeNull();
+        });
+    });
+
+    describe('decodeIco', () => {
+        it('should decode the largest PNG entry', () => {
+            const ico = encodeIco([
+                { size: 16, data: solidPng(16, [255, 0, 0, 255]) },
+                { size: 32, data: solidPng(32, [0, 0, 255, 255]) },
+            ]);
+
+            const image = decodeIco(ico);
+            expect(image.width).toBe(32);
+            expect(Array.from(image.rgba.subarray(0, 4))).toEqual([0, 0, 255, 255]);
+        });
+
+        it('should return null for BMP-only icons', () => {
+            const bmpEntry = Buffer.alloc(40);
+            expect(decodeIco(encodeIco([{ size: 16, data: bmpEntry }]))).toBeNull();
+            expect(decodeImage(Buffer.from('<svg/>'), 'image/svg+xml')).toBeNull();
+        });
+    });
+
+    describe('buildCustomOverlayLayers', () => {
+        const params = { color: '#D32F2F', foreground: 'white', port: '3000' };
+
+        it('should draw a bottom stripe with the port', () => {
+            const layer = buildCustomOverlayLayers('stripe', params);
+            expect(layer.shapes).toEqual([{ type: 'rect', x: 0, y: 24, width: 32, height: 8, fill: '#D32F2F' }]);
+            expect(layer.texts[0]).toMatchObject({ text: '3000', x: 16, fill: 'white' });
+        });
+
+        it('should draw a corner ribbon and port tag', () => {
+            const layer = buildCustomOverlayLayers('ribbon', params);
+            expect(layer.shapes.map((shape) => shape.type)).toEqual(['polygon', 'rect']);
+            expect(buildCustomOverlayLayers('ribbon', { ...params, port: '' })).toEqual({ shapes: [layer.shapes[0]], texts: [] });
+        });
+
+        it('should draw nothing for none', () => {
+            expect(buildCustomOverlayLayers('none', params)).toEqual({ shapes: [], texts: [] });
+        });
+    });
+
+    describe('FaviconGenerator.generateCustomFavicon', () => {
+        const generator = new FaviconGenerator({ typeColors: { prod: '#D32F2F', dev: '#00ACC1' }, defaultColors: ['#45B7D1'], customOverlay: 'stripe' });
+        const png = { contentType: 'image/png', data: solidPng(64, [0, 0, 255, 255]) };
+
+        it('should serve files unchanged when the overlay is disabled', () => {
+            const disabled = new FaviconGenerator({ typeColors: { prod: '#D32F2F' }, defaultColors: ['#45B7D1'] });
+            expect(disabled.generateCustomFavicon('app', { type: 'prod' }, png)).toBeNull();
+            expect(generator.generateCustomFavicon('app', { type: 'prod', customOverlay: 'none' }, png)).toBeNull();
+        });
+
+        it('should wrap SVG files as an image below the overlay', () => {
+            const svg = { contentType: 'image/svg+xml', data: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>') };
+            const result = generator.generateCustomFavicon('app', { type: 'prod', port: 8080 }, svg, { format: 'png' });
+            const markup = result.data.toString();
+
+            expect(result.contentType).toBe('image/svg+xml');
+            expect(markup).toContain(`<image href="data:image/svg+xml;base64,${svg.data.toString('base64')}" width="32" height="32"/>`);
+            expect(markup).not.toContain('<script>');
+            expect(markup).toContain('fill="#D32F2F"');
+            expect(markup).toContain('>8080</text>');
+        });
+
+        it('should apply the grayscale filter to wrapped SVG files', () => {
+            const svg = { contentType: 'image/svg+xml', data: Buffer.from('<svg/>') };
+            const markup = generator.generateCustomFavicon('app', { type: 'prod' }, svg, { grayscale: true }).data.toString();
+
+            expect(markup).toContain('<feColorMatrix type="saturate" values="0"/>');
+            expect(markup).toContain('filter="url(#grayscale)"');
+            expect(markup).not.toContain('#D32F2F');
+        });
+
+        it('should composite the stripe onto raster files', () => {
+            const result = generator.generateCustomFavicon('app', { type: 'prod' }, png, { format: 'png', size: 32 });
+            const image = decodePng(result.data);
+            const at = (x, y) => Array.from(image.rgba.subarray((y * 32 + x) * 4, (y * 32 + x) * 4 + 4));
+
+            expect(result.contentType).toBe('image/png');
+            expect(at(16, 4)).toEqual([0, 0, 255, 255]);
+            expect(at(2, 28)).toEqual([0xd3, 0x2f, 0x2f, 255]);
+        });
+
+        it('should keep the source size for the default format and honor format=ico', () => {
+            expect(decodePng(generator.generateCustomFavicon('app', { type: 'prod' }, png).data).width).toBe(64);
+            expect(generator.generateCustomFavicon('app', { type: 'prod' }, png, { format: 'ico' }).contentType).toBe('image/x-icon');
+        });
+
+        it('should desaturate raster files in grayscale mode', () => {
+            const layout = generator.buildCustomLayout('app', { type: 'prod' }, { bitmap: decodePng(png.data) }, { grayscale: true });
+            const [r, g, b] = pixelAt(renderLayout(layout, 32), 16, 4);
+
+            expect(r).toBe(g);
+            expect(g).toBe(b);
+        });
+
+        it('should serve undecodable files unchanged', () => {
+            expect(generator.generateCustomFavicon('app', { type: 'prod' }, { contentType: 'image/x-icon', data: Buffer.from('BM') })).toBeNull();
+        });
+
+        it('should convert raster files to the requested format and size without an overlay', () => {
+            const disabled = new FaviconGenerator({ typeColors: { prod: '#D32F2F' }, defaultColors: ['#45B7D1'] });
+            const ico = { contentType: 'image/x-icon', data: encodeIco([{ size: 48, data: solidPng(48, [0, 0, 255, 255]) }]) };
+
+            const resized = disabled.generateCustomFavicon('app', { type: 'prod' }, png, { format: 'png', size: 16 });
+            expect(resized.contentType).toBe('image/png');
+            expect(decodePng(resized.data)).toMatchObject({ width: 16, height: 16 });
+            expect(decodeIco(disabled.generateCustomFavicon('app', { type: 'prod' }, png, { format: 'ico' }).data)).not.toBeNull();
+            expect(decodePng(disabled.generateCustomFavicon('app', { type: 'prod' }, ico, { format: 'png', size: 32 }).data).width).toBe(32);
+
+            expect(disabled.generateCustomFavicon('app', { type: 'prod' }, ico, { format: 'ico' })).toBeNull();
+            expect(disabled.generateCustomFavicon('app', { type: 'prod' }, png, { format: 'svg' })).toBeNull();
+        });
+
+        it('should draw status badges even when the overlay is disabled', () => {
+            const disabled = new FaviconGenerator({ typeColors: { prod: '#D32F2F' }, defaultColors: ['#45B7D1'] });
+            const svg = { contentType: 'image/svg+xml', data: Buffer.from('<svg/>') };
+
+            const image = decodePng(disabled.generateCustomFavicon('app', { type: 'prod' }, png, { badge: { type: 'completed' } }).data);
+            const at = (x, y) => Array.from(image.rgba.subarray((y * 64 + x) * 4, (y * 64 + x) * 4 + 4));
+            expect(at(8, 56)).toEqual([0, 0, 255, 255]);
+            expect(at(52, 12)).toEqual([0x00, 0xe6, 0x76, 255]);
+
+            const markup = disabled.generateCustomFavicon('app', { type: 'prod' }, svg, { badge: { type: 'count', count: 3 } }).data.toString();
+            expect(markup).toContain('<image href="data:image/svg+xml;base64,');
+            expect(markup).toContain('>3</text>');
+        });
+
+        it('should report undecodable files that need converting', () => {
+            const bmp = { contentType: 'image/x-icon', data: Buffer.from('BM') };
+
+            expect(generator.generateCustomFavicon('app', { type: 'prod' }, bmp, { format: 'png', size: 32 })).toBeNull();
+            expect(generator.customFileMatchesFormat(bmp, { format: 'png' })).toBe(false);
+            expect(generator.customFileMatchesFormat(bmp, { format: 'ico' })).toBe(true);
+            expect(generator.customFileMatchesFormat({ contentType: 'image/png' }, { format: 'ico' })).toBe(false);
+        });
+    });
+
+    describe('FaviconService.getFavicon', () => {
+        let service;
+
+        beforeEach(() => {
+            service = new FaviconService({
+                registryCache: { getRegistry: jest.fn().mockResolvedValue({ projects: { '/opt/dev/app': { type: 'prod', port: 3000 } } }) },
+                faviconCache: { get: jest.fn(), set: jest.fn() },
+                typeColors: { prod: '#D32F2F' },
+                defaultColors: ['#45B7D1'],
+                customOverlay: 'ribbon',
+            });
+            jest.spyOn(service, 'findFaviconFile').mockResolvedValue('/opt/dev/app/favicon.png');
+            jest.spyOn(service, 'readFileWithErrorHandling').mockResolvedValue(solidPng(32, [0, 0, 255, 255]));
+        });
+
+        afterEach(() => {
+            service.close();
+        });
+
+        it('should composite custom files and attach validators', async () => {
+            const result = await service.getFavicon('/opt/dev/app', { format: 'png', size: 32, grayscale: true });
+            const image = decodePng(result.data);
+
+            expect(result.contentType).toBe('image/png');
+            expect(result.etag).toMatch(/^"[\w-]+"$/);
+            expect(result.fingerprint).toBeDefined();
+            expect(result).toMatchObject({ filePath: '/opt/dev/app/favicon.png', mtimeMs: null });
+            // Top-left ribbon in grayscale type color
+            expect(Array.from(image.rgba.subarray(4, 8))).toEqual([0x60, 0x60, 0x60, 255]);
+        });
+
+        it('should generate raster favicons for custom SVG files', async () => {
+            service.findFaviconFile.mockResolvedValue('/opt/dev/app/favicon.svg');
+
+            const png = await service.getFavicon('/opt/dev/app', { format: 'png', size: 32 });
+            const ico = await service.getFavicon('/opt/dev/app', { format: 'ico' });
+
+            expect(png.contentType).toBe('image/png');
+            expect(decodePng(png.data)).toMatchObject({ width: 32, height: 32 });
+            expect(ico.contentType).toBe('image/x-icon');
+            expect(decodeIco(ico.data)).not.toBeNull();
+            expect(service.readFileWithErrorHandling).not.toHaveBeenCalled();
+        });
+
+        it('should convert custom files to the requested size', async () => {
+            const result = await service.getFavicon('/opt/dev/app', { format: 'png', size: 16 });
+
+            expect(decodePng(result.data)).toMatchObject({ width: 16, height: 16 });
+            expect(result.filePath).toBe('/opt/dev/app/favicon.png');
+        });
+
+        it('should generate the favicon when a custom file cannot be converted', async () => {
+            service.findFaviconFile.mockResolvedValue('/opt/dev/app/favicon.ico');
+            service.readFileWithErrorHandling.mockResolvedValue(Buffer.from('BM'));
+
+            const png = await service.getFavicon('/opt/dev/app', { format: 'png', size: 32 });
+            const ico = await service.getFavicon('/opt/dev/app', { format: 'ico' });
+
+            expect(png.contentType).toBe('image/png');
+            expect(decodePng(png.data)).toMatchObject({ width: 32, height: 32 });
+            expect(png.filePath).toBeUndefined();
+            // Already an ICO: served unchanged
+            expect(ico).toMatchObject({ contentType: 'image/x-icon', data: Buffer.from('BM'), filePath: '/opt/dev/app/favicon.ico' });
+
+            // Badges cannot be drawn on it either
+            const badged = await service.getFavicon('/opt/dev/app', { format: 'ico', badge: 'error' });
+            expect(badged.filePath).toBeUndefined();
+        });
+    });
+});
@@ -73,6 +73,8 @@ describe('Favicon Generation', () => {
     });
 
     afterEach(() => {
+        faviconService.close();
+
         // Cleanup test directory
         if (fs.existsSync(testProjectPath)) {
             fs.rmSync(testProjectPath, { recursive: true, force: true });
@@ -269,7 +271,8 @@ describe('Favicon Generation', () => {
             const svg = faviconService.generateSvgFavicon('test');
 
             expect(svg).toContain('text-anchor="middle"');
-            expect(svg).toContain('fill="white"');
+            // Dev teal (#4ECDC4) is too light for white text at the default 4.5:1 contrast
+            expect(svg).toContain('fill="black"');
             expect(svg).toContain('font-family="Arial, sans-serif"');
             expect(svg).toContain('font-size="14"');
             expect(svg).toContain('font-weight="bold"');
@@ -466,18 +469,26 @@ describe('Favicon Generation', () => {
 
     describe('getFavicon Integration', () => {
         test('should use cache when available', async () => {
-            const cachedResult = {
-                contentType: 'image/svg+xml',
-                data: Buffer.from('<svg></svg>'),
-            };
+            mockFaviconCache.get.mockReturnValue(null);
+            const cachedResult = await faviconService.getFavicon('/opt/dev/test');
             mockFaviconCache.get.mockReturnValue(cachedResult);
 
             const result = await faviconService.getFavicon('/opt/dev/test');
 
             expect(result).toBe(cachedResult);
+            expect(mockFaviconCache.set).toHaveBeenCalledTimes(1);
             expect(mockFaviconCache.get).toHaveBeenCalledWith(makeCacheKey('favicon', '/opt/dev/test', ''));
         });
 
+        test('should regenerate cached favicons when the registry entry changes', async () => {
+            mockFaviconCache.get.mockReturnValue({ contentType: 'image/svg+xml', data: Buffer.from('<svg></svg>'), fingerprint: 'stale' });
+
+            const result = await faviconService.getFavicon('/opt/dev/test');
+
+            expect(result.data.toString()).not.toBe('<svg></svg>');
+            expect(mockFaviconCache.set).toHaveBeenCalledTimes(1);
+        });
+
         test('should return existing favicon file when found', async () => {
             mockFaviconCache.get.mockReturnValue(null);
 
@@ -618,6 +629,105 @@ describe('Favicon Generation', () => {
             expect(result.contentType).toBe('image/svg+xml');
             expect(result.data.toString()).toBe(svgData);
         });
+
+        test('should generate PNG favicon under a format-aware cache key', async () => {
+            mockFaviconCache.get.mockReturnValue(null);
+
+            const result = await faviconService.getFavicon(testProjectPath, { format: 'png', size: 64 });
+
+            expect(result.contentType).toBe('image/png');
+            expect(result.data.readUInt32BE(16)).toBe(64);
+            expect(mockFaviconCache.set).toHaveBeenCalledWith(
+                makeCacheKey('favicon', testProjectPath, 'png', 64),
+                result
+            );
+        });
+
+        test('should composite a status badge under a badge-aware cache key', async () => {
+            mockFaviconCache.get.mockReturnValue(null);
+
+            const result = await faviconService.getFavicon(testProjectPath, { badge: 'completed' });
+
+            expect(result.data.toString()).toContain('fill="#00E676"');
+            expect(mockFaviconCache.set).toHaveBeenCalledWith(makeCacheKey('favicon', testProjectPath, 'badge-completed'), result);
+        });
+
+        test('should generate ICO favicon', async () => {
+            mockFaviconCache.get.mockReturnValue(null);
+
+            const result = await faviconService.getFavicon(testProjectPath, { format: 'ico' });
+
+            expect(result.contentType).toBe('image/x-icon');
+            expect(result.data.readUInt16LE(2)).toBe(1);
+        });
+    });
+
+    describe('Project Overrides', () => {
+        test('should merge .favicon.json over registry data', async () => {
+            mockFaviconCache.get.mockReturnValue(null);
+            mockRegistryCache.getRegistry.mockResolvedValue({
+                projects: { [testProjectPath]: { name: 'registry-name', type: 'dev', port: '8080' } },
+            });
+            fs.writeFileSync(
+                path.join(testProjectPath, '.favicon.json'),
+                JSON.stringify({ initials: 'xy', backgroundColor: '#123456', textColor: '#FFEE00', shape: 'circle', badge: 'BETA' })
+            );
+
+            const svg = (await faviconService.getFavicon(testProjectPath)).data.toString();
+
+            expect(svg).toContain('<circle cx="16" cy="16" r="16" fill="#123456"/>');
+            expect(svg).toContain('fill="#FFEE00"');
+            expect(svg).toContain('>XY</text>');
+            expect(svg).toContain('>BETA</text>');
+            expect(svg).not.toContain('8080');
+        });
+
+        test('should read the favicon key from package.json', async () => {
+            mockFaviconCache.get.mockReturnValue(null);
+            fs.writeFileSync(
+                path.join(testProjectPath, 'package.json'),
+                JSON.stringify({ name: 'pkg', favicon: { shape: 'square', backgroundColor: '#00FF00' } })
+            );
+
+            const svg = (await faviconService.getFavicon(testProjectPath)).data.toString();
+
+            expect(svg).toContain('<rect width="32" height="32" fill="#00FF00"/>');
+        });
+
+        test('should ignore unsafe override values', async () => {
+            mockFaviconCache.get.mockReturnValue(null);
+            fs.writeFileSync(
+                path.join(testProjectPath, '.favicon.json'),
+                JSON.stringify({ initials: '<s>', backgroundColor: 'red;x', textColor: '#FFF', shape: 'star', badge: 'a"b' })
+            );
+
+            const overrides = await faviconService.getProjectOverrides(testProjectPath);
+            const svg = (await faviconService.getFavicon(testProjectPath)).data.toString();
+
+            expect(overrides).toEqual({});
+            expect(svg).not.toContain('<s>');
+            expect(svg).not.toContain('#FFF"');
+            expect(svg).toContain('fill="black"');
+        });
+
+        test('should remove every cached variant of a project on invalidation', () => {
+            const LRUCache = require('../../lib/lru-cache');
+            const cache = new LRUCache(10);
+            const service = new FaviconService({
+                registryCache: mockRegistryCache,
+                faviconCache: cache,
+                typeColors: mockConfig.typeColors,
+                defaultColors: mockConfig.defaultColors,
+            });
+            cache.set(makeCacheKey('favicon', testProjectPath), 'svg');
+            cache.set(makeCacheKey('favicon', testProjectPath, 'gray', 'png', 64), 'png');
+            cache.set(makeCacheKey('favicon', `${testProjectPath}-other`), 'other');
+
+            service.projectOverrides.invalidate(testProjectPath);
+
+            expect(cache.keys()).toEqual([makeCacheKey('favicon', `${testProjectPath}-other`)]);
+            service.close();
+        });
     });
 
     describe('Edge Cases', () => {
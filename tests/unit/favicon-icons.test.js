@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for the Web App Manifest icon set
+ */
+
+const { ICON_SET, ICON_NAMES, getIcon, scaleLayer, parseStartUrl, buildManifest } = require('../../lib/services/favicon-icons');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+const { renderLayout } = require('../../lib/services/favicon-rasterizer');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+function alphaAt(canvas, x, y) {
+    return canvas.toRGBA()[(y * canvas.size + x) * 4 + 3];
+}
+
+describe('Favicon Icons', () => {
+    describe('getIcon', () => {
+        it('should return icon definitions by name', () => {
+            expect(getIcon('apple-touch-icon')).toEqual({ size: 180, purpose: 'any', fullBleed: true });
+            expect(getIcon('maskable-512')).toMatchObject({ size: 512, purpose: 'maskable', inset: 0.8 });
+        });
+
+        it('should return null for unknown names', () => {
+            expect(getIcon('icon-1024')).toBeNull();
+            expect(getIcon('__proto__')).toBeNull();
+        });
+    });
+
+    describe('scaleLayer', () => {
+        it('should scale geometry around the canvas center', () => {
+            const scaled = scaleLayer(
+                {
+                    shapes: [
+                        { type: 'rect', width: 32, height: 32, rx: 4, fill: 'white' },
+                        { type: 'circle', cx: 16, cy: 16, r: 10, fill: 'white' },
+                        { type: 'polygon', points: [[0, 0], [32, 32]], fill: 'white' },
+                    ],
+                    texts: [{ text: 'AB', x: 16, y: 20, fontSize: 10, fill: 'white' }],
+                },
+                0.5
+            );
+
+            expect(scaled.shapes[0]).toMatchObject({ x: 8, y: 8, width: 16, height: 16, rx: 2 });
+            expect(scaled.shapes[1]).toMatchObject({ cx: 16, cy: 16, r: 5 });
+            expect(scaled.shapes[2].points).toEqual([[8, 8], [24, 24]]);
+            expect(scaled.texts[0]).toMatchObject({ x: 16, y: 18, fontSize: 5 });
+        });
+    });
+
+    describe('parseStartUrl', () => {
+        it('should accept http(s) URLs only', () => {
+            expect(parseStartUrl('https://vs.example.com/?folder=/opt/dev/app').href).toBe('https://vs.example.com/?folder=/opt/dev/app');
+            expect(parseStartUrl('javascript:alert(1)')).toBeNull();
+            expect(parseStartUrl('not a url')).toBeNull();
+            expect(parseStartUrl(42)).toBeNull();
+        });
+    });
+
+    describe('buildManifest', () => {
+        it('should list every icon with its size and purpose', () => {
+            const manifest = buildManifest({ name: 'my-app', folder: '/opt/dev/my-app', themeColor: '#4ECDC4' });
+
+            expect(manifest.icons).toHaveLength(ICON_NAMES.length);
+            expect(manifest.icons[0]).toEqual({
+                src: '/api/icons/apple-touch-icon.png?folder=%2Fopt%2Fdev%2Fmy-app',
+                sizes: '180x180',
+                type: 'image/png',
+                purpose: 'any',
+            });
+            expect(manifest.icons.filter((icon) => icon.purpose === 'maskable').map((icon) => icon.sizes)).toEqual(['192x192', '512x512']);
+            expect(manifest).not.toHaveProperty('start_url');
+        });
+
+        it('should truncate short_name', () => {
+            expect(buildManifest({ name: 'a-very-long-project-name', folder: '/opt/dev/x', themeColor: '#000000' }).short_name).toBe('a-very-long-');
+        });
+
+        it('should drop unsafe start URLs', () => {
+            expect(buildManifest({ name: 'app', folder: '/opt/dev/app', themeColor: '#000000', startUrl: 'javascript:alert(1)' })).not.toHaveProperty('start_url');
+        });
+    });
+
+    describe('FaviconGenerator icons', () => {
+        const generator = new FaviconGenerator({ typeColors: { prod: '#FF6B6B' }, defaultColors: ['#45B7D1'] });
+
+        it('should expose the layout background as the theme color', () => {
+            expect(generator.buildLayout('app', { type: 'prod' }).background).toBe('#FF6B6B');
+        });
+
+        it('should keep transparent corners for "any" icons', () => {
+            const layout = generator.buildIconLayout('app', { type: 'prod', shape: 'circle' }, ICON_SET['icon-192']);
+            expect(alphaAt(renderLayout(layout, 64), 0, 0)).toBe(0);
+        });
+
+        it('should fill the square for full-bleed and maskable icons', () => {
+            for (const name of ['apple-touch-icon', 'maskable-192']) {
+                const layout = generator.buildIconLayout('app', { type: 'prod', shape: 'circle' }, getIcon(name));
+                expect(layout.shapes[0]).toEqual({ type: 'rect', width: 32, height: 32, fill: '#FF6B6B' });
+                expect(alphaAt(renderLayout(layout, 64), 0, 0)).toBe(255);
+            }
+        });
+
+        it('should shrink maskable content into the safe zone', () => {
+            const plain = generator.buildIconLayout('app', { type: 'prod' }, getIcon('apple-touch-icon'));
+            const maskable = generator.buildIconLayout('app', { type: 'prod' }, getIcon('maskable-192'));
+
+            expect(maskable.texts[0].fontSize).toBeCloseTo(plain.texts[0].fontSize * 0.8);
+        });
+
+        it('should render PNGs at the icon size', () => {
+            const png = generator.generateIcon('app', { type: 'prod' }, getIcon('maskable-192'));
+            expect(png.readUInt32BE(16)).toBe(192);
+        });
+    });
+});
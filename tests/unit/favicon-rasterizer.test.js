@@ -0,0 +1,233 @@
+/**
+ * Unit Tests for FaviconRasterizer
+ * Tests pure JavaScript PNG/ICO encoding and layout rasterization
+ */
+
+const zlib = require('zlib');
+const {
+    RasterCanvas,
+    parseColor,
+    encodePng,
+    encodeIco,
+    rasterizeToPng,
+    rasterizeToIco,
+    PNG_SIZES,
+    ICO_SIZES,
+} = require('../../lib/services/favicon-rasterizer');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+
+/**
+ * Decode an 8-bit RGBA PNG produced by encodePng (filter type 0 only)
+ */
+function decodePng(buffer) {
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    const chunks = [];
+    let offset = 8;
+    while (offset < buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        if (type === 'IDAT') {
+            chunks.push(buffer.subarray(offset + 8, offset + 8 + length));
+        }
+        offset += 12 + length;
+    }
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const rgba = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        raw.copy(rgba, y * width * 4, y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1));
+    }
+    return { width, height, rgba };
+}
+
+function pixelAt(image, x, y) {
+    const i = (y * image.width + x) * 4;
+    return Array.from(image.rgba.subarray(i, i + 4));
+}
+
+describe('FaviconRasterizer', () => {
+    const generator = new FaviconGenerator({
+        typeColors: { dev: '#4ECDC4', prod: '#FF6B6B' },
+        defaultColors: ['#45B7D1'],
+    });
+
+    describe('parseColor', () => {
+        test('should parse hex colors', () => {
+            expect(parseColor('#4ECDC4')).toEqual({ r: 0x4e, g: 0xcd, b: 0xc4 });
+            expect(parseColor('#fff')).toEqual({ r: 255, g: 255, b: 255 });
+        });
+
+        test('should parse named colors used by layouts', () => {
+            expect(parseColor('white')).toEqual({ r: 255, g: 255, b: 255 });
+        });
+
+        test('should reject invalid colors', () => {
+            expect(parseColor('red; fill:url(x)')).toBeNull();
+            expect(parseColor(null)).toBeNull();
+        });
+    });
+
+    describe('RasterCanvas', () => {
+        test('should fill rectangles fully inside and leave corners transparent when rounded', () => {
+            const canvas = new RasterCanvas(32);
+            canvas.fillRoundedRect(0, 0, 32, 32, 8, '#FF0000');
+            const image = { width: 32, rgba: canvas.toRGBA() };
+
+            expect(pixelAt(image, 16, 16)).toEqual([255, 0, 0, 255]);
+            expect(pixelAt(image, 0, 0)[3]).toBe(0);
+        });
+
+        test('should anti-alias shape edges', () => {
+            const canvas = new RasterCanvas(16);
+            canvas.fillCircle(8, 8, 5, '#000000');
+            const alphas = Array.from(canvas.toRGBA()).filter((_, i) => i % 4 === 3);
+
+            expect(alphas.some((a) => a > 0 && a < 255)).toBe(true);
+        });
+
+        test('should composite opacity over existing pixels', () => {
+            const canvas = new RasterCanvas(4, 4);
+            canvas.fillRoundedRect(0, 0, 4, 4, 0, '#000000');
+            canvas.fillRoundedRect(0, 0, 4, 4, 0, '#FFFFFF', { opacity: 0.5 });
+            const [r, , , a] = canvas.toRGBA();
+
+            expect(r).toBe(128);
+            expect(a).toBe(255);
+        });
+
+        test('should draw bitmap text inside its bounding box', () => {
+            const canvas = new RasterCanvas(32);
+            canvas.fillText('MA', 16, 21, 14, 'white');
+            const image = { width: 32, rgba: canvas.toRGBA() };
+
+            // Nothing above the cap height or below the baseline
+            for (let x = 0; x < 32; x++) {
+                expect(pixelAt(image, x, 5)[3]).toBe(0);
+                expect(pixelAt(image, x, 25)[3]).toBe(0);
+            }
+            // Left stroke of "M" is drawn
+            const painted = Array.from(image.rgba).filter((_, i) => i % 4 === 3 && image.rgba[i] > 0);
+            expect(painted.length).toBeGreaterThan(20);
+        });
+
+        test('should reject invalid canvas sizes', () => {
+            expect(() => new RasterCanvas(0)).toThrow();
+            expect(() => new RasterCanvas(5000)).toThrow();
+        });
+    });
+
+    describe('encodePng', () => {
+        test('should produce a valid PNG signature and IHDR', () => {
+            const png = encodePng(2, 2, Buffer.alloc(16, 255));
+
+            expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+            expect(png.toString('ascii', 12, 16)).toBe('IHDR');
+            expect(png.readUInt32BE(16)).toBe(2);
+            expect(png.readUInt32BE(20)).toBe(2);
+            expect(png[24]).toBe(8); // bit depth
+            expect(png[25]).toBe(6); // RGBA
+        });
+
+        test('should round-trip pixel data', () => {
+            const rgba = Buffer.from([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]);
+            const decoded = decodePng(encodePng(2, 2, rgba));
+
+            expect(decoded.rgba).toEqual(rgba);
+        });
+
+        test('should reject mismatched buffers', () => {
+            expect(() => encodePng(2, 2, Buffer.alloc(3))).toThrow('RGBA buffer size');
+        });
+    });
+
+    describe('encodeIco', () => {
+        test('should write directory entries pointing at embedded PNGs', () => {
+            const images = [
+                { size: 16, data: Buffer.from('first') },
+                { size: 32, data: Buffer.from('second!') },
+            ];
+            const ico = encodeIco(images);
+
+            expect(ico.readUInt16LE(2)).toBe(1);
+            expect(ico.readUInt16LE(4)).toBe(2);
+            expect(ico[6]).toBe(16);
+            expect(ico.readUInt32LE(6 + 8)).toBe(5);
+            const firstOffset = ico.readUInt32LE(6 + 12);
+            const secondOffset = ico.readUInt32LE(22 + 12);
+            expect(ico.toString('ascii', firstOffset, firstOffset + 5)).toBe('first');
+            expect(ico.toString('ascii', secondOffset, secondOffset + 7)).toBe('second!');
+        });
+
+        test('should require at least one image', () => {
+            expect(() => encodeIco([])).toThrow();
+        });
+    });
+
+    describe('layout rasterization', () => {
+        test.each(PNG_SIZES)('should render %ipx PNG favicons', (size) => {
+            const layout = generator.buildLayout('my-app', { type: 'dev', port: 3000 });
+            const decoded = decodePng(rasterizeToPng(layout, size));
+
+            expect(decoded.width).toBe(size);
+            expect(decoded.height).toBe(size);
+        });
+
+        test('should paint the type color as background', () => {
+            const layout = generator.buildLayout('my-app', { type: 'prod' });
+            const decoded = decodePng(rasterizeToPng(layout, 32));
+
+            expect(pixelAt(decoded, 3, 16)).toEqual([0xff, 0x6b, 0x6b, 255]);
+        });
+
+        test('should render grayscale layouts', () => {
+            const layout = generator.buildLayout('my-app', { type: 'prod' }, { grayscale: true });
+            const [r, g, b] = pixelAt(decodePng(rasterizeToPng(layout, 32)), 3, 16);
+
+            expect(r).toBe(g);
+            expect(g).toBe(b);
+        });
+
+        test('should embed every ICO resolution', () => {
+            const layout = generator.buildLayout('my-app', { type: 'dev' });
+            const ico = rasterizeToIco(layout);
+
+            expect(ico.readUInt16LE(4)).toBe(ICO_SIZES.length);
+            ICO_SIZES.forEach((size, i) => {
+                expect(ico[6 + i * 16]).toBe(size);
+            });
+        });
+
+        test('should composite badge overlays above the base layer', () => {
+            const layout = generator.buildLayout('my-app', { type: 'prod' }, { badge: { type: 'completed' } });
+            const decoded = decodePng(rasterizeToPng(layout, 32));
+
+            expect(layout.overlays).toHaveLength(1);
+            expect(pixelAt(decoded, 24, 8)).toEqual([0x00, 0xe6, 0x76, 255]);
+            expect(pixelAt(decoded, 3, 28)).toEqual([0xff, 0x6b, 0x6b, 255]);
+        });
+
+        test('should reject unsupported shapes', () => {
+            expect(() => rasterizeToPng({ size: 32, shapes: [{ type: 'star' }], texts: [] })).toThrow(
+                'Unsupported layout shape type'
+            );
+        });
+    });
+
+    describe('FaviconGenerator.generateRasterFavicon', () => {
+        test('should generate PNG bytes', () => {
+            const png = generator.generateRasterFavicon('my-app', {}, { format: 'png', size: 48 });
+            expect(png.readUInt32BE(16)).toBe(48);
+        });
+
+        test('should generate ICO bytes', () => {
+            const ico = generator.generateRasterFavicon('my-app', {}, { format: 'ico' });
+            expect(ico.readUInt16LE(2)).toBe(1);
+        });
+
+        test('should reject unknown raster formats', () => {
+            expect(() => generator.generateRasterFavicon('my-app', {}, { format: 'gif' })).toThrow(
+                'Unsupported raster format'
+            );
+        });
+    });
+});
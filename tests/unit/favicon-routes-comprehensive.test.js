@@ -6,11 +6,19 @@
 const express = require('express');
 const request = require('supertest');
 const _path = require('path');
+const fs = require('fs');
+const os = require('os');
+const LRUCache = require('../../lib/lru-cache');
+const metrics = require('../../lib/metrics');
+const { hashParts } = require('../../lib/utils/conditional-get');
+const { encodePng } = require('../../lib/services/favicon-rasterizer');
+const { decodePng } = require('../../lib/services/favicon-decoder');
 
 // Mock dependencies
 const mockValidatePathAsync = jest.fn();
 const mockGetProjectInfo = jest.fn();
 const mockGetDefaultFavicon = jest.fn();
+const mockNotificationGet = jest.fn();
 
 jest.mock('../../lib/path-validator', () => ({
     validatePathAsync: mockValidatePathAsync,
@@ -20,7 +28,12 @@ jest.mock('../../lib/registry-cache', () => ({
     getProjectInfo: mockGetProjectInfo,
 }));
 
+jest.mock('../../lib/notification-store', () => ({
+    get: mockNotificationGet,
+}));
+
 jest.mock('../../lib/svg-sanitizer', () => ({
+    ...jest.requireActual('../../lib/svg-sanitizer'),
     getDefaultFavicon: mockGetDefaultFavicon,
 }));
 
@@ -28,8 +41,10 @@ jest.mock('../../lib/logger', () => ({
     error: jest.fn(),
     warn: jest.fn(),
     info: jest.fn(),
+    debug: jest.fn(),
 }));
 
+const FaviconService = require('../../lib/services/favicon-service');
 const { createFaviconRoutes, requireValidPath: _requireValidPath } = require('../../lib/routes/favicon-routes');
 
 describe('Favicon Routes', () => {
@@ -41,19 +56,32 @@ describe('Favicon Routes', () => {
         app = express();
         app.use(express.json());
 
-        // Mock faviconService with actual methods called by implementation
-        mockFaviconService = {
-            findFaviconFile: jest.fn().mockResolvedValue(null), // Default: no custom favicon
-            readFileWithErrorHandling: jest.fn(),
-            generateSvgFavicon: jest.fn().mockReturnValue('<svg>generated</svg>'),
-        };
-
         // Mock faviconCache with get/set methods
         mockFaviconCache = {
             get: jest.fn().mockReturnValue(null), // Default: cache miss
             set: jest.fn(),
         };
 
+        // Real service so single and batch requests go through getFavicon; generators and file access are stubbed
+        mockFaviconService = new FaviconService({
+            registryCache: {
+                getRegistry: async () => ({ projects: { '/opt/dev/test-project': await mockGetProjectInfo('/opt/dev/test-project') } }),
+            },
+            faviconCache: mockFaviconCache,
+            typeColors: { dev: '#4ECDC4' },
+            defaultColors: ['#4ECDC4'],
+        });
+        jest.spyOn(mockFaviconService, 'findFaviconFile').mockResolvedValue(null); // Default: no custom favicon
+        jest.spyOn(mockFaviconService, 'readFileWithErrorHandling').mockResolvedValue(null);
+        jest.spyOn(mockFaviconService, 'generateCustomFavicon').mockReturnValue(null);
+        jest.spyOn(mockFaviconService, 'generateSvgFavicon').mockReturnValue('<svg>generated</svg>');
+        jest.spyOn(mockFaviconService, 'generateRasterFavicon').mockReturnValue(Buffer.from('raster'));
+        jest.spyOn(mockFaviconService, 'getProjectOverrides').mockResolvedValue({});
+        jest.spyOn(mockFaviconService, 'getDiscoveredInfo');
+        jest.spyOn(mockFaviconService, 'getFavicon');
+        jest.spyOn(mockFaviconService, 'generateIcon').mockReturnValue(Buffer.from('icon'));
+        jest.spyOn(mockFaviconService, 'getThemeColor').mockReturnValue('#4ECDC4');
+
         mockValidatePathAsync.mockResolvedValue({
             valid: true,
             resolved: '/opt/dev/test-project',
@@ -72,6 +100,7 @@ describe('Favicon Routes', () => {
     });
 
     afterEach(() => {
+        mockFaviconService.close();
         jest.clearAllMocks();
     });
 
@@ -204,6 +233,517 @@ describe('Favicon Routes', () => {
         });
     });
 
+    describe('GET /api/favicon raster formats', () => {
+        it('should return PNG when format=png is requested', async () => {
+            const response = await request(app)
+                .get('/api/favicon?folder=/opt/dev/test&format=png&size=180')
+                .expect('Content-Type', /image\/png/)
+                .expect(200);
+
+            expect(mockFaviconService.generateRasterFavicon).toHaveBeenCalledWith(
+                'test-project',
+                expect.any(Object),
+                expect.objectContaining({ format: 'png', size: 180, grayscale: false })
+            );
+            expect(response.headers['x-content-type-options']).toBe('nosniff');
+            expect(mockFaviconCache.set).toHaveBeenCalledWith(
+                'v1:favicon:/opt/dev/test-project:png:180',
+                expect.objectContaining({ contentType: 'image/png' })
+            );
+        });
+
+        it('should default PNG size to 32px', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&format=png').expect(200);
+
+            expect(mockFaviconService.generateRasterFavicon).toHaveBeenCalledWith(
+                expect.any(String),
+                expect.any(Object),
+                expect.objectContaining({ format: 'png', size: 32 })
+            );
+        });
+
+        it('should return ICO when format=ico is requested', async () => {
+            await request(app)
+                .get('/api/favicon?folder=/opt/dev/test&format=ico')
+                .expect('Content-Type', /image\/x-icon/)
+                .expect(200);
+
+            expect(mockFaviconService.generateSvgFavicon).not.toHaveBeenCalled();
+        });
+
+        it('should negotiate PNG from the Accept header', async () => {
+            const response = await request(app)
+                .get('/api/favicon?folder=/opt/dev/test')
+                .set('Accept', 'image/png')
+                .expect('Content-Type', /image\/png/)
+                .expect(200);
+
+            expect(response.headers.vary).toMatch(/Accept/);
+        });
+
+        it('should keep SVG for generic image Accept headers', async () => {
+            await request(app)
+                .get('/api/favicon?folder=/opt/dev/test')
+                .set('Accept', 'image/avif,image/webp,image/svg+xml,image/*,*/*;q=0.8')
+                .expect('Content-Type', /svg/)
+                .expect(200);
+
+            expect(mockFaviconService.generateRasterFavicon).not.toHaveBeenCalled();
+        });
+
+        it('should reject unsupported formats', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&format=gif').expect(400);
+        });
+
+        it('should reject unsupported PNG sizes', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&format=png&size=100').expect(400);
+        });
+
+        it('should serve cached raster favicons without regenerating', async () => {
+            mockFaviconCache.get.mockReturnValue({
+                contentType: 'image/png',
+                data: Buffer.from('cached'),
+                fingerprint: hashParts(JSON.stringify({ name: 'test-project', type: 'dev' })),
+                etag: '"cached"',
+            });
+
+            await request(app)
+                .get('/api/favicon?folder=/opt/dev/test&format=png&size=16')
+                .expect('Content-Type', /image\/png/)
+                .expect(200);
+
+            expect(mockFaviconCache.get).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project:png:16');
+            expect(mockFaviconService.generateRasterFavicon).not.toHaveBeenCalled();
+        });
+
+        it('should regenerate cached favicons without validators', async () => {
+            mockFaviconCache.get.mockReturnValue({ contentType: 'image/png', data: Buffer.from('cached') });
+
+            const response = await request(app).get('/api/favicon?folder=/opt/dev/test&format=png&size=16').expect(200);
+
+            expect(response.body.toString()).toBe('raster');
+            expect(mockFaviconService.generateRasterFavicon).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('GET /api/favicon status badges', () => {
+        it('should pass an explicit badge to the generator and cache it separately', async () => {
+            const response = await request(app).get('/api/favicon?folder=/opt/dev/test&badge=count:3').expect(200);
+
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledWith(
+                'test-project',
+                expect.any(Object),
+                { grayscale: false, badge: { type: 'count', count: 3 } }
+            );
+            expect(mockFaviconCache.set).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project:badge-count:3', expect.any(Object));
+            expect(response.headers['cache-control']).toMatch(/max-age/);
+        });
+
+        it('should composite badges into raster favicons', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&format=png&badge=error').expect(200);
+
+            expect(mockFaviconService.generateRasterFavicon).toHaveBeenCalledWith(
+                'test-project',
+                expect.any(Object),
+                expect.objectContaining({ format: 'png', badge: { type: 'error' } })
+            );
+        });
+
+        it('should derive badge=auto from notification state', async () => {
+            mockNotificationGet.mockReturnValue({ status: 'working', unread: true });
+
+            const response = await request(app)
+                .get('/api/favicon?folder=/opt/dev/test&badge=auto&origin=https://vs.example.com')
+                .expect(200);
+
+            expect(mockNotificationGet).toHaveBeenCalledWith('/opt/dev/test-project', 'https://vs.example.com');
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledWith(
+                'test-project',
+                expect.any(Object),
+                { grayscale: false, badge: { type: 'working' }, animation: { animate: true } }
+            );
+            expect(response.headers['cache-control']).toBe('no-cache');
+        });
+
+        it('should pass working badge frame requests to the generator', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&badge=working&frame=3').expect(200);
+
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledWith(
+                'test-project',
+                expect.any(Object),
+                { grayscale: false, badge: { type: 'working' }, animation: { animate: true, frame: 3 } }
+            );
+            expect(mockFaviconCache.set).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project:badge-working:frame-3', expect.any(Object));
+        });
+
+        it('should cache the static working dot separately', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&badge=working&animate=false').expect(200);
+
+            expect(mockFaviconCache.set).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project:badge-working:static', expect.any(Object));
+        });
+
+        it('should ignore animation parameters for other badges', async () => {
+            await request(app).get('/api/favicon?folder=/opt/dev/test&badge=completed&frame=2').expect(200);
+
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledWith('test-project', expect.any(Object), { grayscale: false, badge: { type: 'completed' } });
+            expect(mockFaviconCache.set).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project:badge-completed', expect.any(Object));
+        });
+
+        it.each(['animate=yes', 'frame=8', 'frame=-1', 'frame=x'])('should reject %s', async (param) => {
+            await request(app).get(`/api/favicon?folder=/opt/dev/test&badge=working&${param}`).expect(400);
+        });
+
+        it('should render no badge for badge=auto without pending notifications', async () => {
+            mockNotificationGet.mockReturnValue(null);
+
+            await request(app).get('/api/favicon?folder=/opt/dev/test&badge=auto').expect(200);
+
+            expect(mockNotificationGet).toHaveBeenCalledWith('/opt/dev/test-project', null);
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledWith('test-project', expect.any(Object), { grayscale: false });
+            expect(mockFaviconCache.set).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project', expect.any(Object));
+        });
+
+        it.each(['busy', 'count:abc', 'count:123456'])('should reject badge=%s', async (badge) => {
+            await request(app).get(`/api/favicon?folder=/opt/dev/test&badge=${badge}`).expect(400);
+        });
+    });
+
+    describe('GET /api/favicon project overrides', () => {
+        it('should merge .favicon.json overrides over registry data', async () => {
+            mockGetProjectInfo.mockResolvedValue({ type: 'dev', port: '8080' });
+            mockFaviconService.getProjectOverrides.mockResolvedValue({ initials: 'XY', shape: 'circle' });
+
+            await request(app).get('/api/favicon?folder=/opt/dev/test').expect(200);
+
+            expect(mockFaviconService.getProjectOverrides).toHaveBeenCalledWith('/opt/dev/test-project');
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledWith(
+                'test-project',
+                { type: 'dev', port: '8080', initials: 'XY', shape: 'circle' },
+                expect.any(Object)
+            );
+        });
+    });
+
+    describe('GET /api/favicon conditional requests', () => {
+        let cachedApp;
+
+        beforeEach(() => {
+            // Real cache so validators survive between requests
+            mockFaviconService.faviconCache = new LRUCache(10);
+            cachedApp = express();
+            cachedApp.use(createFaviconRoutes(mockFaviconService.faviconCache, mockFaviconService));
+        });
+
+        it('should send a strong ETag and Last-Modified', async () => {
+            const response = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+
+            expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+            expect(new Date(response.headers['last-modified']).getTime()).not.toBeNaN();
+        });
+
+        it('should answer If-None-Match with 304 and count it', async () => {
+            const notModified = jest.spyOn(metrics.faviconNotModifiedTotal, 'inc');
+            const first = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+
+            const response = await request(cachedApp)
+                .get('/api/favicon?folder=/opt/dev/test')
+                .set('If-None-Match', first.headers.etag)
+                .expect(304);
+
+            expect(response.text).toBe('');
+            expect(response.headers.etag).toBe(first.headers.etag);
+            expect(notModified).toHaveBeenCalledTimes(1);
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledTimes(1);
+            notModified.mockRestore();
+        });
+
+        it('should answer If-Modified-Since with 304', async () => {
+            const first = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+
+            await request(cachedApp)
+                .get('/api/favicon?folder=/opt/dev/test')
+                .set('If-Modified-Since', first.headers['last-modified'])
+                .expect(304);
+        });
+
+        it('should send the body for stale validators', async () => {
+            await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').set('If-None-Match', '"stale"').expect(200);
+        });
+
+        it('should change the ETag with the grayscale flag', async () => {
+            const color = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test');
+            const gray = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test&grayscale=true');
+
+            expect(gray.headers.etag).not.toBe(color.headers.etag);
+        });
+
+        it('should regenerate and change the ETag when the registry entry changes', async () => {
+            const before = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test');
+            mockGetProjectInfo.mockResolvedValue({ name: 'test-project', type: 'prod' });
+
+            const after = await request(cachedApp)
+                .get('/api/favicon?folder=/opt/dev/test')
+                .set('If-None-Match', before.headers.etag)
+                .expect(200);
+
+            expect(after.headers.etag).not.toBe(before.headers.etag);
+            expect(mockFaviconService.generateSvgFavicon).toHaveBeenCalledTimes(2);
+        });
+
+        it('should change the ETag when the custom favicon file changes', async () => {
+            const dir = fs.mkdtempSync(_path.join(os.tmpdir(), 'favicon-etag-'));
+            const file = _path.join(dir, 'favicon.png');
+            fs.writeFileSync(file, 'png-v1');
+            mockFaviconService.findFaviconFile.mockResolvedValue(file);
+            mockFaviconService.readFileWithErrorHandling.mockImplementation((filePath) => fs.promises.readFile(filePath));
+
+            try {
+                const before = await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+                fs.utimesSync(file, new Date(), new Date(Date.now() + 60000));
+
+                const after = await request(cachedApp)
+                    .get('/api/favicon?folder=/opt/dev/test')
+                    .set('If-None-Match', before.headers.etag)
+                    .expect(200);
+
+                expect(after.headers.etag).not.toBe(before.headers.etag);
+                expect(new Date(after.headers['last-modified']).getTime()).toBe(Math.floor(fs.statSync(file).mtimeMs / 1000) * 1000);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('GET /api/favicon custom favicon overlays', () => {
+        it('should serve the composited custom favicon', async () => {
+            mockFaviconService.findFaviconFile.mockResolvedValue('/opt/dev/test-project/favicon.png');
+            mockFaviconService.readFileWithErrorHandling.mockResolvedValue(Buffer.from('png'));
+            mockFaviconService.generateCustomFavicon.mockReturnValue({ contentType: 'image/png', data: Buffer.from('striped') });
+
+            const response = await request(app).get('/api/favicon?folder=/opt/dev/test-project&format=png&grayscale=true').expect(200);
+
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.body.toString()).toBe('striped');
+            expect(mockFaviconService.generateCustomFavicon).toHaveBeenCalledWith(
+                'test-project',
+                { name: 'test-project', type: 'dev' },
+                { contentType: 'image/png', data: Buffer.from('png') },
+                { grayscale: true, format: 'png', size: 32 }
+            );
+        });
+
+        it('should recomposite when the registry entry changes', async () => {
+            const dir = fs.mkdtempSync(_path.join(os.tmpdir(), 'favicon-overlay-'));
+            const file = _path.join(dir, 'favicon.png');
+            fs.writeFileSync(file, 'png');
+            mockFaviconService.findFaviconFile.mockResolvedValue(file);
+            mockFaviconService.readFileWithErrorHandling.mockResolvedValue(Buffer.from('png'));
+            mockFaviconService.generateCustomFavicon.mockReturnValue({ contentType: 'image/png', data: Buffer.from('striped') });
+            mockFaviconService.faviconCache = new LRUCache(10);
+            const cachedApp = express();
+            cachedApp.use(createFaviconRoutes(mockFaviconService.faviconCache, mockFaviconService));
+
+            try {
+                await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+                await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+                expect(mockFaviconService.generateCustomFavicon).toHaveBeenCalledTimes(1);
+
+                mockGetProjectInfo.mockResolvedValue({ name: 'test-project', type: 'prod' });
+                await request(cachedApp).get('/api/favicon?folder=/opt/dev/test').expect(200);
+                expect(mockFaviconService.generateCustomFavicon).toHaveBeenCalledTimes(2);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should serve the file unchanged when no overlay applies', async () => {
+            mockFaviconService.findFaviconFile.mockResolvedValue('/opt/dev/test-project/favicon.svg');
+            mockFaviconService.readFileWithErrorHandling.mockResolvedValue(Buffer.from('<svg>custom</svg>'));
+
+            const response = await request(app).get('/api/favicon?folder=/opt/dev/test-project').expect(200);
+
+            expect(response.text || response.body.toString()).toBe('<svg>custom</svg>');
+        });
+
+        it('should draw badges on custom PNG favicons', async () => {
+            mockFaviconService.generateCustomFavicon.mockRestore();
+            mockFaviconService.findFaviconFile.mockResolvedValue('/opt/dev/test-project/favicon.png');
+            mockFaviconService.readFileWithErrorHandling.mockResolvedValue(encodePng(32, 32, Buffer.alloc(32 * 32 * 4, 255)));
+
+            const response = await request(app).get('/api/favicon?folder=/opt/dev/test-project&format=png&badge=error').expect('Content-Type', /image\/png/).expect(200);
+            const image = decodePng(response.body);
+            const at = (x, y) => Array.from(image.rgba.subarray((y * 32 + x) * 4, (y * 32 + x) * 4 + 4));
+
+            expect(at(4, 28)).toEqual([255, 255, 255, 255]);
+            expect(at(27, 9)).toEqual([0xd3, 0x2f, 0x2f, 255]);
+            expect(mockFaviconService.generateRasterFavicon).not.toHaveBeenCalled();
+        });
+
+        it('should draw badges on custom SVG favicons', async () => {
+            mockFaviconService.generateCustomFavicon.mockRestore();
+            mockFaviconService.findFaviconFile.mockResolvedValue('/opt/dev/test-project/favicon.svg');
+            mockFaviconService.readFileWithErrorHandling.mockResolvedValue(Buffer.from('<svg>custom</svg>'));
+
+            const response = await request(app).get('/api/favicon?folder=/opt/dev/test-project&badge=completed').expect('Content-Type', /svg/).expect(200);
+            const markup = response.text || response.body.toString();
+
+            expect(markup).toContain(`<image href="data:image/svg+xml;base64,${Buffer.from('<svg>custom</svg>').toString('base64')}"`);
+            expect(markup).toContain('fill="#00E676"');
+            expect(mockFaviconService.generateSvgFavicon).not.toHaveBeenCalled();
+        });
+
+        it('should generate PNG and ICO favicons instead of serving a custom SVG file', async () => {
+            mockFaviconService.findFaviconFile.mockResolvedValue('/opt/dev/test-project/favicon.svg');
+
+            await request(app).get('/api/favicon?folder=/opt/dev/test-project&format=png').expect('Content-Type', /image\/png/).expect(200);
+            await request(app).get('/api/favicon?folder=/opt/dev/test-project&format=ico').expect('Content-Type', /image\/x-icon/).expect(200);
+
+            expect(mockFaviconService.readFileWithErrorHandling).not.toHaveBeenCalled();
+            expect(mockFaviconService.generateRasterFavicon).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('POST /api/favicons/batch', () => {
+        const { ValidationError } = require('../../lib/errors');
+
+        beforeEach(() => {
+            mockValidatePathAsync.mockImplementation(async (folder) =>
+                folder.includes('..') ? { valid: false, error: 'Path traversal detected' } : { valid: true, resolved: folder }
+            );
+            mockFaviconService.getFavicon.mockResolvedValue({ contentType: 'image/svg+xml', data: Buffer.from('<svg>batch</svg>'), etag: '"e1"' });
+        });
+
+        it('should return data URIs keyed by folder', async () => {
+            const response = await request(app)
+                .post('/api/favicons/batch')
+                .send({ folders: ['/opt/dev/a', '/opt/dev/b', '/opt/dev/a'], grayscale: true })
+                .expect('Content-Type', /json/)
+                .expect(200);
+
+            expect(response.body.count).toBe(2);
+            expect(response.body.failed).toBe(0);
+            expect(response.body.favicons['/opt/dev/a']).toEqual({
+                contentType: 'image/svg+xml',
+                dataUri: `data:image/svg+xml;base64,${Buffer.from('<svg>batch</svg>').toString('base64')}`,
+                etag: '"e1"',
+            });
+            expect(mockFaviconService.getFavicon).toHaveBeenCalledWith('/opt/dev/b', { grayscale: true, format: 'svg', size: undefined });
+        });
+
+        it('should pass format, default PNG size and badge to getFavicon', async () => {
+            await request(app).post('/api/favicons/batch').send({ folders: ['/opt/dev/a'], format: 'png', badge: 'count:2' }).expect(200);
+
+            expect(mockFaviconService.getFavicon).toHaveBeenCalledWith('/opt/dev/a', { grayscale: false, format: 'png', size: 32, badge: 'count:2' });
+        });
+
+        it('should resolve badge=auto per folder', async () => {
+            mockNotificationGet.mockImplementation((folder) => (folder === '/opt/dev/a' ? { status: 'working' } : null));
+
+            await request(app).post('/api/favicons/batch').send({ folders: ['/opt/dev/a', '/opt/dev/b'], badge: 'auto', origin: 'https://vs.example.com' });
+
+            expect(mockNotificationGet).toHaveBeenCalledWith('/opt/dev/a', 'https://vs.example.com');
+            expect(mockFaviconService.getFavicon).toHaveBeenCalledWith('/opt/dev/a', expect.objectContaining({ badge: 'working' }));
+            expect(mockFaviconService.getFavicon).toHaveBeenCalledWith('/opt/dev/b', expect.not.objectContaining({ badge: expect.anything() }));
+        });
+
+        it('should report per-item errors without failing the batch', async () => {
+            mockFaviconService.getFavicon.mockImplementation(async (folder) => {
+                if (folder === '/opt/dev/broken') throw new Error('disk on fire');
+                if (folder === '/opt/dev/invalid') throw new ValidationError('Bad project');
+                return { contentType: 'image/png', data: Buffer.from('png') };
+            });
+
+            const response = await request(app)
+                .post('/api/favicons/batch')
+                .send({ folders: ['/opt/dev/ok', '/opt/../etc', '/opt/dev/broken', '/opt/dev/invalid'] })
+                .expect(200);
+
+            expect(response.body.failed).toBe(3);
+            expect(response.body.favicons['/opt/dev/ok'].dataUri).toBe('data:image/png;base64,cG5n');
+            expect(response.body.favicons['/opt/../etc']).toEqual({ error: { code: 'ACCESS_DENIED', message: 'Access denied' } });
+            expect(response.body.favicons['/opt/dev/broken']).toEqual({ error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+            expect(response.body.favicons['/opt/dev/invalid']).toEqual({ error: { code: 'INVALID_PARAMETER', message: 'Bad project' } });
+        });
+
+        it.each([
+            ['missing folders', {}],
+            ['empty folders', { folders: [] }],
+            ['non-string folders', { folders: [42] }],
+            ['too many folders', { folders: Array.from({ length: 51 }, (_, i) => `/opt/dev/p${i}`) }],
+            ['string grayscale', { folders: ['/opt/dev/a'], grayscale: 'true' }],
+            ['unsupported size', { folders: ['/opt/dev/a'], format: 'png', size: 100 }],
+            ['unknown badge', { folders: ['/opt/dev/a'], badge: 'busy' }],
+        ])('should reject %s', async (_label, payload) => {
+            await request(app).post('/api/favicons/batch').send(payload).expect(400);
+            expect(mockFaviconService.getFavicon).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/manifest.webmanifest', () => {
+        it('should describe the project with its theme color and icon set', async () => {
+            const response = await request(app).get('/api/manifest.webmanifest?folder=/opt/dev/test-project').expect(200);
+
+            expect(response.headers['content-type']).toMatch(/^application\/manifest\+json/);
+            const manifest = JSON.parse(response.text);
+            expect(manifest).toMatchObject({ name: 'test-project', display: 'standalone', theme_color: '#4ECDC4', background_color: '#4ECDC4' });
+            expect(manifest.start_url).toBeUndefined();
+            expect(manifest.icons.map((icon) => icon.src)).toContain('/api/icons/maskable-512.png?folder=%2Fopt%2Fdev%2Ftest-project');
+            expect(mockFaviconService.getThemeColor).toHaveBeenCalledWith('test-project', { name: 'test-project', type: 'dev' });
+        });
+
+        it('should use the registry url as start_url', async () => {
+            mockGetProjectInfo.mockResolvedValue({ name: 'Test', type: 'dev', url: 'https://vs.example.com/?folder=/opt/dev/test-project' });
+
+            const manifest = JSON.parse((await request(app).get('/api/manifest.webmanifest?folder=/opt/dev/test-project').expect(200)).text);
+
+            expect(manifest.start_url).toBe('https://vs.example.com/?folder=/opt/dev/test-project');
+            expect(manifest.scope).toBe('https://vs.example.com/');
+        });
+
+        it('should require a folder', async () => {
+            await request(app).get('/api/manifest.webmanifest').expect(400);
+        });
+
+        it('should handle registry errors', async () => {
+            mockGetProjectInfo.mockRejectedValue(new Error('Registry error'));
+
+            await request(app).get('/api/manifest.webmanifest?folder=/opt/dev/test').expect(500);
+        });
+    });
+
+    describe('GET /api/icons/:icon.png', () => {
+        it('should generate the requested icon as PNG', async () => {
+            const response = await request(app).get('/api/icons/apple-touch-icon.png?folder=/opt/dev/test-project').expect(200);
+
+            expect(response.headers['content-type']).toBe('image/png');
+            expect(response.headers.etag).toMatch(/^"[\w-]+"$/);
+            expect(mockFaviconService.generateIcon).toHaveBeenCalledWith('test-project', { name: 'test-project', type: 'dev' }, expect.objectContaining({ size: 180 }));
+            expect(mockFaviconCache.set).toHaveBeenCalledWith('v1:favicon:/opt/dev/test-project:icon:apple-touch-icon', expect.any(Object));
+        });
+
+        it('should ignore custom favicon files', async () => {
+            mockFaviconService.findFaviconFile.mockResolvedValue('/opt/dev/test-project/favicon.ico');
+
+            await request(app).get('/api/icons/maskable-192.png?folder=/opt/dev/test-project').expect(200);
+
+            expect(mockFaviconService.generateIcon).toHaveBeenCalledWith('test-project', expect.any(Object), expect.objectContaining({ purpose: 'maskable' }));
+        });
+
+        it('should answer If-None-Match with 304', async () => {
+            const cachedApp = express();
+            cachedApp.use(createFaviconRoutes(new LRUCache(10), mockFaviconService));
+            const first = await request(cachedApp).get('/api/icons/icon-192.png?folder=/opt/dev/test').expect(200);
+
+            await request(cachedApp).get('/api/icons/icon-192.png?folder=/opt/dev/test').set('If-None-Match', first.headers.etag).expect(304);
+            expect(mockFaviconService.generateIcon).toHaveBeenCalledTimes(1);
+        });
+
+        it('should return 404 for unknown icons', async () => {
+            await request(app).get('/api/icons/icon-1024.png?folder=/opt/dev/test').expect(404);
+            expect(mockFaviconService.generateIcon).not.toHaveBeenCalled();
+        });
+    });
+
     describe('GET /api/project-info', () => {
         it('should return project information', async () => {
             const response = await request(app)
@@ -228,6 +768,24 @@ describe('Favicon Routes', () => {
             expect(response.body).toHaveProperty('hasCustomFavicon');
         });
 
+        it('should report fields inferred by discovery', async () => {
+            mockGetProjectInfo.mockResolvedValue({});
+            mockFaviconService.getDiscoveredInfo.mockResolvedValue({
+                info: { name: 'shop-web', type: 'prod', port: 3000 },
+                inferred: { name: 'package.json', type: 'parent directory /opt/prod', port: '.env PORT' },
+            });
+
+            const response = await request(app).get('/api/project-info?folder=/opt/dev/test-project').expect(200);
+
+            expect(response.body).toMatchObject({
+                name: 'shop-web',
+                type: 'prod',
+                port: 3000,
+                inferred: { name: 'package.json', type: 'parent directory /opt/prod', port: '.env PORT' },
+            });
+            expect(mockFaviconService.getDiscoveredInfo).toHaveBeenCalledWith('/opt/dev/test-project', {});
+        });
+
         it('should handle project info errors', async () => {
             mockGetProjectInfo.mockRejectedValue(new Error('Registry error'));
 
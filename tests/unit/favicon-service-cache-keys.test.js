@@ -7,7 +7,7 @@
 
 const FaviconService = require('../../lib/services/favicon-service');
 const LRUCache = require('../../lib/lru-cache');
-const { makeCacheKey } = require('../../lib/utils/cache-keys');
+const { makeCacheKey, makeFaviconCacheKey } = require('../../lib/utils/cache-keys');
 
 describe('makeCacheKey - FIX REF-026', () => {
     describe('Static method - basic functionality', () => {
@@ -397,4 +397,56 @@ describe('makeCacheKey - FIX REF-026', () => {
             // which would not match the v1 cached entries
         });
     });
+
+    describe('makeFaviconCacheKey - format-aware keys', () => {
+        it('should keep the legacy key layout for SVG favicons', () => {
+            expect(makeFaviconCacheKey('/opt/dev/project')).toBe('v1:favicon:/opt/dev/project');
+            expect(makeFaviconCacheKey('/opt/dev/project', { grayscale: true })).toBe(
+                'v1:favicon:/opt/dev/project:gray'
+            );
+        });
+
+        it('should include format and size for PNG favicons', () => {
+            expect(makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 64 })).toBe(
+                'v1:favicon:/opt/dev/project:png:64'
+            );
+            expect(makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 16, grayscale: true })).toBe(
+                'v1:favicon:/opt/dev/project:gray:png:16'
+            );
+        });
+
+        it('should ignore size for ICO favicons', () => {
+            expect(makeFaviconCacheKey('/opt/dev/project', { format: 'ico', size: 64 })).toBe(
+                'v1:favicon:/opt/dev/project:ico'
+            );
+        });
+
+        it('should produce distinct keys for every format variant', () => {
+            const keys = new Set([
+                makeFaviconCacheKey('/opt/dev/project'),
+                makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 16 }),
+                makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 32 }),
+                makeFaviconCacheKey('/opt/dev/project', { format: 'ico' }),
+            ]);
+            expect(keys.size).toBe(4);
+        });
+
+        it('should append the badge after format and size', () => {
+            expect(makeFaviconCacheKey('/opt/dev/project', { badge: 'working' })).toBe(
+                'v1:favicon:/opt/dev/project:badge-working'
+            );
+            expect(makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 32, badge: 'count:3' })).toBe(
+                'v1:favicon:/opt/dev/project:png:32:badge-count:3'
+            );
+        });
+
+        it('should append the working badge animation variant last', () => {
+            expect(makeFaviconCacheKey('/opt/dev/project', { badge: 'working', animation: 'frame-2' })).toBe(
+                'v1:favicon:/opt/dev/project:badge-working:frame-2'
+            );
+            expect(makeFaviconCacheKey('/opt/dev/project', { format: 'png', size: 32, badge: 'working', animation: 'static' })).toBe(
+                'v1:favicon:/opt/dev/project:png:32:badge-working:static'
+            );
+        });
+    });
 });
@@ -389,10 +389,8 @@ describe('Grayscale Functionality', () => {
         });
 
         test('should return cached grayscale favicon if available', async () => {
-            const cachedGrayscale = {
-                contentType: 'image/svg+xml',
-                data: Buffer.from('<svg><rect fill="#a6a6a6"/></svg>'),
-            };
+            mockFaviconCache.get.mockReturnValue(null);
+            const cachedGrayscale = await faviconService.getFavicon('/opt/dev/test-project', { grayscale: true });
             mockFaviconCache.get.mockReturnValue(cachedGrayscale);
 
             const result = await faviconService.getFavicon('/opt/dev/test-project', {
@@ -400,7 +398,7 @@ describe('Grayscale Functionality', () => {
             });
 
             expect(result).toBe(cachedGrayscale);
-            expect(mockRegistryCache.getRegistry).not.toHaveBeenCalled(); // Should not fetch registry
+            expect(mockFaviconCache.set).toHaveBeenCalledTimes(1); // Not regenerated
         });
 
         test('should handle prod project with grayscale', async () => {
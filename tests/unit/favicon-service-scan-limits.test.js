@@ -347,11 +347,8 @@ describe('FIX QUA-011: Favicon Scan Limits', () => {
                 })
             );
 
-            // Second call - should use cache
-            mockFaviconCache.get.mockReturnValueOnce({
-                contentType: 'image/x-icon',
-                data: Buffer.from('cached'),
-            });
+            // Second call - should use the entry stored by the first (file unchanged)
+            mockFaviconCache.get.mockReturnValueOnce(mockFaviconCache.set.mock.calls[0][1]);
 
             const result = await faviconService.getFavicon(tempDir);
 
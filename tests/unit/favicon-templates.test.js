@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for favicon templates
+ * Tests template registry, selection precedence and sanitization of template output
+ */
+
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+const { TEMPLATE_NAMES, getTemplate, listTemplates } = require('../../lib/services/favicon-templates');
+const { rasterizeToPng } = require('../../lib/services/favicon-rasterizer');
+const { contrastRatio } = require('../../lib/utils/color-contrast');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const typeColors = { dev: '#4ECDC4', prod: '#FF6B6B', staging: '#FFEAA7' };
+const defaultColors = ['#45B7D1', '#96CEB4'];
+
+describe('Favicon Templates', () => {
+    describe('registry', () => {
+        it('should register the built-in templates', () => {
+            expect(TEMPLATE_NAMES).toEqual(['classic', 'circle', 'hexagon', 'split', 'outlined', 'glyph']);
+        });
+
+        it('should describe every template', () => {
+            for (const { name, description } of listTemplates()) {
+                expect(getTemplate(name).name).toBe(name);
+                expect(description).toEqual(expect.any(String));
+            }
+        });
+
+        it('should return null for unknown templates', () => {
+            expect(getTemplate('nope')).toBeNull();
+        });
+    });
+
+    describe.each(TEMPLATE_NAMES)('%s template', (name) => {
+        const generator = new FaviconGenerator({ typeColors, defaultColors, defaultTemplate: name });
+
+        it('should build a layout the SVG renderer accepts', () => {
+            const layout = generator.buildLayout('my-app', { type: 'dev', port: 3000 });
+            const svg = generator.renderSvg(layout);
+
+            expect(layout.template).toBe(name);
+            expect(svg).toMatch(/^<svg width="32" height="32"/);
+            expect(svg).toContain('>M');
+        });
+
+        it('should build a layout the rasterizer accepts', () => {
+            const png = rasterizeToPng(generator.buildLayout('my-app', { type: 'prod' }), 16);
+
+            expect(png.slice(1, 4).toString()).toBe('PNG');
+        });
+    });
+
+    describe('template selection', () => {
+        const generator = new FaviconGenerator({
+            typeColors,
+            defaultColors,
+            defaultTemplate: 'circle',
+            typeTemplates: { prod: 'hexagon' },
+        });
+
+        it('should use the global template by default', () => {
+            expect(generator.buildLayout('app', { type: 'dev' }).template).toBe('circle');
+        });
+
+        it('should prefer the per-type template', () => {
+            expect(generator.buildLayout('app', { type: 'prod' }).template).toBe('hexagon');
+        });
+
+        it('should prefer the project template', () => {
+            expect(generator.buildLayout('app', { type: 'prod', template: 'glyph' }).template).toBe('glyph');
+        });
+
+        it('should skip unknown templates', () => {
+            expect(generator.buildLayout('app', { type: 'prod', template: 'bogus' }).template).toBe('hexagon');
+        });
+
+        it('should default to classic', () => {
+            const plain = new FaviconGenerator({ typeColors, defaultColors });
+
+            expect(plain.buildLayout('app', {}).template).toBe('classic');
+        });
+
+        it('should render the classic SVG layout', () => {
+            const plain = new FaviconGenerator({ typeColors, defaultColors });
+
+            expect(plain.generateSvgFavicon('my-app', { type: 'dev', port: '8080' })).toBe(`<svg width="32" height="32" xmlns="http://www.w3.org/2000/svg">
+        <rect width="32" height="32" rx="4" fill="#4ECDC4"/>
+        <text x="16" y="21" text-anchor="middle" fill="black" font-family="Arial, sans-serif" font-size="14" font-weight="bold">MA</text>
+        <text x="16" y="30" text-anchor="middle" fill="black" font-family="monospace" font-size="6" opacity="0.8">8080</text>
+    </svg>`);
+        });
+    });
+
+    describe('template output', () => {
+        const generator = new FaviconGenerator({ typeColors, defaultColors });
+
+        it('should derive the split secondary color from the background', () => {
+            const layout = generator.buildLayout('app', { type: 'prod', template: 'split' });
+
+            expect(layout.shapes[1]).toEqual(expect.objectContaining({ type: 'polygon', fill: '#B34B4B' }));
+        });
+
+        it('should render a single character for glyph', () => {
+            const layout = generator.buildLayout('my-app', { type: 'dev', port: 3000, template: 'glyph' });
+
+            expect(layout.texts).toHaveLength(1);
+            expect(layout.texts[0].text).toBe('M');
+        });
+
+        it('should use the type color for outlined text', () => {
+            const layout = generator.buildLayout('app', { type: 'prod', template: 'outlined' });
+
+            expect(layout.texts[0].fill).toBe('#FF6B6B');
+            expect(layout.shapes[1].fill).toBe('#263238');
+        });
+
+        it.each([
+            ['outlined', (layout) => [layout.shapes[1].fill]],
+            ['split', (layout) => layout.shapes.map((shape) => shape.fill)],
+        ])('should keep %s text readable on the surfaces behind it for a dark type color', (template, textSurfaces) => {
+            const dark = new FaviconGenerator({ typeColors: { prod: '#1A237E' }, defaultColors });
+            const layout = dark.buildLayout('app', { type: 'prod', badge: 'v2', template });
+
+            for (const text of layout.texts) {
+                for (const surface of textSurfaces(layout)) {
+                    expect(contrastRatio(text.fill, surface)).toBeGreaterThanOrEqual(dark.minContrastRatio);
+                }
+            }
+        });
+
+        it('should honor the project text color in outlined and split', () => {
+            for (const template of ['outlined', 'split']) {
+                const layout = generator.buildLayout('app', { type: 'prod', textColor: '#FFEAA7', template });
+
+                expect(layout.texts[0].fill).toBe('#FFEAA7');
+            }
+        });
+
+        it('should sanitize colors and text emitted by templates', () => {
+            const evil = {
+                name: 'evil',
+                build: () => ({
+                    shapes: [{ type: 'rect', x: 0, y: 0, width: 32, height: 32, fill: 'url(javascript:x)' }],
+                    texts: [{ text: '<script>', x: 16, y: 20, fontSize: 10, fill: 'red"/><script>', fontFamily: 'Arial' }],
+                }),
+            };
+            jest.spyOn(generator, 'selectTemplate').mockReturnValue(evil);
+
+            const svg = generator.generateSvgFavicon('app', {});
+
+            expect(svg).not.toContain('script');
+            expect(svg).not.toContain('javascript');
+            expect(svg).toContain('fill="#45B7D1"');
+        });
+    });
+});
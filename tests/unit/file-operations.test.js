@@ -4,8 +4,12 @@
  * Tests the consolidated retry logic for filesystem operations
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
     retryFileOperation,
+    writeFileAtomic,
     isRetryableError,
     RETRYABLE_FS_ERRORS,
     DEFAULT_RETRY_CONFIG
@@ -274,4 +278,35 @@ describe('File Operations Utility', () => {
             expect(mockOperation).toHaveBeenCalledTimes(1);
         });
     });
+
+    describe('writeFileAtomic()', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-atomic-test-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('should replace the file and keep its mode', async () => {
+            const filePath = path.join(tempDir, 'projects.json');
+            fs.writeFileSync(filePath, 'old', { mode: 0o600 });
+
+            await writeFileAtomic(filePath, 'new');
+
+            expect(fs.readFileSync(filePath, 'utf8')).toBe('new');
+            expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+            expect(fs.readdirSync(tempDir)).toEqual(['projects.json']);
+        });
+
+        it('should remove the temp file when the rename fails', async () => {
+            const dirPath = path.join(tempDir, 'target');
+            fs.mkdirSync(path.join(dirPath, 'child'), { recursive: true });
+
+            await expect(writeFileAtomic(dirPath, 'data')).rejects.toThrow();
+            expect(fs.readdirSync(tempDir)).toEqual(['target']);
+        });
+    });
 });
@@ -6,6 +6,7 @@
  * - HTTP server shutdown
  * - Notification persistence
  * - Registry watcher cleanup
+ * - Favicon service watcher cleanup
  * - Cleanup interval management
  * - Force exit timeout
  * - Signal handler registration
@@ -37,6 +38,10 @@ jest.mock('../../lib/path-validator', () => ({
     stopCacheCleanup: jest.fn(),
 }));
 
+jest.mock('../../lib/webhooks', () => ({
+    stop: jest.fn().mockResolvedValue(),
+}));
+
 const {
     gracefulShutdown,
     registerShutdownHandlers,
@@ -44,6 +49,8 @@ const {
     stopCleanupInterval,
     saveNotificationsOnShutdown,
     closeRegistryWatcher,
+    closeFaviconService,
+    stopWebhooks,
     setupForceExitTimeout,
 } = require('../../lib/lifecycle/shutdown');
 
@@ -51,6 +58,7 @@ const logger = require('../../lib/logger');
 const config = require('../../lib/config');
 const notificationStore = require('../../lib/notification-store');
 const registryCache = require('../../lib/registry-cache');
+const webhooks = require('../../lib/webhooks');
 
 describe('Graceful Shutdown Module', () => {
     let originalProcessExit;
@@ -168,6 +176,30 @@ describe('Graceful Shutdown Module', () => {
         });
     });
 
+    describe('closeFaviconService()', () => {
+        it('should close the favicon service watchers', () => {
+            const faviconService = { close: jest.fn() };
+
+            closeFaviconService(faviconService);
+
+            expect(faviconService.close).toHaveBeenCalledTimes(1);
+            expect(logger.info).toHaveBeenCalledWith('Favicon service watchers closed');
+        });
+
+        it('should do nothing without a favicon service', () => {
+            expect(() => closeFaviconService()).not.toThrow();
+        });
+    });
+
+    describe('stopWebhooks()', () => {
+        it('should stop webhooks and save the dead-letter queue', async () => {
+            await stopWebhooks();
+
+            expect(webhooks.stop).toHaveBeenCalledTimes(1);
+            expect(logger.info).toHaveBeenCalledWith('Webhooks stopped');
+        });
+    });
+
     describe('setupForceExitTimeout()', () => {
         beforeEach(() => {
             jest.useFakeTimers();
@@ -233,6 +265,20 @@ describe('Graceful Shutdown Module', () => {
             expect(mockProcessExit).toHaveBeenCalledWith(0);
         });
 
+        it('should close the favicon service watchers', async () => {
+            const faviconService = { close: jest.fn() };
+            const shutdownPromise = gracefulShutdown('SIGTERM', mockServer, mockCleanupInterval, null, faviconService);
+
+            await Promise.resolve();
+            jest.runAllTimers();
+
+            await shutdownPromise;
+
+            expect(faviconService.close).toHaveBeenCalledTimes(1);
+            expect(webhooks.stop).toHaveBeenCalled();
+            expect(mockProcessExit).toHaveBeenCalledWith(0);
+        });
+
         it('should handle server close errors gracefully', async () => {
             mockServer.close = jest.fn(() => {
                 throw new Error('Server close failed');
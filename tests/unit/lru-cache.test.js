@@ -145,6 +145,20 @@ describe('LRUCache', () => {
             expect(cache.keys()).toEqual(['c', 'a', 'd']);
             expect(cache.has('b')).toBe(false);
         });
+
+        test('should call onEvict with the evicted key and value', () => {
+            const onEvict = jest.fn();
+            const evicting = new LRUCache(2, { onEvict });
+            evicting.set('a', 1);
+            evicting.set('b', 2);
+            evicting.set('a', 3); // Update, not an eviction
+            evicting.delete('b'); // Explicit delete, not an eviction
+            evicting.set('c', 4);
+            evicting.set('d', 5); // Evicts a
+
+            expect(onEvict).toHaveBeenCalledTimes(1);
+            expect(onEvict).toHaveBeenCalledWith('a', 3);
+        });
     });
 
     describe('Statistics Tracking', () => {
@@ -38,6 +38,9 @@ const {
     normalizeRoute,
     httpRequestDuration,
     httpRequestsTotal,
+    faviconCacheHitsTotal,
+    faviconCacheMissesTotal,
+    faviconNotModifiedTotal,
     sseConnectionsActive,
 } = require('../../lib/metrics');
 
@@ -167,6 +170,12 @@ describe('Metrics Module Tests', () => {
             expect(typeof httpRequestsTotal.inc).toBe('function');
         });
 
+        it('should export favicon cache and 304 counters', () => {
+            for (const counter of [faviconCacheHitsTotal, faviconCacheMissesTotal, faviconNotModifiedTotal]) {
+                expect(typeof counter.inc).toBe('function');
+            }
+        });
+
         it('should export sseConnectionsActive gauge', () => {
             expect(sseConnectionsActive).toBeDefined();
             expect(sseConnectionsActive.set).toBeDefined();
@@ -0,0 +1,178 @@
+/**
+ * Unit Tests for the per-project notification history
+ *
+ * - notification-store: every set/setWorking/setCompleted is appended, while
+ *   get()/getUnread() keep their latest-notification semantics
+ * - notification-history: count/age bounds and cursor pagination
+ * - notification-storage: history persisted next to notifications.json
+ * - GET /api/notifications/history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const testDataDir = path.join(__dirname, '../../.test-data-notification-history');
+jest.mock('../../lib/config', () => ({
+    dataDir: testDataDir,
+    notificationMaxCount: 1000,
+    notificationTtlMs: 24 * 60 * 60 * 1000,
+    notificationCleanupIntervalMs: 60 * 60 * 1000,
+    notificationHistoryMaxPerProject: 5,
+    notificationHistoryTtlMs: 60 * 60 * 1000,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+}));
+
+const notificationStore = require('../../lib/notification-store');
+const { createNotificationRoutes } = require('../../lib/routes/notification-routes');
+
+describe('Notification history', () => {
+    const folder = '/opt/dev/project1';
+    const historyFile = path.join(testDataDir, 'notification-history.json');
+
+    beforeEach(async () => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+        fs.mkdirSync(testDataDir, { recursive: true });
+        await notificationStore.load();
+    });
+
+    afterEach(async () => {
+        await notificationStore.saveImmediate();
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('notification-store', () => {
+        it('should keep earlier notifications while the latest slot is overwritten', () => {
+            notificationStore.setWorking(folder, 'Working...');
+            notificationStore.setCompleted(folder, 'First task done', { duration: 5 });
+            notificationStore.setCompleted(folder, 'Second task done');
+
+            expect(notificationStore.get(folder)).toMatchObject({ message: 'Second task done', status: 'completed', unread: true });
+            expect(notificationStore.getUnread(folder)).toHaveLength(1);
+
+            const { entries, nextCursor } = notificationStore.getHistory(folder);
+            expect(entries.map((entry) => [entry.status, entry.message])).toEqual([
+                ['completed', 'Second task done'],
+                ['completed', 'First task done'],
+                ['working', 'Working...'],
+            ]);
+            expect(entries[1]).toMatchObject({ folder, origin: null, metadata: { duration: 5 } });
+            expect(nextCursor).toBeNull();
+        });
+
+        it('should keep history separate per origin and through markRead/remove', () => {
+            notificationStore.setCompleted(folder, 'Default server');
+            notificationStore.setCompleted(folder, 'Other server', null, 'https://vs.example.com');
+            notificationStore.markRead(folder);
+            notificationStore.remove(folder, 'https://vs.example.com');
+
+            expect(notificationStore.getHistory(folder).entries.map((entry) => entry.message)).toEqual(['Default server']);
+            expect(notificationStore.getHistory(folder, 'https://vs.example.com').entries).toEqual([
+                expect.objectContaining({ message: 'Other server', origin: 'https://vs.example.com' }),
+            ]);
+        });
+    });
+
+    describe('bounds and pagination', () => {
+        it('should keep only the newest entries per project', () => {
+            for (let i = 1; i <= 7; i++) {
+                notificationStore.setCompleted(folder, `Task ${i}`);
+            }
+
+            expect(notificationStore.getHistory(folder).entries.map((entry) => entry.message)).toEqual(['Task 7', 'Task 6', 'Task 5', 'Task 4', 'Task 3']);
+        });
+
+        it('should page with cursors and filter by since', () => {
+            notificationStore.set(folder, { message: 'Old', timestamp: Date.now() - 10000 });
+            for (let i = 1; i <= 3; i++) {
+                notificationStore.setCompleted(folder, `Task ${i}`);
+            }
+
+            const first = notificationStore.getHistory(folder, null, { limit: 2 });
+            expect(first.entries.map((entry) => entry.message)).toEqual(['Task 3', 'Task 2']);
+
+            const second = notificationStore.getHistory(folder, null, { limit: 2, cursor: Number(first.nextCursor) });
+            expect(second.entries.map((entry) => entry.message)).toEqual(['Task 1', 'Old']);
+            expect(second.nextCursor).toBeNull();
+
+            const recent = notificationStore.getHistory(folder, null, { since: Date.now() - 5000 });
+            expect(recent.entries.map((entry) => entry.message)).toEqual(['Task 3', 'Task 2', 'Task 1']);
+        });
+
+        it('should skip entries older than the history TTL before they are pruned', () => {
+            notificationStore.set(folder, { message: 'Expired', timestamp: Date.now() - 2 * 60 * 60 * 1000, unread: false });
+            notificationStore.setCompleted(folder, 'Recent');
+
+            const { entries, nextCursor } = notificationStore.getHistory(folder, null, { limit: 1 });
+            expect(entries.map((entry) => entry.message)).toEqual(['Recent']);
+            expect(nextCursor).toBeNull();
+            expect(notificationStore.getHistory(folder, null, { since: 0 }).entries).toHaveLength(1);
+        });
+
+        it('should prune entries older than the history TTL on cleanup', async () => {
+            notificationStore.set(folder, { message: 'Expired', timestamp: Date.now() - 2 * 60 * 60 * 1000, unread: false });
+            notificationStore.setCompleted(folder, 'Recent');
+
+            await notificationStore.cleanup();
+
+            expect(notificationStore.getHistory(folder).entries.map((entry) => entry.message)).toEqual(['Recent']);
+        });
+    });
+
+    describe('persistence', () => {
+        it('should save the history alongside notifications.json and reload it', async () => {
+            notificationStore.setCompleted(folder, 'Task 1');
+            notificationStore.setCompleted(folder, 'Task 2');
+            await notificationStore.saveImmediate();
+
+            expect(fs.existsSync(path.join(testDataDir, 'notifications.json'))).toBe(true);
+            expect(Object.keys(JSON.parse(fs.readFileSync(historyFile, 'utf8')))).toEqual([folder]);
+
+            await notificationStore.load();
+            notificationStore.setCompleted(folder, 'Task 3');
+
+            const { entries } = notificationStore.getHistory(folder);
+            expect(entries.map((entry) => entry.message)).toEqual(['Task 3', 'Task 2', 'Task 1']);
+            expect(entries[0].id).toBeGreaterThan(entries[1].id);
+        });
+    });
+
+    describe('GET /api/notifications/history', () => {
+        let app;
+
+        beforeEach(() => {
+            const requireValidPath = (req, res, next) => {
+                req.validatedPath = req.query.folder;
+                next();
+            };
+            app = express();
+            app.use(createNotificationRoutes(requireValidPath, (req, res, next) => next()));
+        });
+
+        it('should return a page of history with the next cursor', async () => {
+            notificationStore.setWorking(folder, 'Working...');
+            notificationStore.setCompleted(folder, 'Done');
+
+            const response = await request(app).get('/api/notifications/history').query({ folder, limit: 1 }).expect(200);
+
+            expect(response.body).toMatchObject({ folder, count: 1, entries: [{ message: 'Done', status: 'completed' }] });
+
+            const next = await request(app).get('/api/notifications/history').query({ folder, limit: 1, cursor: response.body.nextCursor }).expect(200);
+            expect(next.body.entries.map((entry) => entry.message)).toEqual(['Working...']);
+            expect(next.body.nextCursor).toBeNull();
+        });
+
+        it('should reject invalid pagination parameters', async () => {
+            await request(app).get('/api/notifications/history').query({ folder, limit: 1000 }).expect(400);
+            await request(app).get('/api/notifications/history').query({ folder, cursor: 'abc' }).expect(400);
+            await request(app).get('/api/notifications/history').query({ folder, since: '-1' }).expect(400);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for concurrent Claude sessions per folder
+ *
+ * - notification-sessions: per-session entries, aggregated status and summary
+ * - notification-store: sessionId keeps sessions apart; markRead drops finished ones
+ * - sessions in /claude-status, /api/notifications/unread and the POST responses
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const testDataDir = path.join(__dirname, '../../.test-data-notification-sessions');
+jest.mock('../../lib/config', () => ({
+    dataDir: testDataDir,
+    notificationMaxCount: 1000,
+    notificationTtlMs: 24 * 60 * 60 * 1000,
+    notificationCleanupIntervalMs: 60 * 60 * 1000,
+    maxMetadataSizeBytes: 10240,
+    maxMetadataNestingDepth: 5,
+    allowedMetadataKeys: ['duration', 'user', 'context', 'tags', 'priority'],
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+}));
+
+const notificationStore = require('../../lib/notification-store');
+const { updateSession, aggregateStatus, summarize, MAX_SESSIONS_PER_FOLDER } = require('../../lib/notification-sessions');
+const { createNotificationRoutes } = require('../../lib/routes/notification-routes');
+
+describe('Notification sessions', () => {
+    const folder = '/opt/dev/project1';
+
+    beforeEach(async () => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+        fs.mkdirSync(testDataDir, { recursive: true });
+        await notificationStore.load();
+    });
+
+    afterEach(async () => {
+        await notificationStore.saveImmediate();
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('notification-sessions', () => {
+        it('should replace a session in place and append new ones', () => {
+            let sessions = updateSession(undefined, 'a', { status: 'working', message: 'A', timestamp: 1 });
+            sessions = updateSession(sessions, 'b', { status: 'working', message: 'B', timestamp: 2 });
+            sessions = updateSession(sessions, 'a', { status: 'completed', message: 'A done', timestamp: 3 });
+
+            expect(sessions.map((session) => [session.sessionId, session.status])).toEqual([
+                ['a', 'completed'],
+                ['b', 'working'],
+            ]);
+        });
+
+        it('should drop the least recently updated session over the limit', () => {
+            let sessions = [];
+            for (let i = 0; i <= MAX_SESSIONS_PER_FOLDER; i++) {
+                sessions = updateSession(sessions, `s${i}`, { status: 'working', message: 'x', timestamp: 100 + i });
+            }
+
+            expect(sessions).toHaveLength(MAX_SESSIONS_PER_FOLDER);
+            expect(sessions[0].sessionId).toBe('s1');
+        });
+
+        it('should aggregate and summarize by priority', () => {
+            const sessions = [
+                { sessionId: 'a', status: 'working' },
+                { sessionId: 'b', status: 'completed' },
+                { sessionId: 'c', status: 'working' },
+            ];
+
+            expect(aggregateStatus(sessions)).toBe('working');
+            expect(summarize(sessions)).toBe('2 working, 1 done');
+            expect(aggregateStatus([...sessions, { sessionId: 'd', status: 'needs-input' }])).toBe('needs-input');
+        });
+    });
+
+    describe('notification-store', () => {
+        it('should keep the folder working while another session is still running', () => {
+            notificationStore.setWorking(folder, 'Working...', null, 'main');
+            notificationStore.setWorking(folder, 'Working...', null, 'worktree');
+            notificationStore.setCompleted(folder, 'Subagent done', null, null, 'worktree');
+
+            expect(notificationStore.get(folder)).toMatchObject({ status: 'working', message: 'Subagent done' });
+            // The finished session is listed as unread while the folder is still working
+            expect(notificationStore.getUnread(folder)).toEqual([expect.objectContaining({ status: 'working', summary: '1 working, 1 done' })]);
+
+            notificationStore.setCompleted(folder, 'All done', null, null, 'main');
+
+            expect(notificationStore.getUnread(folder)).toEqual([
+                expect.objectContaining({
+                    status: 'completed',
+                    summary: '2 done',
+                    sessions: [
+                        expect.objectContaining({ sessionId: 'main', message: 'All done' }),
+                        expect.objectContaining({ sessionId: 'worktree', message: 'Subagent done' }),
+                    ],
+                }),
+            ]);
+        });
+
+        it('should record the reporting session in the history', () => {
+            notificationStore.setWorking(folder, 'Working...', null, 'main');
+            notificationStore.setCompleted(folder, 'Subagent done', null, null, 'worktree');
+
+            expect(notificationStore.getHistory(folder).entries.map((entry) => [entry.sessionId, entry.status])).toEqual([
+                ['worktree', 'completed'],
+                ['main', 'working'],
+            ]);
+        });
+
+        it('should drop finished sessions on markRead and reset them on sessionless updates', () => {
+            notificationStore.setWorking(folder, 'Working...', null, 'main');
+            notificationStore.setError(folder, 'Tests failed', null, null, 'worktree');
+            notificationStore.markRead(folder);
+
+            expect(notificationStore.get(folder).sessions.map((session) => session.sessionId)).toEqual(['main']);
+
+            notificationStore.setCompleted(folder, 'Task completed');
+            expect(notificationStore.get(folder).sessions).toBeUndefined();
+        });
+
+        it('should re-aggregate the status from the sessions left after markRead', () => {
+            notificationStore.setWorking(folder, 'Working...', null, 'main');
+            notificationStore.setNeedsInput(folder, 'Approve?', null, null, 'worktree');
+            expect(notificationStore.get(folder).status).toBe('needs-input');
+
+            notificationStore.markRead(folder);
+
+            expect(notificationStore.get(folder)).toMatchObject({ status: 'working', unread: false });
+            expect(notificationStore.getUnread(folder)).toEqual([]);
+        });
+    });
+
+    describe('routes', () => {
+        let app;
+
+        beforeEach(() => {
+            const requireValidPath = (req, res, next) => {
+                req.validatedPath = req.body.folder || req.query.folder;
+                next();
+            };
+            app = express();
+            app.use(express.json());
+            app.use((req, res, next) => {
+                req.log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+                next();
+            });
+            app.use(createNotificationRoutes(requireValidPath, (req, res, next) => next()));
+        });
+
+        it('should return the aggregated folder state and sessions', async () => {
+            await request(app).post('/claude-started').send({ folder, sessionId: 'main' }).expect(200);
+            const response = await request(app).post('/claude-completion').send({ folder, sessionId: 'worktree' }).expect(200);
+
+            expect(response.body).toMatchObject({ state: 'completed', folderState: 'working', summary: '1 working, 1 done' });
+
+            const status = await request(app).get('/claude-status').query({ folder }).expect(200);
+            expect(status.body).toMatchObject({ hasNotification: true, status: 'working', summary: '1 working, 1 done' });
+            expect(status.body.sessions).toHaveLength(2);
+        });
+
+        it('should keep sessionless responses unchanged', async () => {
+            const response = await request(app).post('/claude-completion').send({ folder }).expect(200);
+
+            expect(response.body).toEqual({ status: 'ok', folder, message: 'Task completed', state: 'completed' });
+        });
+
+        it('should reject invalid session IDs', async () => {
+            await request(app).post('/claude-started').send({ folder, sessionId: 'a b' }).expect(400);
+            await request(app).post('/claude-started').send({ folder, sessionId: 'x'.repeat(129) }).expect(400);
+        });
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for the needs-input and error notification states
+ *
+ * - notification-store: setNeedsInput/setError are unread like completions
+ * - notification-events: SSE payloads carry hasNotification for the new types
+ * - POST /claude-needs-input and POST /claude-error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const testDataDir = path.join(__dirname, '../../.test-data-notification-states');
+jest.mock('../../lib/config', () => ({
+    dataDir: testDataDir,
+    notificationMaxCount: 1000,
+    notificationTtlMs: 24 * 60 * 60 * 1000,
+    notificationCleanupIntervalMs: 60 * 60 * 1000,
+    maxMetadataSizeBytes: 10240,
+    maxMetadataNestingDepth: 5,
+    allowedMetadataKeys: ['duration', 'user', 'context', 'tags', 'priority'],
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+}));
+
+const notificationStore = require('../../lib/notification-store');
+const { createNotificationRoutes } = require('../../lib/routes/notification-routes');
+
+describe('Needs-input and error notification states', () => {
+    const folder = '/opt/dev/project1';
+
+    beforeEach(async () => {
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+        fs.mkdirSync(testDataDir, { recursive: true });
+        await notificationStore.load();
+    });
+
+    afterEach(async () => {
+        await notificationStore.saveImmediate();
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('notification-store', () => {
+        it('should list needs-input and error notifications as unread, but not working', () => {
+            notificationStore.setNeedsInput('/opt/dev/asking', 'Claude needs your permission to use Bash');
+            notificationStore.setError('/opt/dev/failing', 'Build failed', { context: 'npm test' });
+            notificationStore.setWorking('/opt/dev/busy');
+
+            expect(notificationStore.getUnread().map((notification) => [notification.folder, notification.status])).toEqual(
+                expect.arrayContaining([
+                    ['/opt/dev/asking', 'needs-input'],
+                    ['/opt/dev/failing', 'error'],
+                ])
+            );
+            expect(notificationStore.getUnread('/opt/dev/busy')).toEqual([]);
+            expect(notificationStore.get('/opt/dev/failing')).toMatchObject({ status: 'error', unread: true, metadata: { context: 'npm test' } });
+        });
+
+        it('should replace needs-input when Claude continues and drop it from unread once read', () => {
+            notificationStore.setNeedsInput(folder);
+            expect(notificationStore.get(folder)).toMatchObject({ status: 'needs-input', message: 'Waiting for input' });
+
+            notificationStore.setWorking(folder);
+            expect(notificationStore.getUnread(folder)).toEqual([]);
+
+            notificationStore.setError(folder);
+            expect(notificationStore.getUnread(folder)).toEqual([expect.objectContaining({ status: 'error', message: 'Task failed' })]);
+
+            notificationStore.markRead(folder);
+            expect(notificationStore.getUnread(folder)).toEqual([]);
+        });
+
+        it('should emit SSE payloads with hasNotification for the new event types', () => {
+            const events = [];
+            const unsubscribe = notificationStore.subscribe((event) => events.push(event));
+
+            notificationStore.setNeedsInput(folder, 'Waiting for input');
+            notificationStore.setError(folder, 'Task failed');
+            notificationStore.markRead(folder);
+            unsubscribe();
+
+            expect(events.map((event) => [event.type, JSON.parse(event.serializedPayload).hasNotification])).toEqual([
+                ['needs-input', true],
+                ['error', true],
+                ['read', false],
+            ]);
+            expect(JSON.parse(events[0].serializedPayload)).toMatchObject({ type: 'needs-input', message: 'Waiting for input' });
+        });
+    });
+
+    describe('routes', () => {
+        let app;
+
+        beforeEach(() => {
+            const requireValidPath = (req, res, next) => {
+                req.validatedPath = req.body.folder || req.query.folder;
+                next();
+            };
+            app = express();
+            app.use(express.json());
+            app.use((req, res, next) => {
+                req.log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+                next();
+            });
+            app.use(createNotificationRoutes(requireValidPath, (req, res, next) => next()));
+        });
+
+        it('should store a needs-input notification', async () => {
+            const response = await request(app)
+                .post('/claude-needs-input')
+                .send({ folder, message: 'Claude needs your permission to use Bash' })
+                .expect(200);
+
+            expect(response.body).toEqual({ status: 'ok', folder, message: 'Claude needs your permission to use Bash', state: 'needs-input' });
+
+            const status = await request(app).get('/claude-status').query({ folder }).expect(200);
+            expect(status.body).toMatchObject({ hasNotification: true, status: 'needs-input' });
+        });
+
+        it('should store an error notification with the default message', async () => {
+            const response = await request(app).post('/claude-error').send({ folder }).expect(200);
+
+            expect(response.body).toMatchObject({ message: 'Task failed', state: 'error' });
+
+            const unread = await request(app).get('/api/notifications/unread').expect(200);
+            expect(unread.body.notifications).toEqual([expect.objectContaining({ folder, status: 'error', projectName: 'project1' })]);
+        });
+
+        it('should validate the message like the other notification endpoints', async () => {
+            await request(app).post('/claude-needs-input').send({ folder, message: '<script>' }).expect(400);
+            await request(app).post('/claude-error').send({ folder, message: 'x'.repeat(501) }).expect(400);
+        });
+    });
+});
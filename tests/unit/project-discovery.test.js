@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for ProjectDiscovery
+ * Tests metadata inference from project files, sources, caching and invalidation
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ProjectDiscovery = require('../../lib/services/project-discovery');
+const { parseEnvFile, findScriptPort, getRemoteRepositoryName } = ProjectDiscovery;
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+describe('ProjectDiscovery', () => {
+    let discovery;
+    let rootDir;
+    let projectPath;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-discovery-'));
+        projectPath = path.join(rootDir, 'prod', 'shop');
+        fs.mkdirSync(projectPath, { recursive: true });
+        discovery = new ProjectDiscovery();
+    });
+
+    afterEach(() => {
+        discovery.close();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    const write = (name, contents) => {
+        fs.mkdirSync(path.dirname(path.join(projectPath, name)), { recursive: true });
+        fs.writeFileSync(path.join(projectPath, name), typeof contents === 'string' ? contents : JSON.stringify(contents));
+    };
+
+    describe('inspect', () => {
+        it('should infer name, type and port with their sources', async () => {
+            write('package.json', { name: '@acme/shop-web', scripts: { build: 'vite build', dev: 'vite --port 5173' } });
+            write('.env', 'NODE_ENV=production\nexport PORT="3000"\n');
+
+            expect(await discovery.inspect(projectPath)).toEqual({
+                info: { name: 'shop-web', type: 'prod', port: 3000 },
+                sources: { name: 'package.json', type: `parent directory ${path.join(rootDir, 'prod')}`, port: '.env PORT' },
+            });
+        });
+
+        it('should fall back to the package.json scripts for the port', async () => {
+            write('package.json', { name: 'shop', scripts: { test: 'jest', start: 'next start -p 4000' } });
+
+            const { info, sources } = await discovery.inspect(projectPath);
+
+            expect(info.port).toBe(4000);
+            expect(sources.port).toBe('package.json scripts.start');
+        });
+
+        it('should read names from pyproject.toml and Cargo.toml', async () => {
+            write('pyproject.toml', '[tool.poetry]\nname = "shop-api"\n');
+            expect((await discovery.inspect(projectPath)).sources.name).toBe('pyproject.toml');
+
+            fs.rmSync(path.join(projectPath, 'pyproject.toml'));
+            write('Cargo.toml', '[package]\nname = "shop-core"\nversion = "0.1.0"\n');
+            expect((await discovery.inspect(projectPath)).info.name).toBe('shop-core');
+        });
+
+        it('should use the git remote repository name last', async () => {
+            write('.git/config', '[core]\n\tbare = false\n[remote "upstream"]\n\turl = https://example.com/a/other.git\n[remote "origin"]\n\turl = git@github.com:acme/shop-site.git\n');
+
+            expect(await discovery.inspect(projectPath)).toMatchObject({
+                info: { name: 'shop-site' },
+                sources: { name: 'git remote' },
+            });
+        });
+
+        it('should skip values that fail the registry schema', async () => {
+            write('package.json', { name: 'bad/name', scripts: { dev: 'serve --port 99999' } });
+            write('.env', 'PORT=http\n');
+
+            expect((await discovery.inspect(projectPath)).info).toEqual({ type: 'prod' });
+        });
+
+        it('should return nothing for folders outside typed directories', async () => {
+            const other = fs.mkdtempSync(path.join(os.tmpdir(), 'untyped-'));
+            try {
+                expect(await discovery.inspect(other)).toEqual({ info: {}, sources: {} });
+            } finally {
+                fs.rmSync(other, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('caching', () => {
+        it('should cache results until invalidated', async () => {
+            write('package.json', { name: 'shop' });
+            await discovery.discover(projectPath);
+            write('package.json', { name: 'renamed' });
+
+            expect((await discovery.discover(projectPath)).info.name).toBe('shop');
+
+            const listener = jest.fn();
+            discovery.on('change', listener);
+            discovery.invalidate(projectPath);
+
+            expect(listener).toHaveBeenCalledWith(projectPath);
+            expect((await discovery.discover(projectPath)).info.name).toBe('renamed');
+        });
+
+        it('should release the watcher of an evicted project', async () => {
+            const otherPath = path.join(rootDir, 'dev', 'api');
+            fs.mkdirSync(otherPath, { recursive: true });
+            const limited = new ProjectDiscovery({ maxWatchers: 1, maxCachedProjects: 1 });
+
+            try {
+                await limited.discover(projectPath);
+                await limited.discover(otherPath);
+
+                expect(limited.getStats().watchers).toBe(1);
+                expect(limited.files.isWatched(otherPath)).toBe(true);
+            } finally {
+                limited.close();
+            }
+        });
+    });
+
+    describe('helpers', () => {
+        it('should parse .env assignments', () => {
+            expect(parseEnvFile("# comment\nPORT = '8080'\nBROKEN\n=x\nexport HOST=localhost")).toEqual({ PORT: '8080', HOST: 'localhost' });
+        });
+
+        it('should prefer dev/start scripts for ports', () => {
+            expect(findScriptPort({ storybook: 'storybook -p 6006', dev: 'PORT=3001 node server.js' })).toEqual({ port: 3001, script: 'dev' });
+            expect(findScriptPort({ build: 'tsc' })).toBeNull();
+            expect(findScriptPort(undefined)).toBeNull();
+        });
+
+        it('should read repository names from remote URLs', () => {
+            expect(getRemoteRepositoryName('[remote "origin"]\n  url = https://github.com/acme/app/\n')).toBe('app');
+            expect(getRemoteRepositoryName('[core]\n  url = x\n')).toBeUndefined();
+        });
+    });
+});
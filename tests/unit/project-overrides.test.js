@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for ProjectOverrides
+ * Tests `.favicon.json` / package.json loading, validation and change invalidation
+ */
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ProjectOverrides = require('../../lib/services/project-overrides');
+const { WATCH_LIMITS } = require('../../lib/services/watched-file-cache');
+
+describe('ProjectOverrides', () => {
+    let overrides;
+    let projectPath;
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'favicon-overrides-'));
+        overrides = new ProjectOverrides();
+    });
+
+    afterEach(() => {
+        overrides.close();
+        fs.rmSync(projectPath, { recursive: true, force: true });
+    });
+
+    const writeJson = (name, data) => fs.writeFileSync(path.join(projectPath, name), JSON.stringify(data));
+
+    describe('loading', () => {
+        it('should return empty overrides when no override source exists', async () => {
+            expect(await overrides.getOverrides(projectPath)).toEqual({});
+        });
+
+        it('should read .favicon.json', async () => {
+            writeJson('.favicon.json', { initials: 'ab', backgroundColor: '#112233', shape: 'rounded' });
+
+            expect(await overrides.getOverrides(projectPath)).toEqual({
+                initials: 'AB',
+                backgroundColor: '#112233',
+                shape: 'rounded',
+            });
+        });
+
+        it('should prefer .favicon.json over package.json', async () => {
+            writeJson('.favicon.json', { badge: 'FILE' });
+            writeJson('package.json', { favicon: { badge: 'PKG' } });
+
+            expect(await overrides.getOverrides(projectPath)).toEqual({ badge: 'FILE' });
+        });
+
+        it('should fall back to the package.json favicon key', async () => {
+            writeJson('package.json', { name: 'x', favicon: { textColor: '#000000' } });
+
+            expect(await overrides.getOverrides(projectPath)).toEqual({ textColor: '#000000' });
+        });
+
+        it('should tolerate malformed JSON', async () => {
+            fs.writeFileSync(path.join(projectPath, '.favicon.json'), '{ not json');
+
+            expect(await overrides.getOverrides(projectPath)).toEqual({});
+        });
+
+        it('should return empty overrides for missing directories', async () => {
+            expect(await overrides.getOverrides(path.join(projectPath, 'missing'))).toEqual({});
+        });
+    });
+
+    describe('normalize', () => {
+        it('should drop unknown keys', () => {
+            expect(overrides.normalize({ initials: 'A', script: 'alert(1)' })).toEqual({ initials: 'A' });
+        });
+
+        it('should reject non-object values', () => {
+            expect(overrides.normalize(['A'])).toEqual({});
+            expect(overrides.normalize('A')).toEqual({});
+        });
+
+        it('should reject colors that fail sanitizeColor', () => {
+            expect(overrides.normalize({ backgroundColor: 'url(#x)', textColor: '#FFF' })).toEqual({});
+        });
+
+        it('should reject text that sanitization would alter', () => {
+            expect(overrides.normalize({ initials: '<b>', badge: 'a&b' })).toEqual({});
+            expect(overrides.normalize({ badge: 'javascript:' })).toEqual({});
+        });
+
+        it('should enforce length limits', () => {
+            expect(overrides.normalize({ initials: 'ABCD', badge: 'LONGER' })).toEqual({});
+        });
+
+        it('should only accept registered templates', () => {
+            expect(overrides.normalize({ template: 'hexagon' })).toEqual({ template: 'hexagon' });
+            expect(overrides.normalize({ template: '../evil' })).toEqual({});
+        });
+
+        it('should only accept known custom overlay styles', () => {
+            expect(overrides.normalize({ customOverlay: 'ribbon' })).toEqual({ customOverlay: 'ribbon' });
+            expect(overrides.normalize({ customOverlay: 'banner' })).toEqual({});
+        });
+
+        it('should only accept known shapes', () => {
+            expect(overrides.normalize({ shape: 'circle' })).toEqual({ shape: 'circle' });
+            expect(overrides.normalize({ shape: 'star' })).toEqual({});
+        });
+
+        it('should drop the shape for templates that do not draw it', () => {
+            const logger = require('../../lib/logger');
+
+            expect(overrides.normalize({ shape: 'square', template: 'classic' })).toEqual({ shape: 'square', template: 'classic' });
+            expect(overrides.normalize({ shape: 'square', template: 'hexagon' })).toEqual({ template: 'hexagon' });
+            expect(logger.warn).toHaveBeenCalledWith(
+                expect.objectContaining({ shape: 'square', template: 'hexagon' }),
+                'Favicon override shape only applies to the classic template, ignoring'
+            );
+        });
+    });
+
+    describe('invalidation', () => {
+        it('should serve cached overrides until invalidated', async () => {
+            writeJson('.favicon.json', { badge: 'ONE' });
+            await overrides.getOverrides(projectPath);
+            writeJson('.favicon.json', { badge: 'TWO' });
+
+            // Cached until the watcher (or an explicit invalidate) clears it
+            overrides.invalidate(projectPath);
+
+            expect(await overrides.getOverrides(projectPath)).toEqual({ badge: 'TWO' });
+        });
+
+        it('should emit change when the override file is edited', async () => {
+            await overrides.getOverrides(projectPath);
+            const changed = new Promise((resolve) => overrides.once('change', resolve));
+
+            writeJson('.favicon.json', { badge: 'NEW' });
+
+            await expect(changed).resolves.toBe(projectPath);
+            expect(await overrides.getOverrides(projectPath)).toEqual({ badge: 'NEW' });
+        });
+
+        it('should bound the number of watchers and expire unwatched entries', async () => {
+            const limited = new ProjectOverrides({ maxWatchers: 0 });
+            writeJson('.favicon.json', { badge: 'OLD' });
+            const nowSpy = jest.spyOn(Date, 'now');
+
+            try {
+                nowSpy.mockReturnValue(1000);
+                await limited.getOverrides(projectPath);
+                writeJson('.favicon.json', { badge: 'NEW' });
+
+                expect(await limited.getOverrides(projectPath)).toEqual({ badge: 'OLD' });
+
+                nowSpy.mockReturnValue(1000 + WATCH_LIMITS.UNWATCHED_TTL_MS + 1);
+                expect(await limited.getOverrides(projectPath)).toEqual({ badge: 'NEW' });
+                expect(limited.getStats().watchers).toBe(0);
+            } finally {
+                nowSpy.mockRestore();
+                limited.close();
+            }
+        });
+
+        it('should release the watcher of an evicted project', async () => {
+            const otherPath = fs.mkdtempSync(path.join(os.tmpdir(), 'favicon-overrides-'));
+            const limited = new ProjectOverrides({ maxWatchers: 1, maxCachedProjects: 1 });
+
+            try {
+                await limited.getOverrides(projectPath);
+                await limited.getOverrides(otherPath);
+
+                expect(limited.getStats().watchers).toBe(1);
+                expect(limited.files.isWatched(otherPath)).toBe(true);
+            } finally {
+                limited.close();
+                fs.rmSync(otherPath, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Project Routes Unit Tests
+ * Tests for GET /api/projects (listing, filters, search, notification status)
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockGetRegistry = jest.fn();
+const mockNotificationGet = jest.fn();
+const mockIsPathAllowed = jest.fn();
+
+jest.mock('../../lib/registry-cache', () => ({
+    getRegistry: mockGetRegistry,
+}));
+
+jest.mock('../../lib/notification-store', () => ({
+    get: mockNotificationGet,
+}));
+
+jest.mock('../../lib/path-validator', () => ({
+    isPathAllowedAsync: mockIsPathAllowed,
+}));
+
+const { createProjectRoutes } = require('../../lib/routes/project-routes');
+
+describe('Project Routes', () => {
+    const api = { name: 'shop-api', path: '/opt/prod/shop-api', type: 'prod', tags: ['backend'], group: 'shop' };
+    const web = { name: 'shop-web', path: '/opt/prod/shop-web', type: 'prod' };
+    const tool = { name: 'tool', path: '/opt/dev/tool', type: 'dev', port: 3000 };
+    const hidden = { name: 'secret', path: '/srv/secret', type: 'prod' };
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        const projects = {};
+        for (const project of [api, web, tool, hidden]) {
+            projects[project.name] = project;
+            projects[project.path] = project;
+        }
+        mockGetRegistry.mockResolvedValue({ projects });
+        mockIsPathAllowed.mockImplementation(async (projectPath) => projectPath.startsWith('/opt/'));
+        mockNotificationGet.mockReturnValue(null);
+
+        app = express();
+        app.use(createProjectRoutes());
+    });
+
+    it('should list allowed projects with favicon URL and notification status', async () => {
+        mockNotificationGet.mockImplementation((folder, origin) =>
+            folder === tool.path && origin === null
+                ? { folder, status: 'working', unread: true, message: 'Working...', timestamp: 1733310000000 }
+                : null
+        );
+
+        const response = await request(app).get('/api/projects').expect(200);
+
+        expect(response.body.total).toBe(3);
+        expect(response.body.count).toBe(3);
+        expect(response.body.projects.map((project) => project.name)).toEqual(['shop-api', 'shop-web', 'tool']);
+        expect(response.body.projects[2]).toEqual({
+            ...tool,
+            tags: [],
+            faviconUrl: '/api/favicon?folder=%2Fopt%2Fdev%2Ftool',
+            notification: { status: 'working', unread: true, message: 'Working...', timestamp: 1733310000000 },
+        });
+        expect(response.body.projects[0].notification).toBeNull();
+    });
+
+    it('should filter by type and tag and search by name', async () => {
+        const filtered = await request(app).get('/api/projects?type=prod&tag=backend').expect(200);
+        expect(filtered.body.projects.map((project) => project.name)).toEqual(['shop-api']);
+
+        const searched = await request(app).get('/api/projects?q=web').expect(200);
+        expect(searched.body.projects.map((project) => project.name)).toEqual(['shop-web']);
+    });
+
+    it('should cap results with limit and pass origin to the notification lookup', async () => {
+        const response = await request(app).get('/api/projects?limit=1&origin=https://vs.example.com').expect(200);
+
+        expect(response.body).toMatchObject({ count: 1, total: 3 });
+        expect(mockNotificationGet).toHaveBeenCalledWith('/opt/prod/shop-api', 'https://vs.example.com');
+    });
+
+    it('should reject invalid query parameters', async () => {
+        await request(app).get('/api/projects?limit=0').expect(400);
+        await request(app).get('/api/projects?tag=a&tag=b').expect(400);
+        expect(mockGetRegistry).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the registry cannot be searched', async () => {
+        mockGetRegistry.mockRejectedValue(new Error('boom'));
+
+        const response = await request(app).get('/api/projects').expect(500);
+        expect(response.body.code).toBe('INTERNAL_ERROR');
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit Tests for project search
+ *
+ * - project-search: filters, fuzzy ranking, unique registry projects
+ * - registry-schema: tags and group fields
+ */
+
+const { fuzzyScore, getUniqueProjects, searchProjects } = require('../../lib/project-search');
+const { validateProjectEntry } = require('../../lib/registry-schema');
+
+const PROJECTS = [
+    { name: 'shop-api', path: '/opt/prod/shop-api', type: 'prod', tags: ['backend', 'Node'], group: 'Shop' },
+    { name: 'shop-web', path: '/opt/prod/shop-web', type: 'prod', tags: ['frontend'], group: 'shop' },
+    { name: 'vscode-favicon', path: '/opt/dev/vscode-favicon', type: 'dev', tags: ['backend'] },
+    { name: 'api', path: '/opt/dev/api', type: 'dev' },
+];
+
+const names = (matches) => matches.map(({ project }) => project.name);
+
+describe('Project search', () => {
+    describe('fuzzyScore', () => {
+        it('should rank exact over prefix over substring over subsequence', () => {
+            const scores = ['api', 'api-gateway', 'shop-api', 'a-p-i'].map((text) => fuzzyScore('api', text));
+
+            expect(scores).toEqual([...scores].sort((a, b) => b - a));
+            expect(fuzzyScore('vsf', 'vscode-favicon')).toBeGreaterThan(0);
+            expect(fuzzyScore('xyz', 'vscode-favicon')).toBeNull();
+            expect(fuzzyScore('api', '')).toBeNull();
+        });
+    });
+
+    describe('searchProjects', () => {
+        it('should list every project by name without criteria', () => {
+            expect(names(searchProjects(PROJECTS))).toEqual(['api', 'shop-api', 'shop-web', 'vscode-favicon']);
+        });
+
+        it('should combine type, tag and group filters', () => {
+            expect(names(searchProjects(PROJECTS, { type: 'prod', tag: 'backend' }))).toEqual(['shop-api']);
+            expect(names(searchProjects(PROJECTS, { tag: 'backend,node' }))).toEqual(['shop-api']);
+            expect(names(searchProjects(PROJECTS, { group: 'SHOP' }))).toEqual(['shop-api', 'shop-web']);
+            expect(searchProjects(PROJECTS, { type: 'staging' })).toEqual([]);
+        });
+
+        it('should rank name matches above path-only matches', () => {
+            expect(names(searchProjects(PROJECTS, { q: 'api' }))).toEqual(['api', 'shop-api']);
+            expect(names(searchProjects(PROJECTS, { q: 'opt/dev' }))).toEqual(['api', 'vscode-favicon']);
+            expect(names(searchProjects(PROJECTS, { q: 'shpweb' }))).toEqual(['shop-web']);
+        });
+    });
+
+    describe('getUniqueProjects', () => {
+        it('should drop the name index duplicates and projects without a path', () => {
+            const app = { name: 'app', path: '/opt/dev/app' };
+            expect(getUniqueProjects({ app, '/opt/dev/app': app, other: { name: 'other' } })).toEqual([app]);
+        });
+    });
+
+    describe('registry-schema', () => {
+        it('should validate tags and group', () => {
+            expect(validateProjectEntry({ name: 'app', path: '/opt/app', tags: ['backend', 'api'], group: 'Shop' }).valid).toBe(true);
+            expect(validateProjectEntry({ name: 'app', path: '/opt/app', tags: 'backend', group: '' }).errors.map((error) => error.field)).toEqual([
+                'tags',
+                'group',
+            ]);
+            expect(validateProjectEntry({ name: 'app', path: '/opt/app', tags: ['a,b'] }).valid).toBe(false);
+        });
+    });
+});
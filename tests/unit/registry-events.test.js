@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for registry-updated events
+ *
+ * - registry-cache: diff of flattened projects between loads
+ * - Eager reload after invalidation while events have listeners
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-events-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.json'),
+    registryCacheTtl: 60000,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const registryEvents = require('../../lib/registry-events');
+
+function writeRegistry(data) {
+    fs.writeFileSync(config.registryPath, JSON.stringify(data));
+}
+
+describe('Registry change events', () => {
+    let events;
+    let unsubscribe;
+
+    beforeEach(async () => {
+        writeRegistry({
+            development: [
+                { name: 'app', path: '/opt/dev/app', port: 3000 },
+                { name: 'api', path: '/opt/dev/api' },
+            ],
+            production: [{ name: 'legacy' }],
+        });
+        registryCache.invalidateCache();
+        await registryCache.getRegistry();
+
+        events = [];
+        unsubscribe = registryEvents.subscribe((event) => events.push(event));
+    });
+
+    afterEach(() => {
+        unsubscribe();
+    });
+
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    it('should emit the paths of changed, added and removed projects', async () => {
+        writeRegistry({
+            development: [
+                { name: 'app', path: '/opt/dev/app', port: 3001 },
+                { name: 'web', path: '/opt/dev/web' },
+            ],
+            production: [{ name: 'legacy' }],
+        });
+        registryCache.invalidateCache();
+        await registryCache.getRegistry();
+
+        expect(events).toEqual([
+            { type: 'registry-updated', paths: ['/opt/dev/api', '/opt/dev/app', '/opt/dev/web'], timestamp: expect.any(Number) },
+        ]);
+    });
+
+    it('should report entries without a path by name', async () => {
+        writeRegistry({
+            development: [
+                { name: 'app', path: '/opt/dev/app', port: 3000 },
+                { name: 'api', path: '/opt/dev/api' },
+            ],
+            production: [{ name: 'legacy', port: 8080 }],
+        });
+        registryCache.invalidateCache();
+        await registryCache.getRegistry();
+
+        expect(events[0].paths).toEqual(['legacy']);
+    });
+
+    it('should not emit when nothing changed', async () => {
+        registryCache.invalidateCache();
+        await registryCache.getRegistry();
+
+        expect(events).toEqual([]);
+    });
+
+    it('should reload right away after an invalidation while subscribed', async () => {
+        writeRegistry({ development: [{ name: 'app', path: '/opt/dev/app', port: 4000 }] });
+        const misses = registryCache.getCacheStats().misses;
+
+        const updated = new Promise((resolve) => {
+            const stop = registryEvents.subscribe((event) => {
+                stop();
+                resolve(event);
+            });
+        });
+
+        // No getRegistry() call: the invalidation itself reloads and emits
+        registryCache.invalidateCache();
+
+        expect((await updated).paths).toEqual(['/opt/dev/api', '/opt/dev/app', 'legacy']);
+        expect(registryCache.getCacheStats().misses).toBe(misses + 1);
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for YAML and TOML registry files
+ *
+ * - toml-parser: TOML 1.0 (smol-toml) converted to plain data
+ * - registry-formats: format detection by extension
+ * - registry-cache: same flattening for every format, stale cache on parse errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-formats-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.yaml'),
+    registryCacheTtl: 60000,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const { parseToml } = require('../../lib/utils/toml-parser');
+const { getRegistryFormat, isRegistryFragment, parseRegistry } = require('../../lib/registry-formats');
+
+const YAML_REGISTRY = `# Infra inventory
+projects:
+  development:
+    - name: app
+      path: /opt/dev/app
+      port: 3000
+  production:
+    - name: site
+      path: /opt/prod/site
+`;
+
+const TOML_REGISTRY = `# Infra inventory
+version = "2.0"
+
+[[development]]
+name = "app"
+path = "/opt/dev/app"
+port = 3000
+
+[[production]]
+name = "site"
+path = '/opt/prod/site'
+`;
+
+describe('Registry formats', () => {
+    describe('parseToml', () => {
+        it('should parse arrays of tables, tables and scalars', () => {
+            expect(parseToml(TOML_REGISTRY)).toEqual({
+                version: '2.0',
+                development: [{ name: 'app', path: '/opt/dev/app', port: 3000 }],
+                production: [{ name: 'site', path: '/opt/prod/site' }],
+            });
+        });
+
+        it('should parse dotted keys, inline tables, arrays and numbers', () => {
+            const doc = parseToml(
+                [
+                    '[projects]',
+                    'development = [ { name = "app", path = "/opt/dev/app" }, ]',
+                    'meta.updated = 2025-12-04T10:30:00Z',
+                    'limits = { max = 1_000, mask = 0xff, ratio = 0.5, on = true }',
+                    'tags = [',
+                    '  "a", # comment',
+                    '  "b",',
+                    ']',
+                ].join('\n')
+            );
+
+            expect(doc.projects).toEqual({
+                development: [{ name: 'app', path: '/opt/dev/app' }],
+                meta: { updated: '2025-12-04T10:30:00.000Z' },
+                limits: { max: 1000, mask: 255, ratio: 0.5, on: true },
+                tags: ['a', 'b'],
+            });
+        });
+
+        it('should decode string escapes and multi-line strings', () => {
+            const doc = parseToml('a = "tab\\there \\u00e9"\nb = """\nline \\\n   joined"""\nc = \'\'\'\nC:\\raw\'\'\'');
+            expect(doc).toEqual({ a: 'tab\there é', b: 'line joined', c: 'C:\\raw' });
+        });
+
+        it('should report the line of syntax errors', () => {
+            expect(() => parseToml('a = 1\nb = "open')).toThrow(/^TOML line 2: unfinished string$/);
+            expect(() => parseToml('a = 1\na = 2')).toThrow(/line 2: .*already defined/);
+            expect(() => parseToml('[t]\n[t]')).toThrow(/already defined/);
+            expect(() => parseToml('n = 012')).toThrow(SyntaxError);
+        });
+
+        it('should parse special floats and local dates', () => {
+            expect(parseToml('a = inf\nb = -inf\nc = nan\nd = 2025-12-04\ne = 10:30:00')).toEqual({
+                a: Infinity,
+                b: -Infinity,
+                c: NaN,
+                d: '2025-12-04',
+                e: '10:30:00.000',
+            });
+        });
+
+        it('should keep __proto__ as a plain key', () => {
+            const doc = parseToml('[__proto__]\npolluted = true');
+            expect(Object.keys(doc)).toEqual(['__proto__']);
+            expect({}.polluted).toBeUndefined();
+        });
+    });
+
+    describe('registry-formats', () => {
+        it('should detect formats by extension', () => {
+            expect(getRegistryFormat('/opt/registry/projects.YML')).toBe('yaml');
+            expect(getRegistryFormat('projects.toml')).toBe('toml');
+            expect(getRegistryFormat('/opt/registry/projects')).toBe('json');
+            expect(['a.json', 'b.yaml', 'c.toml', 'd.txt', '.e.json.1.tmp'].filter(isRegistryFragment)).toEqual(['a.json', 'b.yaml', 'c.toml']);
+        });
+
+        it('should parse YAML without executing tags', () => {
+            expect(parseRegistry(YAML_REGISTRY, 'projects.yaml').projects.development[0]).toEqual({ name: 'app', path: '/opt/dev/app', port: 3000 });
+            expect(parseRegistry('x: !!js/function "return 1"', 'x.yml')).toEqual({ x: 'return 1' });
+            expect(() => parseRegistry('', 'x.yaml')).toThrow(SyntaxError);
+        });
+    });
+
+    describe('registry-cache', () => {
+        afterAll(() => {
+            registryCache.closeWatcher();
+            fs.rmSync(mockTempDir, { recursive: true, force: true });
+        });
+
+        beforeEach(() => {
+            registryCache.invalidateCache();
+        });
+
+        it.each([
+            ['projects.yaml', YAML_REGISTRY],
+            ['projects.toml', TOML_REGISTRY],
+        ])('should flatten %s like JSON', async (name, contents) => {
+            config.registryPath = path.join(mockTempDir, name);
+            fs.writeFileSync(config.registryPath, contents);
+
+            const { projects } = await registryCache.getRegistry();
+
+            expect(projects.app).toEqual({ name: 'app', path: '/opt/dev/app', port: 3000, type: 'dev' });
+            expect(projects['/opt/prod/site']).toEqual({ name: 'site', path: '/opt/prod/site', type: 'prod' });
+        });
+
+        it('should keep the stale cache when a YAML registry fails to parse', async () => {
+            config.registryPath = path.join(mockTempDir, 'projects.yaml');
+            fs.writeFileSync(config.registryPath, YAML_REGISTRY);
+            const valid = await registryCache.getRegistry();
+
+            fs.writeFileSync(config.registryPath, 'projects: [\n');
+            config.registryCacheTtl = 0;
+
+            try {
+                // Expired cache is reloaded, fails to parse, and the stale copy is served
+                expect(await registryCache.getRegistry()).toBe(valid);
+            } finally {
+                config.registryCacheTtl = 60000;
+            }
+        });
+    });
+});
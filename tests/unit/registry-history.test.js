@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for registry version history
+ *
+ * - registry-history: recording, deduplication, pruning, structured diffs
+ * - registry-writer: API writes are recorded, restoreVersion writes a version back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-history-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.json'),
+    registryPaths: [],
+    registryCacheTtl: 60000,
+    registryHistorySize: 3,
+    dataDir: require('path').join(mockTempDir, 'data'),
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const registryWriter = require('../../lib/registry-writer');
+const registryHistory = require('../../lib/registry-history');
+const { FileNotFoundError, ValidationError, ConflictError } = require('../../lib/errors');
+
+const registryText = (data) => JSON.stringify(data, null, 2) + '\n';
+
+// Writer history records are fire-and-forget: wait until the expected version count is reached
+async function waitForVersions(count) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const versions = await registryHistory.listVersions();
+        if (versions.length >= count) return versions;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return registryHistory.listVersions();
+}
+
+describe('Registry history', () => {
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        fs.rmSync(config.dataDir, { recursive: true, force: true });
+        registryHistory.resetHistory();
+        config.registryHistorySize = 3;
+    });
+
+    describe('registry-history', () => {
+        it('should record the previous contents first and skip unchanged contents', async () => {
+            const before = registryText({ development: [] });
+            const after = registryText({ development: [{ name: 'app', path: '/opt/dev/app' }] });
+
+            const recorded = await registryHistory.recordChange(config.registryPath, after, before);
+            expect(await registryHistory.recordChange(config.registryPath, after, before)).toBeNull();
+
+            const versions = await registryHistory.listVersions();
+            expect(versions.map((version) => version.id)).toEqual([recorded.id, expect.any(String)]);
+            expect(versions[0]).toEqual({ id: recorded.id, file: config.registryPath, savedAt: expect.any(String), hash: expect.any(String), size: after.length });
+            expect((await registryHistory.getVersion(versions[1].id)).data).toBe(before);
+        });
+
+        it('should keep only the newest REGISTRY_HISTORY_SIZE versions per file', async () => {
+            for (let port = 3000; port < 3005; port++) {
+                await registryHistory.recordChange(config.registryPath, registryText({ development: [{ name: 'app', path: '/opt/dev/app', port }] }));
+            }
+            await registryHistory.recordChange('/opt/registry/other.json', registryText({ production: [] }));
+
+            expect(await registryHistory.listVersions({ file: config.registryPath })).toHaveLength(3);
+            expect(fs.readdirSync(path.join(config.dataDir, 'registry-history'))).toHaveLength(4);
+
+            // Reloaded from disk in the same order
+            const ids = (await registryHistory.listVersions()).map((version) => version.id);
+            registryHistory.resetHistory();
+            expect((await registryHistory.listVersions()).map((version) => version.id)).toEqual(ids);
+        });
+
+        it('should diff projects added, removed and changed', async () => {
+            const from = await registryHistory.recordChange(
+                config.registryPath,
+                registryText({ development: [{ name: 'app', path: '/opt/dev/app', port: 3000 }, { name: 'old', path: '/opt/dev/old' }] })
+            );
+            const to = await registryHistory.recordChange(
+                config.registryPath,
+                registryText({ development: [{ name: 'app', path: '/opt/dev/app', port: 3001 }], production: [{ name: 'site', path: '/opt/prod/site' }] })
+            );
+
+            const diff = await registryHistory.diffVersions(from.id, to.id);
+
+            expect(diff.from.id).toBe(from.id);
+            expect(diff.added).toEqual([{ name: 'site', path: '/opt/prod/site', type: 'prod' }]);
+            expect(diff.removed).toEqual([{ name: 'old', path: '/opt/dev/old', type: 'dev' }]);
+            expect(diff.changed).toEqual([
+                {
+                    name: 'app',
+                    path: '/opt/dev/app',
+                    fields: ['port'],
+                    before: { name: 'app', path: '/opt/dev/app', port: 3000, type: 'dev' },
+                    after: { name: 'app', path: '/opt/dev/app', port: 3001, type: 'dev' },
+                },
+            ]);
+        });
+
+        it('should reject malformed and unknown version ids', async () => {
+            await expect(registryHistory.getVersion('../../etc/passwd')).rejects.toThrow(ValidationError);
+            await expect(registryHistory.getVersion('1733310000000-0123456789ab')).rejects.toThrow(FileNotFoundError);
+        });
+
+        it('should record nothing when disabled', async () => {
+            config.registryHistorySize = 0;
+
+            expect(await registryHistory.recordChange(config.registryPath, '{}')).toBeNull();
+            expect(await registryHistory.listVersions()).toEqual([]);
+            expect(fs.existsSync(config.dataDir)).toBe(false);
+        });
+    });
+
+    describe('registry-writer', () => {
+        it('should record API writes and restore a previous version atomically', async () => {
+            const original = registryText({ development: [{ name: 'app', path: '/opt/dev/app' }] });
+            fs.writeFileSync(config.registryPath, original);
+
+            await registryWriter.deleteProject('app');
+            const [latest, first] = await waitForVersions(2);
+            expect((await registryHistory.getVersion(first.id)).data).toBe(original);
+
+            const { version, revision } = await registryWriter.restoreVersion(first.id, { ifMatch: '*' });
+
+            expect(version).toEqual(first);
+            expect(revision).toMatch(/^"[\w-]+"$/);
+            expect(fs.readFileSync(config.registryPath, 'utf8')).toBe(original);
+            expect((await registryCache.getRegistry()).projects.app).toMatchObject({ path: '/opt/dev/app' });
+            expect((await waitForVersions(3))[1]).toEqual(latest);
+        });
+
+        it('should refuse to restore versions of files that are no longer sources', async () => {
+            const recorded = await registryHistory.recordChange('/opt/registry/removed.json', '{}');
+
+            await expect(registryWriter.restoreVersion(recorded.id)).rejects.toThrow(ConflictError);
+        });
+    });
+});
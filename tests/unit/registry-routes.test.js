@@ -0,0 +1,263 @@
+/**
+ * Registry Routes Unit Tests
+ * Tests for the admin registry CRUD endpoints
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const mockRegistryWriter = {
+    listProjects: jest.fn(),
+    getProject: jest.fn(),
+    createProject: jest.fn(),
+    updateProject: jest.fn(),
+    deleteProject: jest.fn(),
+    restoreVersion: jest.fn(),
+};
+
+const mockRegistryCache = {
+    getRegistry: jest.fn(),
+    getValidationReport: jest.fn(),
+};
+
+jest.mock('../../lib/registry-writer', () => mockRegistryWriter);
+const mockRegistryHistory = {
+    listVersions: jest.fn(),
+    diffVersions: jest.fn(),
+};
+
+jest.mock('../../lib/registry-cache', () => mockRegistryCache);
+jest.mock('../../lib/registry-history', () => mockRegistryHistory);
+
+const mockWorkspaceImport = {
+    importWorkspaces: jest.fn(),
+};
+
+jest.mock('../../lib/workspace-import', () => mockWorkspaceImport);
+
+const { createRegistryRoutes } = require('../../lib/routes/registry-routes');
+const { FileNotFoundError, ValidationError, ConflictError, PreconditionFailedError } = require('../../lib/errors');
+
+describe('Registry Routes', () => {
+    const revision = '"rev-1"';
+    const project = { name: 'app', path: '/opt/dev/app', type: 'dev' };
+    let app;
+    let adminAuth;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        adminAuth = jest.fn((req, res, next) => next());
+        app = express();
+        app.use(express.json());
+        app.use(createRegistryRoutes(adminAuth));
+    });
+
+    describe('GET /api/registry/projects', () => {
+        it('should list projects with the revision as ETag', async () => {
+            mockRegistryWriter.listProjects.mockResolvedValue({ projects: [project], revision });
+
+            const response = await request(app).get('/api/registry/projects').expect(200);
+
+            expect(response.headers.etag).toBe(revision);
+            expect(response.body).toEqual({ projects: [project], revision });
+            expect(adminAuth).toHaveBeenCalled();
+        });
+
+        it('should be rejected by admin authentication', async () => {
+            adminAuth.mockImplementation((req, res) => res.status(403).json({ error: true }));
+
+            await request(app).get('/api/registry/projects').expect(403);
+            expect(mockRegistryWriter.listProjects).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/registry/validate', () => {
+        it('should return the validation report of the loaded registry', async () => {
+            const report = {
+                valid: false,
+                strict: false,
+                checkedAt: '2025-01-01T00:00:00.000Z',
+                projects: 1,
+                skipped: 0,
+                errors: [{ file: '/opt/registry/projects.json', pointer: '/development/0/port', message: 'must be a port number (1-65535)' }],
+            };
+            mockRegistryCache.getRegistry.mockResolvedValue({ projects: {}, original: {} });
+            mockRegistryCache.getValidationReport.mockReturnValue(report);
+
+            const response = await request(app).get('/api/registry/validate').expect(200);
+
+            expect(mockRegistryCache.getRegistry).toHaveBeenCalled();
+            expect(response.body).toEqual(report);
+            expect(adminAuth).toHaveBeenCalled();
+        });
+    });
+
+    describe('GET /api/registry/projects/:id', () => {
+        it('should look projects up by URL-encoded path', async () => {
+            mockRegistryWriter.getProject.mockResolvedValue({ project, revision });
+
+            await request(app).get(`/api/registry/projects/${encodeURIComponent('/opt/dev/app')}`).expect(200);
+
+            expect(mockRegistryWriter.getProject).toHaveBeenCalledWith('/opt/dev/app');
+        });
+
+        it('should return 404 for unknown projects', async () => {
+            mockRegistryWriter.getProject.mockRejectedValue(new FileNotFoundError('Project not found'));
+
+            const response = await request(app).get('/api/registry/projects/missing').expect(404);
+
+            expect(response.body).toEqual({ error: true, code: 'NOT_FOUND', message: 'Project not found' });
+        });
+    });
+
+    describe('POST /api/registry/projects', () => {
+        it('should create a project', async () => {
+            mockRegistryWriter.createProject.mockResolvedValue({ project, revision: '"rev-2"' });
+
+            const response = await request(app).post('/api/registry/projects').send({ name: 'app', path: '/opt/dev/app' }).expect(201);
+
+            expect(response.headers.etag).toBe('"rev-2"');
+            expect(mockRegistryWriter.createProject).toHaveBeenCalledWith({ name: 'app', path: '/opt/dev/app' }, { ifMatch: undefined });
+        });
+
+        it('should map validation and conflict errors', async () => {
+            mockRegistryWriter.createProject.mockRejectedValueOnce(new ValidationError('Invalid project: name is required'));
+            mockRegistryWriter.createProject.mockRejectedValueOnce(new ConflictError('A project with this path already exists'));
+
+            const invalid = await request(app).post('/api/registry/projects').send({}).expect(400);
+            const conflict = await request(app).post('/api/registry/projects').send(project).expect(409);
+
+            expect(invalid.body.code).toBe('INVALID_PARAMETER');
+            expect(conflict.body.code).toBe('CONFLICT');
+        });
+
+        it('should hide unexpected errors', async () => {
+            mockRegistryWriter.createProject.mockRejectedValue(new Error('EACCES: /opt/registry/projects.json'));
+
+            const response = await request(app).post('/api/registry/projects').send(project).expect(500);
+
+            expect(response.body.message).toBe('Internal server error');
+        });
+    });
+
+    describe('PUT /api/registry/projects/:id', () => {
+        it('should require If-Match', async () => {
+            const response = await request(app).put('/api/registry/projects/app').send(project).expect(428);
+
+            expect(response.body.code).toBe('PRECONDITION_REQUIRED');
+            expect(mockRegistryWriter.updateProject).not.toHaveBeenCalled();
+        });
+
+        it('should pass the revision to the writer', async () => {
+            mockRegistryWriter.updateProject.mockResolvedValue({ project, revision: '"rev-2"' });
+
+            await request(app).put('/api/registry/projects/app').set('If-Match', revision).send(project).expect(200);
+
+            expect(mockRegistryWriter.updateProject).toHaveBeenCalledWith('app', project, { ifMatch: revision });
+        });
+
+        it('should return 412 with the current revision for stale writes', async () => {
+            mockRegistryWriter.updateProject.mockRejectedValue(new PreconditionFailedError('Registry was modified since it was read', { revision: '"rev-3"' }));
+
+            const response = await request(app).put('/api/registry/projects/app').set('If-Match', revision).send(project).expect(412);
+
+            expect(response.headers.etag).toBe('"rev-3"');
+            expect(response.body.code).toBe('PRECONDITION_FAILED');
+        });
+    });
+
+    describe('DELETE /api/registry/projects/:id', () => {
+        it('should require If-Match', async () => {
+            await request(app).delete('/api/registry/projects/app').expect(428);
+        });
+
+        it('should delete the project', async () => {
+            mockRegistryWriter.deleteProject.mockResolvedValue({ revision: '"rev-2"' });
+
+            const response = await request(app).delete('/api/registry/projects/app').set('If-Match', revision).expect(200);
+
+            expect(response.body).toEqual({ success: true, revision: '"rev-2"' });
+        });
+    });
+
+    describe('registry history', () => {
+        const version = { id: '1733310000000-0123456789ab', file: '/opt/registry/projects.json', savedAt: '2024-12-04T11:00:00.000Z', hash: 'abc', size: 42 };
+
+        it('should list versions filtered by file', async () => {
+            mockRegistryHistory.listVersions.mockResolvedValue([version]);
+
+            const response = await request(app).get('/api/registry/history?file=/opt/registry/projects.json').expect(200);
+
+            expect(mockRegistryHistory.listVersions).toHaveBeenCalledWith({ file: '/opt/registry/projects.json' });
+            expect(response.body).toEqual({ versions: [version], count: 1 });
+            expect(adminAuth).toHaveBeenCalled();
+        });
+
+        it('should require both versions for a diff', async () => {
+            const response = await request(app).get('/api/registry/history/diff?from=1733310000000-0123456789ab').expect(400);
+
+            expect(response.body.code).toBe('MISSING_PARAMETER');
+            expect(mockRegistryHistory.diffVersions).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for an unknown version in a diff', async () => {
+            mockRegistryHistory.diffVersions.mockRejectedValue(new FileNotFoundError('Registry version not found'));
+
+            await request(app).get('/api/registry/history/diff?from=a&to=b').expect(404);
+            expect(mockRegistryHistory.diffVersions).toHaveBeenCalledWith('a', 'b');
+        });
+
+        it('should restore a version and return the new revision', async () => {
+            mockRegistryWriter.restoreVersion.mockResolvedValue({ version, revision: '"rev-2"' });
+
+            const response = await request(app).post(`/api/registry/history/${version.id}/restore`).set('If-Match', revision).expect(200);
+
+            expect(mockRegistryWriter.restoreVersion).toHaveBeenCalledWith(version.id, { ifMatch: revision });
+            expect(response.headers.etag).toBe('"rev-2"');
+            expect(response.body).toEqual({ restored: version, revision: '"rev-2"' });
+        });
+
+        it('should return 409 when the version file is no longer a registry source', async () => {
+            mockRegistryWriter.restoreVersion.mockRejectedValue(new ConflictError('Registry file is no longer a source'));
+
+            const response = await request(app).post(`/api/registry/history/${version.id}/restore`).expect(409);
+            expect(response.body.code).toBe('CONFLICT');
+        });
+    });
+
+    describe('POST /api/registry/import', () => {
+        const proposal = { revision, add: [{ project, source: '/home/me/shop.code-workspace' }], existing: [], conflicts: [], skipped: [], errors: [] };
+
+        it('should return the dry-run proposal with the revision as ETag', async () => {
+            mockWorkspaceImport.importWorkspaces.mockResolvedValue({ ...proposal, applied: false });
+
+            const response = await request(app).post('/api/registry/import').send({ sources: ['/home/me/shop.code-workspace'] }).expect(200);
+
+            expect(mockWorkspaceImport.importWorkspaces).toHaveBeenCalledWith(['/home/me/shop.code-workspace'], { apply: false, ifMatch: undefined });
+            expect(response.headers.etag).toBe(revision);
+            expect(response.body).toEqual({ ...proposal, applied: false });
+            expect(adminAuth).toHaveBeenCalled();
+        });
+
+        it('should require If-Match to apply', async () => {
+            await request(app).post('/api/registry/import').send({ sources: ['/home/me'], apply: true }).expect(428);
+            expect(mockWorkspaceImport.importWorkspaces).not.toHaveBeenCalled();
+        });
+
+        it('should apply with the dry-run revision', async () => {
+            mockWorkspaceImport.importWorkspaces.mockResolvedValue({ ...proposal, applied: true, revision: '"rev-2"' });
+
+            const response = await request(app).post('/api/registry/import').set('If-Match', revision).send({ sources: ['/home/me'], apply: true }).expect(200);
+
+            expect(mockWorkspaceImport.importWorkspaces).toHaveBeenCalledWith(['/home/me'], { apply: true, ifMatch: revision });
+            expect(response.headers.etag).toBe('"rev-2"');
+        });
+
+        it('should return 400 for invalid sources', async () => {
+            mockWorkspaceImport.importWorkspaces.mockRejectedValue(new ValidationError('sources must be absolute paths'));
+
+            const response = await request(app).post('/api/registry/import').send({ sources: ['relative'] }).expect(400);
+            expect(response.body.code).toBe('INVALID_PARAMETER');
+        });
+    });
+});
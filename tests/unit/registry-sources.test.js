@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for multiple registry sources (REGISTRY_PATHS)
+ *
+ * - Files and *.json fragment directories merged in order (later wins)
+ * - Per-file load status with last-good fallback for broken fragments
+ * - Per-source health checks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-sources-test-'));
+
+jest.mock('../../lib/config', () => {
+    const mockPath = require('path');
+    return {
+        registryPath: mockPath.join(mockTempDir, 'shared.json'),
+        registryPaths: [mockPath.join(mockTempDir, 'shared.json'), mockPath.join(mockTempDir, 'overrides')],
+        registryCacheTtl: 60000,
+        dataDir: mockTempDir,
+    };
+});
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const registryCache = require('../../lib/registry-cache');
+const { checkRegistry, getReadinessProbe } = require('../../lib/health-check');
+
+const sharedPath = path.join(mockTempDir, 'shared.json');
+const overridesDir = path.join(mockTempDir, 'overrides');
+
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+describe('Multiple registry sources', () => {
+    beforeEach(() => {
+        fs.rmSync(overridesDir, { recursive: true, force: true });
+        fs.mkdirSync(overridesDir);
+        writeJson(sharedPath, {
+            projects: {
+                development: [{ name: 'app', path: '/opt/dev/app', port: 3000, url: 'https://app.example' }],
+                production: [{ name: 'site', path: '/opt/prod/site', port: 80 }],
+            },
+        });
+        registryCache.invalidateCache();
+    });
+
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    it('should merge fragments over the shared registry in order', async () => {
+        writeJson(path.join(overridesDir, '20-user.json'), { development: [{ path: '/opt/dev/app', port: 3002 }] });
+        writeJson(path.join(overridesDir, '10-team.json'), { development: [{ path: '/opt/dev/app', port: 3001, owner: 'team' }] });
+        writeJson(path.join(overridesDir, 'notes.txt'), 'ignored');
+
+        const { projects } = await registryCache.getRegistry();
+
+        expect(projects['/opt/dev/app']).toEqual({
+            name: 'app',
+            path: '/opt/dev/app',
+            port: 3002,
+            url: 'https://app.example',
+            owner: 'team',
+            type: 'dev',
+        });
+        expect(projects.app).toBe(projects['/opt/dev/app']);
+    });
+
+    it('should let a later section change the project type', async () => {
+        writeJson(path.join(overridesDir, 'promote.json'), [{}, { production: [{ path: '/opt/dev/app' }] }]);
+
+        const { projects } = await registryCache.getRegistry();
+
+        expect(projects['/opt/dev/app'].type).toBe('prod');
+    });
+
+    it('should keep a broken fragment\'s last good contents and report it', async () => {
+        const fragment = path.join(overridesDir, 'user.json');
+        writeJson(fragment, { production: [{ name: 'extra', path: '/opt/prod/extra' }] });
+        await registryCache.getRegistry();
+
+        writeJson(fragment, '{ "production": [');
+        registryCache.invalidateCache();
+        const { projects } = await registryCache.getRegistry();
+
+        expect(projects.extra).toBeDefined();
+        expect(registryCache.getSourceStatus()).toEqual([
+            expect.objectContaining({ path: sharedPath, source: sharedPath, status: 'ok', projects: 2 }),
+            expect.objectContaining({ path: fragment, source: overridesDir, status: 'error', stale: true, projects: 1 }),
+        ]);
+    });
+
+    it('should load the remaining sources when one is missing', async () => {
+        await registryCache.getRegistry();
+        fs.rmSync(sharedPath);
+        writeJson(path.join(overridesDir, 'only.json'), { development: [{ name: 'solo', path: '/opt/dev/solo' }] });
+        registryCache.invalidateCache();
+
+        const { projects, original } = await registryCache.getRegistry();
+
+        expect(projects.solo).toBeDefined();
+        // The missing file keeps serving its last good contents
+        expect(projects.app).toBeDefined();
+        expect(registryCache.getSourceStatus()[0]).toMatchObject({ path: sharedPath, status: 'error', stale: true });
+        expect(Object.keys(original)).toEqual([path.join(overridesDir, 'only.json')]);
+    });
+
+    describe('health', () => {
+        it('should report each source and the failing fragment', async () => {
+            writeJson(path.join(overridesDir, 'good.json'), { development: [] });
+            writeJson(path.join(overridesDir, 'bad.json'), 'not json');
+            await registryCache.getRegistry();
+
+            const check = await checkRegistry();
+
+            expect(check.status).toBe('warning');
+            expect(check.sources[0]).toMatchObject({ path: sharedPath, status: 'ok', readable: true });
+            expect(check.sources[1]).toMatchObject({ path: overridesDir, status: 'warning', isDirectory: true });
+            expect(check.sources[1].files).toEqual([
+                expect.objectContaining({ path: path.join(overridesDir, 'bad.json'), status: 'error', error: expect.any(String) }),
+                expect.objectContaining({ path: path.join(overridesDir, 'good.json'), status: 'ok' }),
+            ]);
+        });
+
+        it('should stay ready while any source is readable', async () => {
+            fs.rmSync(sharedPath);
+
+            expect((await checkRegistry()).sources[0]).toMatchObject({ status: 'error', readable: false });
+            expect((await getReadinessProbe()).status).not.toBe('not_ready');
+        });
+    });
+});
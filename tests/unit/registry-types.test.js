@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for registry-declared project types
+ *
+ * - registry-schema: `types` block validation and known types
+ * - registry-cache: type sections, per-entry types, merged `types` blocks
+ * - registry-writer: sections named after non-built-in types
+ * - FaviconGenerator: type color, label and showPort from the registry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-types-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.json'),
+    registryPaths: [],
+    registryCacheTtl: 60000,
+    typeColors: { dev: '#4ECDC4', prod: '#FF6B6B', staging: '#FFEAA7' },
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const registryWriter = require('../../lib/registry-writer');
+const FaviconGenerator = require('../../lib/services/favicon-generator');
+const { getKnownTypes, readRegistryTypes } = require('../../lib/registry-schema');
+
+function writeJson(filePath, data) {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n');
+}
+
+describe('Registry project types', () => {
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        config.registryPaths = [];
+        registryCache.invalidateCache();
+    });
+
+    describe('registry-schema', () => {
+        it('should keep valid type styles and report invalid ones', () => {
+            const { types, errors } = readRegistryTypes([
+                { version: 1 },
+                {
+                    types: {
+                        qa: { color: '#112233', label: 'QA', showPort: 'yes' },
+                        Bad: { color: '#000000' },
+                        projects: {},
+                        demo: { label: '<b>' },
+                    },
+                },
+            ]);
+
+            expect(types).toEqual({ qa: { color: '#112233', label: 'QA' }, demo: {} });
+            expect(errors.map((error) => error.pointer)).toEqual(['/1/types/qa/showPort', '/1/types/Bad', '/1/types/projects', '/1/types/demo/label']);
+        });
+
+        it('should accept built-in, COLOR_* and declared types', () => {
+            expect(getKnownTypes({ qa: {} })).toEqual(['dev', 'prod', 'staging', 'qa']);
+        });
+    });
+
+    describe('registry-cache', () => {
+        it('should read type sections and per-entry types', async () => {
+            writeJson(config.registryPath, {
+                types: { qa: { color: '#112233' } },
+                development: [
+                    { name: 'app', path: '/opt/dev/app' },
+                    { name: 'preview', path: '/opt/dev/preview', type: 'staging' },
+                    { name: 'node', path: '/opt/dev/node', type: 'node' },
+                ],
+                qa: [{ name: 'checks', path: '/opt/qa/checks' }],
+                unknown: [{ name: 'ignored', path: '/opt/ignored' }],
+            });
+
+            const registry = await registryCache.getRegistry();
+
+            expect(registry.projects['/opt/dev/preview'].type).toBe('staging');
+            expect(registry.projects['/opt/qa/checks'].type).toBe('qa');
+            expect(registry.projects['/opt/dev/node'].type).toBe('dev');
+            expect(registry.projects['/opt/ignored']).toBeUndefined();
+            expect(registry.types).toEqual({ qa: { color: '#112233' } });
+            expect(registryCache.getValidationReport().errors).toEqual([
+                { file: config.registryPath, pointer: '/development/2/type', message: expect.stringContaining('must be one of: dev, prod, staging, qa') },
+            ]);
+        });
+
+        it('should merge types blocks across sources with later fields winning', async () => {
+            const shared = path.join(mockTempDir, 'shared.json');
+            const local = path.join(mockTempDir, 'local.json');
+            writeJson(shared, { types: { qa: { color: '#112233', label: 'QA' } }, qa: [{ name: 'checks', path: '/opt/qa/checks' }] });
+            writeJson(local, { types: { qa: { color: '#445566', showPort: true } } });
+            config.registryPaths = [shared, local];
+
+            const registry = await registryCache.getRegistry();
+
+            expect(registry.types.qa).toEqual({ color: '#445566', label: 'QA', showPort: true });
+            expect(registry.projects.checks).toMatchObject({ path: '/opt/qa/checks', type: 'qa' });
+        });
+    });
+
+    describe('registry-writer', () => {
+        it('should store and move projects in sections named after their type', async () => {
+            writeJson(config.registryPath, { types: { qa: {} }, development: [{ name: 'app', path: '/opt/dev/app' }] });
+
+            const { project } = await registryWriter.createProject({ name: 'checks', path: '/opt/qa/checks', type: 'qa' });
+            await registryWriter.updateProject('/opt/dev/app', { name: 'app', path: '/opt/dev/app', type: 'staging' });
+
+            expect(project.type).toBe('qa');
+            expect(JSON.parse(fs.readFileSync(config.registryPath, 'utf8'))).toEqual({
+                types: { qa: {} },
+                development: [],
+                qa: [{ name: 'checks', path: '/opt/qa/checks' }],
+                staging: [{ name: 'app', path: '/opt/dev/app' }],
+            });
+            expect((await registryWriter.listProjects()).projects.map(({ name, type }) => `${name}:${type}`)).toEqual(['app:staging', 'checks:qa']);
+        });
+
+        it('should reject types the registry does not know', async () => {
+            writeJson(config.registryPath, { development: [] });
+
+            await expect(registryWriter.createProject({ name: 'app', path: '/opt/dev/app', type: 'qa' })).rejects.toThrow(/type must be one of/);
+        });
+    });
+
+    describe('FaviconGenerator', () => {
+        const generator = new FaviconGenerator({ typeColors: config.typeColors, defaultColors: ['#123456'] });
+
+        it('should prefer the registry type color over typeColors', () => {
+            expect(generator.buildLayout('site', { type: 'staging' }).background).toBe('#FFEAA7');
+            expect(generator.buildLayout('site', { type: 'staging', typeStyle: { color: '#112233' } }).background).toBe('#112233');
+            expect(generator.buildLayout('site', { type: 'staging', typeStyle: { color: '#112233' }, backgroundColor: '#445566' }).background).toBe('#445566');
+        });
+
+        it('should show the port when the type sets showPort and fall back to its label', () => {
+            const texts = (projectInfo) => generator.buildLayout('site', { port: 3000, ...projectInfo }).texts.map((text) => String(text.text));
+
+            expect(texts({ type: 'qa' })).not.toContain('3000');
+            expect(texts({ type: 'qa', typeStyle: { showPort: true, label: 'QA' } })).toContain('3000');
+            expect(texts({ type: 'qa', typeStyle: { label: 'QA' } })).toContain('QA');
+            expect(texts({ type: 'dev', typeStyle: { showPort: false } })).not.toContain('3000');
+        });
+    });
+});
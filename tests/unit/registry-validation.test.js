@@ -0,0 +1,143 @@
+/**
+ * Unit Tests for registry schema validation on load
+ *
+ * - registry-schema: entry discovery with JSON pointers
+ * - registry-cache: validation report, required fields, duplicate names
+ * - Strict mode (REGISTRY_STRICT) skipping invalid entries
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-validation-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.json'),
+    registryCacheTtl: 60000,
+    registryStrict: false,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const { readRegistryEntries, checkRegistryEntry, escapePointer } = require('../../lib/registry-schema');
+
+const REGISTRY = {
+    projects: {
+        development: [
+            { name: 'app', path: '/opt/dev/app', port: 3000 },
+            { name: 'api', port: 'http' },
+            { name: 'app', path: '/opt/dev/app-copy', type: 'qa' },
+        ],
+        production: [{ name: 'site', path: '/opt/prod/site' }],
+    },
+};
+
+function writeRegistry(data) {
+    fs.writeFileSync(config.registryPath, typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+describe('Registry schema validation', () => {
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        config.registryStrict = false;
+        registryCache.invalidateCache();
+    });
+
+    describe('registry-schema', () => {
+        it('should locate entries in every layout with JSON pointers', () => {
+            expect(readRegistryEntries([{ version: 1 }, { production: [{ name: 'site' }] }]).entries).toEqual([
+                { pointer: '/1/production/0', type: 'prod', entry: { name: 'site' } },
+            ]);
+            expect(readRegistryEntries({ development: [{ name: 'a' }], projects: { development: [{ name: 'b' }] } }).entries.map((e) => e.pointer)).toEqual([
+                '/development/0',
+                '/projects/development/0',
+            ]);
+        });
+
+        it('should report structural errors', () => {
+            expect(readRegistryEntries({ development: { name: 'app' }, production: ['app'] }).errors).toEqual([
+                { pointer: '/development', message: 'must be an array of projects' },
+                { pointer: '/production/0', message: 'must be an object' },
+            ]);
+            expect(readRegistryEntries('projects').errors).toEqual([{ pointer: '', message: expect.any(String) }]);
+        });
+
+        it('should check only the fields an entry sets', () => {
+            expect(checkRegistryEntry({ path: '/opt/dev/app', port: 3001 })).toEqual([]);
+            expect(checkRegistryEntry({ port: 0, type: 'qa' }).map((error) => error.pointer)).toEqual(['/type', '/port']);
+            expect(escapePointer('a/b~c')).toBe('a~1b~0c');
+        });
+    });
+
+    describe('registry-cache', () => {
+        it('should collect every problem with its file and pointer', async () => {
+            writeRegistry(REGISTRY);
+
+            await registryCache.getRegistry();
+            const report = registryCache.getValidationReport();
+
+            expect(report).toMatchObject({ valid: false, strict: false, projects: 4, skipped: 0 });
+            expect(report.errors).toEqual([
+                { file: config.registryPath, pointer: '/projects/development/1/port', message: 'must be a port number (1-65535)' },
+                { file: config.registryPath, pointer: '/projects/development/2/type', message: expect.stringContaining('dev, prod') },
+                { file: config.registryPath, pointer: '/projects/development/1', message: 'must have required property "path"' },
+                {
+                    file: config.registryPath,
+                    pointer: '/projects/development/2/name',
+                    message: `duplicate name "app" (first defined at /projects/development/0 in ${config.registryPath})`,
+                },
+            ]);
+        });
+
+        it('should keep indexing invalid entries by default', async () => {
+            writeRegistry(REGISTRY);
+
+            const { projects } = await registryCache.getRegistry();
+
+            expect(projects.api).toBeDefined();
+            expect(projects.app.path).toBe('/opt/dev/app-copy');
+        });
+
+        it('should skip invalid entries in strict mode', async () => {
+            config.registryStrict = true;
+            writeRegistry(REGISTRY);
+
+            const { projects } = await registryCache.getRegistry();
+
+            expect(Object.keys(projects).sort()).toEqual(['/opt/dev/app', '/opt/prod/site', 'app', 'site']);
+            expect(projects.app.path).toBe('/opt/dev/app');
+            expect(registryCache.getValidationReport()).toMatchObject({ strict: true, projects: 2, skipped: 2 });
+        });
+
+        it('should report a valid registry', async () => {
+            writeRegistry({ development: [{ name: 'app', path: '/opt/dev/app', port: '3000' }] });
+
+            await registryCache.getRegistry();
+
+            expect(registryCache.getValidationReport()).toMatchObject({ valid: true, errors: [], projects: 1 });
+        });
+
+        it('should report files that fail to parse', async () => {
+            writeRegistry('{ "development": [');
+
+            await registryCache.getRegistry();
+
+            expect(registryCache.getValidationReport()).toMatchObject({
+                valid: false,
+                errors: [{ file: config.registryPath, pointer: '', message: expect.any(String) }],
+            });
+        });
+    });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for the registry write path
+ *
+ * - registry-schema: project entry validation
+ * - registry-writer: layout-preserving CRUD with revision checks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-writer-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.json'),
+    registryCacheTtl: 60000,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const registryWriter = require('../../lib/registry-writer');
+const { validateProjectEntry } = require('../../lib/registry-schema');
+const { FileNotFoundError, ValidationError, ConflictError, PreconditionFailedError } = require('../../lib/errors');
+
+function writeRegistry(data, indent = 2) {
+    fs.writeFileSync(config.registryPath, JSON.stringify(data, null, indent) + '\n');
+}
+
+function readRegistry() {
+    return JSON.parse(fs.readFileSync(config.registryPath, 'utf8'));
+}
+
+describe('Registry write path', () => {
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        fs.rmSync(config.registryPath, { force: true });
+    });
+
+    describe('validateProjectEntry', () => {
+        it('should accept a valid entry and default the type', () => {
+            const result = validateProjectEntry({ name: 'app', path: '/opt/dev/app', port: '3000', owner: 'team-a' });
+            expect(result).toEqual({
+                valid: true,
+                errors: [],
+                value: { name: 'app', path: '/opt/dev/app', port: '3000', owner: 'team-a', type: 'dev' },
+            });
+        });
+
+        it('should report every invalid field', () => {
+            const result = validateProjectEntry({ path: '/opt/../etc', type: 'qa', port: 70000, url: 'javascript:alert(1)' });
+            expect(result.valid).toBe(false);
+            expect(result.errors.map((error) => error.field)).toEqual(['name', 'path', 'type', 'port', 'url']);
+        });
+
+        it('should reject nested values and unsafe field names', () => {
+            expect(validateProjectEntry({ name: 'app', path: '/opt/app', meta: { a: 1 } }).errors).toEqual([
+                { field: 'meta', message: expect.stringContaining('string') },
+            ]);
+            const proto = JSON.parse('{"name":"app","path":"/opt/app","__proto__":"x"}');
+            expect(validateProjectEntry(proto).errors[0]).toMatchObject({ field: '__proto__' });
+            expect(validateProjectEntry([]).valid).toBe(false);
+        });
+    });
+
+    describe('registry-writer', () => {
+        it('should list projects with types from their sections', async () => {
+            writeRegistry({
+                development: [{ name: 'app', path: '/opt/dev/app' }],
+                production: [{ name: 'site', path: '/opt/prod/site', type: 'node' }],
+            });
+
+            const { projects, revision } = await registryWriter.listProjects();
+            expect(projects).toEqual([
+                { name: 'app', path: '/opt/dev/app', type: 'dev' },
+                { name: 'site', path: '/opt/prod/site', type: 'prod' },
+            ]);
+            expect(revision).toMatch(/^"[\w-]+"$/);
+        });
+
+        it('should create the README layout when the file is missing', async () => {
+            const { project } = await registryWriter.createProject({ name: 'app', path: '/opt/dev/app', type: 'prod' });
+
+            expect(project).toEqual({ name: 'app', path: '/opt/dev/app', type: 'prod' });
+            expect(readRegistry()).toEqual({ projects: { production: [{ name: 'app', path: '/opt/dev/app' }] } });
+        });
+
+        it('should preserve the [metadata, projects] form and indentation', async () => {
+            writeRegistry([{ version: 3 }, { development: [{ name: 'app', path: '/opt/dev/app' }] }], 4);
+
+            await registryWriter.createProject({ name: 'api', path: '/opt/dev/api', port: 8080 });
+
+            const text = fs.readFileSync(config.registryPath, 'utf8');
+            expect(text).toMatch(/^\[\n {4}\{/);
+            expect(text.endsWith('\n')).toBe(true);
+            expect(JSON.parse(text)).toEqual([
+                { version: 3 },
+                { development: [{ name: 'app', path: '/opt/dev/app' }, { name: 'api', path: '/opt/dev/api', port: 8080 }] },
+            ]);
+        });
+
+        it('should reject duplicate paths and names', async () => {
+            writeRegistry({ development: [{ name: 'app', path: '/opt/dev/app' }] });
+
+            await expect(registryWriter.createProject({ name: 'other', path: '/opt/dev/app' })).rejects.toThrow(ConflictError);
+            await expect(registryWriter.createProject({ name: 'app', path: '/opt/dev/other' })).rejects.toThrow(ConflictError);
+            await expect(registryWriter.createProject({ name: 'app' })).rejects.toThrow(ValidationError);
+        });
+
+        it('should move an entry between sections when its type changes', async () => {
+            writeRegistry({ projects: { development: [{ name: 'app', path: '/opt/dev/app' }], production: [] } });
+            const { revision } = await registryWriter.listProjects();
+
+            await registryWriter.updateProject('/opt/dev/app', { name: 'app', path: '/opt/dev/app', type: 'prod', port: 3000 }, { ifMatch: revision });
+
+            expect(readRegistry()).toEqual({
+                projects: { development: [], production: [{ name: 'app', path: '/opt/dev/app', port: 3000 }] },
+            });
+        });
+
+        it('should fail with a stale revision and leave the file untouched', async () => {
+            writeRegistry({ development: [{ name: 'app', path: '/opt/dev/app' }] });
+            const { revision } = await registryWriter.listProjects();
+            await registryWriter.deleteProject('app', { ifMatch: revision });
+
+            await expect(registryWriter.createProject({ name: 'api', path: '/opt/dev/api' }, { ifMatch: revision })).rejects.toThrow(
+                PreconditionFailedError
+            );
+            expect(readRegistry()).toEqual({ development: [] });
+        });
+
+        it('should return the new revision after each write', async () => {
+            writeRegistry({ development: [] });
+            const { revision: before } = await registryWriter.listProjects();
+            const { revision: created } = await registryWriter.createProject({ name: 'app', path: '/opt/dev/app' }, { ifMatch: before });
+
+            expect(created).not.toBe(before);
+            expect((await registryWriter.listProjects()).revision).toBe(created);
+        });
+
+        it('should serialize concurrent writes', async () => {
+            writeRegistry({ development: [] });
+
+            await Promise.all(
+                ['a', 'b', 'c'].map((name) => registryWriter.createProject({ name, path: `/opt/dev/${name}` }))
+            );
+
+            expect(readRegistry().development.map((entry) => entry.name).sort()).toEqual(['a', 'b', 'c']);
+        });
+
+        it('should throw FileNotFoundError for unknown projects', async () => {
+            writeRegistry({ development: [] });
+
+            await expect(registryWriter.getProject('/opt/dev/missing')).rejects.toThrow(FileNotFoundError);
+            await expect(registryWriter.deleteProject('missing')).rejects.toThrow(FileNotFoundError);
+        });
+
+        it('should read but refuse to rewrite YAML registries', async () => {
+            const jsonPath = config.registryPath;
+            config.registryPath = path.join(mockTempDir, 'projects.yaml');
+            fs.writeFileSync(config.registryPath, 'development:\n  - name: app\n    path: /opt/dev/app\n');
+
+            try {
+                expect((await registryWriter.listProjects()).projects).toEqual([{ name: 'app', path: '/opt/dev/app', type: 'dev' }]);
+                await expect(registryWriter.deleteProject('app')).rejects.toThrow(ConflictError);
+                expect(fs.readFileSync(config.registryPath, 'utf8')).toContain('name: app');
+            } finally {
+                config.registryPath = jsonPath;
+            }
+        });
+
+        it('should invalidate the registry cache after a write', async () => {
+            writeRegistry({ development: [] });
+            await registryCache.getRegistry();
+            const { invalidations } = registryCache.getCacheStats();
+
+            await registryWriter.createProject({ name: 'app', path: '/opt/dev/app' });
+
+            expect(registryCache.getCacheStats().invalidations).toBe(invalidations + 1);
+            expect((await registryCache.getRegistry()).projects['/opt/dev/app']).toMatchObject({ name: 'app', type: 'dev' });
+        });
+    });
+});
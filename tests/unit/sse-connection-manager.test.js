@@ -6,7 +6,13 @@
  * SEC-006: Tests updated for atomic increment pattern
  */
 
+const express = require('express');
+const request = require('supertest');
 const SSEConnectionManager = require('../../lib/sse-connection-manager');
+const registryEvents = require('../../lib/registry-events');
+const notificationEvents = require('../../lib/notification-events');
+const notificationStore = require('../../lib/notification-store');
+const { validateNotificationStreamAll, handleValidationErrors } = require('../../lib/validators');
 
 describe('SSEConnectionManager', () => {
     let manager;
@@ -513,6 +519,196 @@ describe('SSEConnectionManager', () => {
         });
     });
 
+    describe('subscribeToRegistryUpdates', () => {
+        test('should forward registry-updated events for the folder', () => {
+            const res = { writable: true, write: jest.fn() };
+            const unsubscribe = manager.subscribeToRegistryUpdates(res, '/opt/dev/test');
+
+            registryEvents.emitRegistryUpdated(['/opt/dev/other']);
+            expect(res.write).not.toHaveBeenCalled();
+
+            registryEvents.emitRegistryUpdated(['/opt/dev/other', '/opt/dev/test']);
+            expect(res.write).toHaveBeenCalledWith('event: registry-updated\n');
+            expect(res.write).toHaveBeenCalledWith(expect.stringContaining('"folder":"/opt/dev/test"'));
+
+            unsubscribe();
+            expect(registryEvents.getListenerCount()).toBe(0);
+        });
+
+        test('should match entries reported by name and skip closed streams', () => {
+            const res = { writable: true, write: jest.fn() };
+            const closed = { writable: false, write: jest.fn() };
+            const unsubscribe = manager.subscribeToRegistryUpdates(res, '/opt/dev/test');
+            const unsubscribeClosed = manager.subscribeToRegistryUpdates(closed, '/opt/dev/test');
+
+            registryEvents.emitRegistryUpdated(['test']);
+
+            expect(res.write).toHaveBeenCalledTimes(2);
+            expect(closed.write).not.toHaveBeenCalled();
+            unsubscribe();
+            unsubscribeClosed();
+        });
+    });
+
+    describe('all-projects stream', () => {
+        let stopEventLog;
+
+        /**
+         * Mock response that records the SSE frames it receives
+         */
+        function createStreamRes() {
+            const res = { writable: true, on: jest.fn(), setHeader: jest.fn(), output: '' };
+            res.write = jest.fn((chunk) => {
+                res.output += chunk;
+            });
+            return res;
+        }
+
+        /**
+         * Parse recorded SSE output into {id, event, data} frames
+         */
+        function frames(res) {
+            return res.output
+                .split('\n\n')
+                .filter(Boolean)
+                .map((block) => {
+                    const frame = {};
+                    for (const line of block.split('\n')) {
+                        const [field, ...rest] = line.split(': ');
+                        // eslint-disable-next-line security/detect-object-injection
+                        frame[field] = field === 'data' ? JSON.parse(rest.join(': ')) : rest.join(': ');
+                    }
+                    return frame;
+                });
+        }
+
+        function emitCompleted(folder, message, origin = null) {
+            const key = origin ? `${origin}:${folder}` : folder;
+            notificationEvents.emit(key, 'completed', { folder, message, timestamp: Date.now(), unread: true, status: 'completed' });
+        }
+
+        const req = () => ({ ip: '127.0.0.1', log: { info: jest.fn(), warn: jest.fn() } });
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            manager = new SSEConnectionManager({ maxConnectionsPerIP: 5, globalLimit: 10, keepaliveInterval: 30000, replayBufferSize: 3 });
+            stopEventLog = manager.startEventLog();
+        });
+
+        afterEach(() => {
+            stopEventLog();
+            jest.useRealTimers();
+        });
+
+        test('should number events and multiplex every project with folder and origin', () => {
+            const res = createStreamRes();
+            manager.establishStreamConnection(req(), res);
+
+            emitCompleted('/opt/dev/a', 'A done');
+            emitCompleted('/opt/dev/b', 'B done', 'https://vs.example.com');
+            notificationEvents.emitClearedAll(2);
+
+            expect(frames(res).map((frame) => [frame.id, frame.event])).toEqual([
+                [undefined, 'connected'],
+                ['0', 'snapshot'],
+                ['1', 'notification'],
+                ['2', 'notification'],
+                ['3', 'notification'],
+            ]);
+            expect(frames(res)[3].data).toMatchObject({ folder: '/opt/dev/b', origin: 'https://vs.example.com', type: 'completed', message: 'B done' });
+            expect(frames(res)[4].data).toEqual({ hasNotification: false, type: 'cleared_all', count: 2 });
+        });
+
+        test('should filter by folder prefix on whole path segments', () => {
+            const res = createStreamRes();
+            manager.establishStreamConnection(req(), res, { prefix: '/opt/dev/' });
+
+            emitCompleted('/opt/dev/app', 'in');
+            emitCompleted('/opt/devtools', 'out');
+            emitCompleted('/opt/prod/app', 'out');
+
+            expect(frames(res).filter((frame) => frame.event === 'notification').map((frame) => frame.data.folder)).toEqual(['/opt/dev/app']);
+        });
+
+        test('should replay buffered events after Last-Event-ID', () => {
+            emitCompleted('/opt/dev/a', 'first');
+            emitCompleted('/opt/dev/b', 'second');
+            emitCompleted('/opt/prod/c', 'third');
+
+            const res = createStreamRes();
+            manager.establishStreamConnection(req(), res, { prefix: '/opt/dev', lastEventId: 1 });
+            emitCompleted('/opt/dev/d', 'live');
+
+            const received = frames(res);
+            expect(received[0]).toMatchObject({ event: 'connected', data: { lastEventId: 3, replayed: 1 } });
+            expect(received.slice(1).map((frame) => [frame.id, frame.data.message])).toEqual([
+                ['2', 'second'],
+                ['4', 'live'],
+            ]);
+        });
+
+        test('should send a snapshot when the missed events are no longer buffered', () => {
+            const snapshot = [{ folder: 'https://vs.example.com:/opt/dev/a', message: 'done', timestamp: 1, status: 'completed' }];
+            jest.spyOn(notificationStore, 'getUnread').mockReturnValue(snapshot);
+            for (let i = 1; i <= 5; i++) {
+                emitCompleted('/opt/dev/a', `event ${i}`);
+            }
+
+            const res = createStreamRes();
+            manager.establishStreamConnection(req(), res, { lastEventId: 1 });
+
+            const received = frames(res);
+            expect(received[0]).toMatchObject({ event: 'connected', data: { lastEventId: 5, resync: true } });
+            expect(received[1]).toMatchObject({
+                id: '5',
+                event: 'snapshot',
+                data: { notifications: [{ folder: '/opt/dev/a', origin: 'https://vs.example.com', message: 'done' }] },
+            });
+            expect(manager.getEventsSince(2)).toHaveLength(3);
+            expect(manager.getEventsSince(9)).toBeNull();
+            notificationStore.getUnread.mockRestore();
+        });
+
+        test('should forward registry changes within the prefix without numbering them', () => {
+            const res = createStreamRes();
+            manager.establishStreamConnection(req(), res, { prefix: '/opt/dev' });
+
+            registryEvents.emitRegistryUpdated(['/opt/prod/api']);
+            registryEvents.emitRegistryUpdated(['/opt/dev/app', '/opt/prod/api', 'named']);
+
+            const updates = frames(res).filter((frame) => frame.event === 'registry-updated');
+            expect(updates).toEqual([{ event: 'registry-updated', data: { paths: ['/opt/dev/app', 'named'], timestamp: expect.any(Number) } }]);
+        });
+
+        test('should release the connection and listener on close', () => {
+            const registryListeners = registryEvents.getListenerCount();
+            const res = createStreamRes();
+            manager.establishStreamConnection(req(), res);
+            expect(manager.getStats()).toMatchObject({ totalConnections: 1, allStreamConnections: 1 });
+
+            const closeHandler = res.on.mock.calls.find(([event]) => event === 'close')[1];
+            closeHandler();
+
+            expect(manager.getStats()).toMatchObject({ totalConnections: 0, allStreamConnections: 0 });
+            expect(registryEvents.getListenerCount()).toBe(registryListeners);
+        });
+
+        test('should reject invalid prefix and Last-Event-ID parameters', async () => {
+            jest.useRealTimers();
+            const app = express();
+            app.use((req, res, next) => {
+                req.log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+                next();
+            });
+            app.get('/notifications/stream/all', validateNotificationStreamAll, handleValidationErrors, (req, res) => res.end());
+
+            await request(app).get('/notifications/stream/all').query({ prefix: 'opt/dev' }).expect(400);
+            await request(app).get('/notifications/stream/all').set('Last-Event-ID', 'abc').expect(400);
+            await request(app).get('/notifications/stream/all').query({ lastEventId: '-1' }).expect(400);
+            await request(app).get('/notifications/stream/all').query({ prefix: '/opt/dev' }).set('Last-Event-ID', '7').expect(200);
+        });
+    });
+
     describe('startKeepalive', () => {
         test('should create interval that writes keepalive', (done) => {
             const res = {
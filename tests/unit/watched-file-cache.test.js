@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for WatchedFileCache
+ * Tests per-project caching, TTL fallback, file reads and watcher bookkeeping
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../../lib/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+}));
+
+const WatchedFileCache = require('../../lib/services/watched-file-cache');
+const logger = require('../../lib/logger');
+
+const { WATCH_LIMITS } = WatchedFileCache;
+
+describe('WatchedFileCache', () => {
+    let files;
+    let projectPath;
+
+    beforeEach(() => {
+        projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'watched-file-cache-'));
+        files = new WatchedFileCache({ watchedFiles: new Set(['config.json']), label: 'Test' });
+    });
+
+    afterEach(() => {
+        files.close();
+        fs.rmSync(projectPath, { recursive: true, force: true });
+        jest.clearAllMocks();
+    });
+
+    describe('caching', () => {
+        it('should keep watched entries until invalidated', async () => {
+            files.set(projectPath, { value: 1 });
+            expect(files.get(projectPath)).toEqual({ value: 1 });
+            expect(files.isWatched(projectPath)).toBe(true);
+
+            const changed = new Promise((resolve) => files.once('change', resolve));
+            fs.writeFileSync(path.join(projectPath, 'config.json'), '{}');
+
+            await expect(changed).resolves.toBe(projectPath);
+            expect(files.get(projectPath)).toBeUndefined();
+        });
+
+        it('should expire unwatched and expiring entries after the TTL', () => {
+            const limited = new WatchedFileCache({ watchedFiles: new Set(), label: 'Test', maxWatchers: 0 });
+            const nowSpy = jest.spyOn(Date, 'now');
+
+            try {
+                nowSpy.mockReturnValue(1000);
+                limited.set(projectPath, 'unwatched');
+                files.set(projectPath, 'expiring', { expires: true });
+
+                nowSpy.mockReturnValue(1000 + WATCH_LIMITS.UNWATCHED_TTL_MS + 1);
+                expect(limited.get(projectPath)).toBeUndefined();
+                expect(files.get(projectPath)).toBeUndefined();
+                expect(limited.getStats().watchers).toBe(0);
+            } finally {
+                nowSpy.mockRestore();
+                limited.close();
+            }
+        });
+
+        it('should release the watcher of an evicted project', () => {
+            const otherPath = fs.mkdtempSync(path.join(os.tmpdir(), 'watched-file-cache-'));
+            const limited = new WatchedFileCache({ watchedFiles: new Set(), label: 'Test', maxWatchers: 1, maxCachedProjects: 1 });
+
+            try {
+                limited.set(projectPath, 'first');
+                limited.set(otherPath, 'second');
+
+                expect(limited.isWatched(projectPath)).toBe(false);
+                expect(limited.isWatched(otherPath)).toBe(true);
+            } finally {
+                limited.close();
+                fs.rmSync(otherPath, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('readFile', () => {
+        it('should parse files and return null for missing, oversized or malformed ones', async () => {
+            fs.writeFileSync(path.join(projectPath, 'config.json'), '{"a":1}');
+            fs.writeFileSync(path.join(projectPath, 'bad.json'), '{');
+            fs.writeFileSync(path.join(projectPath, 'big.json'), Buffer.alloc(WATCH_LIMITS.MAX_FILE_BYTES + 1));
+
+            expect(await files.readFile(path.join(projectPath, 'config.json'), JSON.parse)).toEqual({ a: 1 });
+            expect(await files.readFile(path.join(projectPath, 'missing.json'), JSON.parse)).toBeNull();
+            expect(await files.readFile(path.join(projectPath, 'big.json'), JSON.parse)).toBeNull();
+            expect(await files.readFile(path.join(projectPath, 'bad.json'), JSON.parse)).toBeNull();
+            expect(logger.debug).toHaveBeenCalledWith(expect.objectContaining({ filePath: path.join(projectPath, 'bad.json') }), 'Test file could not be read');
+        });
+    });
+});
@@ -0,0 +1,302 @@
+/**
+ * Unit Tests for outbound webhooks
+ *
+ * A local HTTP server stands in for the receiving endpoint.
+ * - Signed deliveries for matching notification events
+ * - Folder glob, status and origin filters
+ * - Retry with backoff, dead-letter persistence and replay
+ * - GET /api/webhooks, GET /api/webhooks/deliveries, POST .../replay
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+const testDataDir = path.join(__dirname, '../../.test-data-webhooks');
+jest.mock('../../lib/config', () => ({
+    dataDir: testDataDir,
+    notificationMaxCount: 1000,
+    notificationTtlMs: 24 * 60 * 60 * 1000,
+    notificationCleanupIntervalMs: 60 * 60 * 1000,
+    webhooksConfigPath: null,
+    webhookMaxAttempts: 3,
+    webhookRetryBaseMs: 10,
+    webhookTimeoutMs: 1000,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+}));
+
+const config = require('../../lib/config');
+const logger = require('../../lib/logger');
+const notificationStore = require('../../lib/notification-store');
+const webhooks = require('../../lib/webhooks');
+const { createWebhookRoutes } = require('../../lib/routes/webhook-routes');
+const { globToRegExp } = require('../../lib/utils/glob-matcher');
+const { ConflictError } = require('../../lib/errors');
+
+/**
+ * Poll until a condition holds
+ *
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} [timeoutMs=2000] - Maximum wait
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+}
+
+describe('Outbound webhooks', () => {
+    const folder = '/opt/dev/project1';
+    const secret = 'test-secret';
+    const deadLetterFile = path.join(testDataDir, 'webhook-dead-letter.json');
+
+    let server;
+    let url;
+    let received;
+    let responses;
+    let responseDelayMs;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => {
+                body += chunk;
+            });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.statusCode = responses.length > 0 ? responses.shift() : 200;
+                setTimeout(() => res.end(), responseDelayMs);
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/hooks/favicon?token=abc`;
+    });
+
+    afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        received = [];
+        responses = [];
+        responseDelayMs = 0;
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+        fs.mkdirSync(testDataDir, { recursive: true });
+        await notificationStore.load();
+        await webhooks.start();
+    });
+
+    afterEach(async () => {
+        await webhooks.stop();
+        webhooks.reset();
+        await notificationStore.saveImmediate();
+        fs.rmSync(testDataDir, { recursive: true, force: true });
+    });
+
+    describe('glob-matcher', () => {
+        it('should match * within one segment and ** across segments', () => {
+            expect(globToRegExp('/opt/dev/*').test('/opt/dev/app')).toBe(true);
+            expect(globToRegExp('/opt/dev/*').test('/opt/dev/app/sub')).toBe(false);
+            expect(globToRegExp('/opt/**').test('/opt/dev/app/sub')).toBe(true);
+            expect(globToRegExp('/opt/app.?').test('/opt/app.1')).toBe(true);
+            expect(globToRegExp('/opt/app.?').test('/opt/appx1')).toBe(false);
+        });
+    });
+
+    describe('delivery', () => {
+        it('should POST a signed payload for a completed notification', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+
+            notificationStore.setCompleted(folder, 'Build done', null, 'https://vs.example.com');
+            await waitFor(() => received.length === 1);
+
+            const { headers, body } = received[0];
+            const expected = crypto.createHmac('sha256', secret).update(`${headers['x-favicon-timestamp']}.${body}`).digest('hex');
+            expect(headers['x-favicon-signature']).toBe(`sha256=${expected}`);
+            expect(headers['x-favicon-event']).toBe('completed');
+            expect(JSON.parse(body)).toMatchObject({
+                id: headers['x-favicon-delivery'],
+                event: 'completed',
+                folder,
+                origin: 'https://vs.example.com',
+                notification: { message: 'Build done', status: 'completed' },
+            });
+
+            await waitFor(() => webhooks.listDeliveries({ status: 'delivered' }).length === 1);
+        });
+
+        it('should apply folder, status and origin filters', async () => {
+            webhooks.configure([
+                { id: 'dev', url, secret, folders: ['/opt/dev/*'] },
+                { id: 'errors', url, secret, statuses: ['error'] },
+                { id: 'remote', url, secret, origins: ['https://vs.example.com'] },
+            ]);
+
+            notificationStore.setWorking('/opt/prod/api');
+            notificationStore.setError(folder, 'Tests failed');
+            notificationStore.markRead(folder);
+            await waitFor(() => received.length === 2);
+
+            expect(webhooks.listDeliveries().map((delivery) => [delivery.webhookId, delivery.event, delivery.folder])).toEqual([
+                ['errors', 'error', folder],
+                ['dev', 'error', folder],
+            ]);
+        });
+
+        it('should skip invalid webhook entries', () => {
+            const accepted = webhooks.configure([
+                { id: 'ok', url, secret },
+                { id: 'ok', url, secret },
+                { id: 'no-secret', url },
+                { id: 'ftp', url: 'ftp://example.com', secret },
+                { id: 'bad-status', url, secret, statuses: ['done'] },
+            ]);
+
+            expect(accepted).toBe(1);
+        });
+    });
+
+    describe('retries and dead letters', () => {
+        it('should retry 5xx responses with backoff until delivered', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            responses = [503, 500];
+
+            notificationStore.setCompleted(folder);
+            await waitFor(() => webhooks.listDeliveries({ status: 'delivered' }).length === 1);
+
+            expect(received).toHaveLength(3);
+            expect(new Set(received.map((entry) => entry.headers['x-favicon-delivery'])).size).toBe(1);
+            expect(webhooks.listDeliveries()[0]).toMatchObject({ attempts: 3, lastStatusCode: 200, lastError: null });
+        });
+
+        it('should dead-letter after the last attempt and persist it', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            responses = [500, 500, 500];
+
+            notificationStore.setCompleted(folder);
+            await waitFor(() => webhooks.listDeliveries({ status: 'failed' }).length === 1);
+            await waitFor(() => fs.existsSync(deadLetterFile));
+
+            expect(received).toHaveLength(config.webhookMaxAttempts);
+            const [deadLetter] = JSON.parse(fs.readFileSync(deadLetterFile, 'utf8'));
+            expect(deadLetter).toMatchObject({ webhookId: 'ci', status: 'failed', attempts: 3, lastError: 'HTTP 500' });
+        });
+
+        it('should not retry other 4xx responses', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            responses = [400];
+
+            notificationStore.setCompleted(folder);
+            await waitFor(() => webhooks.listDeliveries({ status: 'failed' }).length === 1);
+
+            expect(received).toHaveLength(1);
+        });
+
+        it('should keep a delivery dead-lettered when its in-flight request succeeds after stop()', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            responseDelayMs = 100;
+
+            const [delivery] = webhooks.handleEvent({ folder, type: 'completed', notification: { folder, status: 'completed' } });
+            await waitFor(() => received.length === 1);
+            await webhooks.stop();
+            expect(delivery.status).toBe('failed');
+
+            // The 200 arrives after stop()
+            await new Promise((resolve) => setTimeout(resolve, 200));
+            expect(delivery).toMatchObject({ status: 'failed', lastError: 'Service stopped before delivery', lastStatusCode: null });
+            expect(JSON.parse(fs.readFileSync(deadLetterFile, 'utf8'))).toEqual([expect.objectContaining({ id: delivery.id, status: 'failed' })]);
+        });
+
+        it('should log errors from finishing a delivery instead of rejecting', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            responses = [400];
+            logger.warn.mockImplementationOnce(() => {
+                throw new Error('log sink closed');
+            });
+
+            webhooks.handleEvent({ folder, type: 'completed', notification: { folder, status: 'completed' } });
+            await waitFor(() => logger.error.mock.calls.some(([, message]) => message === 'Webhook delivery attempt failed'));
+
+            const [[details]] = logger.error.mock.calls.filter(([, message]) => message === 'Webhook delivery attempt failed');
+            expect(details).toMatchObject({ err: expect.objectContaining({ message: 'log sink closed' }), webhook: 'ci' });
+        });
+
+        it('should reload dead letters and remove them once a replay is delivered', async () => {
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            responses = [400];
+            notificationStore.setCompleted(folder);
+            await waitFor(() => webhooks.listDeliveries({ status: 'failed' }).length === 1);
+            await webhooks.stop();
+
+            // Restart: only the dead letter survives
+            webhooks.reset();
+            await webhooks.start();
+            webhooks.configure([{ id: 'ci', url, secret }]);
+            const [deadLetter] = webhooks.listDeliveries();
+            expect(deadLetter.status).toBe('failed');
+
+            webhooks.replayDelivery(deadLetter.id);
+            await waitFor(() => deadLetter.status === 'delivered');
+            await webhooks.stop();
+
+            expect(received).toHaveLength(2);
+            expect(JSON.parse(fs.readFileSync(deadLetterFile, 'utf8'))).toEqual([]);
+        });
+    });
+
+    describe('routes', () => {
+        let app;
+
+        beforeEach(() => {
+            app = express();
+            app.use(createWebhookRoutes((req, res, next) => next()));
+            webhooks.configure([{ id: 'ci', url, secret, folders: ['/opt/dev/**'] }]);
+        });
+
+        it('should list webhooks without secrets or URL paths', async () => {
+            const response = await request(app).get('/api/webhooks').expect(200);
+
+            expect(response.body.webhooks).toEqual([
+                { id: 'ci', target: new URL(url).origin, folders: ['/opt/dev/**'], statuses: expect.any(Array), origins: null },
+            ]);
+            expect(JSON.stringify(response.body)).not.toContain(secret);
+        });
+
+        it('should list and replay deliveries', async () => {
+            responses = [404];
+            notificationStore.setCompleted(folder);
+            await waitFor(() => webhooks.listDeliveries({ status: 'failed' }).length === 1);
+
+            const list = await request(app).get('/api/webhooks/deliveries').query({ status: 'failed', webhook: 'ci' }).expect(200);
+            expect(list.body).toMatchObject({ count: 1, deliveries: [{ webhookId: 'ci', event: 'completed', lastStatusCode: 404 }] });
+
+            const replay = await request(app).post(`/api/webhooks/deliveries/${list.body.deliveries[0].id}/replay`).expect(202);
+            expect(replay.body.replayed).toMatchObject({ status: 'pending', attempts: 1 });
+
+            await waitFor(() => webhooks.listDeliveries({ status: 'delivered' }).length === 1);
+        });
+
+        it('should reject unknown deliveries, in-flight replays and bad filters', async () => {
+            await request(app).get('/api/webhooks/deliveries').query({ status: 'lost' }).expect(400);
+            await request(app).post('/api/webhooks/deliveries/nope/replay').expect(404);
+
+            // The first attempt is in flight until the stand-in answers
+            const [delivery] = webhooks.handleEvent({ folder, type: 'completed', notification: { folder, status: 'completed' } });
+            expect(() => webhooks.replayDelivery(delivery.id)).toThrow(ConflictError);
+            await waitFor(() => delivery.status === 'delivered');
+        });
+    });
+});
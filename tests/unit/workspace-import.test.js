@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for the workspace import
+ *
+ * - jsonc-parser: comments and trailing commas
+ * - workspace-import: .code-workspace files, directories and recently-opened
+ *   lists proposed as a diff against the registry, then applied
+ * - Sources outside ALLOWED_PATHS and the VS Code Server data directory are
+ *   rejected, and unreadable sources never echo their contents
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
+
+const mockTempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-import-test-'));
+
+jest.mock('../../lib/config', () => ({
+    registryPath: require('path').join(mockTempDir, 'projects.json'),
+    registryPaths: [],
+    registryCacheTtl: 60000,
+    vscodeServerDataDir: mockTempDir,
+}));
+
+jest.mock('../../lib/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+}));
+
+jest.mock('../../lib/path-validator', () => ({
+    isPathAllowedAsync: jest.fn(async (folder) => folder.startsWith(require('path').join(mockTempDir, 'opt'))),
+}));
+
+const config = require('../../lib/config');
+const registryCache = require('../../lib/registry-cache');
+const { parseJsonc } = require('../../lib/utils/jsonc-parser');
+const { proposeImport, importWorkspaces, uriToPath } = require('../../lib/workspace-import');
+const { ValidationError, PreconditionFailedError } = require('../../lib/errors');
+
+const devDir = path.join(mockTempDir, 'opt', 'dev');
+const workspacesDir = path.join(mockTempDir, 'workspaces');
+
+function writeFile(filePath, text) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text);
+}
+
+describe('Workspace import', () => {
+    beforeAll(() => {
+        fs.mkdirSync(path.join(devDir, 'app'), { recursive: true });
+        fs.mkdirSync(path.join(devDir, 'lib'), { recursive: true });
+        fs.mkdirSync(path.join(devDir, 'registered'), { recursive: true });
+        writeFile(path.join(devDir, 'app', 'package.json'), JSON.stringify({ name: '@shop/app', scripts: { dev: 'vite --port 5173' } }));
+        writeFile(
+            path.join(workspacesDir, 'shop.code-workspace'),
+            `{
+                // Shop workspace
+                "folders": [
+                    { "path": "../opt/dev/app" },
+                    { "path": "../opt/dev/lib", "name": "shop-lib" },
+                    { "uri": "${pathToFileURL(path.join(devDir, 'registered'))}" },
+                    { "path": "../opt/dev/missing" },
+                    { "path": "/srv/outside" },
+                ],
+                /* settings are ignored */
+                "settings": {},
+            }`
+        );
+        writeFile(path.join(workspacesDir, 'notes.txt'), 'not a workspace');
+    });
+
+    afterAll(() => {
+        registryCache.closeWatcher();
+        fs.rmSync(mockTempDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        writeFile(config.registryPath, JSON.stringify({ development: [{ name: 'registered', path: path.join(devDir, 'registered') }] }, null, 2) + '\n');
+        registryCache.invalidateCache();
+    });
+
+    describe('parseJsonc', () => {
+        it('should ignore comments and trailing commas outside strings', () => {
+            expect(parseJsonc('{ "a": "x // y, }", /* b */ "c": [1, 2,], // d\n}')).toEqual({ a: 'x // y, }', c: [1, 2] });
+            expect(() => parseJsonc('{ "a": }')).toThrow(SyntaxError);
+        });
+    });
+
+    describe('uriToPath', () => {
+        it('should accept file and vscode-remote URIs only', () => {
+            expect(uriToPath('file:///opt/dev/my%20app')).toBe('/opt/dev/my app');
+            expect(uriToPath('vscode-remote://ssh-remote%2Bhost/opt/dev/app')).toBe('/opt/dev/app');
+            expect(uriToPath('https://example.com/opt/dev/app')).toBeNull();
+            expect(uriToPath('not a uri')).toBeNull();
+        });
+    });
+
+    describe('proposeImport', () => {
+        it('should propose workspace folders as a diff against the registry', async () => {
+            const result = await proposeImport([workspacesDir]);
+
+            expect(result.add).toEqual([
+                { project: { name: 'app', path: path.join(devDir, 'app'), type: 'dev', port: 5173 }, source: path.join(workspacesDir, 'shop.code-workspace') },
+                { project: { name: 'shop-lib', path: path.join(devDir, 'lib'), type: 'dev' }, source: path.join(workspacesDir, 'shop.code-workspace') },
+            ]);
+            expect(result.existing.map(({ project }) => project.name)).toEqual(['registered']);
+            expect(result.skipped.map(({ path: folderPath, reason }) => [folderPath, reason])).toEqual([
+                [path.join(devDir, 'missing'), 'folder does not exist'],
+                ['/srv/outside', 'outside ALLOWED_PATHS'],
+            ]);
+            expect(result.revision).toMatch(/^"[\w-]+"$/);
+            expect(fs.readFileSync(config.registryPath, 'utf8')).not.toContain('shop-lib');
+        });
+
+        it('should read folders and workspaces from a recently-opened list', async () => {
+            const storagePath = path.join(mockTempDir, 'storage.json');
+            writeFile(
+                storagePath,
+                JSON.stringify({
+                    openedPathsList: {
+                        entries: [
+                            { folderUri: pathToFileURL(path.join(devDir, 'lib')).href, label: 'lib' },
+                            { workspace: { configPath: pathToFileURL(path.join(workspacesDir, 'shop.code-workspace')).href } },
+                        ],
+                    },
+                })
+            );
+
+            const result = await proposeImport([storagePath]);
+
+            // The recent folder comes first, so its label wins over the workspace folder name
+            expect(result.add.map(({ project }) => project.name)).toEqual(['lib', 'app']);
+        });
+
+        it('should report name conflicts and unreadable sources', async () => {
+            writeFile(path.join(mockTempDir, 'conflict.code-workspace'), JSON.stringify({ folders: [{ path: 'opt/dev/lib', name: 'registered' }] }));
+
+            const result = await proposeImport([path.join(mockTempDir, 'conflict.code-workspace'), path.join(workspacesDir, 'notes.txt'), '/nonexistent.code-workspace']);
+
+            expect(result.conflicts).toEqual([
+                expect.objectContaining({ project: expect.objectContaining({ name: 'registered' }), reason: `name already used by ${path.join(devDir, 'registered')}` }),
+            ]);
+            expect(result.errors.map(({ source }) => source)).toEqual([path.join(workspacesDir, 'notes.txt'), '/nonexistent.code-workspace']);
+        });
+
+        it('should reject sources outside ALLOWED_PATHS and the VS Code Server data directory', async () => {
+            const outsideDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-import-outside-'));
+            try {
+                const outsidePath = path.join(outsideDir, 'secret.json');
+                writeFile(outsidePath, JSON.stringify({ openedPathsList: { entries: [{ folderUri: pathToFileURL(path.join(devDir, 'lib')).href }] } }));
+                // A workspace symlinked into an allowed directory still resolves outside it
+                writeFile(path.join(outsideDir, 'linked.code-workspace'), JSON.stringify({ folders: [{ path: path.join(devDir, 'app') }] }));
+                const linksDir = path.join(mockTempDir, 'links');
+                fs.mkdirSync(linksDir, { recursive: true });
+                fs.symlinkSync(path.join(outsideDir, 'linked.code-workspace'), path.join(linksDir, 'linked.code-workspace'));
+
+                const result = await proposeImport([outsidePath, linksDir]);
+
+                expect(result.add).toEqual([]);
+                expect(result.errors).toEqual([
+                    { source: outsidePath, message: 'unreadable or invalid source' },
+                    { source: path.join(linksDir, 'linked.code-workspace'), message: 'unreadable or invalid source' },
+                ]);
+            } finally {
+                fs.rmSync(outsideDir, { recursive: true, force: true });
+            }
+        });
+
+        it('should not echo the contents of a malformed source', async () => {
+            const brokenPath = path.join(mockTempDir, 'broken.json');
+            writeFile(brokenPath, 'root:x:0:0:root:/root:/bin/bash');
+
+            const result = await proposeImport([brokenPath]);
+
+            expect(result.errors).toEqual([{ source: brokenPath, message: 'unreadable or invalid source' }]);
+            expect(JSON.stringify(result)).not.toContain('root:x');
+        });
+
+        it('should reject an empty source list and relative sources', async () => {
+            await expect(proposeImport([])).rejects.toThrow(ValidationError);
+            await expect(proposeImport(['workspaces'])).rejects.toThrow(ValidationError);
+        });
+    });
+
+    describe('importWorkspaces', () => {
+        it('should write the proposed additions only when applied', async () => {
+            const dryRun = await importWorkspaces([workspacesDir]);
+            expect(dryRun.applied).toBe(false);
+
+            const result = await importWorkspaces([workspacesDir], { apply: true, ifMatch: dryRun.revision });
+
+            expect(result.applied).toBe(true);
+            expect(result.revision).not.toBe(dryRun.revision);
+            const registry = JSON.parse(fs.readFileSync(config.registryPath, 'utf8'));
+            expect(registry.development.map((entry) => entry.name)).toEqual(['registered', 'app', 'shop-lib']);
+            expect(registry.development[1]).toEqual({ name: 'app', path: path.join(devDir, 'app'), port: 5173 });
+        });
+
+        it('should refuse to apply when the registry changed since the dry run', async () => {
+            const dryRun = await importWorkspaces([workspacesDir]);
+            writeFile(config.registryPath, JSON.stringify({ development: [] }));
+
+            await expect(importWorkspaces([workspacesDir], { apply: true, ifMatch: dryRun.revision })).rejects.toThrow(PreconditionFailedError);
+            expect(JSON.parse(fs.readFileSync(config.registryPath, 'utf8'))).toEqual({ development: [] });
+        });
+    });
+});
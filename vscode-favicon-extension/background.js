@@ -11,6 +11,7 @@ importScripts(
     './modules/tab-group-manager.js',   // Base - no dependencies (uses chrome.tabs/tabGroups APIs)
     './modules/tab-manager.js',         // Depends on: path-utils, tab-group-manager
     './modules/notification-poller.js', // Depends on: tab-manager
+    './modules/registry-update-stream.js', // Base - no dependencies
     './modules/message-router.js'       // Depends on: path-utils, domain-manager, storage-manager
 );
 
@@ -19,6 +20,7 @@ importScripts(
 // (class declarations go directly to global, unlike factory functions/objects)
 const { createStorageManager } = self.StorageManager;
 const { createNotificationPoller } = self.NotificationPoller;
+const { createRegistryUpdateStream } = self.RegistryUpdateStream;
 const { createTabManager } = self.TabManager;
 const { createMessageRouter } = self.MessageRouter;
 const DomainManager = self.DomainManager;
@@ -39,12 +41,15 @@ const CONFIG = {
     CIRCUIT_BREAKER_FAILURE_THRESHOLD: 3,
     CIRCUIT_BREAKER_INITIAL_BACKOFF: 5000,
     CIRCUIT_BREAKER_MAX_BACKOFF: 5 * 60 * 1000,
+    REGISTRY_STREAM_RETRY_INITIAL_DELAY: 5000,
+    REGISTRY_STREAM_RETRY_MAX_DELAY: 5 * 60 * 1000,
 };
 
 // Module instances
 let circuitBreaker = null;
 let storageManager = null;
 let notificationPoller = null;
+let registryUpdateStream = null;
 let tabManager = null;
 let messageRouter = null;
 
@@ -172,6 +177,18 @@ async function initialize() {
         // Set initial notifications
         notificationPoller.setNotifications(notifications);
 
+        // One shared registry-updated stream for all tabs (the server limits SSE connections per IP)
+        registryUpdateStream = createRegistryUpdateStream(
+            {
+                getApiBase: () => CONFIG.API_BASE,
+                forwardRegistryUpdate: (paths) => tabManager.forwardRegistryUpdate(paths),
+            },
+            {
+                RETRY_INITIAL_DELAY: CONFIG.REGISTRY_STREAM_RETRY_INITIAL_DELAY,
+                RETRY_MAX_DELAY: CONFIG.REGISTRY_STREAM_RETRY_MAX_DELAY,
+            }
+        );
+
         // Initialize message router
         messageRouter = createMessageRouter({
             getNotifications: () => notificationPoller.getNotifications(),
@@ -198,6 +215,8 @@ async function initialize() {
         // Setup polling alarm
         await notificationPoller.setupPolling();
 
+        registryUpdateStream.ensureConnected();
+
         // Fetch fresh notifications
         await notificationPoller.fetchNotifications();
 
@@ -281,7 +300,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 // Handle alarms for polling
+// The alarm also reopens the registry stream when the worker was suspended (retry backoff still applies)
 chrome.alarms.onAlarm.addListener(withInitialization(async (alarm) => {
+    registryUpdateStream.ensureConnected();
     await notificationPoller.handleAlarm(alarm);
 }));
 
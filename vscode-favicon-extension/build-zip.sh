@@ -27,6 +27,7 @@ zip "$OUTPUT" \
   modules/message-router.js \
   modules/notification-poller.js \
   modules/path-utils.js \
+  modules/registry-update-stream.js \
   modules/storage-manager.js \
   modules/tab-manager.js \
   icon16.png \
@@ -19,6 +19,10 @@
         API_BASE: null,  // Will be fetched from background
         API_TIMEOUT: 5000,
         TERMINAL_UPDATE_THROTTLE: 500,
+        // Working badge animation (frame cycling; tab strips don't run SVG animation)
+        ANIMATION_STYLE: 'spinner', // spinner | pulse | none
+        ANIMATION_FPS: 8,
+        ANIMATION_IDLE_TIMEOUT: 300000, // Stop animating after 5 minutes
     };
 
     const VSCODE_ORIGIN = window.location.origin;
@@ -342,6 +346,13 @@
             return;
         }
 
+        if (message.type === 'REGISTRY_UPDATED') {
+            // Sent by the background worker when this folder's registry entry changed
+            console.log('VS Code Favicon: Registry entry changed, refreshing favicon');
+            faviconUpdater.updateFavicon({ revalidate: true });
+            return;
+        }
+
         if (message.type === 'SHOW_PANEL') {
             console.log('VS Code Favicon: Show panel requested');
             notificationPanel.showPanel();
@@ -386,6 +397,7 @@
         console.log('  - Clipboard paste: Ready (Ctrl+V / Ctrl+Shift+V in terminal)');
         console.log('  - Notifications: Connected via background worker');
         console.log('  - Terminal detection: Active');
+        console.log('  - Registry updates: Via background worker');
 
         // Mark extension as fully initialized
         extensionFullyInitialized = true;
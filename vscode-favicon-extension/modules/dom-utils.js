@@ -25,12 +25,60 @@
         return element;
     }
 
+    // Icon glyph per notification status (colors are set by the panel/popup styles via data-status)
+    const STATUS_ICONS = {
+        completed: '✓',
+        'needs-input': '?',
+        error: '!',
+    };
+
+    /**
+     * Create the status icon of a notification item
+     * @param {string} [status] - Notification status (completed, needs-input, error)
+     * @param {string} className - Icon CSS class name
+     * @returns {HTMLElement} - Icon element with a data-status attribute
+     */
+    function createStatusIcon(status, className) {
+        const iconStatus = Object.prototype.hasOwnProperty.call(STATUS_ICONS, status) ? status : 'completed';
+        const icon = createElementWithText('div', STATUS_ICONS[iconStatus], className);
+        icon.setAttribute('data-status', iconStatus);
+        return icon;
+    }
+
+    /**
+     * Create the per-session breakdown of a notification
+     * A summary line ("2 working, 1 done") followed by one line per session.
+     * @param {object} notification - Notification with sessions and summary
+     * @returns {HTMLElement} - Session list element
+     */
+    function createSessionList(notification) {
+        const list = document.createElement('div');
+        list.className = 'vscode-favicon-panel-item-sessions';
+        list.appendChild(createElementWithText('div', notification.summary, 'vscode-favicon-panel-item-sessions-summary'));
+
+        notification.sessions.forEach((session) => {
+            const line = createElementWithText(
+                'div',
+                `${String(session.sessionId).slice(0, 8)} · ${session.message}`,
+                'vscode-favicon-panel-item-session'
+            );
+            line.setAttribute('data-status', session.status);
+            line.setAttribute('title', `${session.sessionId} (${session.status})`);
+            list.appendChild(line);
+        });
+
+        return list;
+    }
+
     /**
      * Create notification item element for panels
      * @param {object} notification - Notification object
      * @param {string} notification.folder - Project folder path
      * @param {string} notification.projectName - Project display name
      * @param {string} [notification.message] - Notification message
+     * @param {string} [notification.status] - Notification status (completed, needs-input, error)
+     * @param {Array<object>} [notification.sessions] - Per-session state ({sessionId, status, message})
+     * @param {string} [notification.summary] - Session summary, e.g. "2 working, 1 done"
      * @param {number} notification.timestamp - Timestamp in milliseconds
      * @param {object} [options] - Optional configuration
      * @param {number} [options.index] - Item index for data attribute
@@ -49,7 +97,7 @@
         }
 
         // Create icon
-        const icon = createElementWithText('div', '✓', 'vscode-favicon-panel-item-icon');
+        const icon = createStatusIcon(notification.status, 'vscode-favicon-panel-item-icon');
         item.appendChild(icon);
 
         // Create content container
@@ -72,6 +120,11 @@
         );
         content.appendChild(messageEl);
 
+        // Per-session breakdown for folders running several Claude sessions
+        if (Array.isArray(notification.sessions) && notification.sessions.length > 0) {
+            content.appendChild(createSessionList(notification));
+        }
+
         // Create time
         let timeText = '';
         if (formatTimeAgo && notification.timestamp) {
@@ -104,6 +157,7 @@
      * @param {string} notification.folder - Project folder path
      * @param {string} notification.projectName - Project display name
      * @param {string} [notification.message] - Notification message
+     * @param {string} [notification.status] - Notification status (completed, needs-input, error)
      * @param {number} notification.timestamp - Timestamp in milliseconds
      * @param {Function} [formatTimeAgo] - Time formatting function
      * @returns {HTMLElement} - Notification element
@@ -115,7 +169,7 @@
         item.dataset.folder = notification.folder;
 
         // Create icon
-        const icon = createElementWithText('div', '✓', 'item-icon');
+        const icon = createStatusIcon(notification.status, 'item-icon');
 
         // Create content container
         const content = document.createElement('div');
@@ -3,10 +3,28 @@
  * Handles favicon fetching, SVG manipulation, badge addition, and grayscale filtering
  */
 
+// Working badge animation (mirrors lib/services/favicon-animation.js on the server)
+const ANIMATION_FRAME_COUNT = 8;
+const ANIMATION_DEFAULTS = {
+    STYLE: 'spinner',
+    FPS: 8,
+    IDLE_TIMEOUT: 300000, // Stop cycling frames after 5 minutes to save CPU
+};
+// Status badge colors (mirror BADGE_COLORS in lib/services/favicon-badges.js on the server)
+const BADGE_COLORS = {
+    working: '#FFD700',
+    completed: '#00E676',
+    'needs-input': '#FF9100',
+    error: '#D32F2F',
+};
+const SPINNER_TRAIL = [1, 0.8, 0.6, 0.45, 0.3, 0.2, 0.15, 0.15];
+const PULSE_OPACITY = [1, 0.85, 0.65, 0.45, 0.3, 0.45, 0.65, 0.85];
+
 /**
  * Create favicon updater
  * @param {object} deps - Dependencies
- * @param {object} deps.config - Configuration object with API_BASE, API_TIMEOUT
+ * @param {object} deps.config - Configuration object with API_BASE, API_TIMEOUT and optional
+ *   ANIMATION_STYLE (spinner|pulse|none), ANIMATION_FPS, ANIMATION_IDLE_TIMEOUT (ms)
  * @param {string} deps.folder - Project folder path
  * @param {string} deps.projectName - Project name
  * @param {string} deps.vscodeOrigin - VS Code origin URL
@@ -23,6 +41,13 @@ function createFaviconUpdater(deps) {
     let customFaviconSearched = false; // Flag to avoid repeated searches
     let ourFaviconHref = null; // Track our favicon to detect VS Code overwrites
     let faviconObserver = null; // MutationObserver for favicon guard
+    let animationTimer = null; // Frame-cycling interval for the working badge
+    let animationIdleTimer = null; // Stops frame cycling after the idle timeout
+    let animationGeneration = 0; // Invalidates frame rendering started by a previous update
+
+    const animationStyle = config.ANIMATION_STYLE || ANIMATION_DEFAULTS.STYLE;
+    const animationFps = Math.min(Math.max(config.ANIMATION_FPS || ANIMATION_DEFAULTS.FPS, 1), 30);
+    const animationIdleTimeout = config.ANIMATION_IDLE_TIMEOUT || ANIMATION_DEFAULTS.IDLE_TIMEOUT;
 
     // Favicon finder disabled - VS Code Server doesn't serve workspace files via HTTP
     // The extension can't access local files, and the server doesn't expose them
@@ -56,9 +81,10 @@ function createFaviconUpdater(deps) {
 
     /**
      * Fetch favicon - first tries custom favicon, then falls back to API
+     * @param {RequestCache} [cacheMode] - Fetch cache mode ('no-cache' revalidates with the server)
      * @returns {Promise<string|null>} - Favicon URL or null
      */
-    async function fetchFavicon() {
+    async function fetchFavicon(cacheMode = 'default') {
         // First, try to find custom favicon from VS Code Server
         const customFavicon = await findCustomFavicon();
         if (customFavicon) {
@@ -80,6 +106,7 @@ function createFaviconUpdater(deps) {
         try {
             const response = await fetch(url, {
                 method: 'GET',
+                cache: cacheMode,
                 signal: AbortSignal.timeout(config.API_TIMEOUT)
             });
 
@@ -156,7 +183,7 @@ function createFaviconUpdater(deps) {
     /**
      * Add badge to SVG
      * @param {string} svgContent - SVG content
-     * @param {string} badgeType - Badge type (working, completed)
+     * @param {string} badgeType - Badge type (working, completed, needs-input, error)
      * @returns {string} - Modified SVG content
      */
     function addBadgeToSVG(svgContent, badgeType = 'completed') {
@@ -165,11 +192,7 @@ function createFaviconUpdater(deps) {
             return svgContent;
         }
 
-        const colors = {
-            working: '#FFD700',
-            completed: '#00E676'
-        };
-        const fillColor = colors[badgeType] || colors.completed;
+        const fillColor = BADGE_COLORS[badgeType] || BADGE_COLORS.completed;
 
         try {
             const parser = new DOMParser();
@@ -303,11 +326,7 @@ function createFaviconUpdater(deps) {
                 ctx.filter = 'none';
 
                 if (badgeType) {
-                    const colors = {
-                        working: '#FFD700',
-                        completed: '#00E676'
-                    };
-                    const fillColor = colors[badgeType] || colors.completed;
+                    const fillColor = BADGE_COLORS[badgeType] || BADGE_COLORS.completed;
 
                     ctx.beginPath();
                     ctx.arc(24, 8, 12, 0, 2 * Math.PI);
@@ -368,6 +387,135 @@ function createFaviconUpdater(deps) {
         });
     }
 
+    /**
+     * Draw one frame of the working badge onto a canvas
+     * Same badge geometry as addBadgeToSVG; spinner dots / pulse opacity follow the server frames.
+     * @param {CanvasRenderingContext2D} ctx - Canvas context with the base favicon drawn
+     * @param {number} frame - Frame index (0 to ANIMATION_FRAME_COUNT - 1)
+     */
+    function drawWorkingFrame(ctx, frame) {
+        ctx.beginPath();
+        ctx.arc(24, 8, 12, 0, 2 * Math.PI);
+        ctx.fillStyle = 'white';
+        ctx.fill();
+
+        ctx.globalAlpha = animationStyle === 'pulse' ? PULSE_OPACITY[frame] : 1;
+        ctx.beginPath();
+        ctx.arc(24, 8, 10.5, 0, 2 * Math.PI);
+        ctx.fillStyle = BADGE_COLORS.working;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+
+        if (animationStyle !== 'spinner') {
+            return;
+        }
+
+        for (let i = 0; i < ANIMATION_FRAME_COUNT; i++) {
+            const angle = (i / ANIMATION_FRAME_COUNT) * 2 * Math.PI - Math.PI / 2;
+            ctx.globalAlpha = SPINNER_TRAIL[(frame - i + ANIMATION_FRAME_COUNT) % ANIMATION_FRAME_COUNT];
+            ctx.beginPath();
+            ctx.arc(24 + 6.5 * Math.cos(angle), 8 + 6.5 * Math.sin(angle), 1.8, 0, 2 * Math.PI);
+            ctx.fillStyle = '#5D4037';
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Pre-render all working badge frames over the base favicon
+     * @param {string} baseDataUrl - Favicon (grayscale already applied, no badge) as a data URL
+     * @returns {Promise<Array<string>|null>} - PNG data URL per frame, or null on failure
+     */
+    async function renderWorkingFrames(baseDataUrl) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+                try {
+                    const frames = [];
+                    for (let frame = 0; frame < ANIMATION_FRAME_COUNT; frame++) {
+                        const canvas = document.createElement('canvas');
+                        canvas.width = 32;
+                        canvas.height = 32;
+                        const ctx = canvas.getContext('2d');
+                        ctx.drawImage(img, 0, 0, 32, 32);
+                        drawWorkingFrame(ctx, frame);
+                        frames.push(canvas.toDataURL('image/png'));
+                    }
+                    resolve(frames);
+                } catch (e) {
+                    console.warn('Favicon Updater: Animation frame error:', e.message);
+                    resolve(null);
+                }
+            };
+            img.onerror = () => resolve(null);
+            img.src = baseDataUrl;
+        });
+    }
+
+    /**
+     * Swap the href of our favicon links for an animation frame
+     * Lighter than setFavicon: no element churn, no title refresh, no logging per frame.
+     * @param {string} dataUrl - Frame data URL
+     */
+    function applyAnimationFrame(dataUrl) {
+        document.querySelectorAll("link[rel='icon'], link[rel='shortcut icon']").forEach(link => {
+            link.href = dataUrl;
+        });
+        ourFaviconHref = dataUrl;
+    }
+
+    /**
+     * Stop cycling working badge frames
+     */
+    function stopWorkingAnimation() {
+        animationGeneration++;
+        if (animationTimer) {
+            clearInterval(animationTimer);
+            animationTimer = null;
+        }
+        if (animationIdleTimer) {
+            clearTimeout(animationIdleTimer);
+            animationIdleTimer = null;
+        }
+    }
+
+    /**
+     * Frame-cycling fallback for the working badge
+     * Tab strips freeze SVG animation (and favicons are applied as PNG), so frames are
+     * rendered once and cycled at ANIMATION_FPS until ANIMATION_IDLE_TIMEOUT, then the
+     * first frame stays in place.
+     * @param {string} baseDataUrl - Favicon without badge as a data URL
+     * @returns {Promise<boolean>} - True if the animated badge was applied
+     */
+    async function startWorkingAnimation(baseDataUrl) {
+        if (animationStyle === 'none' || !baseDataUrl) {
+            return false;
+        }
+
+        const generation = animationGeneration;
+        const frames = await renderWorkingFrames(baseDataUrl);
+        if (!frames || generation !== animationGeneration) {
+            // Rendering failed, or a newer update started meanwhile
+            return false;
+        }
+
+        setFavicon(frames[0], true, 'image/png');
+
+        let frame = 0;
+        animationTimer = setInterval(() => {
+            frame = (frame + 1) % ANIMATION_FRAME_COUNT;
+            applyAnimationFrame(frames[frame]);
+        }, Math.round(1000 / animationFps));
+
+        animationIdleTimer = setTimeout(() => {
+            stopWorkingAnimation();
+            applyAnimationFrame(frames[0]);
+            console.log('Favicon Updater: Working animation stopped after idle timeout');
+        }, animationIdleTimeout);
+
+        return true;
+    }
+
     /**
      * Set favicon
      * @param {string} url - Favicon URL
@@ -423,10 +571,14 @@ function createFaviconUpdater(deps) {
 
     /**
      * Update favicon
+     * @param {object} [options] - Update options
+     * @param {boolean} [options.revalidate] - Bypass the HTTP cache (registry entry changed)
      * @returns {Promise<void>}
      */
-    async function updateFavicon() {
-        const apiFavicon = await fetchFavicon();
+    async function updateFavicon(options = {}) {
+        stopWorkingAnimation();
+        const cacheMode = options.revalidate ? 'no-cache' : 'default';
+        const apiFavicon = await fetchFavicon(cacheMode);
         const needsGrayscale = !getTerminalState();
         const badgeType = getBadgeType();
 
@@ -434,6 +586,10 @@ function createFaviconUpdater(deps) {
             badgeStatus = 'GREEN badge (completed)';
         } else if (badgeType === 'working') {
             badgeStatus = 'YELLOW badge (working)';
+        } else if (badgeType === 'needs-input') {
+            badgeStatus = 'ORANGE badge (needs input)';
+        } else if (badgeType === 'error') {
+            badgeStatus = 'RED badge (error)';
         } else if (!getTerminalState()) {
             badgeStatus = 'grayscale (no terminal)';
         } else {
@@ -444,7 +600,7 @@ function createFaviconUpdater(deps) {
 
         if (apiFavicon) {
             try {
-                const response = await fetch(apiFavicon);
+                const response = await fetch(apiFavicon, { cache: cacheMode });
                 const contentType = response.headers.get('content-type') || 'image/x-icon';
                 console.log('Favicon Updater: API response', { url: apiFavicon, status: response.status, contentType });
 
@@ -455,6 +611,11 @@ function createFaviconUpdater(deps) {
                         svgText = applyGrayscaleFilterToSVG(svgText);
                     }
 
+                    if (badgeType === 'working' && await startWorkingAnimation(await svgToPng(svgText))) {
+                        currentFaviconUrl = apiFavicon;
+                        return;
+                    }
+
                     if (badgeType) {
                         svgText = addBadgeToSVG(svgText, badgeType);
                     }
@@ -469,6 +630,12 @@ function createFaviconUpdater(deps) {
                     }
                 } else {
                     const blob = await response.blob();
+
+                    if (badgeType === 'working' && await startWorkingAnimation(await processPNG(blob, needsGrayscale))) {
+                        currentFaviconUrl = apiFavicon;
+                        return;
+                    }
+
                     const dataUrl = await processPNG(blob, needsGrayscale, badgeType);
                     if (dataUrl) {
                         setFavicon(dataUrl, true, 'image/png');
@@ -483,6 +650,9 @@ function createFaviconUpdater(deps) {
             }
         } else {
             let svgContent = atob(generateFallbackFavicon().split(',')[1]);
+            if (badgeType === 'working' && await startWorkingAnimation(await svgToPng(svgContent))) {
+                return;
+            }
             if (badgeType) {
                 svgContent = addBadgeToSVG(svgContent, badgeType);
             }
@@ -544,6 +714,7 @@ function createFaviconUpdater(deps) {
         updateFavicon,
         updateTitle,
         startFaviconGuard,
+        stopWorkingAnimation,
     };
 }
 
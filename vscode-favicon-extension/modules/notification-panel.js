@@ -189,6 +189,12 @@ function createNotificationPanel(deps) {
                 font-size: 16px;
                 flex-shrink: 0;
             }
+            .vscode-favicon-panel-item-icon[data-status="needs-input"] {
+                background: #FF9100;
+            }
+            .vscode-favicon-panel-item-icon[data-status="error"] {
+                background: #D32F2F;
+            }
             .vscode-favicon-panel-item-content {
                 flex: 1;
                 min-width: 0;
@@ -208,6 +214,38 @@ function createNotificationPanel(deps) {
                 -webkit-box-orient: vertical;
                 overflow: hidden;
             }
+            .vscode-favicon-panel-item-sessions {
+                margin-top: 6px;
+                font-size: 11px;
+                color: #888;
+            }
+            .vscode-favicon-panel-item-sessions-summary {
+                color: #cccccc;
+                margin-bottom: 2px;
+            }
+            .vscode-favicon-panel-item-session {
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+            .vscode-favicon-panel-item-session::before {
+                content: '';
+                display: inline-block;
+                width: 6px;
+                height: 6px;
+                margin-right: 6px;
+                border-radius: 50%;
+                background: #00E676;
+            }
+            .vscode-favicon-panel-item-session[data-status="working"]::before {
+                background: #FFD700;
+            }
+            .vscode-favicon-panel-item-session[data-status="needs-input"]::before {
+                background: #FF9100;
+            }
+            .vscode-favicon-panel-item-session[data-status="error"]::before {
+                background: #D32F2F;
+            }
             .vscode-favicon-panel-item-time {
                 font-size: 10px;
                 color: #666;
@@ -0,0 +1,202 @@
+/**
+ * Registry update stream module
+ * Keeps one shared connection to the all-projects SSE stream for registry-updated events
+ * and hands them to the tab manager, so tabs do not each hold a stream (the server limits
+ * SSE connections per IP). Service workers have no EventSource, so the stream is read
+ * with fetch. Rejected or dropped connections are retried with exponential backoff, and
+ * the polling alarm reconnects after the worker was suspended.
+ */
+
+(function() {
+'use strict';
+
+const DEFAULT_CONFIG = {
+    RETRY_INITIAL_DELAY: 5000,
+    RETRY_MAX_DELAY: 5 * 60 * 1000,
+};
+
+/**
+ * Parse one SSE frame
+ * @param {string} block - Frame text without the blank line separator
+ * @returns {{event: string, data: string}} - Event name (default "message") and data
+ */
+function parseFrame(block) {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+            data.push(line.slice(5).replace(/^ /, ''));
+        }
+    }
+    return { event, data: data.join('\n') };
+}
+
+/**
+ * Create registry update stream
+ * @param {object} deps - Dependencies
+ * @param {Function} deps.getApiBase - Function to get API base URL
+ * @param {Function} deps.forwardRegistryUpdate - Called with the changed paths, or null when
+ *   updates may have been missed while disconnected
+ * @param {object} config - Configuration options
+ * @returns {object} - Stream instance
+ */
+function createRegistryUpdateStream(deps, config = {}) {
+    const { getApiBase, forwardRegistryUpdate } = deps;
+
+    const cfg = { ...DEFAULT_CONFIG, ...config };
+
+    let controller = null;
+    let retryTimer = null;
+    let retryDelay = cfg.RETRY_INITIAL_DELAY;
+    let nextRetryAt = 0;
+    let wasConnected = false;
+
+    /**
+     * Schedule a reconnect, doubling the delay up to the maximum
+     * @param {string} reason - Reason for logging
+     */
+    function scheduleRetry(reason) {
+        console.log('Registry Stream: Disconnected -', reason, '- retrying in', retryDelay, 'ms');
+        nextRetryAt = Date.now() + retryDelay;
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            ensureConnected();
+        }, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, cfg.RETRY_MAX_DELAY);
+    }
+
+    /**
+     * Handle one stream event
+     * @param {{event: string, data: string}} frame - Parsed frame
+     */
+    function handleFrame(frame) {
+        if (frame.event === 'connected') {
+            retryDelay = cfg.RETRY_INITIAL_DELAY;
+            // Registry events are not replayed, so tabs revalidate after a dropped connection
+            if (wasConnected) {
+                forwardRegistryUpdate(null);
+            }
+            wasConnected = true;
+            return;
+        }
+
+        if (frame.event === 'registry-updated') {
+            try {
+                const { paths } = JSON.parse(frame.data);
+                if (Array.isArray(paths)) {
+                    forwardRegistryUpdate(paths);
+                }
+            } catch (error) {
+                console.log('Registry Stream: Invalid event data:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Open the stream and read it until it ends
+     * @returns {Promise<void>}
+     */
+    async function connect() {
+        const current = new AbortController();
+        controller = current;
+
+        try {
+            const response = await fetch(`${getApiBase()}/notifications/stream/all`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'text/event-stream',
+                    'X-Requested-With': 'XMLHttpRequest',
+                },
+                signal: current.signal,
+            });
+
+            if (!response.ok || !response.body) {
+                // 429/503 when the server's SSE connection limits are reached
+                scheduleRetry(`HTTP ${response.status}`);
+                return;
+            }
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    handleFrame(parseFrame(buffer.slice(0, end)));
+                    buffer = buffer.slice(end + 2);
+                }
+            }
+            scheduleRetry('stream ended');
+        } catch (error) {
+            if (!current.signal.aborted) {
+                scheduleRetry(error.message);
+            }
+        } finally {
+            if (controller === current) {
+                controller = null;
+            }
+        }
+    }
+
+    /**
+     * Connect unless already connected or waiting for a retry
+     * Called on startup and from the polling alarm.
+     */
+    function ensureConnected() {
+        if (controller || Date.now() < nextRetryAt) {
+            return;
+        }
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        connect();
+    }
+
+    /**
+     * Close the stream and cancel pending retries
+     */
+    function disconnect() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        nextRetryAt = 0;
+        if (controller) {
+            controller.abort();
+            controller = null;
+        }
+    }
+
+    /**
+     * Check whether the stream is open
+     * @returns {boolean} - True while connected or connecting
+     */
+    function isConnected() {
+        return controller !== null;
+    }
+
+    return {
+        ensureConnected,
+        disconnect,
+        isConnected,
+    };
+}
+
+// Export for both Node.js (testing) and browser (service worker)
+const RegistryUpdateStreamExports = { createRegistryUpdateStream, parseFrame };
+
+// Use require check to definitively detect Node.js (avoid false positives from partial module shims)
+if (typeof require === 'function' && typeof module !== 'undefined') {
+    module.exports = RegistryUpdateStreamExports;
+} else if (typeof self !== 'undefined') {
+    // Service worker global
+    self.RegistryUpdateStream = RegistryUpdateStreamExports;
+} else if (typeof window !== 'undefined') {
+    // Browser global
+    window.RegistryUpdateStream = RegistryUpdateStreamExports;
+}
+
+})(); // End IIFE
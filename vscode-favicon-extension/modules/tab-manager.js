@@ -161,6 +161,35 @@ function createTabManager(deps) {
         }
     }
 
+    /**
+     * Tell tabs whose registry entry changed to re-fetch their favicon
+     * Entries without a path are reported by name and match folders with that basename,
+     * like the server's registry lookups do.
+     * @param {Array<string>|null} paths - Changed project paths or names, or null for every tab
+     * @returns {Promise<void>}
+     */
+    async function forwardRegistryUpdate(paths) {
+        const changed = paths ? new Set(paths.map(normalizeFolder)) : null;
+
+        try {
+            const tabs = await queryVSCodeTabs();
+
+            for (const tab of tabs) {
+                const folder = normalizeFolder(new URL(tab.url).searchParams.get('folder'));
+                if (changed && !changed.has(folder) && !changed.has(folder.split('/').pop())) {
+                    continue;
+                }
+                try {
+                    await chrome.tabs.sendMessage(tab.id, { type: 'REGISTRY_UPDATED' });
+                } catch (e) {
+                    // Tab might not have content script loaded yet
+                }
+            }
+        } catch (error) {
+            console.log('Tab Manager: Registry update forward error:', error.message);
+        }
+    }
+
     /**
      * Handle terminal state change
      * @param {string} folder - Folder path
@@ -319,6 +348,7 @@ function createTabManager(deps) {
         getFilteredNotifications,
         updateIconBadge,
         broadcastNotifications,
+        forwardRegistryUpdate,
         handleTerminalStateChange,
         switchToTab,
         handleTabRemoved,